@@ -219,8 +219,8 @@ export const dbService = {
     const saveData = {
       gameId,
       name: isAutoSave ? `Auto Save ${new Date().toLocaleString()}` : `Manual Save ${new Date().toLocaleString()}`,
-      timestamp: new Date(),
-      gameState: JSON.stringify(gameState),
+      timestamp: Date.now(),
+      gameState,
       isAutoSave,
       description: isAutoSave ? 'Automatic save' : 'Manual save'
     }
@@ -231,7 +231,7 @@ export const dbService = {
   async loadGameState(saveId) {
     const save = await db.SaveGame.get(saveId)
     if (save) {
-      return JSON.parse(save.gameState)
+      return typeof save.gameState === 'string' ? JSON.parse(save.gameState) : save.gameState
     }
     return null
   },
@@ -1,15 +1,19 @@
 import Dexie from 'dexie'
 import { version, name, stores } from './schema.js'
+import { upgrades } from './migrations.js'
 import { checkAndClearIfNeeded } from '../utils/clearDatabase.js'
 
-// Check and clear old database if needed
+// Record the schema version (older databases are upgraded, not cleared)
 checkAndClearIfNeeded()
 
 // Create database instance
 const db = new Dexie(name)
 
-// Define database schema
+// Define database schema, with data upgrades for databases from older versions
 db.version(version).stores(stores)
+Object.entries(upgrades).forEach(([upgradeVersion, upgrade]) => {
+  db.version(Number(upgradeVersion)).stores(stores).upgrade(upgrade)
+})
 
 // Enable debug mode in development
 if (import.meta.env?.DEV) {
@@ -0,0 +1,40 @@
+// God Dots - Database upgrades
+//
+// Dexie runs these when a database from an older schema version opens, so a
+// schema bump upgrades data in place instead of clearing it. To add one,
+// bump `version` in schema.js and register the upgrade under that version.
+import { migrateSave } from '../phaser/systems/SaveMigrations.js'
+
+/**
+ * Bring a stored SaveGame record up to the current layout
+ * Older records hold the game state as a JSON string with a Date timestamp.
+ * Unreadable states are left as they are; loading reports what is wrong.
+ */
+export const upgradeSaveRecord = record => {
+  let gameState = record.gameState
+  if (typeof gameState === 'string') {
+    try {
+      gameState = JSON.parse(gameState)
+    } catch (error) {
+      console.warn(`SaveGame ${record.id}: game state is not valid JSON, leaving it untouched`)
+      return record
+    }
+  }
+
+  const { state } = migrateSave(gameState)
+
+  return {
+    ...record,
+    gameState: state || gameState,
+    timestamp: record.timestamp instanceof Date ? record.timestamp.getTime() : record.timestamp,
+    playTime: record.playTime ?? 0,
+    thumbnail: record.thumbnail ?? null,
+  }
+}
+
+// Upgrades keyed by the schema version they arrived in
+export const upgrades = {
+  7: tx => tx.table('SaveGame').toCollection().modify(record => {
+    Object.assign(record, upgradeSaveRecord(record))
+  }),
+}
@@ -1,5 +1,5 @@
 // God Dots - DexieJS Database Schema
-export const version = 6
+export const version = 7
 
 export const name = `GodDots001`
 const lightStandard = '++id, name'
@@ -0,0 +1,193 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Building Pathfinding Tests
+ *
+ * Buildings lay overrides over the pathfinding grid: walls and houses block
+ * their tiles, farms cost more to cross, and tearing a building down reopens
+ * the ground. Villagers whose path runs into a new building find another way,
+ * and loading a save puts every building's footprint back.
+ */
+
+import BuildingSystem from '../systems/BuildingSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import VillagerSystem from '../systems/VillagerSystem';
+import SimulationCore from '../core/SimulationCore';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 20;
+
+function createTerrain() {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+}
+
+/**
+ * Wall across column x, leaving row gapY open (no gap if omitted)
+ */
+function buildWall(buildings, x, gapY = -1) {
+  for (let y = 0; y < SIZE; y++) {
+    if (y !== gapY) buildings.createBuilding('wall', x, y);
+  }
+}
+
+describe('Buildings on the pathfinding grid', () => {
+  let pathfinder;
+  let buildings;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    buildings = new BuildingSystem({});
+    buildings.pathfindingSystem = pathfinder;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should block wall and house tiles without touching the terrain', () => {
+    buildings.createBuilding('wall', 3, 3);
+    buildings.createBuilding('house', 6, 6);
+
+    expect(pathfinder.isPassable(3, 3)).toBe(false);
+    expect(pathfinder.isPassable(7, 7)).toBe(false);
+    expect(pathfinder.isPassable(8, 8)).toBe(true);
+    expect(pathfinder.terrainData[3][3]).toBe(BIOME_TYPES.GRASSLAND);
+  });
+
+  test('should make farm tiles slower to cross but still passable', () => {
+    buildings.createBuilding('farm', 4, 4);
+
+    expect(pathfinder.isPassable(5, 5)).toBe(true);
+    expect(pathfinder.getMovementCost(5, 5)).toBe(2);
+    expect(pathfinder.getMovementCost(6, 6)).toBe(BIOME_TYPES.GRASSLAND.movementCost);
+  });
+
+  test('should route around a wall and through again once it is removed', () => {
+    buildWall(buildings, 10, 15);
+
+    const around = pathfinder.findPath(2, 5, 18, 5);
+    expect(around.some(p => p.x === 10 && p.y === 15)).toBe(true);
+
+    buildings.removeBuilding(buildings.buildings.find(b => b.tileY === 5).id);
+
+    expect(pathfinder.isPassable(10, 5)).toBe(true);
+    expect(pathfinder.findPath(2, 5, 18, 5)).toHaveLength(17);
+  });
+
+  test('should drop cached flow fields and region graphs covering the wall', () => {
+    expect(pathfinder.findFlowPath(2, 5, 18, 5)).toHaveLength(17);
+    expect(pathfinder.getHierarchy().findPath(2, 5, 18, 5)).not.toBeNull();
+
+    buildWall(buildings, 10, 15);
+
+    expect(pathfinder.isPathWalkable(pathfinder.findFlowPath(2, 5, 18, 5))).toBe(true);
+    expect(pathfinder.isPathWalkable(pathfinder.getHierarchy().findPath(2, 5, 18, 5))).toBe(true);
+  });
+
+  test('should not let diagonal steps squeeze past a wall corner', () => {
+    const path = [{ x: 4, y: 4 }, { x: 5, y: 5 }];
+    buildings.createBuilding('wall', 5, 4);
+
+    expect(pathfinder.isPathWalkable(path)).toBe(false);
+    expect(pathfinder.isPathWalkable(path, 2)).toBe(true);
+  });
+
+  describe('with villagers', () => {
+    let villagers;
+
+    beforeEach(() => {
+      villagers = new VillagerSystem({}, pathfinder);
+      villagers.setMapBounds(SIZE, SIZE);
+      buildings.villagerSystem = villagers;
+    });
+
+    function walking(x, y, goalX, goalY) {
+      const villager = villagers.spawnVillager(x, y);
+      villager.setPath(pathfinder.findPath(x, y, goalX, goalY));
+      return villager;
+    }
+
+    test('should ask again for wander paths that run into a new wall', () => {
+      const villager = walking(2, 5, 18, 5);
+      const bystander = walking(2, 18, 8, 18);
+      const untouched = bystander.currentPath;
+
+      buildWall(buildings, 10, 15);
+
+      expect(villager.state).toBe('thinking');
+      expect(bystander.currentPath).toBe(untouched);
+
+      villagers.deliverPaths();
+      expect(villager.state).toBe('moving');
+      expect(pathfinder.isPathWalkable(villager.currentPath)).toBe(true);
+      expect(villager.currentPath[villager.currentPath.length - 1]).toEqual({ x: 18, y: 5 });
+    });
+
+    test('should reroute temple trips straight away', () => {
+      const villager = walking(2, 5, 18, 5);
+      villager.goingToWorship = true;
+      villager.worshipTempleId = 'temple_1';
+
+      buildWall(buildings, 10, 15);
+
+      expect(villager.state).toBe('moving');
+      expect(villager.goingToWorship).toBe(true);
+      expect(villager.currentPath.some(p => p.x === 10 && p.y === 15)).toBe(true);
+    });
+
+    test('should sleep where they are when walled off from home', () => {
+      const villager = walking(2, 5, 18, 5);
+      villager.goingHome = true;
+
+      buildWall(buildings, 10);
+
+      expect(villager.state).toBe('sleeping');
+    });
+
+    test('should give up on worship when the temple is walled off', () => {
+      const villager = walking(2, 5, 18, 5);
+      villager.goingToWorship = true;
+      villager.worshipTempleId = 'temple_1';
+
+      buildWall(buildings, 10);
+
+      expect(villager.state).toBe('idle');
+      expect(villager.goingToWorship).toBe(false);
+    });
+  });
+});
+
+describe('Buildings in saves', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should block the same tiles after loading', () => {
+    const sim = new SimulationCore({ seed: 77, mapWidth: 60, mapHeight: 60 });
+    sim.start();
+    const temple = sim.templeSystem.temples[0];
+    const wall = sim.buildingSystem.createBuilding('wall', temple.position.x + 4, temple.position.y);
+    sim.runFor(500);
+
+    const loaded = new SimulationCore({ seed: 77, mapWidth: 60, mapHeight: 60 });
+    loaded.restore(JSON.parse(JSON.stringify(sim.serialize())));
+
+    expect(loaded.pathfindingSystem.isPassable(wall.tileX, wall.tileY)).toBe(false);
+    expect(loaded.pathfindingSystem.getOverrides()).toEqual(sim.pathfindingSystem.getOverrides());
+
+    loaded.buildingSystem.clearAll();
+    expect(loaded.pathfindingSystem.getOverrides()).toEqual([]);
+
+    sim.destroy();
+    loaded.destroy();
+  });
+});
@@ -57,8 +57,8 @@ describe('BuildingSystem', () => {
     expect(system.placementMode).toBe(false);
   });
 
-  test('should have three building types', () => {
-    expect(Object.keys(BUILDING_TYPES)).toEqual(['farm', 'house', 'wall']);
+  test('should have four building types', () => {
+    expect(Object.keys(BUILDING_TYPES)).toEqual(['farm', 'house', 'wall', 'lumberCamp']);
   });
 
   test('should enter placement mode', () => {
@@ -128,25 +128,30 @@ describe('BuildingSystem', () => {
     expect(system.occupiedTiles.has('0,0')).toBe(false);
   });
 
-  test('should calculate population bonus from houses', () => {
+  test('should count room in finished houses', () => {
     const system = new BuildingSystem(createMockScene());
     system.playerSystem = createMockPlayerSystem();
 
-    system.createBuilding('house', 0, 0);
-    system.createBuilding('farm', 2, 0);
+    system.createBuilding('house', 0, 0, 1);
+    system.createBuilding('house', 0, 2);
+    system.createBuilding('farm', 2, 0, 1);
 
-    expect(system.getPopulationBonus('player_1')).toBe(5);
+    expect(system.getHousingCapacity('player_1')).toBe(BUILDING_TYPES.house.capacity);
   });
 
-  test('should calculate food production from farms', () => {
+  test('should place buildings as construction sites that builders finish', () => {
     const system = new BuildingSystem(createMockScene());
     system.playerSystem = createMockPlayerSystem();
 
-    system.createBuilding('farm', 0, 0);
-    system.createBuilding('farm', 2, 0);
-    system.createBuilding('house', 0, 2);
+    const farm = system.createBuilding('farm', 0, 0);
+    expect(system.isBuilt(farm)).toBe(false);
 
-    expect(system.getFoodProduction('player_1')).toBe(4); // 2 farms * 2 food/sec
+    expect(system.addConstruction(farm, BUILDING_TYPES.farm.buildTime / 2)).toBe(false);
+    expect(farm.progress).toBeCloseTo(0.5);
+    expect(system.addConstruction(farm, BUILDING_TYPES.farm.buildTime)).toBe(true);
+    expect(farm.progress).toBe(1);
+    expect(system.isBuilt(farm)).toBe(true);
+    expect(system.addConstruction(farm, 1)).toBe(false);
   });
 
   test('should prevent overlapping buildings', () => {
@@ -156,4 +161,28 @@ describe('BuildingSystem', () => {
     system.createBuilding('farm', 0, 0); // Occupies 0,0 to 1,1
     expect(system.canPlace(1, 0, 2)).toBe(false); // Overlaps at 1,0
   });
+
+  test('should place a building by type without entering placement mode', () => {
+    const system = new BuildingSystem(createMockScene());
+    system.playerSystem = createMockPlayerSystem();
+
+    const building = system.placeBuilding('wall', 4, 4); // Tile (1, 1)
+
+    expect(building.type).toBe('wall');
+    expect(building.tileX).toBe(1);
+    expect(system.playerSystem.spendBeliefPoints).toHaveBeenCalledWith('player_1', 5);
+    expect(system.placeBuilding('castle', 0, 0)).toBe(false);
+  });
+
+  test('should stay in placement mode after an invalid spot', () => {
+    const system = new BuildingSystem(createMockScene());
+    system.playerSystem = createMockPlayerSystem();
+
+    system.startPlacement('farm');
+    expect(system.placeAtWorld(8, 8)).toBe(false); // Deep ocean
+    expect(system.placementMode).toBe(true);
+
+    expect(system.placeAtWorld(0, 0)).toBeTruthy();
+    expect(system.placementMode).toBe(false);
+  });
 });
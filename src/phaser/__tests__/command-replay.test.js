@@ -0,0 +1,290 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Command Log and Replay Tests
+ *
+ * Player actions are recorded against simulation ticks; feeding the log to a
+ * fresh core with the same seed plays the game back exactly.
+ */
+
+import CommandLog, { COMMANDS, REPLAY_VERSION } from '../core/CommandLog';
+import ReplayController, { REPLAY_SPEEDS } from '../core/ReplayController';
+import SimulationCore, { FIXED_TIMESTEP_MS } from '../core/SimulationCore';
+
+const SEED = 4242;
+const MAP_SIZE = 120;
+const TILE_SIZE = 4;
+
+function createSimulation(options = {}) {
+  return new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE, ...options });
+}
+
+/**
+ * Find a world position where the human can place a building near their temple
+ */
+function findBuildSpot(sim, type) {
+  const human = sim.playerSystem.getHumanPlayer();
+  const temple = sim.templeSystem.getPlayerTemples(human.id)[0];
+  for (let r = 3; r < 20; r++) {
+    const x = temple.position.x + r;
+    const y = temple.position.y + r;
+    if (sim.buildingSystem.canPlace(x, y, 2)) {
+      return { buildingType: type, worldX: x * TILE_SIZE, worldY: y * TILE_SIZE };
+    }
+  }
+  return null;
+}
+
+/**
+ * Play a short live game with a power, a building and an upgrade
+ */
+function recordGame() {
+  const sim = createSimulation();
+  sim.start();
+  const human = sim.playerSystem.getHumanPlayer();
+  const temple = sim.templeSystem.getPlayerTemples(human.id)[0];
+
+  sim.execute(COMMANDS.SET_GAME_SPEED, { speed: 2 });
+  sim.runFor(3000);
+
+  const villager = sim.villagerSystem.villagers.find(v => v.playerId === human.id);
+  sim.execute(COMMANDS.CAST_POWER, { powerId: 'food', worldX: villager.x * TILE_SIZE, worldY: villager.y * TILE_SIZE });
+  sim.runFor(5000);
+
+  sim.execute(COMMANDS.PLACE_BUILDING, findBuildSpot(sim, 'farm'));
+  sim.runFor(5000);
+
+  sim.execute(COMMANDS.UPGRADE_TEMPLE, { templeId: temple.id });
+  sim.runFor(20000);
+
+  return sim;
+}
+
+function snapshot(sim) {
+  return {
+    summary: sim.getSummary(),
+    villagers: sim.villagerSystem.villagers.map(v => [v.id, v.playerId, v.x, v.y, v.health]),
+    buildings: sim.buildingSystem.buildings.map(b => [b.type, b.tileX, b.tileY]),
+    temples: sim.templeSystem.temples.map(t => [t.id, t.level || 1]),
+  };
+}
+
+describe('CommandLog', () => {
+  test('should record commands with their tick and a copied payload', () => {
+    const log = new CommandLog({ seed: 1, mapWidth: 10, mapHeight: 10 });
+    const payload = { templeId: 'temple_1' };
+
+    const command = log.record(7, COMMANDS.UPGRADE_TEMPLE, payload);
+    payload.templeId = 'changed';
+
+    expect(command).toEqual({ tick: 7, type: 'upgradeTemple', payload: { templeId: 'temple_1' } });
+    expect(log.endTick).toBe(7);
+  });
+
+  test('should round-trip through JSON', () => {
+    const log = new CommandLog({ seed: 99, mapWidth: 50, mapHeight: 40 });
+    log.record(3, COMMANDS.SET_GAME_SPEED, { speed: 2 });
+    log.record(10, COMMANDS.CAST_POWER, { powerId: 'heal', worldX: 8, worldY: 12 });
+    log.endTick = 200;
+
+    const restored = CommandLog.fromJSON(JSON.parse(JSON.stringify(log.toJSON())));
+
+    expect(restored.toJSON()).toEqual(log.toJSON());
+    expect(restored.toJSON().version).toBe(REPLAY_VERSION);
+  });
+
+  test('should reject missing or unknown-version data', () => {
+    expect(CommandLog.fromJSON(null)).toBeNull();
+    expect(CommandLog.fromJSON({ version: REPLAY_VERSION + 1, seed: 1 })).toBeNull();
+  });
+});
+
+describe('ReplayController', () => {
+  let log;
+  let replay;
+
+  beforeEach(() => {
+    log = new CommandLog({ seed: 1, mapWidth: 10, mapHeight: 10 });
+    log.record(0, COMMANDS.SET_GAME_SPEED, { speed: 1 });
+    log.record(5, COMMANDS.UPGRADE_TEMPLE, { templeId: 'a' });
+    log.record(5, COMMANDS.UPGRADE_TEMPLE, { templeId: 'b' });
+    log.record(9, COMMANDS.SET_GAME_SPEED, { speed: 2 });
+    log.endTick = 20;
+    replay = new ReplayController(log);
+  });
+
+  test('should hand out due commands once, in order', () => {
+    expect(replay.takeDue(0)).toHaveLength(1);
+    expect(replay.takeDue(4)).toHaveLength(0);
+    expect(replay.takeDue(5).map(c => c.payload.templeId)).toEqual(['a', 'b']);
+    expect(replay.takeDue(5)).toHaveLength(0);
+    expect(replay.takeDue(100)).toHaveLength(1);
+  });
+
+  test('should finish at the end of the recording', () => {
+    expect(replay.isFinished(19)).toBe(false);
+    expect(replay.isFinished(20)).toBe(true);
+  });
+
+  test('should toggle pause', () => {
+    expect(replay.togglePause()).toBe(true);
+    expect(replay.togglePause()).toBe(false);
+  });
+
+  test('should step through fast-forward speeds within bounds', () => {
+    expect(replay.slower()).toBe(1);
+    for (let i = 0; i < 10; i++) replay.faster();
+    expect(replay.speed).toBe(REPLAY_SPEEDS[REPLAY_SPEEDS.length - 1]);
+    expect(replay.setSpeed(3)).toBe(2);
+  });
+});
+
+describe('SimulationCore commands', () => {
+  let sim;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sim = createSimulation();
+    sim.start();
+  });
+
+  afterEach(() => {
+    sim.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should record executed commands against the current tick', () => {
+    sim.runFor(FIXED_TIMESTEP_MS * 4);
+    sim.execute(COMMANDS.SET_GAME_SPEED, { speed: 3 });
+
+    expect(sim.commandLog.commands).toEqual([
+      { tick: 4, type: 'setGameSpeed', payload: { speed: 3 } }
+    ]);
+    expect(sim.commandLog.endTick).toBe(4);
+  });
+
+  test('should ignore unknown commands', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(sim.execute('summonDragon', {})).toBe(false);
+    expect(sim.commandLog.commands).toHaveLength(0);
+    expect(warn).toHaveBeenCalled();
+  });
+
+  test('should announce game speed changes', () => {
+    const listener = jest.fn();
+    sim.events.on('gameSpeedChanged', listener);
+
+    sim.execute(COMMANDS.SET_GAME_SPEED, { speed: 2 });
+
+    expect(sim.gameSpeed).toBe(2);
+    expect(listener).toHaveBeenCalledWith({ speed: 2 });
+  });
+
+  test('should cast powers and place buildings for the human player', () => {
+    const human = sim.playerSystem.getHumanPlayer();
+    const before = human.beliefPoints;
+
+    expect(sim.execute(COMMANDS.CAST_POWER, { powerId: 'heal', worldX: 0, worldY: 0 })).toBe(true);
+    expect(sim.execute(COMMANDS.PLACE_BUILDING, findBuildSpot(sim, 'house'))).toBeTruthy();
+
+    expect(human.beliefPoints).toBe(before - 20 - 20);
+    expect(sim.buildingSystem.getPlayerBuildings(human.id)).toHaveLength(1);
+  });
+
+  test('should tick power cooldowns on simulation time', () => {
+    sim.execute(COMMANDS.CAST_POWER, { powerId: 'heal', worldX: 0, worldY: 0 });
+
+    sim.runFor(5000);
+
+    expect(sim.divinePowerSystem.cooldowns.heal).toBe(5000);
+  });
+});
+
+describe('Replay', () => {
+  let recorded;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    recorded = recordGame();
+  });
+
+  afterAll(() => {
+    recorded.destroy();
+    jest.restoreAllMocks();
+  });
+
+  const createReplay = () => {
+    const replay = new SimulationCore({ replay: JSON.parse(JSON.stringify(recorded.commandLog.toJSON())) });
+    replay.start();
+    return replay;
+  };
+
+  test('should record every command of the live game', () => {
+    expect(recorded.commandLog.commands.map(c => c.type)).toEqual([
+      'setGameSpeed', 'castPower', 'placeBuilding', 'upgradeTemple'
+    ]);
+    expect(recorded.commandLog.endTick).toBe(recorded.tick);
+
+    // The actions themselves took effect
+    const human = recorded.playerSystem.getHumanPlayer();
+    expect(recorded.buildingSystem.getPlayerBuildings(human.id)).toHaveLength(1);
+    expect(recorded.templeSystem.getPlayerTemples(human.id)[0].level).toBe(2);
+  });
+
+  test('should take seed and map size from the recording', () => {
+    const replay = createReplay();
+
+    expect(replay.seed).toBe(SEED);
+    expect(replay.mapWidth).toBe(MAP_SIZE);
+    replay.destroy();
+  });
+
+  test('should reproduce the recorded game exactly', () => {
+    const replay = createReplay();
+
+    replay.seekTo(recorded.commandLog.endTick);
+
+    expect(snapshot(replay)).toEqual(snapshot(recorded));
+    expect(replay.commandLog.commands).toEqual(recorded.commandLog.commands);
+    expect(replay.gameSpeed).toBe(2);
+    replay.destroy();
+  });
+
+  test('should reach the same state whether played frame by frame or seeked', () => {
+    const played = createReplay();
+    const seeked = createReplay();
+
+    while (!played.isReplayFinished()) {
+      played.advance(16.7 * 4);
+    }
+    seeked.seekTo(recorded.tick);
+
+    expect(snapshot(played)).toEqual(snapshot(seeked));
+    played.destroy();
+    seeked.destroy();
+  });
+
+  test('should stop at the end of the recording', () => {
+    const replay = createReplay();
+
+    replay.seekTo(recorded.tick + 1000);
+
+    expect(replay.tick).toBe(recorded.tick);
+    expect(replay.isReplayFinished()).toBe(true);
+    expect(replay.advance(FIXED_TIMESTEP_MS * 5)).toBe(0);
+    replay.destroy();
+  });
+
+  test('should refuse to seek backwards', () => {
+    const replay = createReplay();
+    replay.seekTo(100);
+
+    expect(replay.seekTo(50)).toBe(false);
+    expect(replay.tick).toBe(100);
+    replay.destroy();
+  });
+});
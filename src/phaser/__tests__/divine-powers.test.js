@@ -3,6 +3,8 @@
  */
 
 import DivinePowerSystem from '../systems/DivinePowerSystem';
+import Villager from '../entities/Villager';
+import VillagerSystem from '../systems/VillagerSystem';
 
 function createMockScene() {
   return {
@@ -110,7 +112,7 @@ describe('DivinePowerSystem', () => {
     const system = new DivinePowerSystem(scene);
     const playerSystem = createMockPlayerSystem();
     system.playerSystem = playerSystem;
-    system.villagerSystem = { villagers: [] };
+    system.villagerSystem = new VillagerSystem({});
 
     system.selectPower('heal');
     const result = system.castAtWorld(100, 100);
@@ -122,6 +124,64 @@ describe('DivinePowerSystem', () => {
     expect(scene.events.emit).toHaveBeenCalledWith('powerCast', expect.any(Object));
   });
 
+  test('should cast a power by id without targeting', () => {
+    const scene = createMockScene();
+    const system = new DivinePowerSystem(scene);
+    system.playerSystem = createMockPlayerSystem();
+    system.villagerSystem = new VillagerSystem({});
+
+    expect(system.castPower('storm', 40, 40)).toBe(true);
+    expect(system.cooldowns.storm).toBe(30000);
+    expect(scene.events.emit).toHaveBeenCalledWith('powerCast', {
+      powerId: 'storm', worldX: 40, worldY: 40, playerId: 'player_1'
+    });
+
+    // Still cooling down
+    expect(system.castPower('storm', 40, 40)).toBe(false);
+  });
+
+  test('should end targeting even when a cast fails', () => {
+    const system = new DivinePowerSystem(createMockScene());
+    const playerSystem = createMockPlayerSystem();
+    system.playerSystem = playerSystem;
+    system.villagerSystem = new VillagerSystem({});
+
+    system.selectPower('heal');
+    playerSystem._human.beliefPoints = 0;
+
+    expect(system.castAtWorld(100, 100)).toBe(false);
+    expect(system.selectedPower).toBeNull();
+  });
+
+  test('should give food blessing a speed boost that wears off', () => {
+    const system = new DivinePowerSystem(createMockScene());
+    const villager = new Villager(1, 0, 0);
+    system.playerSystem = createMockPlayerSystem();
+    system.villagerSystem = new VillagerSystem({});
+    system.villagerSystem.addVillager(villager);
+
+    system.castPower('food', 0, 0);
+    expect(villager.speed).toBe(15);
+
+    villager.update(9000);
+    expect(villager.speed).toBe(15);
+
+    villager.update(1000);
+    expect(villager.speed).toBe(10);
+  });
+
+  test('should not compound the base speed when blessings overlap', () => {
+    const villager = new Villager(1, 0, 0);
+
+    villager.boostSpeed(1.5, 10000);
+    villager.update(5000);
+    villager.boostSpeed(1.5, 10000);
+    expect(villager.speed).toBe(15);
+
+    villager.update(10000);
+    expect(villager.speed).toBe(10);
+  });
+
   test('should tick cooldowns', () => {
     const system = new DivinePowerSystem(createMockScene());
     system.cooldowns.heal = 5000;
@@ -0,0 +1,181 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Flow Field Tests
+ *
+ * One Dijkstra search from a temple serves every villager heading there:
+ * paths walked down the field are as cheap as A*'s, fields are cached per
+ * goal until invalidated, and worship and go-home trips use them.
+ */
+
+import PathfindingSystem from '../systems/PathfindingSystem';
+import VillagerSystem from '../systems/VillagerSystem';
+import SimulationCore from '../core/SimulationCore';
+import { RandomStream } from '../core/RandomService';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+/**
+ * Cost of walking a path the way A* scores it
+ */
+function walkCost(pathfinder, path) {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) {
+    const diagonal = path[i].x !== path[i - 1].x && path[i].y !== path[i - 1].y;
+    cost += (diagonal ? 1.414 : 1.0) * pathfinder.getMovementCost(path[i].x, path[i].y);
+  }
+  return cost;
+}
+
+function isConnected(path) {
+  return path.every((p, i) => i === 0 ||
+    (Math.abs(p.x - path[i - 1].x) <= 1 && Math.abs(p.y - path[i - 1].y) <= 1));
+}
+
+describe('Flow fields', () => {
+  let pathfinder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const sim = new SimulationCore({ seed: 777, mapWidth: 60, mapHeight: 60 });
+    pathfinder = sim.pathfindingSystem;
+    sim.destroy();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function randomPassableTile(random) {
+    for (;;) {
+      const x = random.int(0, pathfinder.width - 1);
+      const y = random.int(0, pathfinder.height - 1);
+      if (pathfinder.isPassable(x, y)) return { x, y };
+    }
+  }
+
+  test('should give paths as cheap as A* on real terrain', () => {
+    const random = new RandomStream(99);
+    const goal = randomPassableTile(random);
+
+    for (let i = 0; i < 25; i++) {
+      const start = randomPassableTile(random);
+      if (start.x === goal.x && start.y === goal.y) continue;
+
+      const astar = pathfinder.findPath(start.x, start.y, goal.x, goal.y);
+      const flow = pathfinder.findFlowPath(start.x, start.y, goal.x, goal.y);
+
+      if (!astar) {
+        expect(flow).toBeNull();
+        continue;
+      }
+      expect(flow[0]).toEqual(start);
+      expect(flow[flow.length - 1]).toEqual(goal);
+      expect(isConnected(flow)).toBe(true);
+      expect(flow.every(p => pathfinder.isPassable(p.x, p.y))).toBe(true);
+      expect(walkCost(pathfinder, flow)).toBeCloseTo(walkCost(pathfinder, astar), 6);
+    }
+  });
+
+  test('should compute a field once per goal', () => {
+    jest.spyOn(pathfinder, 'computeFlowField');
+    const random = new RandomStream(5);
+    const goal = randomPassableTile(random);
+
+    for (let i = 0; i < 20; i++) {
+      const start = randomPassableTile(random);
+      pathfinder.findFlowPath(start.x, start.y, goal.x, goal.y);
+    }
+
+    expect(pathfinder.computeFlowField).toHaveBeenCalledTimes(1);
+  });
+
+  test('should recompute after being invalidated', () => {
+    const terrain = Array.from({ length: 5 }, () => Array(5).fill(BIOME_TYPES.GRASSLAND));
+    const small = new PathfindingSystem(terrain);
+    expect(small.findFlowPath(0, 2, 4, 2)).toHaveLength(5);
+
+    // Wall off the middle column
+    for (let y = 0; y < 5; y++) terrain[y][2] = BIOME_TYPES.DEEP_OCEAN;
+    expect(small.findFlowPath(0, 2, 4, 2)).toHaveLength(5); // Stale until told
+
+    small.invalidateFlowFields();
+    expect(small.findFlowPath(0, 2, 4, 2)).toBeNull();
+  });
+
+  test('should refuse the same cases findPath does', () => {
+    const terrain = [
+      [BIOME_TYPES.GRASSLAND, BIOME_TYPES.DEEP_OCEAN],
+      [BIOME_TYPES.DEEP_OCEAN, BIOME_TYPES.GRASSLAND]
+    ];
+    const small = new PathfindingSystem(terrain);
+
+    expect(small.findFlowPath(0, 0, 0, 0)).toBeNull();
+    expect(small.findFlowPath(0, 0, 1, 1)).toBeNull(); // Corner cutting not allowed
+    expect(small.findFlowPath(0, 0, 1, 0)).toBeNull(); // Impassable goal
+    expect(small.findFlowPath(1, 0, 1, 1)).toBeNull(); // Impassable start
+    expect(small.findFlowPath(0, 0, 5, 5)).toBeNull();
+  });
+});
+
+describe('VillagerSystem temple trips', () => {
+  const SIZE = 30;
+  const temple = { id: 'temple_1', playerId: 'p1', position: { x: 25, y: 25 } };
+  let pathfinder;
+  let system;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const terrain = Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+    pathfinder = new PathfindingSystem(terrain);
+    jest.spyOn(pathfinder, 'findPath');
+    jest.spyOn(pathfinder, 'computeFlowField');
+    system = new VillagerSystem({}, pathfinder);
+    system.setMapBounds(SIZE, SIZE);
+    system.templeSystem = { temples: [temple] };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawnOwned(x, y) {
+    const villager = system.spawnVillager(x, y);
+    villager.playerId = 'p1';
+    return villager;
+  }
+
+  test('should send a crowd home at nightfall from one flow field', () => {
+    const crowd = Array.from({ length: 40 }, (_, i) => spawnOwned(i % 10, Math.floor(i / 10)));
+
+    crowd.forEach(v => system.sendVillagerHome(v));
+
+    expect(pathfinder.computeFlowField).toHaveBeenCalledTimes(1);
+    expect(pathfinder.findPath).not.toHaveBeenCalled();
+    expect(crowd.every(v => v.state === 'moving' && v.goingHome)).toBe(true);
+    expect(crowd.every(v => v.currentPath[v.currentPath.length - 1].x === 25)).toBe(true);
+  });
+
+  test('should walk worshippers to their temple', () => {
+    const villager = spawnOwned(10, 10);
+
+    expect(system.assignWorship(villager)).toBe(true);
+
+    expect(villager.state).toBe('moving');
+    expect(villager.goingToWorship).toBe(true);
+    expect(villager.worshipTempleId).toBe('temple_1');
+    expect(villager.destination).toEqual({ x: 25, y: 25 });
+    expect(pathfinder.findPath).not.toHaveBeenCalled();
+  });
+
+  test('should sleep in place when home cannot be reached', () => {
+    const villager = spawnOwned(0, 0);
+    jest.spyOn(pathfinder, 'findFlowPath').mockReturnValueOnce(null);
+
+    system.sendVillagerHome(villager);
+
+    expect(villager.state).toBe('sleeping');
+  });
+});
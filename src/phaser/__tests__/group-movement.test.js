@@ -0,0 +1,268 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Group Movement Tests
+ *
+ * The player can send a group of their villagers somewhere. The group shares
+ * one path search, keeps a formation along the way, arrives together, and
+ * then holds position or goes back to its daily routine. Orders are commands,
+ * so they replay and survive a save.
+ */
+
+import VillagerSystem from '../systems/VillagerSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import SimulationCore from '../core/SimulationCore';
+import { COMMANDS } from '../core/CommandLog';
+import { FORMATIONS, FORMATION_SPACING, getFormationOffsets, arrangeInFormation } from '../config/formations';
+import { BIOME_TYPES, TERRAIN_CONFIG } from '../config/terrainConfig';
+
+const SIZE = 40;
+const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+
+function createTerrain() {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+}
+
+describe('Formations', () => {
+  test('should lay slots out in a grid centred on the path', () => {
+    const s = FORMATION_SPACING;
+
+    expect(getFormationOffsets('box', 4)).toEqual([
+      { dx: 0, dy: 0 }, { dx: s, dy: 0 },
+      { dx: 0, dy: s }, { dx: s, dy: s },
+    ]);
+    expect(getFormationOffsets('box', 9)[4]).toEqual({ dx: 0, dy: 0 });
+    expect(getFormationOffsets('line', 3)).toEqual([{ dx: -s, dy: 0 }, { dx: 0, dy: 0 }, { dx: s, dy: 0 }]);
+    expect(getFormationOffsets('box', 0)).toEqual([]);
+  });
+
+  test('should refuse unknown formations', () => {
+    expect(() => getFormationOffsets('phalanx', 3)).toThrow(/phalanx/);
+  });
+
+  test('should give each member the slot on its side of the group', () => {
+    const members = [
+      { id: 1, x: 9, y: 9 }, // Bottom right
+      { id: 2, x: 1, y: 1 }, // Top left
+      { id: 3, x: 9, y: 1 }, // Top right
+      { id: 4, x: 1, y: 9 }, // Bottom left
+    ];
+
+    const slots = arrangeInFormation(members, 'box');
+
+    expect(slots.map(s => [s.member.id, s.dx, s.dy])).toEqual([
+      [2, 0, 0], [3, FORMATION_SPACING, 0],
+      [4, 0, FORMATION_SPACING], [1, FORMATION_SPACING, FORMATION_SPACING],
+    ]);
+    expect(arrangeInFormation(members, 'line').map(s => s.member.id)).toEqual([2, 4, 3, 1]);
+    expect(Object.keys(FORMATIONS)).toContain('box');
+  });
+});
+
+describe('Group orders', () => {
+  let pathfinder;
+  let villagers;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    villagers = new VillagerSystem({}, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawnGroup(positions, playerId = 'p1') {
+    return positions.map(([x, y]) => {
+      const villager = villagers.spawnVillager(x, y);
+      villager.playerId = playerId;
+      return villager;
+    });
+  }
+
+  /**
+   * Step until nobody in the group is moving; returns the tick each one stopped on
+   */
+  function runUntilArrived(group, maxTicks = 400) {
+    const arrivedAt = new Map();
+    for (let tick = 0; tick < maxTicks && arrivedAt.size < group.length; tick++) {
+      villagers.update(50);
+      for (const v of group) {
+        if (v.state !== 'moving' && v.state !== 'thinking' && !arrivedAt.has(v.id)) arrivedAt.set(v.id, tick);
+      }
+    }
+    return arrivedAt;
+  }
+
+  test('should search one path for the whole group', () => {
+    const group = spawnGroup([[2, 2], [4, 2], [2, 4], [4, 4]]);
+
+    expect(villagers.orderGroup('p1', group.map(v => v.id), 30, 30)).toBe(true);
+
+    expect(villagers.pathQueue.size).toBe(1);
+    expect(group.every(v => v.state === 'thinking')).toBe(true);
+
+    villagers.deliverPaths();
+
+    expect(group.every(v => v.state === 'moving')).toBe(true);
+    expect(villagers.pathQueue.stats.searchedHere).toBe(1);
+  });
+
+  test('should keep formation and arrive together', () => {
+    const group = spawnGroup([[2, 2], [8, 3], [3, 10], [9, 9]]);
+
+    villagers.orderGroup('p1', group.map(v => v.id), 30, 30);
+    const arrivedAt = runUntilArrived(group);
+
+    const ticks = [...arrivedAt.values()];
+    expect(ticks).toHaveLength(4);
+    expect(Math.max(...ticks) - Math.min(...ticks)).toBeLessThanOrEqual(1);
+
+    const ends = group.map(v => `${v.x},${v.y}`);
+    expect(new Set(ends).size).toBe(4);
+    expect(group.every(v => Math.abs(v.x - 30) <= FORMATION_SPACING && Math.abs(v.y - 30) <= FORMATION_SPACING)).toBe(true);
+    expect(group.every(v => v.pace === 1)).toBe(true);
+  });
+
+  test('should hold position on arrival', () => {
+    const group = spawnGroup([[2, 2], [4, 2]]);
+
+    villagers.orderGroup('p1', group.map(v => v.id), 20, 20, { hold: true });
+    runUntilArrived(group);
+    const ends = group.map(v => ({ x: v.x, y: v.y }));
+    for (let t = 0; t < 200; t++) villagers.update(50);
+
+    expect(group.map(v => ({ x: v.x, y: v.y }))).toEqual(ends);
+    expect(group.every(v => v.state === 'idle' && v.holdingPosition)).toBe(true);
+  });
+
+  test('should go back to the daily routine when not told to hold', () => {
+    const group = spawnGroup([[2, 2], [4, 2]]);
+
+    villagers.orderGroup('p1', group.map(v => v.id), 20, 20, { hold: false });
+    runUntilArrived(group);
+    for (let t = 0; t < 60; t++) villagers.update(50);
+
+    expect(group.every(v => !v.holdingPosition)).toBe(true);
+    expect(group.some(v => v.state === 'thinking' || v.state === 'moving')).toBe(true);
+  });
+
+  test('should only order the player\'s own villagers that are awake', () => {
+    const [mine, asleep] = spawnGroup([[2, 2], [3, 2]]);
+    const [theirs] = spawnGroup([[4, 2]], 'p2');
+    asleep.startSleep();
+
+    villagers.orderGroup('p1', [mine.id, asleep.id, theirs.id], 20, 20);
+
+    expect(mine.state).toBe('thinking');
+    expect(asleep.state).toBe('sleeping');
+    expect(theirs.state).toBe('idle');
+    expect(villagers.orderGroup('p1', [theirs.id], 20, 20)).toBe(false);
+  });
+
+  test('should drop members whose slot is walled off to the leader\'s route', () => {
+    const group = spawnGroup([[2, 10], [4, 10]]);
+    pathfinder.overrideArea(31, 8, 33, 12, { passable: false }); // Covers the right-hand slot at the goal
+
+    villagers.orderGroup('p1', group.map(v => v.id), 30, 10, { formation: 'line' });
+    villagers.deliverPaths();
+
+    for (const v of group) {
+      expect(v.state).toBe('moving');
+      expect(pathfinder.isPathWalkable(v.currentPath)).toBe(true);
+      expect(v.currentPath[v.currentPath.length - 1]).toEqual({ x: 30, y: 10 });
+    }
+  });
+
+  test('should stop waiting when the order can\'t be carried out', () => {
+    const group = spawnGroup([[2, 2], [4, 2], [3, 3]]);
+    pathfinder.overrideArea(28, 28, 32, 32, { passable: false });
+
+    villagers.orderGroup('p1', group.map(v => v.id), 30, 30);
+    villagers.deliverPaths();
+
+    expect(group.every(v => v.state === 'idle' && !v.holdingPosition)).toBe(true);
+  });
+
+  test('should release the group if its leader dies while waiting', () => {
+    const group = spawnGroup([[2, 2], [4, 2], [3, 3]]);
+    villagers.orderGroup('p1', group.map(v => v.id), 30, 30);
+    const leaderId = [...villagers.pathQueue.requests.keys()][0];
+
+    villagers.removeVillager(leaderId);
+
+    expect(villagers.pathQueue.size).toBe(0);
+    expect(group.filter(v => v.id !== leaderId).every(v => v.state === 'idle')).toBe(true);
+  });
+
+  test('should find the villagers inside a box', () => {
+    const group = spawnGroup([[2, 2], [5, 5], [12, 3]]);
+
+    expect(villagers.getVillagersInRect(1, 1, 6, 6)).toEqual(group.slice(0, 2));
+    expect(villagers.getVillagersInRect(1, 1, 20, 20, v => v.x > 4).map(v => v.id)).toEqual([group[1].id, group[2].id]);
+  });
+});
+
+describe('Group orders in the simulation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function orderHumanVillagers(sim) {
+    const human = sim.playerSystem.getHumanPlayer();
+    const temple = sim.templeSystem.getPlayerTemples(human.id)[0];
+    const ids = sim.villagerSystem.villagers.filter(v => v.playerId === human.id).map(v => v.id);
+    const ordered = sim.execute(COMMANDS.MOVE_GROUP, {
+      villagerIds: ids,
+      worldX: (temple.position.x + 6) * TILE_SIZE,
+      worldY: (temple.position.y + 6) * TILE_SIZE,
+      hold: true
+    });
+    return { ids, ordered };
+  }
+
+  test('should carry out a recorded group order on replay', () => {
+    const sim = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    sim.start();
+    sim.runFor(500);
+    const { ordered } = orderHumanVillagers(sim);
+    expect(ordered).toBe(true);
+    sim.runFor(4000);
+
+    const replay = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80, replay: sim.commandLog.toJSON() });
+    replay.start();
+    replay.runFor(4500);
+
+    expect(replay.villagerSystem.serialize()).toEqual(sim.villagerSystem.serialize());
+    sim.destroy();
+    replay.destroy();
+  });
+
+  test('should keep marching identically after a save and load', () => {
+    const sim = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    sim.start();
+    const { ids } = orderHumanVillagers(sim);
+    sim.runFor(600);
+
+    const loaded = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    loaded.restore(JSON.parse(JSON.stringify(sim.serialize())));
+
+    sim.runFor(6000);
+    loaded.runFor(6000);
+
+    expect(loaded.villagerSystem.serialize()).toEqual(sim.villagerSystem.serialize());
+    expect(ids.every(id => sim.villagerSystem.getVillager(id)?.holdingPosition !== false)).toBe(true);
+    sim.destroy();
+    loaded.destroy();
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Hierarchical Pathfinding Tests
+ *
+ * Long routes are planned across map clusters and then refined: they must
+ * be real, walkable paths close in cost to A*'s, found by expanding far
+ * fewer nodes, and must follow terrain changes after invalidateArea().
+ */
+
+import PathfindingSystem from '../systems/PathfindingSystem';
+import HierarchicalPathfinder, { CLUSTER_SIZE } from '../systems/HierarchicalPathfinder';
+import SimulationCore from '../core/SimulationCore';
+import { RandomStream } from '../core/RandomService';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+/**
+ * Cost of walking a path the way A* scores it
+ */
+function walkCost(pathfinder, path) {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) {
+    const diagonal = path[i].x !== path[i - 1].x && path[i].y !== path[i - 1].y;
+    cost += (diagonal ? 1.414 : 1.0) * pathfinder.getMovementCost(path[i].x, path[i].y);
+  }
+  return cost;
+}
+
+function isWalkable(pathfinder, path) {
+  return path.every((p, i) => pathfinder.isPassable(p.x, p.y) && (i === 0 ||
+    (Math.abs(p.x - path[i - 1].x) <= 1 && Math.abs(p.y - path[i - 1].y) <= 1 &&
+      (p.x !== path[i - 1].x || p.y !== path[i - 1].y))));
+}
+
+function createOpenTerrain(size) {
+  return Array.from({ length: size }, () => Array(size).fill(BIOME_TYPES.GRASSLAND));
+}
+
+describe('HierarchicalPathfinder', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('on generated terrain', () => {
+    let pathfinder;
+    let random;
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const sim = new SimulationCore({ seed: 2024, mapWidth: 120, mapHeight: 120 });
+      pathfinder = sim.pathfindingSystem;
+      sim.destroy();
+      jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+      random = new RandomStream(8);
+    });
+
+    function randomPassableTile() {
+      for (;;) {
+        const x = random.int(0, pathfinder.width - 1);
+        const y = random.int(0, pathfinder.height - 1);
+        if (pathfinder.isPassable(x, y)) return { x, y };
+      }
+    }
+
+    test('should find walkable long routes close in cost to A*', () => {
+      const hierarchy = new HierarchicalPathfinder(pathfinder);
+      let compared = 0;
+
+      while (compared < 12) {
+        const start = randomPassableTile();
+        const goal = randomPassableTile();
+        if (Math.max(Math.abs(goal.x - start.x), Math.abs(goal.y - start.y)) < 40) continue;
+
+        const astar = pathfinder.findPath(start.x, start.y, goal.x, goal.y);
+        const route = hierarchy.findPath(start.x, start.y, goal.x, goal.y);
+
+        if (!astar) {
+          expect(route).toBeNull();
+          continue;
+        }
+        compared++;
+        expect(route[0]).toEqual(start);
+        expect(route[route.length - 1]).toEqual(goal);
+        expect(isWalkable(pathfinder, route)).toBe(true);
+        expect(walkCost(pathfinder, route)).toBeLessThanOrEqual(walkCost(pathfinder, astar) * 1.25);
+      }
+    });
+
+    test('should give the same routes however the graph was built', () => {
+      const warm = new HierarchicalPathfinder(pathfinder);
+      const pairs = Array.from({ length: 6 }, () => [randomPassableTile(), randomPassableTile()]);
+      pairs.forEach(([s, g]) => warm.findPath(s.x, s.y, g.x, g.y));
+      warm.invalidateArea(40, 40, 70, 70);
+
+      const fresh = new HierarchicalPathfinder(pathfinder);
+      for (const [s, g] of pairs.reverse()) {
+        expect(warm.findPath(s.x, s.y, g.x, g.y)).toEqual(fresh.findPath(s.x, s.y, g.x, g.y));
+      }
+    });
+  });
+
+  test('should cross an open map expanding few nodes and building few clusters', () => {
+    const pathfinder = new PathfindingSystem(createOpenTerrain(256));
+    const hierarchy = new HierarchicalPathfinder(pathfinder);
+
+    const route = hierarchy.findPath(3, 5, 250, 240);
+
+    expect(route[route.length - 1]).toEqual({ x: 250, y: 240 });
+    expect(isWalkable(pathfinder, route)).toBe(true);
+    expect(hierarchy.stats.nodesExpanded).toBeLessThan(300);
+    expect(hierarchy.stats.clustersBuilt).toBeLessThan(hierarchy.clusters.length);
+  });
+
+  test('should go around a wall added after invalidateArea', () => {
+    const size = CLUSTER_SIZE * 4;
+    const terrain = createOpenTerrain(size);
+    const pathfinder = new PathfindingSystem(terrain);
+    const hierarchy = new HierarchicalPathfinder(pathfinder);
+    expect(hierarchy.findPath(2, 30, size - 3, 30)).not.toBeNull();
+    const built = hierarchy.stats.clustersBuilt;
+
+    // Wall down the middle with a gap at the bottom
+    for (let y = 0; y < size - 2; y++) terrain[y][size / 2] = BIOME_TYPES.DEEP_OCEAN;
+    hierarchy.invalidateArea(size / 2, 0, size / 2, size - 1);
+
+    const route = hierarchy.findPath(2, 30, size - 3, 30);
+
+    expect(isWalkable(pathfinder, route)).toBe(true);
+    expect(route.some(p => p.y >= size - 2)).toBe(true);
+    expect(hierarchy.stats.clustersBuilt - built).toBeLessThanOrEqual(12);
+  });
+
+  test('should report unreachable goals', () => {
+    const size = CLUSTER_SIZE * 3;
+    const terrain = createOpenTerrain(size);
+    for (let y = 0; y < size; y++) terrain[y][20] = BIOME_TYPES.DEEP_OCEAN;
+    const hierarchy = new HierarchicalPathfinder(new PathfindingSystem(terrain));
+
+    expect(hierarchy.findPath(2, 2, size - 2, size - 2)).toBeNull();
+    expect(hierarchy.findPath(20, 5, size - 2, 5)).toBeNull();
+  });
+
+  test('should be used by findRoute for long routes only', () => {
+    const pathfinder = new PathfindingSystem(createOpenTerrain(100));
+    jest.spyOn(pathfinder, 'findPath');
+
+    pathfinder.findRoute(0, 0, 10, 10);
+    expect(pathfinder.findPath).toHaveBeenCalledTimes(1);
+    expect(pathfinder.hierarchy).toBeNull();
+
+    const route = pathfinder.findRoute(0, 0, 90, 95);
+    expect(pathfinder.findPath).toHaveBeenCalledTimes(1);
+    expect(route[route.length - 1]).toEqual({ x: 90, y: 95 });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Household Tests
+ *
+ * Finished houses take in up to `capacity` of their god's villagers. At
+ * night residents walk to their front door and sleep indoors, off the map;
+ * the homeless sleep rough by the temple and are unhappier for it.
+ */
+
+import { advanceNeeds, NEED_MAX } from '../config/villagerNeeds';
+import Villager from '../entities/Villager';
+import VillagerSystem from '../systems/VillagerSystem';
+import BuildingSystem, { BUILDING_TYPES } from '../systems/BuildingSystem';
+import PopulationSystem from '../systems/PopulationSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PlayerSystem from '../systems/PlayerSystem';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 60;
+const STEP = 50;
+const CAPACITY = BUILDING_TYPES.house.capacity;
+
+describe('Households', () => {
+  let scene;
+  let villagers;
+  let buildings;
+  let players;
+  let population;
+  let temple;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const terrain = Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+    const pathfinder = new PathfindingSystem(terrain);
+    scene = { night: false };
+    scene.gameClock = { isNight: () => scene.night };
+
+    players = new PlayerSystem(scene);
+    players.createPlayer({ id: 'p1', type: 'human', food: 0 }); // No births to muddle the households
+    players.createPlayer({ id: 'p2', type: 'ai', food: 0 });
+
+    temple = { id: 'temple_p1', playerId: 'p1', level: 1, position: { x: 10, y: 10 } };
+    villagers = new VillagerSystem(scene, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+    villagers.setTerrainData(terrain);
+    villagers.playerSystem = players;
+    villagers.templeSystem = { temples: [temple], getTemple: id => (id === temple.id ? temple : null) };
+
+    buildings = new BuildingSystem(scene);
+    buildings.playerSystem = players;
+    buildings.pathfindingSystem = pathfinder;
+    buildings.villagerSystem = villagers;
+
+    population = new PopulationSystem(scene);
+    population.villagerSystem = villagers;
+    population.buildingSystem = buildings;
+    population.playerSystem = players;
+    villagers.populationSystem = population;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawn(x, y, playerId = 'p1') {
+    const villager = villagers.spawnVillager(x, y);
+    players.addVillager(playerId, villager);
+    Object.assign(villager, { hunger: 0, energy: NEED_MAX, happiness: NEED_MAX });
+    return villager;
+  }
+
+  function runUntil(done, maxTicks = 400) {
+    for (let tick = 0; tick < maxTicks && !done(); tick++) {
+      villagers.update(STEP);
+      population.update(STEP);
+    }
+  }
+
+  describe('moving in', () => {
+    test('should fill finished houses up to capacity, in the order they were built', () => {
+      const first = buildings.createBuilding('house', 30, 30, 1);
+      const second = buildings.createBuilding('house', 40, 30, 1);
+      const crowd = Array.from({ length: CAPACITY + 2 }, () => spawn(12, 12));
+
+      population.assignHomes();
+
+      expect(crowd.slice(0, CAPACITY).every(v => v.homeId === first.id)).toBe(true);
+      expect(crowd.slice(CAPACITY).every(v => v.homeId === second.id)).toBe(true);
+      expect(population.getResidents(first.id)).toHaveLength(CAPACITY);
+    });
+
+    test('should leave villagers homeless until a house is finished', () => {
+      const house = buildings.createBuilding('house', 30, 30);
+      const villager = spawn(12, 12);
+
+      population.assignHomes();
+      expect(villager.homeId).toBeNull();
+
+      buildings.addConstruction(house, BUILDING_TYPES.house.buildTime);
+      population.assignHomes();
+      expect(villager.homeId).toBe(house.id);
+    });
+
+    test('should only house villagers in their own god\'s houses', () => {
+      buildings.createBuilding('house', 30, 30, 1);
+      const stranger = spawn(12, 12, 'p2');
+
+      population.assignHomes();
+
+      expect(stranger.homeId).toBeNull();
+    });
+
+    test('should turn residents out when their house is gone or they change sides', () => {
+      const house = buildings.createBuilding('house', 30, 30, 1);
+      const [convert, resident] = [spawn(12, 12), spawn(12, 12)];
+      population.assignHomes();
+
+      villagers.convertVillager(convert.id, 'p2');
+      population.assignHomes();
+      expect(convert.homeId).toBeNull();
+
+      resident.startSleep(true);
+      buildings.removeBuilding(house.id);
+      population.assignHomes();
+      expect(resident.homeId).toBeNull();
+      expect(resident.indoors).toBe(false);
+    });
+
+    test('should count house room towards the population cap', () => {
+      buildings.createBuilding('house', 30, 30, 1);
+      buildings.createBuilding('house', 40, 30);
+
+      expect(buildings.getHousingCapacity('p1')).toBe(CAPACITY);
+    });
+  });
+
+  describe('bedtime', () => {
+    test('should walk residents home and put them to bed indoors', () => {
+      const house = buildings.createBuilding('house', 30, 30, 1);
+      const villager = spawn(12, 12);
+      population.assignHomes();
+      scene.night = true;
+
+      runUntil(() => villager.state === 'sleeping');
+
+      expect(villager.indoors).toBe(true);
+      expect(Math.abs(villager.x - 31)).toBeLessThanOrEqual(2);
+      expect(Math.abs(villager.y - 31)).toBeLessThanOrEqual(2);
+      expect(house.id).toBe(villager.homeId);
+
+      scene.night = false;
+      runUntil(() => villager.state !== 'sleeping', 5);
+      expect(villager.indoors).toBe(false);
+    });
+
+    test('should have the homeless sleep rough by the temple', () => {
+      const villager = spawn(40, 40);
+      scene.night = true;
+
+      runUntil(() => villager.state === 'sleeping');
+
+      expect(villager.indoors).toBe(false);
+      expect(Math.hypot(villager.x - temple.position.x, villager.y - temple.position.y)).toBeLessThanOrEqual(8);
+    });
+
+    test('should make the homeless unhappier', () => {
+      const needs = { hunger: 0, energy: NEED_MAX, happiness: NEED_MAX };
+
+      expect(advanceNeeds(needs, 'idle', 6000, true).happiness).toBeLessThan(advanceNeeds(needs, 'idle', 6000).happiness);
+    });
+  });
+
+  test('should save and restore a villager\'s home', () => {
+    const villager = new Villager(1, 0, 0);
+    villager.moveIn('building_4');
+    villager.startSleep(true);
+
+    const loaded = new Villager(1, 0, 0);
+    loaded.restore(JSON.parse(JSON.stringify(villager.serialize())));
+
+    expect(loaded).toMatchObject({ homeId: 'building_4', indoors: true, state: 'sleeping' });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Villager Jobs Tests
+ *
+ * Villagers are given jobs at their owner's workplaces: builders on
+ * construction sites, farmers and foresters at finished farms and lumber
+ * camps, priests at temples. By day they walk to work, and only villagers
+ * at work produce anything.
+ */
+
+import { BUILDERS_PER_SITE, PRIEST_BELIEF_PER_SEC, WORK_RANGE } from '../config/jobs';
+import { NEED_MAX } from '../config/villagerNeeds';
+import Villager from '../entities/Villager';
+import JobSystem from '../systems/JobSystem';
+import VillagerSystem from '../systems/VillagerSystem';
+import BuildingSystem, { BUILDING_TYPES } from '../systems/BuildingSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PlayerSystem from '../systems/PlayerSystem';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 60;
+const STEP = 50;
+
+describe('Jobs', () => {
+  let pathfinder;
+  let villagers;
+  let buildings;
+  let players;
+  let jobs;
+  let temple;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const terrain = Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+    pathfinder = new PathfindingSystem(terrain);
+    players = new PlayerSystem({});
+    players.createPlayer({ id: 'p1', type: 'human' });
+    players.createPlayer({ id: 'p2', type: 'ai' });
+
+    temple = { id: 'temple_p1', playerId: 'p1', level: 1, position: { x: 10, y: 10 } };
+    const templeSystem = {
+      temples: [temple],
+      getTemple: id => (id === temple.id ? temple : null),
+      getPlayerTemples: id => (id === temple.playerId ? [temple] : []),
+    };
+
+    villagers = new VillagerSystem({}, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+    villagers.setTerrainData(terrain);
+    villagers.playerSystem = players;
+    villagers.templeSystem = templeSystem;
+
+    buildings = new BuildingSystem({});
+    buildings.playerSystem = players;
+    buildings.pathfindingSystem = pathfinder;
+    buildings.villagerSystem = villagers;
+
+    jobs = new JobSystem({});
+    jobs.villagerSystem = villagers;
+    jobs.buildingSystem = buildings;
+    jobs.templeSystem = templeSystem;
+    jobs.playerSystem = players;
+    villagers.jobSystem = jobs;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawn(x, y, playerId = 'p1') {
+    const villager = villagers.spawnVillager(x, y);
+    players.addVillager(playerId, villager);
+    Object.assign(villager, { hunger: 0, energy: NEED_MAX, happiness: NEED_MAX }); // Nothing to see to but work
+    villager.traits = []; // Works at the plain rate
+    return villager;
+  }
+
+  function runUntil(done, maxTicks = 400) {
+    for (let tick = 0; tick < maxTicks && !done(); tick++) {
+      villagers.update(STEP);
+      jobs.update(STEP);
+    }
+  }
+
+  describe('assigning', () => {
+    test('should fill construction sites first, then workplaces, then the temple', () => {
+      const site = buildings.createBuilding('house', 30, 30);
+      const farm = buildings.createBuilding('farm', 20, 20, 1);
+      const crew = Array.from({ length: 6 }, () => spawn(12, 12));
+
+      jobs.assignJobs();
+
+      expect(crew.map(v => v.job)).toEqual(['builder', 'builder', 'farmer', 'farmer', 'priest', null]);
+      expect(crew.map(v => v.workplaceId)).toEqual([site.id, site.id, farm.id, farm.id, temple.id, null]);
+    });
+
+    test('should only give villagers jobs at their own god\'s workplaces', () => {
+      buildings.createBuilding('farm', 20, 20, 1);
+      const stranger = spawn(12, 12, 'p2');
+
+      jobs.assignJobs();
+
+      expect(stranger.job).toBeNull();
+    });
+
+    test('should move builders on once their site is finished', () => {
+      const site = buildings.createBuilding('farm', 20, 20);
+      const crew = Array.from({ length: BUILDERS_PER_SITE }, () => spawn(12, 12));
+      jobs.assignJobs();
+
+      buildings.addConstruction(site, BUILDING_TYPES.farm.buildTime);
+      jobs.assignJobs();
+
+      expect(crew.map(v => v.job)).toEqual(['farmer', 'farmer']);
+      expect(crew.every(v => v.workplaceId === site.id)).toBe(true);
+    });
+
+    test('should take the job away when the villager changes sides', () => {
+      const villager = spawn(12, 12);
+      jobs.assignJobs();
+      villager.startWork();
+
+      villagers.convertVillager(villager.id, 'p2');
+
+      expect(villager.job).toBeNull();
+      expect(villager.state).not.toBe('working');
+    });
+  });
+
+  describe('producing', () => {
+    test('should grow food in proportion to the farmers at work', () => {
+      buildings.createBuilding('farm', 20, 20, 1);
+      const [first, second] = [spawn(12, 12), spawn(12, 12)];
+      jobs.assignJobs();
+      const food = () => players.getPlayer('p1').food;
+
+      first.startWork();
+      let before = food();
+      jobs.update(1000);
+      expect(food() - before).toBeCloseTo(BUILDING_TYPES.farm.foodPerWorker);
+
+      second.startWork();
+      before = food();
+      jobs.update(1000);
+      expect(food() - before).toBeCloseTo(2 * BUILDING_TYPES.farm.foodPerWorker);
+    });
+
+    test('should produce nothing from villagers who are not at work', () => {
+      buildings.createBuilding('lumberCamp', 20, 20, 1);
+      spawn(12, 12);
+      jobs.assignJobs();
+
+      jobs.update(1000);
+
+      expect(players.getPlayer('p1').wood).toBe(0);
+    });
+
+    test('should earn belief from priests at the temple', () => {
+      const priest = spawn(10, 10);
+      jobs.assignJobs();
+      priest.startWork();
+      const before = players.getPlayer('p1').beliefPoints;
+
+      jobs.update(1000);
+
+      expect(priest.job).toBe('priest');
+      expect(players.getPlayer('p1').beliefPoints - before).toBeCloseTo(PRIEST_BELIEF_PER_SEC);
+    });
+  });
+
+  describe('going to work', () => {
+    test('should walk to the farm and start farming', () => {
+      const farm = buildings.createBuilding('farm', 30, 30, 1);
+      const villager = spawn(12, 12);
+
+      runUntil(() => villager.state === 'working');
+
+      expect(villager.state).toBe('working');
+      expect(Math.hypot(villager.x - (farm.tileX + 1), villager.y - (farm.tileY + 1))).toBeLessThanOrEqual(WORK_RANGE);
+
+      const before = players.getPlayer('p1').food;
+      runUntil(() => false, 20);
+      expect(players.getPlayer('p1').food).toBeGreaterThan(before);
+    });
+
+    test('should build a house from beside it', () => {
+      const house = buildings.createBuilding('house', 30, 30);
+      const crew = [spawn(12, 12), spawn(14, 12)];
+
+      runUntil(() => buildings.isBuilt(house), 1000);
+
+      expect(buildings.isBuilt(house)).toBe(true);
+      expect(crew.every(v => pathfinder.isPassable(Math.floor(v.x), Math.floor(v.y)))).toBe(true);
+    });
+  });
+
+  test('should save and restore a villager\'s job', () => {
+    const villager = new Villager(1, 0, 0);
+    villager.takeJob('farmer', 'building_3');
+    villager.startWork();
+    villager.update(1000);
+
+    const loaded = new Villager(1, 0, 0);
+    loaded.restore(JSON.parse(JSON.stringify(villager.serialize())));
+
+    expect(loaded).toMatchObject({ job: 'farmer', workplaceId: 'building_3', state: 'working', workTimer: villager.workTimer });
+  });
+});
@@ -253,6 +253,9 @@ describe('Layer 4: Villager System', () => {
       const villager = system.spawnVillager(0, 0);
 
       system.assignRandomDestination(villager, 2, 2);
+      expect(villager.state).toBe('thinking');
+
+      system.deliverPaths();
 
       expect(villager.state).toBe('moving');
       expect(villager.currentPath).not.toBeNull();
@@ -269,6 +272,7 @@ describe('Layer 4: Villager System', () => {
       const villager = system.spawnVillager(0, 0);
 
       system.assignRandomDestination(villager, 1, 1);
+      system.deliverPaths();
 
       expect(villager.state).toBe('idle');
       expect(villager.currentPath).toBeNull();
@@ -394,9 +398,11 @@ describe('Layer 4: Villager System', () => {
 
       const villager = system.spawnVillager(0, 0);
       system.assignRandomDestination(villager, 2, 2);
+      system.deliverPaths();
 
       expect(villager.currentPath).not.toBeNull();
       expect(villager.state).toBe('moving');
+      expect(villager.destination).toEqual({ x: 2, y: 2 });
     });
   });
 
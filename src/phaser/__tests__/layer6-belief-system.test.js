@@ -5,6 +5,7 @@
  */
 
 import BeliefSystem, { BELIEF_CONSTANTS } from '../systems/BeliefSystem';
+import Villager from '../entities/Villager';
 
 // Mock database service
 const createMockDB = () => ({
@@ -413,3 +414,158 @@ describe('BeliefSystem', () => {
     });
   });
 });
+
+describe('BeliefSystem game loop', () => {
+  let system;
+  let scene;
+  let villagers;
+  let temples;
+  let players;
+
+  const createVillager = (id, x, y, playerId) => {
+    const villager = new Villager(id, x, y);
+    villager.playerId = playerId;
+    return villager;
+  };
+
+  beforeEach(() => {
+    const listeners = {};
+    scene = {
+      events: {
+        emit: jest.fn((event, data) => (listeners[event] || []).forEach(fn => fn(data))),
+        on: jest.fn((event, fn) => { (listeners[event] = listeners[event] || []).push(fn); }),
+        off: jest.fn((event, fn) => {
+          listeners[event] = (listeners[event] || []).filter(l => l !== fn);
+        })
+      }
+    };
+
+    villagers = [];
+    temples = [
+      { id: 'temple_p1', playerId: 'p1', level: 1, position: { x: 100, y: 100 } },
+      { id: 'temple_p2', playerId: 'p2', level: 1, position: { x: 400, y: 400 } }
+    ];
+    players = [
+      { id: 'p1', beliefPoints: 0 },
+      { id: 'p2', beliefPoints: 0 }
+    ];
+
+    system = new BeliefSystem(scene, null);
+    system.villagerSystem = {
+      villagers,
+      getVillager: (id) => villagers.find(v => v.id === id) || null,
+      getVillagersInRadius: (x, y, radius) => villagers.filter(v => Math.hypot(v.x - x, v.y - y) <= radius)
+    };
+    system.templeSystem = {
+      temples,
+      getTemple: (id) => temples.find(t => t.id === id) || null
+    };
+    system.playerSystem = {
+      getActivePlayers: () => players,
+      addBeliefPoints: jest.fn((playerId, amount) => {
+        players.find(p => p.id === playerId).beliefPoints += amount;
+      })
+    };
+  });
+
+  afterEach(() => {
+    system.destroy();
+  });
+
+  test('should only tick once enough game time has accumulated', () => {
+    const spy = jest.spyOn(system, 'updateBeliefGeneration');
+
+    system.update(0, 400);
+    system.update(0, 400);
+    expect(spy).not.toHaveBeenCalled();
+
+    system.update(0, 400);
+    expect(spy).toHaveBeenCalledWith(1200);
+  });
+
+  test('should seed starting belief in the owner the first time a villager is seen', () => {
+    villagers.push(createVillager(1, 250, 250, 'p1'));
+
+    system.updateBeliefGeneration(1000);
+
+    // Out of range of every temple, so only neglect decay applies
+    const strength = system.getBeliefStrength(1, 'p1');
+    expect(strength).toBeLessThan(BELIEF_CONSTANTS.STARTING_BELIEF);
+    expect(strength).toBeGreaterThan(BELIEF_CONSTANTS.STARTING_BELIEF - 1);
+  });
+
+  test('should pay the temple owner and deepen faith while worshipping', () => {
+    const villager = createVillager(1, 100, 102, 'p1');
+    villager.startWorship('temple_p1');
+    villagers.push(villager);
+
+    system.updateBeliefGeneration(60000);
+
+    // 5 BP/min * 0.6 devotion * 1.2 level 1 temple = 3.6 per minute
+    expect(players[0].beliefPoints).toBeCloseTo(3.6 * BELIEF_CONSTANTS.PLAYER_BP_PER_WORSHIP);
+    expect(players[1].beliefPoints).toBe(0);
+    expect(system.getBeliefStrength(1, 'p1')).toBeGreaterThan(BELIEF_CONSTANTS.STARTING_BELIEF);
+  });
+
+  test('should pull villagers near a rival temple toward the rival', () => {
+    villagers.push(createVillager(1, 400, 405, 'p1'));
+
+    system.updateBeliefGeneration(60000);
+
+    expect(system.getBeliefStrength(1, 'p2')).toBeGreaterThan(0);
+  });
+
+  test('should let villagers witness a miracle cast nearby', () => {
+    villagers.push(createVillager(1, 100, 100, 'p1'));
+    villagers.push(createVillager(2, 900, 900, 'p1'));
+    villagers.forEach(v => system.ensureBelief(v)); // As the first belief tick would
+
+    scene.events.emit('powerCast', { powerId: 'heal', worldX: 400, worldY: 400, playerId: 'p1' });
+
+    expect(system.getBeliefStrength(1, 'p1')).toBeGreaterThan(BELIEF_CONSTANTS.STARTING_BELIEF);
+    expect(system.getBeliefStrength(2, 'p1')).toBe(BELIEF_CONSTANTS.STARTING_BELIEF);
+  });
+
+  test('should shake faith in the owner when a rival miracle is witnessed', () => {
+    villagers.push(createVillager(1, 100, 100, 'p1'));
+
+    scene.events.emit('powerCast', { powerId: 'heal', worldX: 400, worldY: 400, playerId: 'p2' });
+
+    expect(system.getBeliefStrength(1, 'p1'))
+      .toBe(BELIEF_CONSTANTS.STARTING_BELIEF - BELIEF_CONSTANTS.RIVAL_WITNESS_PENALTY);
+    expect(system.getBeliefStrength(1, 'p2')).toBeGreaterThan(0);
+  });
+
+  test('should clamp belief between 0 and 100', () => {
+    system.addBelief('v1', 'p1', 150);
+    expect(system.getBeliefStrength('v1', 'p1')).toBe(100);
+
+    system.addBelief('v1', 'p1', -500);
+    expect(system.getBeliefStrength('v1', 'p1')).toBe(0);
+  });
+
+  test('should report the strongest belief as allegiance', () => {
+    system.updateCache('v1', 'p1', 30);
+    system.updateCache('v1', 'p2', 70);
+
+    expect(system.getAllegiance('v1')).toEqual({ playerId: 'p2', strength: 70 });
+    expect(system.getAllegiance('unknown')).toBeNull();
+  });
+
+  test('should forget villagers that no longer exist', () => {
+    system.updateCache('v1', 'p1', 30);
+
+    system.forgetVillager('v1');
+
+    expect(system.getBeliefStrength('v1', 'p1')).toBe(0);
+  });
+
+  test('should stop listening for miracles on destroy', () => {
+    villagers.push(createVillager(1, 100, 100, 'p1'));
+    system.destroy();
+
+    scene.events.emit('powerCast', { powerId: 'heal', worldX: 400, worldY: 400, playerId: 'p1' });
+
+    expect(system.getBeliefStrength(1, 'p1')).toBe(0);
+  });
+});
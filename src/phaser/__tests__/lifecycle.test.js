@@ -0,0 +1,229 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Villager Lifecycle Tests
+ *
+ * Villagers age a day per game day, grow from child to adult to elder and
+ * die of old age. Couples living in houses have children while their god has
+ * the food and room for them.
+ */
+
+import {
+  DAY_MS, ADULT_AGE, ELDER_AGE, LIFESPAN_MIN, LIFESPAN_MAX, BIRTH_INTERVAL, BIRTH_FOOD,
+  getLifeStage, rollLifespan
+} from '../config/lifecycle';
+import Villager from '../entities/Villager';
+import VillagerSystem from '../systems/VillagerSystem';
+import BuildingSystem from '../systems/BuildingSystem';
+import JobSystem from '../systems/JobSystem';
+import PopulationSystem from '../systems/PopulationSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PlayerSystem from '../systems/PlayerSystem';
+import SimulationCore from '../core/SimulationCore';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 40;
+const STEP = 50;
+
+describe('Ageing', () => {
+  test('should go from child to adult to elder', () => {
+    expect(getLifeStage(0)).toBe('child');
+    expect(getLifeStage(ADULT_AGE)).toBe('adult');
+    expect(getLifeStage(ELDER_AGE)).toBe('elder');
+  });
+
+  test('should roll lifespans past old age', () => {
+    expect(rollLifespan(() => 0)).toBe(LIFESPAN_MIN);
+    expect(rollLifespan(() => 0.999)).toBeLessThan(LIFESPAN_MAX);
+    expect(LIFESPAN_MIN).toBeGreaterThan(ELDER_AGE);
+  });
+
+  test('should age a day per game day', () => {
+    const villager = new Villager(1, 0, 0);
+    villager.age = 0;
+
+    villager.update(DAY_MS * 2);
+
+    expect(villager.age).toBeCloseTo(2);
+    expect(villager.getLifeStage()).toBe('child');
+  });
+
+  test('should die of old age on reaching its lifespan', () => {
+    const villager = new Villager(1, 0, 0);
+    Object.assign(villager, { age: 60, lifespan: 60.5 });
+
+    villager.update(DAY_MS / 4);
+    expect(villager.isDead()).toBe(false);
+
+    villager.update(DAY_MS / 4);
+    expect(villager.isDead()).toBe(true);
+  });
+
+  test('should save and restore age and lifespan', () => {
+    const villager = new Villager(1, 0, 0);
+    Object.assign(villager, { age: 12.5, lifespan: 70 });
+
+    const loaded = new Villager(1, 0, 0);
+    loaded.restore(JSON.parse(JSON.stringify(villager.serialize())));
+
+    expect(loaded).toMatchObject({ age: 12.5, lifespan: 70 });
+  });
+});
+
+describe('Lifecycle in the village', () => {
+  let villagers;
+  let buildings;
+  let players;
+  let population;
+  let cap;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const terrain = Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+    const pathfinder = new PathfindingSystem(terrain);
+    cap = 20;
+    const scene = { getPopulationCap: () => cap };
+
+    players = new PlayerSystem(scene);
+    players.createPlayer({ id: 'p1', type: 'human', food: 100 });
+
+    villagers = new VillagerSystem(scene, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+    villagers.setTerrainData(terrain);
+    villagers.playerSystem = players;
+
+    buildings = new BuildingSystem(scene);
+    buildings.playerSystem = players;
+    buildings.pathfindingSystem = pathfinder;
+    buildings.villagerSystem = villagers;
+
+    population = new PopulationSystem(scene);
+    population.villagerSystem = villagers;
+    population.buildingSystem = buildings;
+    population.playerSystem = players;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawn(x, y, age) {
+    const villager = villagers.spawnVillager(x, y, age);
+    players.addVillager('p1', villager);
+    villager.holdingPosition = true;
+    return villager;
+  }
+
+  test('should give every new villager a lifespan', () => {
+    const adult = spawn(5, 5);
+    const newborn = spawn(6, 5, 0);
+
+    expect(adult.age).toBeGreaterThanOrEqual(ADULT_AGE);
+    expect(newborn.getLifeStage()).toBe('child');
+    for (const villager of [adult, newborn]) {
+      expect(villager.lifespan).toBeGreaterThanOrEqual(LIFESPAN_MIN);
+      expect(villager.lifespan).toBeLessThan(LIFESPAN_MAX);
+    }
+  });
+
+  test('should slow elders down', () => {
+    const adult = spawn(5, 5);
+    const elder = spawn(6, 5, ELDER_AGE);
+
+    villagers.update(STEP);
+
+    expect(elder.speedMultiplier).toBeLessThan(adult.speedMultiplier);
+  });
+
+  test('should remove villagers who die of old age', () => {
+    const villager = spawn(5, 5, LIFESPAN_MAX);
+
+    villagers.update(STEP);
+
+    expect(villagers.getVillager(villager.id)).toBeFalsy();
+    expect(players.getPlayer('p1').population).toBe(0);
+  });
+
+  test('should not give children jobs', () => {
+    const jobs = new JobSystem({});
+    jobs.villagerSystem = villagers;
+    jobs.buildingSystem = buildings;
+    buildings.createBuilding('farm', 10, 10, 1);
+    const child = spawn(5, 5, 0);
+    const adult = spawn(6, 5);
+
+    jobs.assignJobs();
+
+    expect(child.job).toBeNull();
+    expect(adult.job).toBe('farmer');
+  });
+
+  test('should have a couple in a house bring a child into the world', () => {
+    const house = buildings.createBuilding('house', 10, 10, 1);
+    spawn(5, 5);
+    spawn(6, 5);
+
+    for (let t = 0; t < BIRTH_INTERVAL / STEP; t++) population.update(STEP);
+
+    const child = villagers.villagers[2];
+    expect(child).toBeDefined();
+    expect(child.age).toBe(0);
+    expect(child.playerId).toBe('p1');
+    expect(child.homeId).toBe(house.id);
+    expect(Math.abs(child.x - 11)).toBeLessThanOrEqual(2);
+    expect(Math.abs(child.y - 11)).toBeLessThanOrEqual(2);
+    expect(players.getPlayer('p1').food).toBe(100 - BIRTH_FOOD);
+    expect(house.birthTimer).toBe(0);
+  });
+
+  test('should only have children with a house, a couple, food and room', () => {
+    const runBirthInterval = () => {
+      for (let t = 0; t < BIRTH_INTERVAL / STEP; t++) population.update(STEP);
+    };
+
+    spawn(5, 5);
+    spawn(6, 5);
+    buildings.createBuilding('house', 10, 10); // Still being built
+    runBirthInterval();
+    expect(villagers.villagers).toHaveLength(2);
+
+    const house = buildings.createBuilding('house', 20, 20, 1);
+    villagers.villagers[1].age = 0; // No couple without two adults
+    runBirthInterval();
+    expect(villagers.villagers).toHaveLength(2);
+
+    villagers.villagers[1].age = ADULT_AGE;
+    players.getPlayer('p1').food = BIRTH_FOOD - 1;
+    cap = 2;
+    runBirthInterval();
+    expect(villagers.villagers).toHaveLength(2);
+    expect(house.birthTimer).toBe(BIRTH_INTERVAL); // Waiting
+
+    players.getPlayer('p1').food = BIRTH_FOOD;
+    population.update(STEP);
+    expect(villagers.villagers).toHaveLength(2);
+
+    cap = 3;
+    population.update(STEP);
+    expect(villagers.villagers).toHaveLength(3);
+  });
+
+  test('should keep a house\'s time towards its next child in saves', () => {
+    const sim = new SimulationCore({ seed: 7, mapWidth: 60, mapHeight: 60 });
+    sim.start();
+    const house = sim.buildingSystem.createBuilding('house', 1, 1, 1);
+    house.birthTimer = 12345;
+
+    const loaded = new SimulationCore({ seed: 7, mapWidth: 60, mapHeight: 60 });
+    loaded.restore(JSON.parse(JSON.stringify(sim.serialize())));
+
+    expect(loaded.buildingSystem.buildings.find(b => b.id === house.id).birthTimer).toBe(12345);
+    expect(loaded.villagerSystem.villagers.map(v => v.lifespan)).toEqual(sim.villagerSystem.villagers.map(v => v.lifespan));
+    sim.destroy();
+    loaded.destroy();
+  });
+});
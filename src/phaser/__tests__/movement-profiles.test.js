@@ -0,0 +1,182 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Movement Profile Tests
+ *
+ * With respectHeight, climbing costs extra and cliffs block, in every kind of
+ * search. Movement profiles let swimmers, boats and fliers path where walkers
+ * can't, over the same buildings and roads.
+ */
+
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PathRequestQueue from '../systems/PathRequestQueue';
+import VillagerSystem from '../systems/VillagerSystem';
+import { MOVEMENT_PROFILES } from '../config/movementProfiles';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 20;
+const { GRASSLAND, HILLS, SHALLOW_WATER, DEEP_OCEAN, MOUNTAIN } = BIOME_TYPES;
+const CLIFF = { ...HILLS, height: HILLS.height + 2 }; // Passable, but too steep to step onto from land
+
+function createTerrain(fill = GRASSLAND) {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(fill));
+}
+
+function pathCost(pathfinder, path) {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) {
+    cost += pathfinder.getStepCost(path[i - 1].x, path[i - 1].y, path[i].x, path[i].y);
+  }
+  return cost;
+}
+
+/**
+ * Grass shore on the left, a shallow channel, an island on the right and deep sea below
+ */
+function createIslands() {
+  const terrain = createTerrain();
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 8; x < 12; x++) terrain[y][x] = SHALLOW_WATER;
+    if (y >= 15) terrain[y] = Array(SIZE).fill(DEEP_OCEAN);
+  }
+  return terrain;
+}
+
+describe('Height-aware pathfinding', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should charge for climbing but not for going downhill', () => {
+    const terrain = createTerrain();
+    terrain[5][6] = HILLS;
+    const pathfinder = new PathfindingSystem(terrain, { respectHeight: true });
+    const climbCost = MOVEMENT_PROFILES.walker.climbCost;
+
+    expect(pathfinder.getStepCost(5, 5, 6, 5)).toBe(HILLS.movementCost + climbCost);
+    expect(pathfinder.getStepCost(6, 5, 7, 5)).toBe(GRASSLAND.movementCost);
+    expect(new PathfindingSystem(terrain).getStepCost(5, 5, 6, 5)).toBe(HILLS.movementCost);
+  });
+
+  test('should block cliffs and never step up one', () => {
+    const terrain = createTerrain();
+    for (let y = 0; y < SIZE - 1; y++) terrain[y][10] = CLIFF;
+    const pathfinder = new PathfindingSystem(terrain, { respectHeight: true });
+
+    const path = pathfinder.findPath(2, 5, 18, 5);
+
+    expect(path.some(p => p.x === 10 && p.y === SIZE - 1)).toBe(true);
+    expect(pathfinder.isPathWalkable([{ x: 9, y: 5 }, { x: 10, y: 5 }])).toBe(false);
+    expect(pathfinder.isPathWalkable(path)).toBe(true);
+  });
+
+  test('should agree on route costs across A*, flow fields and the region graph', () => {
+    const terrain = createTerrain();
+    for (let y = 2; y < 16; y++) {
+      for (let x = 4; x < 14; x++) terrain[y][x] = (x + y) % 3 === 0 ? GRASSLAND : HILLS;
+    }
+    const pathfinder = new PathfindingSystem(terrain, { respectHeight: true });
+
+    const astar = pathfinder.findPath(1, 8, 18, 9);
+    const flow = pathfinder.findFlowPath(1, 8, 18, 9);
+    const route = pathfinder.getHierarchy().findPath(1, 8, 18, 9);
+
+    expect(pathCost(pathfinder, flow)).toBeCloseTo(pathCost(pathfinder, astar), 6);
+    expect(pathCost(pathfinder, route)).toBeLessThanOrEqual(pathCost(pathfinder, astar) * 1.25);
+    expect(pathfinder.isPathWalkable(route)).toBe(true);
+  });
+});
+
+describe('Movement profiles', () => {
+  let pathfinder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createIslands(), { respectHeight: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep walkers on land and let swimmers cross shallow water', () => {
+    const swimmer = pathfinder.forProfile('swimmer');
+
+    expect(pathfinder.findPath(2, 5, 17, 5)).toBeNull();
+    const path = swimmer.findPath(2, 5, 17, 5);
+    expect(path[path.length - 1]).toEqual({ x: 17, y: 5 });
+    expect(swimmer.getMovementCost(9, 5)).toBe(MOVEMENT_PROFILES.swimmer.biomes[SHALLOW_WATER.name].movementCost);
+    expect(swimmer.findPath(2, 5, 5, 18)).toBeNull(); // Deep water is still too much
+  });
+
+  test('should keep boats on the water', () => {
+    const boat = pathfinder.forProfile('boat');
+
+    expect(boat.findPath(9, 2, 3, 18)).not.toBeNull();
+    expect(boat.isPassable(2, 5)).toBe(false);
+  });
+
+  test('should fly over mountains, water and walls', () => {
+    const terrain = createTerrain(MOUNTAIN);
+    const walled = new PathfindingSystem(terrain);
+    walled.overrideArea(0, 10, SIZE - 1, 10, { passable: false });
+    const flying = walled.forProfile('flying');
+
+    expect(flying.findPath(0, 0, 19, 19)).toHaveLength(20);
+    expect(flying.getMovementCost(5, 10)).toBe(1);
+  });
+
+  test('should share buildings and roads with the walker pathfinder', () => {
+    const swimmer = pathfinder.forProfile('swimmer');
+    expect(swimmer.findFlowPath(2, 5, 17, 5)).not.toBeNull();
+
+    pathfinder.overrideArea(12, 0, 12, SIZE - 1, { passable: false });
+    pathfinder.setCostFactor(3, 3, 0.5);
+
+    expect(swimmer.isPassable(12, 5)).toBe(false);
+    expect(swimmer.findFlowPath(2, 5, 17, 5)).toBeNull();
+    expect(swimmer.getMovementCost(3, 3)).toBe(0.5);
+    expect(swimmer.minCostFactor).toBe(0.5);
+  });
+
+  test('should hand out one pathfinder per profile and refuse unknown ones', () => {
+    expect(pathfinder.forProfile('walker')).toBe(pathfinder);
+    expect(pathfinder.forProfile('swimmer')).toBe(pathfinder.forProfile('swimmer'));
+    expect(pathfinder.forProfile('swimmer').forProfile('walker')).toBe(pathfinder);
+    expect(() => pathfinder.forProfile('submarine')).toThrow(/submarine/);
+  });
+
+  test('should queue searches per profile', () => {
+    const queue = new PathRequestQueue(pathfinder);
+    queue.request(1, 'wander', { x: 2, y: 5 }, { x: 17, y: 5 });
+    queue.request(2, 'wander', { x: 2, y: 5 }, { x: 17, y: 5 }, null, 'swimmer');
+
+    const [walker, swimmer] = queue.process();
+
+    expect(queue.stats.shared).toBe(0);
+    expect(walker.path).toBeNull();
+    expect(swimmer.path).not.toBeNull();
+    expect(queue.serialize()).toEqual([]);
+  });
+
+  test('should path villagers with their own profile', () => {
+    const villagers = new VillagerSystem({}, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+    const villager = villagers.spawnVillager(2, 5);
+    villager.movementProfile = 'swimmer';
+
+    villagers.assignRandomDestination(villager, 17, 5);
+    villagers.deliverPaths();
+
+    expect(villager.state).toBe('moving');
+    expect(villager.serialize().movementProfile).toBe('swimmer');
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Path Cache Tests
+ *
+ * Routes between the same two regions are searched once and then reused,
+ * joined to each request's own start and goal. Paths over tiles that
+ * buildings or roads change are dropped, the cache's contents are saved
+ * with the game, and its hit rate is there for the dev panel.
+ */
+
+import PathCache, { REGION_SIZE } from '../systems/PathCache';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PathRequestQueue from '../systems/PathRequestQueue';
+import SimulationCore from '../core/SimulationCore';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 48;
+
+function createTerrain() {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+}
+
+function expectWalkable(pathfinder, path, start, goal) {
+  expect(path[0]).toEqual(start);
+  expect(path[path.length - 1]).toEqual(goal);
+  expect(pathfinder.isPathWalkable(path)).toBe(true);
+  for (let i = 1; i < path.length; i++) {
+    expect(Math.max(Math.abs(path[i].x - path[i - 1].x), Math.abs(path[i].y - path[i - 1].y))).toBe(1);
+  }
+  expect(new Set(path.map(p => `${p.x},${p.y}`)).size).toBe(path.length);
+}
+
+describe('PathCache', () => {
+  let pathfinder;
+  let cache;
+  let search;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    cache = new PathCache(pathfinder);
+    search = jest.fn((sx, sy, gx, gy) => () => pathfinder.findPath(sx, sy, gx, gy));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const route = (sx, sy, gx, gy) => cache.findRoute(sx, sy, gx, gy, search(sx, sy, gx, gy));
+
+  test('should reuse a route between the same two regions', () => {
+    route(2, 2, 40, 40);
+    const path = route(4, 1, 42, 41);
+
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, hitRate: 0.5, size: 1 });
+    expectWalkable(pathfinder, path, { x: 4, y: 1 }, { x: 42, y: 41 });
+    expect(pathfinder.getPathCost(path)).toBeLessThanOrEqual(pathfinder.getPathCost(pathfinder.findPath(4, 1, 42, 41)) * 1.2);
+  });
+
+  test('should search short routes every time without counting them', () => {
+    const path = route(2, 2, 2 + REGION_SIZE, 2);
+
+    expect(path).not.toBeNull();
+    expect(cache.size).toBe(0);
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0, hitRate: 0 });
+  });
+
+  test('should keep routes apart by direction', () => {
+    route(2, 2, 40, 40);
+    route(40, 40, 2, 2);
+
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 2, size: 2 });
+  });
+
+  test('should drop paths that cross changed tiles and keep the rest', () => {
+    route(2, 2, 40, 2);
+    route(2, 40, 40, 40);
+
+    cache.invalidateArea(20, 0, 20, 10);
+
+    expect(cache.getStats()).toMatchObject({ size: 1, invalidated: 1 });
+    expect(cache.keyFor(2, 40, 40, 40)).toBe([...cache.entries.keys()][0]);
+  });
+
+  test('should forget the least recently used route first', () => {
+    cache = new PathCache(pathfinder, { maxEntries: 2 });
+    route(2, 2, 40, 2);
+    route(2, 40, 40, 40);
+    route(3, 3, 41, 3); // Hit; now most recent
+    route(2, 2, 2, 40);
+
+    expect([...cache.entries.keys()]).toEqual([cache.keyFor(2, 2, 40, 2), cache.keyFor(2, 2, 2, 40)]);
+  });
+
+  test('should save and restore its paths', () => {
+    route(2, 2, 40, 40);
+    route(40, 2, 2, 40);
+
+    const restored = new PathCache(pathfinder);
+    restored.restore(JSON.parse(JSON.stringify(cache.serialize())));
+
+    expect(restored.serialize()).toEqual(cache.serialize());
+  });
+});
+
+describe('Path cache in the pathfinder', () => {
+  let pathfinder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should route around a wall built across a cached path', () => {
+    pathfinder.findCachedRoute(2, 10, 40, 10);
+    pathfinder.overrideArea(20, 0, 20, 30, { passable: false });
+
+    const path = pathfinder.findCachedRoute(3, 10, 41, 10);
+
+    expect(pathfinder.getPathCacheStats()).toMatchObject({ hits: 0, misses: 2, invalidated: 1 });
+    expectWalkable(pathfinder, path, { x: 3, y: 10 }, { x: 41, y: 10 });
+  });
+
+  test('should drop paths when a road changes the cost of their tiles', () => {
+    pathfinder.findCachedRoute(2, 10, 40, 10);
+    pathfinder.setCostFactor(20, 10, 0.5);
+    pathfinder.invalidateArea(20, 10, 20, 10);
+
+    expect(pathfinder.pathCache.size).toBe(0);
+  });
+
+  test('should add up hit rates over every movement profile', () => {
+    const swimmer = pathfinder.forProfile('swimmer');
+    pathfinder.findCachedRoute(2, 2, 40, 40);
+    pathfinder.findCachedRoute(3, 3, 41, 41);
+    swimmer.findCachedRoute(2, 2, 40, 40);
+
+    expect(pathfinder.getPathCacheStats()).toMatchObject({ hits: 1, misses: 2, size: 2 });
+    expect(pathfinder.getPathCacheStats().hitRate).toBeCloseTo(1 / 3);
+  });
+
+  test('should save each profile\'s paths', () => {
+    pathfinder.findCachedRoute(2, 2, 40, 40);
+    pathfinder.forProfile('swimmer').findCachedRoute(40, 2, 2, 40);
+
+    const loaded = new PathfindingSystem(createTerrain());
+    loaded.restorePathCaches(JSON.parse(JSON.stringify(pathfinder.serializePathCaches())));
+
+    expect(loaded.serializePathCaches()).toEqual(pathfinder.serializePathCaches());
+  });
+
+  test('should answer queued searches from the cache before searching', () => {
+    const queue = new PathRequestQueue(pathfinder);
+    queue.request(1, 'wander', { x: 2, y: 2 }, { x: 40, y: 40 });
+    queue.process();
+    queue.request(2, 'wander', { x: 3, y: 2 }, { x: 41, y: 40 });
+
+    const [answer] = queue.process();
+
+    expect(answer.path[answer.path.length - 1]).toEqual({ x: 41, y: 40 });
+    expect(queue.stats.searchedHere).toBe(1);
+    expect(pathfinder.getPathCacheStats().hits).toBe(1);
+  });
+});
+
+describe('Path cache in the simulation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reuse routes and carry on identically after a save and load', () => {
+    const sim = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    sim.start();
+    sim.runFor(120000); // Villagers walking back to their temple from the same parts of the map
+    expect(sim.pathfindingSystem.getPathCacheStats().hits).toBeGreaterThan(0);
+
+    const loaded = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    loaded.restore(JSON.parse(JSON.stringify(sim.serialize())));
+    expect(loaded.pathfindingSystem.serializePathCaches()).toEqual(sim.pathfindingSystem.serializePathCaches());
+
+    sim.runFor(10000);
+    loaded.runFor(10000);
+
+    expect(loaded.villagerSystem.serialize()).toEqual(sim.villagerSystem.serialize());
+    sim.destroy();
+    loaded.destroy();
+  });
+});
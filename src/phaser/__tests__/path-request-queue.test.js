@@ -0,0 +1,369 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Path Request Queue Tests
+ *
+ * Paths are requested, not searched on the spot: answers come on a later
+ * tick within a per-tick budget, identical searches run once, and a worker
+ * (when attached) does all the searching. Villagers think until their path
+ * arrives; a game played with a worker replays on the same ticks.
+ */
+
+import PathRequestQueue, { PATHS_PER_TICK } from '../systems/PathRequestQueue';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import VillagerSystem from '../systems/VillagerSystem';
+import SimulationCore from '../core/SimulationCore';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 20;
+
+function createTerrain() {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+}
+
+/**
+ * Stand-in Web Worker that answers searches only when told to
+ */
+class FakeWorker {
+  constructor() {
+    this.pathfinder = null;
+    this.inbox = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    if (message.type === 'terrain') {
+      this.pathfinder = new PathfindingSystem(message.terrain, message.options);
+      this.pathfinder.setOverrides(message.overrides);
+      this.pathfinder.setCostFactors(message.costFactors);
+    } else {
+      this.inbox.push(message);
+    }
+  }
+
+  answer(count = Infinity) {
+    for (const message of this.inbox.splice(0, count)) {
+      if (message.type === 'overrides') {
+        this.pathfinder.setOverrides(message.overrides);
+        this.pathfinder.setCostFactors(message.costFactors);
+        continue;
+      }
+      const { key, version, profile, start, goal } = message;
+      const path = this.pathfinder.forProfile(profile).findPath(start.x, start.y, goal.x, goal.y);
+      this.onmessage({ data: { key, version, path } });
+    }
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('PathRequestQueue', () => {
+  let pathfinder;
+  let queue;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    jest.spyOn(pathfinder, 'findPath');
+    queue = new PathRequestQueue(pathfinder);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should answer on process, not when asked', () => {
+    queue.request(1, 'wander', { x: 0, y: 0 }, { x: 5, y: 5 }, { note: 'kept' });
+
+    expect(pathfinder.findPath).not.toHaveBeenCalled();
+
+    const [answer] = queue.process();
+    expect(answer).toMatchObject({ villagerId: 1, purpose: 'wander', goal: { x: 5, y: 5 }, data: { note: 'kept' } });
+    expect(answer.path[answer.path.length - 1]).toEqual({ x: 5, y: 5 });
+    expect(queue.size).toBe(0);
+  });
+
+  test('should answer at most a budget of searches per tick, oldest first', () => {
+    const count = PATHS_PER_TICK * 2 + 3;
+    for (let id = 1; id <= count; id++) {
+      queue.request(id, 'home', { x: id % SIZE, y: Math.floor(id / SIZE) }, { x: 10, y: 19 });
+    }
+
+    const first = queue.process();
+    expect(first.map(a => a.villagerId)).toEqual(Array.from({ length: PATHS_PER_TICK }, (_, i) => i + 1));
+    expect(queue.process()).toHaveLength(PATHS_PER_TICK);
+    expect(queue.process()).toHaveLength(3);
+    expect(queue.process()).toEqual([]);
+  });
+
+  test('should run identical searches once and give everyone their own path', () => {
+    for (let id = 1; id <= 5; id++) {
+      queue.request(id, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+    }
+
+    const answers = queue.process();
+
+    expect(pathfinder.findPath).toHaveBeenCalledTimes(1);
+    expect(answers).toHaveLength(5);
+    expect(answers[0].path).toEqual(answers[4].path);
+    expect(answers[0].path).not.toBe(answers[4].path);
+    expect(queue.stats.shared).toBe(4);
+  });
+
+  test('should keep a villager in place when it asks for the same thing again', () => {
+    queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+    queue.request(2, 'home', { x: 1, y: 0 }, { x: 9, y: 9 });
+    queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+
+    expect(queue.process().map(a => a.villagerId)).toEqual([1, 2]);
+    expect(queue.stats.requested).toBe(2);
+  });
+
+  test('should replace a villager request that changed', () => {
+    queue.request(1, 'wander', { x: 0, y: 0 }, { x: 9, y: 9 });
+    queue.request(1, 'home', { x: 0, y: 0 }, { x: 3, y: 3 });
+
+    const answers = queue.process();
+
+    expect(answers).toHaveLength(1);
+    expect(answers[0]).toMatchObject({ purpose: 'home', goal: { x: 3, y: 3 } });
+  });
+
+  test('should forget cancelled requests', () => {
+    queue.request(1, 'wander', { x: 0, y: 0 }, { x: 9, y: 9 });
+    queue.cancel(1);
+
+    expect(queue.isPending(1)).toBe(false);
+    expect(queue.process()).toEqual([]);
+    expect(pathfinder.findPath).not.toHaveBeenCalled();
+  });
+
+  test('should save and restore waiting requests in queue order', () => {
+    queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+    queue.request(2, 'wander', { x: 1, y: 1 }, { x: 4, y: 4 });
+    queue.request(3, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+    queue.cancel(1);
+
+    const loaded = new PathRequestQueue(pathfinder);
+    loaded.restore(JSON.parse(JSON.stringify(queue.serialize())));
+
+    const strip = answers => answers.map(({ villagerId, purpose, goal, path }) => ({ villagerId, purpose, goal, path }));
+    expect(strip(loaded.process())).toEqual(strip(queue.process()));
+  });
+
+  test('should answer only released searches when following a recording', () => {
+    queue.followRecording();
+    const { key } = queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+
+    expect(queue.process()).toEqual([]);
+
+    queue.release([key]);
+    expect(queue.process()).toHaveLength(1);
+    expect(queue.stats.searchedHere).toBe(1);
+  });
+
+  describe('with a worker', () => {
+    let worker;
+
+    beforeEach(() => {
+      worker = new FakeWorker();
+      queue.attachWorker(worker);
+    });
+
+    test('should send the terrain once and every new search', () => {
+      queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+      queue.request(2, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+
+      expect(worker.pathfinder.width).toBe(SIZE);
+      expect(worker.inbox).toHaveLength(1);
+    });
+
+    test("should use the worker's answer instead of searching here", () => {
+      queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+      worker.answer();
+
+      const [answer] = queue.process();
+
+      expect(pathfinder.findPath).not.toHaveBeenCalled();
+      expect(answer.path).toEqual(pathfinder.findPath(0, 0, 9, 9));
+      expect(queue.stats.fromWorker).toBe(1);
+    });
+
+    test('should wait for the worker rather than search here', () => {
+      queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+
+      expect(queue.process()).toEqual([]);
+      expect(queue.isPending(1)).toBe(true);
+
+      worker.answer();
+      const [answer] = queue.process();
+
+      expect(pathfinder.findPath).not.toHaveBeenCalled();
+      expect(answer.path).not.toBeNull();
+      expect(queue.stats.searchedHere).toBe(0);
+    });
+
+    test('should answer whichever searches the worker has finished', () => {
+      queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+      queue.request(2, 'home', { x: 1, y: 0 }, { x: 9, y: 9 });
+      worker.inbox.reverse(); // The later search comes back first
+      worker.answer(1);
+
+      expect(queue.process().map(a => a.villagerId)).toEqual([2]);
+      expect(queue.isPending(1)).toBe(true);
+    });
+
+    test('should note answered searches for the command log', () => {
+      queue.recordAnswers = true;
+      const { key } = queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+      worker.answer();
+      queue.process();
+
+      expect(queue.takeAnswered()).toEqual([key]);
+      expect(queue.takeAnswered()).toEqual([]);
+    });
+
+    test('should ignore answers worked out before a wall went up', () => {
+      queue.request(1, 'home', { x: 0, y: 5 }, { x: 9, y: 5 });
+      worker.answer(); // On the old grid
+      pathfinder.overrideArea(5, 0, 5, SIZE - 2, { passable: false });
+      queue.terrainChanged();
+
+      expect(queue.workerResults.size).toBe(0);
+      worker.answer(); // New overrides, then the search again
+
+      const [answer] = queue.process();
+      expect(queue.stats.fromWorker).toBe(1);
+      expect(answer.path.some(p => p.x === 5 && p.y === SIZE - 1)).toBe(true);
+    });
+
+    test('should fall back to the main thread if the worker fails', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      worker.onerror(new Error('boom'));
+
+      queue.request(1, 'home', { x: 0, y: 0 }, { x: 9, y: 9 });
+
+      expect(worker.terminated).toBe(true);
+      expect(worker.inbox).toHaveLength(0);
+      expect(queue.process()[0].path).not.toBeNull();
+    });
+  });
+});
+
+describe('VillagerSystem path requests', () => {
+  let system;
+  let pathfinder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    jest.spyOn(pathfinder, 'findPath');
+    system = new VillagerSystem({}, pathfinder);
+    system.setMapBounds(SIZE, SIZE);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawnOwned(x, y) {
+    const villager = system.spawnVillager(x, y);
+    villager.playerId = 'p1';
+    return villager;
+  }
+
+  test('should not search while villagers pick destinations', () => {
+    const crowd = Array.from({ length: PATHS_PER_TICK + 4 }, (_, i) => spawnOwned(i % SIZE, Math.floor(i / SIZE)));
+
+    crowd.forEach((v, i) => system.assignRandomDestination(v, i % SIZE, 19));
+
+    expect(pathfinder.findPath).not.toHaveBeenCalled();
+    expect(crowd.every(v => v.state === 'thinking')).toBe(true);
+
+    system.update(50);
+    expect(crowd.filter(v => v.state === 'moving')).toHaveLength(PATHS_PER_TICK);
+    expect(crowd.filter(v => v.state === 'thinking')).toHaveLength(4);
+
+    system.update(50);
+    expect(crowd.every(v => v.state === 'moving')).toBe(true);
+    expect(crowd[3].destination).toEqual({ x: 3, y: 19 });
+  });
+
+  test('should stand still while thinking', () => {
+    const villager = spawnOwned(2, 2);
+    system.assignRandomDestination(villager, 10, 2);
+
+    villager.update(1000);
+
+    expect(villager.x).toBe(2);
+    expect(villager.state).toBe('thinking');
+  });
+
+  test('should go back to idle when the destination cannot be reached', () => {
+    const villager = spawnOwned(0, 0);
+    pathfinder.findPath.mockReturnValueOnce(null);
+
+    system.assignRandomDestination(villager, 5, 5);
+    system.deliverPaths();
+
+    expect(villager.state).toBe('idle');
+    expect(villager.currentPath).toBeNull();
+  });
+
+  test('should ignore paths for villagers that died or moved on', () => {
+    const dead = spawnOwned(0, 0);
+    const interrupted = spawnOwned(1, 1);
+    system.assignRandomDestination(dead, 5, 5);
+    system.assignRandomDestination(interrupted, 5, 5);
+
+    system.removeVillager(dead.id);
+    interrupted.startSleep();
+    system.deliverPaths();
+
+    expect(interrupted.state).toBe('sleeping');
+    expect(interrupted.currentPath).toBeNull();
+  });
+});
+
+describe('Simulation with a pathfinding worker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should search only on the worker and replay on the same ticks', () => {
+    const worker = new FakeWorker();
+    const threaded = new SimulationCore({ seed: 4242, mapWidth: 100, mapHeight: 100, pathWorker: worker });
+    threaded.start();
+
+    // A slow worker: answers trickle in over the following ticks
+    for (let i = 0; i < 400; i++) {
+      threaded.step();
+      worker.answer(i % 3);
+    }
+
+    const stats = threaded.villagerSystem.pathQueue.stats;
+    expect(stats.fromWorker).toBeGreaterThan(0);
+    expect(stats.searchedHere).toBe(0);
+
+    const replay = new SimulationCore({ replay: threaded.commandLog.toJSON() });
+    replay.start();
+    replay.seekTo(threaded.tick);
+
+    expect(replay.villagerSystem.pathQueue.worker).toBeNull();
+    expect(replay.villagerSystem.serialize()).toEqual(threaded.villagerSystem.serialize());
+    expect(replay.getSummary()).toEqual(threaded.getSummary());
+
+    threaded.destroy();
+    expect(worker.terminated).toBe(true);
+    replay.destroy();
+  });
+});
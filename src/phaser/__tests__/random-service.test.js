@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Random Service Tests
+ *
+ * Gameplay randomness comes from seeded named streams, so a game replays
+ * exactly from its seed.
+ */
+
+import RandomService, { RandomStream, RNG_STREAMS, randomStream } from '../core/RandomService';
+import SimulationCore from '../core/SimulationCore';
+import { getRandomName } from '../config/villagerNames';
+
+const draw = (stream, count) => Array.from({ length: count }, () => stream.next());
+
+describe('RandomService', () => {
+  test('should produce the same sequence for the same seed and stream', () => {
+    const a = new RandomService(42).stream(RNG_STREAMS.AI);
+    const b = new RandomService(42).stream(RNG_STREAMS.AI);
+
+    expect(draw(a, 20)).toEqual(draw(b, 20));
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    const a = new RandomService(42).stream(RNG_STREAMS.AI);
+    const b = new RandomService(43).stream(RNG_STREAMS.AI);
+
+    expect(draw(a, 5)).not.toEqual(draw(b, 5));
+  });
+
+  test('should keep named streams independent of each other', () => {
+    const service = new RandomService(42);
+    const expected = draw(new RandomService(42).stream(RNG_STREAMS.VILLAGERS), 10);
+
+    // Extra AI draws must not shift the villager stream
+    draw(service.stream(RNG_STREAMS.AI), 100);
+
+    expect(draw(service.stream(RNG_STREAMS.VILLAGERS), 10)).toEqual(expected);
+  });
+
+  test('should return the same stream instance for a name', () => {
+    const service = new RandomService(1);
+
+    expect(service.stream('ai')).toBe(service.stream('ai'));
+  });
+
+  describe('RandomStream', () => {
+    let stream;
+
+    beforeEach(() => {
+      stream = new RandomStream(7);
+    });
+
+    test('should return floats in [0, 1)', () => {
+      for (const value of draw(stream, 1000)) {
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('should return inclusive integers', () => {
+      const values = new Set(Array.from({ length: 500 }, () => stream.int(1, 3)));
+
+      expect([...values].sort()).toEqual([1, 2, 3]);
+    });
+
+    test('should return floats within a range', () => {
+      for (let i = 0; i < 100; i++) {
+        const value = stream.range(-5, 5);
+        expect(value).toBeGreaterThanOrEqual(-5);
+        expect(value).toBeLessThan(5);
+      }
+    });
+
+    test('should honour chance extremes', () => {
+      expect(stream.chance(0)).toBe(false);
+      expect(stream.chance(1)).toBe(true);
+    });
+
+    test('should pick array elements', () => {
+      const items = ['a', 'b', 'c'];
+
+      expect(items).toContain(stream.pick(items));
+      expect(stream.pick([])).toBeUndefined();
+    });
+
+    test('should keep next bound when passed around', () => {
+      const next = stream.next;
+
+      expect(typeof next()).toBe('number');
+    });
+  });
+
+  describe('randomStream', () => {
+    test('should look the stream up on the scene', () => {
+      const scene = { random: new RandomService(5) };
+
+      expect(randomStream(scene, RNG_STREAMS.AI)).toBe(scene.random.stream(RNG_STREAMS.AI));
+    });
+
+    test('should fall back to Math.random without a service', () => {
+      const spy = jest.spyOn(Math, 'random').mockReturnValue(0.25);
+
+      expect(randomStream({}, RNG_STREAMS.AI).next()).toBe(0.25);
+      expect(randomStream(null, RNG_STREAMS.AI).chance(0.5)).toBe(true);
+      spy.mockRestore();
+    });
+  });
+
+  test('should pick villager names from a supplied generator', () => {
+    const a = new RandomService(9).stream(RNG_STREAMS.SPAWNING);
+    const b = new RandomService(9).stream(RNG_STREAMS.SPAWNING);
+
+    expect(getRandomName(a.next)).toBe(getRandomName(b.next));
+  });
+});
+
+describe('deterministic simulation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const runGame = (seed) => {
+    const sim = new SimulationCore({ seed, mapWidth: 120, mapHeight: 120 });
+    sim.start();
+    const summary = sim.runFor(120000);
+    const villagers = sim.villagerSystem.villagers.map(v => ({
+      name: v.name,
+      playerId: v.playerId,
+      x: v.x,
+      y: v.y
+    }));
+    sim.destroy();
+    return { summary, villagers };
+  };
+
+  test('should replay a game identically from the same seed', () => {
+    const first = runGame(777);
+    const second = runGame(777);
+
+    expect(second.summary).toEqual(first.summary);
+    expect(second.villagers).toEqual(first.villagers);
+  });
+
+  test('should not draw from Math.random during gameplay', () => {
+    const spy = jest.spyOn(Math, 'random');
+
+    runGame(777);
+
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
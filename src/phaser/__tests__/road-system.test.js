@@ -0,0 +1,229 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Road System Tests
+ *
+ * Tiles villagers keep walking over wear into dirt paths and then roads that
+ * are cheaper to cross; roads nobody uses fade away; the player can lay roads
+ * for belief; and roads survive saving and replaying.
+ */
+
+import RoadSystem, { ROAD_LEVELS, ROAD_COST, MAX_WEAR, getRoadLevel } from '../systems/RoadSystem';
+import RoadRenderer from '../systems/RoadRenderer';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import VillagerSystem from '../systems/VillagerSystem';
+import SimulationCore from '../core/SimulationCore';
+import { COMMANDS } from '../core/CommandLog';
+import { BIOME_TYPES, TERRAIN_CONFIG } from '../config/terrainConfig';
+
+const SIZE = 20;
+const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+
+function createTerrain() {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+}
+
+function walk(roads, path, times) {
+  for (let i = 0; i < times; i++) roads.recordSteps(path, 0, path.length);
+}
+
+describe('RoadSystem', () => {
+  let pathfinder;
+  let roads;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    roads = new RoadSystem({});
+    roads.pathfindingSystem = pathfinder;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const row = Array.from({ length: 10 }, (_, x) => ({ x, y: 3 }));
+
+  test('should map wear to levels', () => {
+    expect(getRoadLevel(0)).toBeNull();
+    expect(getRoadLevel(ROAD_LEVELS.dirt.wear)).toBe('dirt');
+    expect(getRoadLevel(ROAD_LEVELS.road.wear)).toBe('road');
+    expect(getRoadLevel(MAX_WEAR)).toBe('road');
+  });
+
+  test('should turn well-worn tiles into dirt paths and then roads', () => {
+    walk(roads, row, ROAD_LEVELS.dirt.wear + 1);
+    expect(roads.getCount()).toBe(0); // Not until the next level update
+
+    roads.update(1000);
+    expect(roads.levels.get(3 * SIZE + 4)).toBe('dirt');
+    expect(pathfinder.getMovementCost(4, 3)).toBeCloseTo(ROAD_LEVELS.dirt.costFactor);
+
+    walk(roads, row, ROAD_LEVELS.road.wear - ROAD_LEVELS.dirt.wear + 1);
+    roads.update(1000);
+    expect(roads.getRoads()).toContainEqual({ x: 4, y: 3, level: 'road' });
+    expect(pathfinder.getMovementCost(4, 3)).toBeCloseTo(ROAD_LEVELS.road.costFactor);
+    expect(pathfinder.getMovementCost(4, 4)).toBe(BIOME_TYPES.GRASSLAND.movementCost);
+  });
+
+  test('should only count the steps a villager actually took', () => {
+    roads.recordSteps(row, 2, 5);
+
+    expect([...roads.wear.keys()]).toEqual([3 * SIZE + 2, 3 * SIZE + 3, 3 * SIZE + 4]);
+  });
+
+  test('should let unused roads decay back to grass', () => {
+    walk(roads, row, MAX_WEAR);
+    roads.update(1000);
+    const version = roads.version;
+
+    for (let t = 0; t < 600 && roads.wear.size > 0; t++) roads.update(1000);
+
+    expect(roads.getCount()).toBe(0);
+    expect(roads.wear.size).toBe(0);
+    expect(roads.version).toBeGreaterThan(version);
+    expect(pathfinder.getMovementCost(4, 3)).toBe(BIOME_TYPES.GRASSLAND.movementCost);
+  });
+
+  test('should draw searches onto roads', () => {
+    const detour = [{ x: 0, y: 5 }, ...Array.from({ length: 9 }, (_, i) => ({ x: i + 1, y: 6 })), { x: 10, y: 5 }];
+    walk(roads, detour, MAX_WEAR);
+    roads.update(1000);
+
+    const path = pathfinder.findPath(0, 5, 10, 5);
+
+    expect(path.filter(p => p.y === 6).length).toBeGreaterThan(5);
+  });
+
+  test('should lay a road for belief', () => {
+    const human = { id: 'p1', beliefPoints: ROAD_COST };
+    roads.playerSystem = {
+      getHumanPlayer: () => human,
+      spendBeliefPoints: jest.fn((id, cost) => {
+        if (human.beliefPoints < cost) return false;
+        human.beliefPoints -= cost;
+        return true;
+      }),
+    };
+
+    expect(roads.layRoad(5 * TILE_SIZE, 5 * TILE_SIZE)).toBe(true);
+    expect(roads.levels.get(5 * SIZE + 5)).toBe('road');
+    expect(human.beliefPoints).toBe(0);
+
+    expect(roads.layRoad(5 * TILE_SIZE, 5 * TILE_SIZE)).toBe(false); // Already a road
+    expect(roads.layRoad(6 * TILE_SIZE, 5 * TILE_SIZE)).toBe(false); // Can't afford it
+  });
+
+  test('should not lay roads on impassable ground or under buildings', () => {
+    pathfinder.overrideArea(2, 2, 2, 2, { passable: false });
+    roads.buildingSystem = {
+      occupiedTiles: new Set(['7,7']),
+      isWithinInfluence: (x) => x < 15,
+    };
+
+    expect(roads.canLayRoad(2, 2)).toBe(false);
+    expect(roads.canLayRoad(7, 7)).toBe(false);
+    expect(roads.canLayRoad(16, 1)).toBe(false);
+    expect(roads.canLayRoad(8, 8)).toBe(true);
+  });
+
+  test('should be worn in by walking villagers', () => {
+    const villagers = new VillagerSystem({}, pathfinder);
+    villagers.roadSystem = roads;
+    const villager = villagers.spawnVillager(0, 3);
+    villager.setPath(row);
+
+    for (let t = 0; t < 40; t++) villagers.update(50);
+
+    expect(villager.state).toBe('idle');
+    expect(row.every(p => roads.wear.get(p.y * SIZE + p.x) === 1)).toBe(true);
+  });
+
+  test('should redraw only when roads change', () => {
+    const graphics = { setDepth: jest.fn(), clear: jest.fn(), fillStyle: jest.fn(), fillRect: jest.fn(), destroy: jest.fn() };
+    const renderer = new RoadRenderer({ add: { graphics: () => graphics } });
+    walk(roads, row, MAX_WEAR);
+    roads.update(1000);
+
+    renderer.render(roads);
+    renderer.render(roads);
+
+    expect(graphics.clear).toHaveBeenCalledTimes(1);
+    expect(graphics.fillRect).toHaveBeenCalledTimes(row.length);
+    expect(graphics.fillStyle).toHaveBeenCalledWith(ROAD_LEVELS.road.color, expect.any(Number));
+  });
+});
+
+describe('Roads in the simulation', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function layRoadsNearTemple(sim) {
+    const human = sim.playerSystem.getHumanPlayer();
+    const temple = sim.templeSystem.getPlayerTemples(human.id)[0];
+    human.beliefPoints += 100;
+    for (let dx = 2; dx < 10; dx++) {
+      sim.execute(COMMANDS.LAY_ROAD, {
+        worldX: (temple.position.x + dx) * TILE_SIZE,
+        worldY: temple.position.y * TILE_SIZE
+      });
+    }
+  }
+
+  test('should grow roads where villagers walk', () => {
+    const sim = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    sim.start();
+
+    sim.runFor(240000); // Only a few villagers until houses go up
+
+    expect(sim.roadSystem.wear.size).toBeGreaterThan(0);
+    expect(sim.roadSystem.getCount()).toBeGreaterThan(0);
+    sim.destroy();
+  });
+
+  test('should carry on identically after a save and load', () => {
+    const sim = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    sim.start();
+    layRoadsNearTemple(sim);
+    sim.runFor(3000);
+    expect(sim.roadSystem.getCount()).toBeGreaterThan(0);
+
+    const loaded = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    loaded.restore(JSON.parse(JSON.stringify(sim.serialize())));
+    expect(loaded.pathfindingSystem.getCostFactors()).toEqual(sim.pathfindingSystem.getCostFactors());
+
+    sim.runFor(5000);
+    loaded.runFor(5000);
+
+    expect(loaded.roadSystem.serialize()).toEqual(sim.roadSystem.serialize());
+    expect(loaded.villagerSystem.serialize()).toEqual(sim.villagerSystem.serialize());
+    sim.destroy();
+    loaded.destroy();
+  });
+
+  test('should replay laid roads', () => {
+    const sim = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80 });
+    sim.start();
+    sim.runFor(500);
+    layRoadsNearTemple(sim);
+    sim.runFor(2000);
+
+    const replay = new SimulationCore({ seed: 4242, mapWidth: 80, mapHeight: 80, replay: sim.commandLog.toJSON() });
+    replay.start();
+    replay.playerSystem.getHumanPlayer().beliefPoints += 100;
+    replay.runFor(2500);
+
+    expect(replay.roadSystem.serialize()).toEqual(sim.roadSystem.serialize());
+    sim.destroy();
+    replay.destroy();
+  });
+});
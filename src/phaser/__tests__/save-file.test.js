@@ -0,0 +1,166 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Save File Tests
+ *
+ * Exported saves are compressed, checksummed files with a readable header.
+ * Importing one rebuilds the same game; damaged files, files from a newer
+ * game and headers that disagree with their save are reported.
+ */
+
+import SimulationCore from '../core/SimulationCore';
+import SaveSystem, { SAVE_VERSION } from '../systems/SaveSystem';
+import {
+  GAME_VERSION,
+  SAVE_FILE_FORMAT,
+  crc32,
+  decodeSaveFile,
+  encodeSaveFile,
+  readSaveFileHeader,
+  saveFileName
+} from '../systems/SaveFile';
+
+const SEED = 31337;
+const MAP_SIZE = 120;
+
+/**
+ * Replace a file's header, keeping its body
+ */
+function withHeader(bytes, changes) {
+  const end = bytes.indexOf(0x0a);
+  const header = { ...readSaveFileHeader(bytes), ...changes };
+  const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+
+  const file = new Uint8Array(headerBytes.length + bytes.length - end);
+  file.set(headerBytes);
+  file.set(bytes.subarray(end), headerBytes.length);
+  return file;
+}
+
+describe('Save files', () => {
+  let sim;
+  let state;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sim = new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+    sim.start();
+    sim.runFor(5000);
+    state = SaveSystem.serializeState(sim);
+  });
+
+  afterEach(() => {
+    sim.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should write a readable header with the seed and versions', async () => {
+    const bytes = await encodeSaveFile(state);
+    const header = readSaveFileHeader(bytes);
+
+    expect(header).toMatchObject({
+      format: SAVE_FILE_FORMAT,
+      gameVersion: GAME_VERSION,
+      saveVersion: SAVE_VERSION,
+      terrainSeed: SEED,
+      mapWidth: MAP_SIZE,
+      mapHeight: MAP_SIZE,
+      compression: 'gzip'
+    });
+    expect(header.checksum).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  test('should compress the save', async () => {
+    const bytes = await encodeSaveFile(state);
+
+    expect(bytes.length).toBeLessThan(JSON.stringify(state).length / 2);
+  });
+
+  test('should import into the same game', async () => {
+    const { state: imported, errors, warnings } = await decodeSaveFile(await encodeSaveFile(state));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(imported).toEqual(JSON.parse(JSON.stringify(state)));
+
+    const loaded = new SimulationCore({ seed: imported.terrainSeed, mapWidth: imported.mapWidth, mapHeight: imported.mapHeight });
+    expect(SaveSystem.restoreState(loaded, imported)).toBe(true);
+    sim.runFor(5000);
+    loaded.runFor(5000);
+    expect(loaded.getSummary()).toEqual(sim.getSummary());
+    loaded.destroy();
+  });
+
+  test('should name files after the day and seed', () => {
+    expect(saveFileName(state)).toBe(`god-dots-day-${state.simulation.clock.day}-seed-${SEED}.goddots`);
+  });
+
+  test('should reject files that are not saves', async () => {
+    const text = new TextEncoder().encode('{"hello":"world"}\nnot a save');
+
+    expect((await decodeSaveFile(text)).errors).toEqual(['Not a God Dots save file']);
+    expect((await decodeSaveFile(new Uint8Array([1, 2, 3]))).errors).toEqual(['Not a God Dots save file']);
+  });
+
+  test('should detect a damaged file', async () => {
+    const bytes = await encodeSaveFile(state);
+    bytes[bytes.length - 20] ^= 0xff;
+
+    const { state: imported, errors } = await decodeSaveFile(bytes);
+
+    expect(imported).toBeNull();
+    expect(errors[0]).toMatch(/damaged/);
+  });
+
+  test('should detect a save that does not match its checksum', async () => {
+    const bytes = withHeader(await encodeSaveFile(state), { checksum: '00000000' });
+
+    const { errors } = await decodeSaveFile(bytes);
+
+    expect(errors).toEqual([expect.stringContaining('does not match 00000000')]);
+  });
+
+  test('should refuse files from a newer save format', async () => {
+    const bytes = withHeader(await encodeSaveFile(state), { gameVersion: '9.0.0', saveVersion: SAVE_VERSION + 1 });
+
+    const { state: imported, errors } = await decodeSaveFile(bytes);
+
+    expect(imported).toBeNull();
+    expect(errors[0]).toContain('Exported from God Dots v9.0.0');
+    expect(errors[0]).toContain(`reads up to save format v${SAVE_VERSION}`);
+  });
+
+  test('should warn about, but load, files from another game version', async () => {
+    const bytes = withHeader(await encodeSaveFile(state), { gameVersion: '0.0.1' });
+
+    const { state: imported, warnings } = await decodeSaveFile(bytes);
+
+    expect(imported).not.toBeNull();
+    expect(warnings).toEqual([expect.stringContaining(`God Dots v0.0.1 (save format v${SAVE_VERSION}); this is v${GAME_VERSION}`)]);
+  });
+
+  test('should report a header seed that does not match the save', async () => {
+    const bytes = withHeader(await encodeSaveFile(state), { terrainSeed: 7 });
+
+    const { state: imported, errors } = await decodeSaveFile(bytes);
+
+    expect(imported).toBeNull();
+    expect(errors).toEqual([`Header terrain seed 7 does not match the save's seed ${SEED}`]);
+  });
+
+  test('should read files through SaveSystem', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const bytes = await encodeSaveFile(state);
+
+    expect((await SaveSystem.importFromFile(new Blob([bytes]))).state).not.toBeNull();
+    expect((await SaveSystem.importFromFile(new Blob(['junk']))).errors).toEqual(['Not a God Dots save file']);
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('crc32', () => {
+  test('should match the standard check value', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe('cbf43926');
+  });
+});
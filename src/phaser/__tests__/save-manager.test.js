@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Save Manager Tests
+ *
+ * Named save slots in the Dexie SaveGame table: saving, overwriting,
+ * rotating autosaves, rename and delete.
+ */
+
+import SaveManager, { AUTOSAVE_SLOTS, formatPlayTime } from '../systems/SaveManager';
+
+// In-memory stand-in for the Dexie SaveGame table
+const createMockDB = () => {
+  const rows = new Map();
+  let nextId = 1;
+
+  return {
+    SaveGame: {
+      add: jest.fn(async (record) => {
+        const id = nextId++;
+        rows.set(id, { ...record, id });
+        return id;
+      }),
+      put: jest.fn(async (record) => {
+        rows.set(record.id, { ...record });
+        return record.id;
+      }),
+      get: jest.fn(async (id) => rows.get(id)),
+      update: jest.fn(async (id, changes) => {
+        if (!rows.has(id)) return 0;
+        rows.set(id, { ...rows.get(id), ...changes });
+        return 1;
+      }),
+      delete: jest.fn(async (id) => { rows.delete(id); }),
+      count: jest.fn(async () => rows.size),
+      toArray: jest.fn(async () => [...rows.values()])
+    }
+  };
+};
+
+const STATE = { version: 2, terrainSeed: 1, simulation: { tick: 10 } };
+
+describe('SaveManager', () => {
+  let db;
+  let manager;
+  let now;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now++);
+
+    db = createMockDB();
+    manager = new SaveManager(db);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should save a slot with its metadata and load it back', async () => {
+    const id = await manager.save(STATE, {
+      name: 'Before the storm',
+      description: 'Day 3',
+      playTime: 65000,
+      thumbnail: 'data:image/jpeg;base64,AAAA'
+    });
+
+    const slot = await manager.load(id);
+
+    expect(slot).toMatchObject({
+      id,
+      name: 'Before the storm',
+      description: 'Day 3',
+      playTime: 65000,
+      thumbnail: 'data:image/jpeg;base64,AAAA',
+      isAutoSave: false,
+      gameState: STATE
+    });
+    expect(slot.timestamp).toBeGreaterThan(0);
+  });
+
+  test('should list slots newest first without their game state', async () => {
+    await manager.save(STATE, { name: 'First' });
+    await manager.save(STATE, { name: 'Second' });
+
+    const slots = await manager.listSlots();
+
+    expect(slots.map(s => s.name)).toEqual(['Second', 'First']);
+    expect(slots[0].gameState).toBeUndefined();
+    expect(await manager.hasSaves()).toBe(true);
+  });
+
+  test('should overwrite a slot when given its id', async () => {
+    const id = await manager.save(STATE, { name: 'Slot' });
+
+    await manager.save({ ...STATE, terrainSeed: 2 }, { id, name: 'Slot' });
+
+    expect(await manager.listSlots()).toHaveLength(1);
+    expect((await manager.load(id)).gameState.terrainSeed).toBe(2);
+  });
+
+  test('should not save without a game state', async () => {
+    expect(await manager.save(null)).toBeNull();
+    expect(await manager.hasSaves()).toBe(false);
+  });
+
+  test('should rotate autosaves and leave manual saves alone', async () => {
+    await manager.save(STATE, { name: 'Manual' });
+    const autosaveIds = [];
+    for (let i = 0; i < AUTOSAVE_SLOTS + 2; i++) {
+      autosaveIds.push(await manager.autosave(STATE, { playTime: i }));
+    }
+
+    const slots = await manager.listSlots();
+    const autosaves = slots.filter(s => s.isAutoSave);
+
+    expect(autosaves).toHaveLength(AUTOSAVE_SLOTS);
+    expect(autosaves.map(s => s.id)).toEqual(autosaveIds.slice(-AUTOSAVE_SLOTS).reverse());
+    expect(slots.some(s => s.name === 'Manual')).toBe(true);
+  });
+
+  test('should rename a slot', async () => {
+    const id = await manager.save(STATE, { name: 'Old' });
+
+    expect(await manager.rename(id, '  New name  ')).toBe(true);
+    expect((await manager.load(id)).name).toBe('New name');
+  });
+
+  test('should refuse blank names and missing slots', async () => {
+    const id = await manager.save(STATE, { name: 'Keep' });
+
+    expect(await manager.rename(id, '   ')).toBe(false);
+    expect(await manager.rename(999, 'Ghost')).toBe(false);
+    expect((await manager.load(id)).name).toBe('Keep');
+  });
+
+  test('should delete a slot', async () => {
+    const id = await manager.save(STATE, { name: 'Doomed' });
+
+    expect(await manager.delete(id)).toBe(true);
+    expect(await manager.load(id)).toBeNull();
+    expect(await manager.hasSaves()).toBe(false);
+  });
+
+  test('should report database failures instead of throwing', async () => {
+    db.SaveGame.add.mockRejectedValueOnce(new Error('QuotaExceededError'));
+    db.SaveGame.toArray.mockRejectedValueOnce(new Error('closed'));
+
+    expect(await manager.save(STATE)).toBeNull();
+    expect(await manager.listSlots()).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  test('should import saves from the old localStorage keys once', async () => {
+    const items = new Map([
+      ['godDotsSave', JSON.stringify({ version: 1, timestamp: 500, terrainSeed: 7 })],
+      ['godDotsAutoSave', '{broken']
+    ]);
+    const storage = {
+      getItem: (key) => (items.has(key) ? items.get(key) : null),
+      removeItem: (key) => items.delete(key)
+    };
+
+    expect(await manager.importLegacySaves(storage)).toBe(1);
+    expect(await manager.importLegacySaves(storage)).toBe(0);
+
+    const slots = await manager.listSlots();
+    expect(slots).toHaveLength(1);
+    expect(slots[0]).toMatchObject({ name: 'Imported save', timestamp: 500, isAutoSave: false });
+    expect((await manager.load(slots[0].id)).gameState.terrainSeed).toBe(7);
+    // Unreadable saves stay where they are
+    expect(items.has('godDotsSave')).toBe(false);
+    expect(items.has('godDotsAutoSave')).toBe(true);
+  });
+
+  test('should be found on the game registry', () => {
+    const scene = { registry: { get: (key) => (key === 'saveManager' ? manager : undefined) } };
+
+    expect(SaveManager.fromScene(scene)).toBe(manager);
+    expect(SaveManager.fromScene({})).toBeNull();
+  });
+});
+
+describe('formatPlayTime', () => {
+  test('should show minutes and seconds under an hour', () => {
+    expect(formatPlayTime(0)).toBe('0m 00s');
+    expect(formatPlayTime(754000)).toBe('12m 34s');
+  });
+
+  test('should show hours and minutes from an hour up', () => {
+    expect(formatPlayTime(3600000 + 5 * 60000 + 30000)).toBe('1h 05m');
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Save Migration Tests
+ *
+ * Old saves are upgraded one format version at a time and validated before
+ * loading; saves that cannot be upgraded are rejected with readable errors.
+ * The IndexedDB schema upgrade reuses the same pipeline and keeps its data.
+ */
+
+import SimulationCore from '../core/SimulationCore';
+import SaveSystem from '../systems/SaveSystem';
+import { SAVE_VERSION, migrateSave, validateSave } from '../systems/SaveMigrations';
+import { RNG_STREAMS } from '../core/RandomService';
+import { STARTING_AGE } from '../config/lifecycle';
+import { TRAITS_PER_VILLAGER } from '../config/traits';
+import { upgradeSaveRecord } from '../../db/migrations';
+import { checkAndClearIfNeeded } from '../../utils/clearDatabase';
+import { version, name } from '../../db/schema';
+
+const SEED = 4242;
+const V3_VILLAGER_FIELDS = [
+  'hunger', 'energy', 'happiness', 'goingToEat', 'job', 'workplaceId', 'workTimer',
+  'age', 'lifespan', 'homeId', 'goingIndoors', 'indoors', 'traits'
+];
+const MAP_SIZE = 120;
+
+/**
+ * A save in the original localStorage format (v1), taken from a running game
+ */
+function createV1Save() {
+  const sim = new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+  sim.start();
+  sim.runFor(5000);
+
+  const save = {
+    version: 1,
+    timestamp: 1700000000000,
+    terrainSeed: SEED,
+    gameSpeed: 2,
+    clock: { day: sim.gameClock.getDay(), timeMs: sim.gameClock.timeMs },
+    players: sim.playerSystem.players.map(p => ({
+      id: p.id, type: p.type, name: p.name, color: p.color,
+      beliefPoints: p.beliefPoints, food: p.food, population: p.population,
+      isActive: p.isActive, isEliminated: p.isEliminated
+    })),
+    temples: sim.templeSystem.temples.map(t => ({
+      id: t.id, playerId: t.playerId, playerColor: t.playerColor,
+      positionX: t.position.x, positionY: t.position.y, level: t.level || 1
+    })),
+    buildings: [],
+    villagers: sim.villagerSystem.villagers.map(v => ({
+      x: Math.round(v.x * 10) / 10, y: Math.round(v.y * 10) / 10,
+      playerId: v.playerId, state: v.state, health: v.health, name: v.name
+    }))
+  };
+  sim.destroy();
+  return save;
+}
+
+/**
+ * A save in the v2 format: no construction sites, and villagers without
+ * needs, jobs, ages, homes or traits
+ */
+function createV2Save() {
+  const sim = new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+  sim.start();
+  const temple = sim.templeSystem.temples[0];
+  sim.buildingSystem.createBuilding('farm', temple.position.x + 4, temple.position.y + 4);
+  sim.runFor(1000);
+
+  const save = JSON.parse(JSON.stringify(SaveSystem.serializeState(sim)));
+  sim.destroy();
+
+  save.version = 2;
+  delete save.simulation.random.streams[RNG_STREAMS.TRAITS];
+  for (const building of save.simulation.buildings.buildings) {
+    delete building.progress;
+    delete building.birthTimer;
+  }
+  for (const villager of save.simulation.villagers.villagers) {
+    for (const field of V3_VILLAGER_FIELDS) delete villager[field];
+  }
+  return save;
+}
+
+describe('Save migrations', () => {
+  let v1Save;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    v1Save = createV1Save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should upgrade a v1 save to the current format', () => {
+    const { state, errors, fromVersion } = migrateSave(v1Save);
+
+    expect(errors).toEqual([]);
+    expect(fromVersion).toBe(1);
+    expect(state.version).toBe(SAVE_VERSION);
+    expect(state.simulation.villagers.villagers).toHaveLength(v1Save.villagers.length);
+    expect(state.simulation.clock).toEqual(v1Save.clock);
+    expect(validateSave(state)).toEqual([]);
+  });
+
+  test('should not modify the save it upgrades', () => {
+    const before = JSON.parse(JSON.stringify(v1Save));
+
+    migrateSave(v1Save);
+
+    expect(v1Save).toEqual(before);
+  });
+
+  test('should load an upgraded v1 save and keep playing', () => {
+    const sim = new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+
+    expect(SaveSystem.restoreState(sim, v1Save)).toBe(true);
+
+    const human = sim.playerSystem.getHumanPlayer();
+    expect(sim.gameStarted).toBe(true);
+    expect(sim.gameSpeed).toBe(2);
+    expect(sim.villagerSystem.getCount()).toBe(v1Save.villagers.length);
+    expect(human.temples).toHaveLength(1);
+    expect(human.beliefPoints).toBe(v1Save.players.find(p => p.id === human.id).beliefPoints);
+
+    sim.runFor(10000);
+    expect(sim.gameClock.timeMs).toBeGreaterThan(v1Save.clock.timeMs);
+    expect(sim.villagerSystem.getCount()).toBeGreaterThanOrEqual(v1Save.villagers.length);
+    sim.destroy();
+  });
+
+  test('should finish every building in a v2 save', () => {
+    const v2Save = createV2Save();
+    const { state, errors, fromVersion } = migrateSave(v2Save);
+
+    expect(errors).toEqual([]);
+    expect(fromVersion).toBe(2);
+    expect(state.version).toBe(SAVE_VERSION);
+    expect(state.simulation.buildings.buildings.map(b => b.progress)).toEqual([1]);
+    expect(v2Save.simulation.buildings.buildings[0].progress).toBeUndefined();
+  });
+
+  test('should give v2 villagers what v3 villagers carry', () => {
+    const v2Save = createV2Save();
+    const { state } = migrateSave(v2Save);
+    const villagers = state.simulation.villagers.villagers;
+
+    expect(villagers).toHaveLength(v2Save.simulation.villagers.villagers.length);
+    for (const villager of villagers) {
+      expect(Object.keys(villager)).toEqual(expect.arrayContaining(V3_VILLAGER_FIELDS));
+      expect(villager).toMatchObject({ age: STARTING_AGE, homeId: null, job: null });
+      expect(villager.traits).toHaveLength(TRAITS_PER_VILLAGER);
+    }
+    expect(state.simulation.buildings.buildings[0].birthTimer).toBe(0);
+
+    // Rolled from the save's streams, which carry on from there
+    expect(migrateSave(v2Save).state).toEqual(state);
+    expect(state.simulation.random.streams[RNG_STREAMS.TRAITS]).toBeDefined();
+  });
+
+  test('should load an upgraded v2 save with its buildings standing', () => {
+    const sim = new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+
+    expect(SaveSystem.restoreState(sim, createV2Save())).toBe(true);
+
+    const [farm] = sim.buildingSystem.buildings;
+    expect(sim.buildingSystem.isBuilt(farm)).toBe(true);
+    expect(sim.villagerSystem.villagers.every(v => v.traits.length === TRAITS_PER_VILLAGER)).toBe(true);
+    sim.runFor(1000);
+    sim.destroy();
+  });
+
+  test('should reject saves from a newer game', () => {
+    const { state, errors } = migrateSave({ ...v1Save, version: SAVE_VERSION + 1 });
+
+    expect(state).toBeNull();
+    expect(errors[0]).toContain('newer game');
+  });
+
+  test('should reject saves without a usable version', () => {
+    expect(migrateSave(null).errors).toEqual(['Save is empty or not an object']);
+    expect(migrateSave({ ...v1Save, version: 'beta' }).errors).toEqual(['Unknown save version: beta']);
+  });
+
+  test('should list everything wrong with a broken save', () => {
+    const broken = {
+      ...v1Save,
+      villagers: [...v1Save.villagers, { x: 'left', y: 3, playerId: 99 }]
+    };
+    const { state, errors } = migrateSave(broken);
+    const badId = v1Save.villagers.length + 1;
+
+    expect(state).toBeNull();
+    expect(errors).toEqual([
+      `Villager ${badId} has no position`,
+      `Villager ${badId} belongs to unknown player 99`
+    ]);
+  });
+
+  test('should not load a broken save', () => {
+    const sim = new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+
+    expect(SaveSystem.restoreState(sim, { ...v1Save, players: [] })).toBe(false);
+    expect(sim.gameStarted).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Save has no players'));
+    sim.destroy();
+  });
+});
+
+describe('Database upgrade', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should upgrade old SaveGame records in place', () => {
+    const v1Save = createV1Save();
+    const record = {
+      id: 1,
+      name: 'Old save',
+      timestamp: new Date(1700000000000),
+      description: '',
+      isAutoSave: false,
+      gameState: JSON.stringify(v1Save)
+    };
+
+    const upgraded = upgradeSaveRecord(record);
+
+    expect(upgraded).toMatchObject({ id: 1, name: 'Old save', timestamp: 1700000000000, playTime: 0, thumbnail: null });
+    expect(upgraded.gameState.version).toBe(SAVE_VERSION);
+  });
+
+  test('should leave unreadable records for the loader to report', () => {
+    const record = { id: 2, name: 'Corrupt', timestamp: 5, gameState: '{"version":' };
+
+    expect(upgradeSaveRecord(record)).toBe(record);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('should record schema upgrades without clearing data', () => {
+    const key = `${name}_version`;
+
+    expect(checkAndClearIfNeeded()).toBe('new');
+    expect(checkAndClearIfNeeded()).toBe('current');
+
+    localStorage.setItem(key, String(version - 1));
+    expect(checkAndClearIfNeeded()).toBe('upgraded');
+    expect(localStorage.getItem(key)).toBe(String(version));
+  });
+
+  test('should keep a database from a newer build', () => {
+    const key = `${name}_version`;
+    localStorage.setItem(key, String(version + 1));
+
+    expect(checkAndClearIfNeeded()).toBe('newer');
+    expect(localStorage.getItem(key)).toBe(String(version + 1));
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Save/Restore Tests
+ *
+ * A save holds the whole simulation state, so loading it into a fresh core
+ * with the same seed rebuilds the exact world and the game carries on as if
+ * it had never stopped.
+ */
+
+import SimulationCore from '../core/SimulationCore';
+import { COMMANDS } from '../core/CommandLog';
+import SaveSystem, { SAVE_VERSION } from '../systems/SaveSystem';
+
+const SEED = 9001;
+const MAP_SIZE = 120;
+const TILE_SIZE = 4;
+
+function createSimulation() {
+  return new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE });
+}
+
+/**
+ * Play long enough for spawns, conversions, a building, an upgrade and cooldowns
+ */
+function playGame() {
+  const sim = createSimulation();
+  sim.start();
+  const human = sim.playerSystem.getHumanPlayer();
+  const temple = sim.templeSystem.getPlayerTemples(human.id)[0];
+
+  sim.runFor(4000);
+  const villager = sim.villagerSystem.villagers.find(v => v.playerId === human.id);
+  sim.execute(COMMANDS.CAST_POWER, { powerId: 'food', worldX: villager.x * TILE_SIZE, worldY: villager.y * TILE_SIZE });
+
+  const spot = { x: temple.position.x + 6, y: temple.position.y + 6 };
+  sim.buildingSystem.createBuilding('farm', spot.x, spot.y).playerId = human.id;
+  sim.execute(COMMANDS.UPGRADE_TEMPLE, { templeId: temple.id });
+  sim.runFor(3000);
+
+  return sim;
+}
+
+/**
+ * Save through JSON like localStorage does, then load into a new core
+ */
+function saveAndLoad(sim) {
+  const save = JSON.parse(JSON.stringify(SaveSystem.serializeState(sim)));
+  const loaded = new SimulationCore({ seed: save.terrainSeed, mapWidth: save.mapWidth, mapHeight: save.mapHeight });
+  expect(SaveSystem.restoreState(loaded, save)).toBe(true);
+  return loaded;
+}
+
+function snapshot(sim) {
+  return {
+    summary: sim.getSummary(),
+    villagers: sim.villagerSystem.villagers.map(v => [
+      v.id, v.name, v.playerId, v.x, v.y, v.state, v.health, v.speed, v.pathIndex, v.currentPath
+    ]),
+    buildings: sim.buildingSystem.buildings.map(b => [b.id, b.type, b.tileX, b.tileY, b.playerId]),
+    temples: sim.templeSystem.temples.map(t => [t.id, t.playerId, t.level || 1, t.spawnTimer, t.spawnedCount]),
+    beliefs: sim.villagerSystem.villagers.map(v => sim.beliefSystem.getAllegiance(v.id)),
+    cooldowns: sim.divinePowerSystem.cooldowns,
+    clock: sim.gameClock.serialize(),
+    ai: sim.aiGodSystem.decisionTimer,
+  };
+}
+
+describe('Save and restore', () => {
+  let sim;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    sim = playGame();
+  });
+
+  afterEach(() => {
+    sim.destroy();
+    jest.restoreAllMocks();
+  });
+
+  test('should save the seed, map size and full simulation state', () => {
+    const save = SaveSystem.serializeState(sim);
+
+    expect(save.version).toBe(SAVE_VERSION);
+    expect(save.terrainSeed).toBe(SEED);
+    expect(save.mapWidth).toBe(MAP_SIZE);
+    expect(save.simulation.tick).toBe(sim.tick);
+    expect(save.simulation.villagers.villagers).toHaveLength(sim.villagerSystem.getCount());
+  });
+
+  test('should rebuild the exact world', () => {
+    const loaded = saveAndLoad(sim);
+
+    expect(snapshot(loaded)).toEqual(snapshot(sim));
+    loaded.destroy();
+  });
+
+  test('should relink temples, villagers and buildings to their owners', () => {
+    const loaded = saveAndLoad(sim);
+    const human = loaded.playerSystem.getHumanPlayer();
+
+    expect(human.temples).toEqual(loaded.templeSystem.getPlayerTemples(human.id));
+    expect(human.temples[0].level).toBe(2);
+    expect(loaded.buildingSystem.getPlayerBuildings(human.id)).toHaveLength(1);
+    expect(loaded.buildingSystem.canPlace(human.temples[0].position.x + 6, human.temples[0].position.y + 6, 2)).toBe(false);
+    for (const villager of loaded.villagerSystem.villagers) {
+      expect(villager.playerColor).toBe(loaded.playerSystem.getPlayer(villager.playerId).color);
+    }
+    loaded.destroy();
+  });
+
+  test('should continue exactly as the unsaved game does', () => {
+    const loaded = saveAndLoad(sim);
+
+    sim.runFor(30000);
+    loaded.runFor(30000);
+
+    expect(snapshot(loaded)).toEqual(snapshot(sim));
+    loaded.destroy();
+  });
+
+  test('should keep recording onto the saved command log', () => {
+    const loaded = saveAndLoad(sim);
+
+    loaded.execute(COMMANDS.SET_GAME_SPEED, { speed: 2 });
+
+    expect(loaded.commandLog.commands.map(c => c.type)).toEqual(['castPower', 'upgradeTemple', 'setGameSpeed']);
+    loaded.destroy();
+  });
+
+  test('should reject saves from a newer version', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const save = SaveSystem.serializeState(sim);
+    const loaded = createSimulation();
+
+    expect(SaveSystem.restoreState(loaded, { ...save, version: SAVE_VERSION + 1 })).toBe(false);
+    expect(loaded.gameStarted).toBe(false);
+    loaded.destroy();
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Simulation Core Tests
+ *
+ * The core runs a whole game in plain Node: no Phaser, no jsdom, no canvas.
+ */
+
+import SimulationCore, { FIXED_TIMESTEP_MS } from '../core/SimulationCore';
+import EventBus from '../core/EventBus';
+
+const SEED = 12345;
+const MAP_SIZE = 120;
+
+function createSimulation(options = {}) {
+  return new SimulationCore({ seed: SEED, mapWidth: MAP_SIZE, mapHeight: MAP_SIZE, ...options });
+}
+
+describe('SimulationCore', () => {
+  let sim;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sim = createSimulation();
+  });
+
+  afterEach(() => {
+    sim.destroy();
+    jest.restoreAllMocks();
+  });
+
+  describe('headless setup', () => {
+    test('should run without a browser environment', () => {
+      expect(typeof window).toBe('undefined');
+      expect(sim.host).toBeNull();
+      expect(sim.events).toBeInstanceOf(EventBus);
+    });
+
+    test('should generate the same terrain from the same seed', () => {
+      const other = createSimulation();
+      const biomes = (s) => s.biomeMap.map(row => row.map(b => b.name).join(',')).join('|');
+
+      expect(biomes(other)).toBe(biomes(sim));
+      other.destroy();
+    });
+
+    test('should use a pre-generated biome map when given one', () => {
+      const other = createSimulation({ biomeMap: sim.biomeMap });
+
+      expect(other.biomeMap).toBe(sim.biomeMap);
+      expect(other.pathfindingSystem).toBeDefined();
+      other.destroy();
+    });
+
+    test('should wire gameplay systems to the core as their scene', () => {
+      expect(sim.villagerSystem.scene).toBe(sim);
+      expect(sim.villagerSystem.templeSystem).toBe(sim.templeSystem);
+      expect(sim.villagerSystem.beliefSystem).toBe(sim.beliefSystem);
+      expect(sim.aiGodSystem.buildingSystem).toBe(sim.buildingSystem);
+    });
+  });
+
+  describe('start', () => {
+    test('should spawn players, temples and starting villagers', () => {
+      const result = sim.start();
+
+      expect(result).not.toBeNull();
+      expect(sim.gameStarted).toBe(true);
+      expect(sim.playerSystem.players).toHaveLength(2);
+      expect(sim.templeSystem.temples).toHaveLength(2);
+      expect(sim.villagerSystem.getCount()).toBe(6);
+    });
+
+    test('should only start once', () => {
+      sim.start();
+
+      expect(sim.start()).toBeNull();
+      expect(sim.playerSystem.players).toHaveLength(2);
+    });
+  });
+
+  describe('fixed timestep', () => {
+    test('should step once per accumulated timestep', () => {
+      const steps = sim.advance(FIXED_TIMESTEP_MS * 2 + 20);
+
+      expect(steps).toBe(2);
+      expect(sim.tick).toBe(2);
+      expect(sim.elapsed).toBe(FIXED_TIMESTEP_MS * 2);
+      expect(sim.accumulator).toBe(20);
+    });
+
+    test('should carry leftover time into the next advance', () => {
+      sim.advance(30);
+      expect(sim.tick).toBe(0);
+
+      sim.advance(30);
+      expect(sim.tick).toBe(1);
+    });
+
+    test('should drop backlog after a very long frame', () => {
+      const steps = sim.advance(FIXED_TIMESTEP_MS * 1000);
+
+      expect(steps).toBe(20);
+      expect(sim.accumulator).toBe(0);
+    });
+
+    test('should emit a step event for views to subscribe to', () => {
+      const listener = jest.fn();
+      sim.events.on('simulationStep', listener);
+
+      sim.step();
+
+      expect(listener).toHaveBeenCalledWith({ tick: 1, elapsed: FIXED_TIMESTEP_MS });
+    });
+  });
+
+  describe('simulation timers', () => {
+    test('should fire delayed calls on simulation time', () => {
+      const callback = jest.fn();
+      sim.time.delayedCall(FIXED_TIMESTEP_MS * 2, callback);
+
+      sim.step();
+      expect(callback).not.toHaveBeenCalled();
+
+      sim.step();
+      expect(callback).toHaveBeenCalledTimes(1);
+
+      sim.step();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test('should allow timers to be removed', () => {
+      const callback = jest.fn();
+      const timer = sim.schedule(FIXED_TIMESTEP_MS, callback);
+
+      timer.remove();
+      sim.step();
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('running a game', () => {
+    test('should run a full game day headless', () => {
+      sim.start();
+
+      const summary = sim.runFor(60000);
+
+      expect(summary.tick).toBe(60000 / FIXED_TIMESTEP_MS);
+      expect(summary.day).toBe(2);
+      expect(summary.players).toHaveLength(2);
+      expect(summary.villagers).toBeGreaterThan(0);
+    });
+
+    test('should cast divine powers and expire their effects on simulation time', () => {
+      sim.start();
+      const human = sim.playerSystem.getHumanPlayer();
+      const villager = sim.villagerSystem.villagers.find(v => v.playerId === human.id);
+      const baseSpeed = villager.speed;
+
+      sim.divinePowerSystem.selectPower('food');
+      sim.divinePowerSystem.castAtWorld(villager.x * 4, villager.y * 4);
+      expect(villager.speed).toBeGreaterThan(baseSpeed);
+
+      sim.runFor(10000);
+      expect(villager.speed).toBe(baseSpeed);
+      expect(sim.divinePowerSystem.cooldowns.food).toBeLessThan(20000);
+    });
+
+    test('should compute population cap from temples and houses', () => {
+      sim.start();
+      const human = sim.playerSystem.getHumanPlayer();
+
+      expect(sim.getPopulationCap(human)).toBe(20);
+      expect(sim.getPopulationCap(null)).toBe(0);
+    });
+
+    test('should stop updating players once the game ends', () => {
+      sim.start();
+      const spy = jest.spyOn(sim.playerSystem, 'update');
+
+      sim.events.emit('game_end', { winner: sim.playerSystem.getHumanPlayer(), reason: 'test' });
+      sim.step();
+
+      expect(sim.gameEnded).toBe(true);
+      expect(sim.getSummary().winner).toBe('player_human');
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+});
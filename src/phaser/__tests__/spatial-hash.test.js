@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Spatial Hash Tests
+ *
+ * Grid index for proximity queries: radius and nearest-neighbour lookups
+ * must match a full scan, follow entities as they move, and answer the same
+ * whatever order entities were added in.
+ */
+
+import SpatialHash from '../core/SpatialHash';
+import { RandomStream } from '../core/RandomService';
+import VillagerSystem from '../systems/VillagerSystem';
+import Villager from '../entities/Villager';
+
+const distance = (a, x, y) => Math.hypot(a.x - x, a.y - y);
+
+function scatter(count, size, random) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: i + 1,
+    x: random.next() * size,
+    y: random.next() * size
+  }));
+}
+
+describe('SpatialHash', () => {
+  let random;
+  let hash;
+  let entities;
+
+  beforeEach(() => {
+    random = new RandomStream(1234);
+    hash = new SpatialHash(8);
+    entities = scatter(500, 200, random);
+    entities.forEach(e => hash.insert(e));
+  });
+
+  test('should find everything within a radius, like a full scan', () => {
+    for (let i = 0; i < 50; i++) {
+      const x = random.next() * 200;
+      const y = random.next() * 200;
+      const radius = random.next() * 30;
+
+      const expected = entities.filter(e => distance(e, x, y) <= radius).map(e => e.id).sort((a, b) => a - b);
+      const found = hash.queryRadius(x, y, radius).map(e => e.id).sort((a, b) => a - b);
+
+      expect(found).toEqual(expected);
+    }
+  });
+
+  test('should find the nearest entity, like a full scan', () => {
+    for (let i = 0; i < 50; i++) {
+      const x = random.next() * 260 - 30;
+      const y = random.next() * 260 - 30;
+
+      const expected = entities.reduce((best, e) => (distance(e, x, y) < distance(best, x, y) ? e : best));
+
+      expect(hash.nearest(x, y)).toBe(expected);
+    }
+  });
+
+  test('should only return entities strictly closer than the max distance', () => {
+    const lone = new SpatialHash(8);
+    lone.insert({ id: 1, x: 3, y: 0 });
+
+    expect(lone.nearest(0, 0, 3)).toBeNull();
+    expect(lone.nearest(0, 0, 3.01)).toEqual({ id: 1, x: 3, y: 0 });
+  });
+
+  test('should apply filters', () => {
+    const even = hash.nearest(100, 100, Infinity, e => e.id % 2 === 0);
+    const evens = hash.queryRadius(100, 100, 20, e => e.id % 2 === 0);
+
+    expect(even.id % 2).toBe(0);
+    expect(evens.every(e => e.id % 2 === 0)).toBe(true);
+  });
+
+  test('should break distance ties on the lower id whatever the insertion order', () => {
+    const a = { id: 7, x: 10, y: 12 };
+    const b = { id: 3, x: 10, y: 8 };
+
+    const forward = new SpatialHash(8);
+    [a, b].forEach(e => forward.insert(e));
+    const backward = new SpatialHash(8);
+    [b, a].forEach(e => backward.insert(e));
+
+    expect(forward.nearest(10, 10)).toBe(b);
+    expect(backward.nearest(10, 10)).toBe(b);
+  });
+
+  test('should follow entities as they move', () => {
+    const mover = entities[0];
+    mover.x = 500;
+    mover.y = 500;
+    hash.update(mover);
+
+    expect(hash.queryRadius(500, 500, 1)).toEqual([mover]);
+    expect(hash.size).toBe(entities.length);
+  });
+
+  test('should forget removed entities', () => {
+    const gone = entities[0];
+    hash.remove(gone);
+
+    expect(hash.nearest(gone.x, gone.y)).not.toBe(gone);
+    expect(hash.size).toBe(entities.length - 1);
+
+    hash.clear();
+    expect(hash.nearest(0, 0)).toBeNull();
+    expect(hash.queryRadius(100, 100, 500)).toEqual([]);
+  });
+});
+
+describe('VillagerSystem spatial index', () => {
+  let system;
+
+  const addVillager = (id, x, y, playerId) => {
+    const villager = new Villager(id, x, y);
+    villager.playerId = playerId;
+    return system.addVillager(villager);
+  };
+
+  beforeEach(() => {
+    system = new VillagerSystem({});
+    system.autoAssignDestinations = false;
+  });
+
+  test('should index villagers as they spawn, move and die', () => {
+    const walker = addVillager(1, 10, 10, 'p1');
+    walker.setPath([{ x: 10, y: 10 }, { x: 40, y: 10 }]);
+
+    for (let i = 0; i < 40; i++) system.update(100);
+
+    expect(system.getVillagersInRadius(10, 10, 2)).toEqual([]);
+    expect(system.findNearestVillager(40, 10, 2)).toBe(walker);
+
+    system.removeVillager(1);
+    expect(system.findNearestVillager(40, 10)).toBeNull();
+  });
+
+  test('should rebuild the index when restored', () => {
+    addVillager(1, 10, 10, 'p1');
+    addVillager(2, 50, 50, 'p2');
+    const saved = system.serialize();
+
+    const loaded = new VillagerSystem({});
+    loaded.restore(saved);
+
+    expect(loaded.findNearestVillager(49, 49).id).toBe(2);
+    expect(loaded.getVillagersInRadius(10, 10, 1).map(v => v.id)).toEqual([1]);
+  });
+
+  test('should only fight enemies in range', () => {
+    const a = addVillager(1, 10, 10, 'p1');
+    const b = addVillager(2, 12, 10, 'p2');
+    const friend = addVillager(3, 10, 11, 'p1');
+    const far = addVillager(4, 30, 30, 'p2');
+
+    system.processCombat(1000);
+
+    expect(a.health).toBeLessThan(a.maxHealth);
+    expect(b.health).toBeLessThan(b.maxHealth);
+    expect(friend.health).toBe(friend.maxHealth);
+    expect(far.health).toBe(far.maxHealth);
+  });
+});
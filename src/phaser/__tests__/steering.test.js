@@ -0,0 +1,150 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Steering Tests
+ *
+ * Villagers standing on top of each other push apart, walkers meeting head
+ * on both step to their right and pass, and nobody is ever nudged onto
+ * ground they can't stand on.
+ */
+
+import { computeSteering, SEPARATION_RADIUS } from '../systems/Steering';
+import VillagerSystem from '../systems/VillagerSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 40;
+const STEP = 50;
+
+function createTerrain() {
+  return Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+}
+
+function minDistance(villagers) {
+  let min = Infinity;
+  for (let i = 0; i < villagers.length; i++) {
+    for (let j = i + 1; j < villagers.length; j++) {
+      min = Math.min(min, Math.hypot(villagers[i].x - villagers[j].x, villagers[i].y - villagers[j].y));
+    }
+  }
+  return min;
+}
+
+describe('computeSteering', () => {
+  const standing = (id, x, y) => ({ id, x, y, heading: null });
+
+  test('should push overlapping villagers apart equally', () => {
+    const a = standing(1, 5, 5);
+    const b = standing(2, 5.2, 5);
+
+    const pushA = computeSteering(a, [b], STEP);
+    const pushB = computeSteering(b, [a], STEP);
+
+    expect(pushA.dx).toBeLessThan(0);
+    expect(pushB.dx).toBeCloseTo(-pushA.dx);
+    expect(pushA.dy).toBeCloseTo(0);
+  });
+
+  test('should split villagers standing exactly on top of each other', () => {
+    const a = standing(1, 5, 5);
+    const b = standing(2, 5, 5);
+
+    const pushA = computeSteering(a, [b], STEP);
+    const pushB = computeSteering(b, [a], STEP);
+
+    expect(Math.hypot(pushA.dx, pushA.dy)).toBeGreaterThan(0);
+    expect(pushB.dx).toBeCloseTo(-pushA.dx);
+    expect(pushB.dy).toBeCloseTo(-pushA.dy);
+  });
+
+  test('should leave villagers with room alone', () => {
+    expect(computeSteering(standing(1, 5, 5), [standing(2, 5 + SEPARATION_RADIUS + 0.01, 5)], STEP)).toEqual({ dx: 0, dy: 0 });
+  });
+
+  test('should step oncoming walkers to their right', () => {
+    const east = { id: 1, x: 5, y: 5, heading: { x: 1, y: 0 }, speed: 10 };
+    const west = { id: 2, x: 6.5, y: 5, heading: { x: -1, y: 0 }, speed: 10 };
+
+    expect(computeSteering(east, [west], STEP).dy).toBeGreaterThan(0); // y points down: right of east is south
+    expect(computeSteering(west, [east], STEP).dy).toBeLessThan(0);
+  });
+
+  test('should not sidestep walkers going the same way or already past', () => {
+    const walker = { id: 1, x: 5, y: 5, heading: { x: 1, y: 0 }, speed: 10 };
+    const ahead = { id: 2, x: 6.5, y: 5, heading: { x: 1, y: 0 }, speed: 10 };
+    const behind = { id: 3, x: 3.5, y: 5, heading: { x: -1, y: 0 }, speed: 10 };
+
+    expect(computeSteering(walker, [ahead], STEP)).toEqual({ dx: 0, dy: 0 });
+    expect(computeSteering(walker, [behind], STEP)).toEqual({ dx: 0, dy: 0 });
+  });
+
+  test('should not push harder in a crowd than for a single overlap', () => {
+    const crowd = Array.from({ length: 12 }, (_, i) => standing(i + 2, 5.1, 5));
+
+    const crowded = computeSteering(standing(1, 5, 5), crowd, STEP);
+    const single = computeSteering(standing(1, 5, 5), [standing(2, 5, 5)], STEP);
+
+    expect(Math.hypot(crowded.dx, crowded.dy)).toBeCloseTo(Math.hypot(single.dx, single.dy));
+  });
+});
+
+describe('Steering villagers', () => {
+  let pathfinder;
+  let villagers;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    pathfinder = new PathfindingSystem(createTerrain());
+    villagers = new VillagerSystem({}, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawnCrowd(count, x, y) {
+    return Array.from({ length: count }, () => {
+      const villager = villagers.spawnVillager(x, y);
+      villager.holdingPosition = true; // Stay put instead of wandering off
+      return villager;
+    });
+  }
+
+  test('should spread a crowd out around where it stands', () => {
+    const crowd = spawnCrowd(12, 20, 20);
+
+    for (let t = 0; t < 100; t++) villagers.update(STEP);
+
+    expect(minDistance(crowd)).toBeGreaterThan(SEPARATION_RADIUS / 2);
+    expect(crowd.every(v => Math.hypot(v.x - 20, v.y - 20) < 3)).toBe(true);
+  });
+
+  test('should not push anyone onto ground they can\'t stand on', () => {
+    pathfinder.overrideArea(0, 0, 19, SIZE - 1, { passable: false });
+    const crowd = spawnCrowd(12, 20, 20);
+
+    for (let t = 0; t < 100; t++) villagers.update(STEP);
+
+    expect(crowd.every(v => pathfinder.isPassable(Math.floor(v.x), Math.floor(v.y)))).toBe(true);
+  });
+
+  test('should let walkers coming the other way pass each other', () => {
+    const [east, west] = spawnCrowd(1, 2, 10).concat(spawnCrowd(1, 30, 10));
+    villagers.assignRandomDestination(east, 30, 10);
+    villagers.assignRandomDestination(west, 2, 10);
+
+    let closest = Infinity;
+    for (let t = 0; t < 200 && (east.state !== 'idle' || west.state !== 'idle'); t++) {
+      villagers.update(STEP);
+      if (east.state === 'moving' && west.state === 'moving') closest = Math.min(closest, minDistance([east, west]));
+    }
+
+    expect(closest).toBeGreaterThan(SEPARATION_RADIUS / 2);
+    expect(Math.floor(east.x)).toBeGreaterThanOrEqual(29);
+    expect(Math.floor(west.x)).toBeLessThanOrEqual(2);
+  });
+});
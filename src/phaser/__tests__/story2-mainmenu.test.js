@@ -4,12 +4,15 @@
  * Tests for the main menu start screen with:
  * - New Game button
  * - Continue button
+ * - Import Save button
  * - Settings button
  * - Credits button
  */
 
 import Phaser from 'phaser';
 import MainMenuScene from '../scenes/MainMenuScene';
+import SaveSlotBrowser from '../systems/SaveSlotBrowser';
+import SaveSystem from '../systems/SaveSystem';
 import { createGameConfig } from '../config/gameConfig';
 
 describe('Story 2: MainMenuScene', () => {
@@ -103,6 +106,67 @@ describe('Story 2: MainMenuScene', () => {
       consoleSpy.mockRestore();
     });
 
+    test('should browse save slots on continue when saves are available', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const saveManager = { listSlots: jest.fn().mockResolvedValue([]) };
+
+      scene.registry = { get: jest.fn(() => saveManager) };
+      scene.scene = { start: jest.fn() };
+      const openSpy = jest.spyOn(SaveSlotBrowser.prototype, 'open').mockImplementation(() => {});
+
+      scene.continueGame();
+
+      expect(scene.slotBrowser).toBeInstanceOf(SaveSlotBrowser);
+      expect(scene.slotBrowser.mode).toBe('load');
+      expect(openSpy).toHaveBeenCalled();
+      expect(scene.scene.start).not.toHaveBeenCalled();
+
+      openSpy.mockRestore();
+      consoleSpy.mockRestore();
+    });
+
+    test('should start the game from a loaded slot', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const gameState = { version: 2, terrainSeed: 5 };
+
+      scene.scene = { start: jest.fn() };
+      scene.loadSave({ id: 3, name: 'Slot', playTime: 42000, gameState });
+
+      expect(scene.scene.start).toHaveBeenCalledWith('MainScene', { save: gameState, playTime: 42000 });
+
+      consoleSpy.mockRestore();
+    });
+
+    test('should start the game from an imported save file', async () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const state = { version: 2, terrainSeed: 5 };
+      const importSpy = jest.spyOn(SaveSystem, 'importFromFile').mockResolvedValue({ state, errors: [], warnings: [] });
+
+      scene.scene = { start: jest.fn() };
+      const file = { name: 'shared.goddots' };
+
+      expect(await scene.loadSaveFile(file)).toBe(true);
+      expect(importSpy).toHaveBeenCalledWith(file);
+      expect(scene.scene.start).toHaveBeenCalledWith('MainScene', { save: state });
+
+      importSpy.mockRestore();
+      consoleSpy.mockRestore();
+    });
+
+    test('should explain why a save file cannot be imported', async () => {
+      const errors = ['Not a God Dots save file'];
+      const importSpy = jest.spyOn(SaveSystem, 'importFromFile').mockResolvedValue({ state: null, errors, warnings: [] });
+
+      scene.scene = { start: jest.fn() };
+      scene.showPlaceholderDialog = jest.fn();
+
+      expect(await scene.loadSaveFile({ name: 'notes.txt' })).toBe(false);
+      expect(scene.showPlaceholderDialog).toHaveBeenCalledWith('Import Failed', 'Not a God Dots save file');
+      expect(scene.scene.start).not.toHaveBeenCalled();
+
+      importSpy.mockRestore();
+    });
+
     test('should handle settings button click', () => {
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
 
@@ -132,30 +196,47 @@ describe('Story 2: MainMenuScene', () => {
   });
 
   describe('Saved Game Detection', () => {
-    test('should return false if no saved game exists', () => {
-      localStorage.clear();
-      const result = scene.checkForSavedGame();
-      expect(result).toBe(false);
+    test('should return false without a save manager', async () => {
+      scene.registry = { get: jest.fn(() => undefined) };
+      expect(await scene.checkForSavedGame()).toBe(false);
+    });
+
+    test('should return true if a save slot exists', async () => {
+      scene.registry = { get: jest.fn(() => ({ hasSaves: jest.fn().mockResolvedValue(true) })) };
+      expect(await scene.checkForSavedGame()).toBe(true);
+    });
+
+    test('should handle database errors gracefully', async () => {
+      scene.registry = { get: jest.fn(() => ({ hasSaves: jest.fn().mockRejectedValue(new Error('IndexedDB disabled')) })) };
+      expect(await scene.checkForSavedGame()).toBe(false);
     });
+  });
+
+  describe('Replay', () => {
+    test('should start the main scene with the last replay', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      const replay = { version: 1, seed: 7, mapWidth: 10, mapHeight: 10, endTick: 20, commands: [] };
+      localStorage.setItem('godDotsReplay', JSON.stringify(replay));
+      scene.scene = { start: jest.fn() };
+
+      expect(scene.checkForReplay()).toBe(true);
+      scene.watchReplay();
 
-    test('should return true if saved game exists', () => {
-      localStorage.setItem('godDotsSave', JSON.stringify({ test: true }));
-      const result = scene.checkForSavedGame();
-      expect(result).toBe(true);
+      expect(scene.scene.start).toHaveBeenCalledWith('MainScene', { replay });
       localStorage.clear();
+      consoleSpy.mockRestore();
     });
 
-    test('should handle localStorage errors gracefully', () => {
-      // Mock localStorage to throw error
-      const originalGetItem = Storage.prototype.getItem;
-      Storage.prototype.getItem = jest.fn(() => {
-        throw new Error('localStorage disabled');
-      });
+    test('should do nothing without a replay', () => {
+      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
+      localStorage.clear();
+      scene.scene = { start: jest.fn() };
 
-      const result = scene.checkForSavedGame();
-      expect(result).toBe(false);
+      expect(scene.checkForReplay()).toBe(false);
+      scene.watchReplay();
 
-      Storage.prototype.getItem = originalGetItem;
+      expect(scene.scene.start).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
     });
   });
 
@@ -163,6 +244,7 @@ describe('Story 2: MainMenuScene', () => {
     test('should route to correct handler based on key', () => {
       scene.startNewGame = jest.fn();
       scene.continueGame = jest.fn();
+      scene.importSave = jest.fn();
       scene.openSettings = jest.fn();
       scene.showCredits = jest.fn();
 
@@ -174,6 +256,9 @@ describe('Story 2: MainMenuScene', () => {
       scene.handleButtonClick('continue');
       expect(scene.continueGame).toHaveBeenCalled();
 
+      scene.handleButtonClick('import');
+      expect(scene.importSave).toHaveBeenCalled();
+
       scene.handleButtonClick('settings');
       expect(scene.openSettings).toHaveBeenCalled();
 
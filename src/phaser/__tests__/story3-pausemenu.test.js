@@ -12,6 +12,7 @@
 
 import Phaser from 'phaser';
 import MainScene from '../scenes/MainScene';
+import SaveSystem from '../systems/SaveSystem';
 
 describe('Story 3: Pause Menu', () => {
   let game;
@@ -146,9 +147,9 @@ describe('Story 3: Pause Menu', () => {
       expect(scene.pauseOverlay.buttons).toBeDefined();
     });
 
-    test('should create four buttons (Resume, Save, Restart, Main Menu)', () => {
+    test('should create five buttons (Resume, Save, Export, Restart, Main Menu)', () => {
       scene.pauseGame();
-      expect(scene.pauseOverlay.buttons.length).toBe(4);
+      expect(scene.pauseOverlay.buttons.length).toBe(5);
     });
 
     test('should destroy overlay when resumeGame() called', () => {
@@ -167,9 +168,7 @@ describe('Story 3: Pause Menu', () => {
   describe('Game Update Loop', () => {
     test('should skip villager/temple updates when paused', () => {
       // Mock systems
-      scene.villagerSystem = { update: jest.fn() };
-      scene.templeSystem = { update: jest.fn() };
-      scene.playerSystem = { update: jest.fn() };
+      scene.simulation = { advance: jest.fn() };
       scene.cameraControlSystem = { update: jest.fn() };
       scene.gameStarted = true;
       scene.gameEnded = false;
@@ -180,10 +179,8 @@ describe('Story 3: Pause Menu', () => {
       // Call update
       scene.update(1000, 16);
 
-      // Villagers/temples should NOT update
-      expect(scene.villagerSystem.update).not.toHaveBeenCalled();
-      expect(scene.templeSystem.update).not.toHaveBeenCalled();
-      expect(scene.playerSystem.update).not.toHaveBeenCalled();
+      // Simulation (villagers, temples, players) should NOT step
+      expect(scene.simulation.advance).not.toHaveBeenCalled();
 
       // Camera should still update (allow panning while paused)
       expect(scene.cameraControlSystem.update).toHaveBeenCalled();
@@ -191,9 +188,7 @@ describe('Story 3: Pause Menu', () => {
 
     test('should update normally when not paused', () => {
       // Mock systems
-      scene.villagerSystem = { update: jest.fn() };
-      scene.templeSystem = { update: jest.fn() };
-      scene.playerSystem = { update: jest.fn() };
+      scene.simulation = { advance: jest.fn() };
       scene.cameraControlSystem = { update: jest.fn() };
       scene.gameStarted = true;
       scene.gameEnded = false;
@@ -204,10 +199,8 @@ describe('Story 3: Pause Menu', () => {
       // Call update
       scene.update(1000, 16);
 
-      // All systems should update
-      expect(scene.villagerSystem.update).toHaveBeenCalled();
-      expect(scene.templeSystem.update).toHaveBeenCalled();
-      expect(scene.playerSystem.update).toHaveBeenCalled();
+      // Simulation should step with game-speed-scaled time
+      expect(scene.simulation.advance).toHaveBeenCalledWith(16 * scene.gameSpeed);
       expect(scene.cameraControlSystem.update).toHaveBeenCalled();
     });
   });
@@ -272,6 +265,27 @@ describe('Story 3: Pause Menu', () => {
     });
   });
 
+  describe('Export Save', () => {
+    test('should download the game as a save file', async () => {
+      const exportSpy = jest.spyOn(SaveSystem, 'exportToFile').mockResolvedValue('god-dots-day-1-seed-1.goddots');
+
+      expect(await scene.exportSave()).toBe('god-dots-day-1-seed-1.goddots');
+      expect(exportSpy).toHaveBeenCalledWith(scene);
+
+      exportSpy.mockRestore();
+    });
+
+    test('should not export while watching a replay', async () => {
+      const exportSpy = jest.spyOn(SaveSystem, 'exportToFile');
+      scene.replay = {};
+
+      expect(await scene.exportSave()).toBeNull();
+      expect(exportSpy).not.toHaveBeenCalled();
+
+      exportSpy.mockRestore();
+    });
+  });
+
   describe('Pause Button Creation', () => {
     test('should create button with graphics and text', () => {
       const button = scene.createPauseButton(100, 200, 'TEST', jest.fn());
@@ -0,0 +1,170 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Villager Trait Tests
+ *
+ * Villagers are given a few personality traits that change how soon they
+ * worship, how hard they work, when they flee, how easily they convert and
+ * how much miracles move them. Traits are kept in saves.
+ */
+
+import { TRAITS, TRAITS_PER_VILLAGER, rollTraits, getTraitModifier } from '../config/traits';
+import { mostUrgentNeed } from '../config/villagerNeeds';
+import Villager from '../entities/Villager';
+import VillagerSystem from '../systems/VillagerSystem';
+import BuildingSystem, { BUILDING_TYPES } from '../systems/BuildingSystem';
+import JobSystem from '../systems/JobSystem';
+import BeliefSystem from '../systems/BeliefSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PlayerSystem from '../systems/PlayerSystem';
+import RandomService from '../core/RandomService';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const SIZE = 40;
+
+describe('Traits', () => {
+  test('should roll distinct, known traits', () => {
+    const traits = rollTraits(() => 0.999);
+
+    expect(traits).toHaveLength(TRAITS_PER_VILLAGER);
+    expect(new Set(traits).size).toBe(TRAITS_PER_VILLAGER);
+    expect(traits.every(t => TRAITS[t])).toBe(true);
+  });
+
+  test('should combine modifiers and leave the rest alone', () => {
+    expect(getTraitModifier(['pious', 'fickle'], 'conversion')).toBeCloseTo(TRAITS.pious.conversion * TRAITS.fickle.conversion);
+    expect(getTraitModifier(['brave'], 'work')).toBe(1);
+    expect(getTraitModifier(undefined, 'work')).toBe(1);
+    expect(getTraitModifier(['retired_trait'], 'work')).toBe(1);
+  });
+
+  test('should have the pious worship sooner and the greedy later', () => {
+    const needs = { hunger: 0, energy: 100, happiness: 60 };
+
+    expect(mostUrgentNeed(needs)).toBeNull();
+    expect(mostUrgentNeed({ ...needs, traits: ['pious'] })).toBe('happiness');
+    expect(mostUrgentNeed({ ...needs, happiness: 45, traits: ['greedy'] })).toBeNull();
+  });
+
+  test('should save and restore traits', () => {
+    const villager = new Villager(1, 0, 0);
+    villager.traits = ['lazy', 'brave'];
+
+    const loaded = new Villager(1, 0, 0);
+    loaded.restore(JSON.parse(JSON.stringify(villager.serialize())));
+
+    expect(loaded.traits).toEqual(['lazy', 'brave']);
+  });
+});
+
+describe('Traits in the village', () => {
+  let scene;
+  let villagers;
+  let players;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const terrain = Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+    scene = { random: new RandomService(99) };
+
+    players = new PlayerSystem(scene);
+    players.createPlayer({ id: 'p1', type: 'human' });
+    players.createPlayer({ id: 'p2', type: 'ai' });
+
+    villagers = new VillagerSystem(scene, new PathfindingSystem(terrain));
+    villagers.setMapBounds(SIZE, SIZE);
+    villagers.setTerrainData(terrain);
+    villagers.playerSystem = players;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawn(traits, playerId = 'p1') {
+    const villager = villagers.spawnVillager(10, 10);
+    players.addVillager(playerId, villager);
+    villager.traits = traits;
+    return villager;
+  }
+
+  test('should give every new villager the same traits for the same seed', () => {
+    const first = villagers.spawnVillager(5, 5);
+    const replay = new VillagerSystem({ random: new RandomService(99) }, villagers.pathfindingSystem);
+
+    expect(first.traits).toHaveLength(TRAITS_PER_VILLAGER);
+    expect(replay.spawnVillager(5, 5).traits).toEqual(first.traits);
+  });
+
+  test('should have lazy villagers farm less', () => {
+    const buildings = new BuildingSystem(scene);
+    buildings.playerSystem = players;
+    const jobs = new JobSystem(scene);
+    jobs.villagerSystem = villagers;
+    jobs.buildingSystem = buildings;
+    jobs.playerSystem = players;
+
+    buildings.createBuilding('farm', 20, 20, 1);
+    const lazy = spawn(['lazy']);
+    jobs.assignJobs();
+    lazy.startWork();
+    const before = players.getPlayer('p1').food;
+
+    jobs.update(1000);
+
+    expect(players.getPlayer('p1').food - before).toBeCloseTo(BUILDING_TYPES.farm.foodPerWorker * TRAITS.lazy.work);
+  });
+
+  test('should have the brave hold on longer before fleeing', () => {
+    const flee = jest.spyOn(villagers, 'sendVillagerHome').mockImplementation(() => {});
+    const plain = spawn([]);
+    const brave = spawn(['brave']);
+    spawn([], 'p2');
+    plain.health = brave.health = 15; // Below the usual flee threshold, above the brave one
+
+    villagers.processCombat(1);
+
+    expect(flee).toHaveBeenCalledWith(plain);
+    expect(flee).not.toHaveBeenCalledWith(brave);
+  });
+
+  describe('belief', () => {
+    let belief;
+
+    beforeEach(() => {
+      belief = new BeliefSystem({ events: { on: jest.fn(), emit: jest.fn() } }, null);
+      belief.villagerSystem = villagers;
+    });
+
+    test('should make the pious slow to convert and the fickle quick', () => {
+      const plain = spawn([]);
+      const pious = spawn(['pious']);
+      const fickle = spawn(['fickle']);
+
+      for (const villager of [plain, pious, fickle]) {
+        belief.addBelief(villager.id, 'p2', 10);
+        belief.addBelief(villager.id, 'p1', 10);
+      }
+
+      expect(belief.getBeliefStrength(plain.id, 'p2')).toBe(10);
+      expect(belief.getBeliefStrength(pious.id, 'p2')).toBe(10 * TRAITS.pious.conversion);
+      expect(belief.getBeliefStrength(fickle.id, 'p2')).toBe(10 * TRAITS.fickle.conversion);
+      expect(belief.getBeliefStrength(pious.id, 'p1')).toBe(10); // Their own god is unaffected
+    });
+
+    test('should have miracles move the fickle more', () => {
+      const miracle = { type: 'heal', position: { x: 10, y: 10 }, power: 1 };
+      const plain = spawn([]);
+      const fickle = spawn(['fickle']);
+
+      const plainChange = belief.processWitnessEvent(plain, miracle, 'p1');
+      const fickleChange = belief.processWitnessEvent(fickle, miracle, 'p1');
+
+      expect(fickleChange).toBeCloseTo(plainChange * TRAITS.fickle.miracle);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Villager Conversion Tests
+ *
+ * Belief crossing the devoted threshold for a rival god flips the villager's
+ * ownership, color and home temple, and records a ConversionEvent.
+ */
+
+import VillagerSystem from '../systems/VillagerSystem';
+import PlayerSystem, { PLAYER_COLORS } from '../systems/PlayerSystem';
+import BeliefSystem, { BELIEF_CONSTANTS } from '../systems/BeliefSystem';
+
+function createMockScene() {
+  const listeners = {};
+  return {
+    add: {
+      circle: jest.fn(() => ({
+        setDepth: jest.fn(),
+        setStrokeStyle: jest.fn(),
+        setFillStyle: jest.fn(),
+        setAlpha: jest.fn(),
+        setScale: jest.fn(),
+        setVisible: jest.fn(),
+        destroy: jest.fn(),
+        x: 0,
+        y: 0,
+        alpha: 1,
+      })),
+    },
+    events: {
+      emit: jest.fn((event, data) => (listeners[event] || []).forEach(fn => fn(data))),
+      on: jest.fn((event, fn) => { (listeners[event] = listeners[event] || []).push(fn); }),
+      off: jest.fn(),
+    },
+  };
+}
+
+describe('Villager conversion', () => {
+  let scene;
+  let playerSystem;
+  let villagerSystem;
+  let beliefSystem;
+  let villager;
+
+  beforeEach(() => {
+    scene = createMockScene();
+
+    playerSystem = new PlayerSystem(scene);
+    playerSystem.createPlayer({ id: 'human', type: 'human', color: PLAYER_COLORS.HUMAN });
+    playerSystem.createPlayer({ id: 'ai', type: 'ai', color: PLAYER_COLORS.AI_1 });
+
+    const temples = [
+      { id: 'temple_human', playerId: 'human', level: 1, position: { x: 20, y: 20 } },
+      { id: 'temple_ai', playerId: 'ai', level: 1, position: { x: 80, y: 80 } },
+    ];
+
+    const pathfinder = { findRoute: jest.fn(() => [{ x: 20, y: 20 }]) };
+    pathfinder.forProfile = () => pathfinder;
+    pathfinder.findCachedRoute = (sx, sy, gx, gy, search) => search();
+    villagerSystem = new VillagerSystem(scene, pathfinder);
+    villagerSystem.playerSystem = playerSystem;
+    villagerSystem.templeSystem = {
+      temples,
+      getTemple: (id) => temples.find(t => t.id === id) || null,
+    };
+
+    villager = villagerSystem.spawnVillager(75, 75);
+    villager.traits = []; // Neither pious nor fickle
+    playerSystem.addVillager('ai', villager);
+
+    beliefSystem = new BeliefSystem(scene, null);
+    beliefSystem.villagerSystem = villagerSystem;
+    scene.events.on('villager_converted', (data) => {
+      villagerSystem.convertVillager(data.villagerId, data.playerId);
+    });
+  });
+
+  describe('convertVillager', () => {
+    test('should move the villager between player lists', () => {
+      expect(villagerSystem.convertVillager(villager.id, 'human')).toBe(true);
+
+      expect(villager.playerId).toBe('human');
+      expect(playerSystem.getPlayer('human').devotedVillagers).toContain(villager.id);
+      expect(playerSystem.getPlayer('ai').devotedVillagers).not.toContain(villager.id);
+      expect(playerSystem.getPlayer('human').population).toBe(1);
+      expect(playerSystem.getPlayer('ai').population).toBe(0);
+    });
+
+    test('should recolor the villager to the new owner', () => {
+      villagerSystem.convertVillager(villager.id, 'human');
+
+      expect(villager.playerColor).toBe(PLAYER_COLORS.HUMAN);
+    });
+
+    test("should re-home to the new owner's nearest temple and walk there", () => {
+      villagerSystem.convertVillager(villager.id, 'human');
+
+      expect(villager.origin).toEqual({ x: 20, y: 20 });
+      expect(villager.returningHome).toBe(true);
+      villagerSystem.deliverPaths();
+      expect(villager.state).toBe('moving');
+      expect(villagerSystem.pathfindingSystem.findRoute).toHaveBeenCalledWith(75, 75, 20, 20);
+    });
+
+    test('should abandon worship at the old temple', () => {
+      villager.startWorship('temple_ai');
+
+      villagerSystem.convertVillager(villager.id, 'human');
+
+      expect(villager.worshipTempleId).toBeNull();
+      expect(villager.state).not.toBe('worshipping');
+    });
+
+    test('should stay asleep but still move home', () => {
+      villager.startSleep();
+
+      villagerSystem.convertVillager(villager.id, 'human');
+
+      expect(villager.state).toBe('sleeping');
+      expect(villager.origin).toEqual({ x: 20, y: 20 });
+    });
+
+    test('should ignore conversion to the current owner', () => {
+      expect(villagerSystem.convertVillager(villager.id, 'ai')).toBe(false);
+      expect(playerSystem.getPlayer('ai').population).toBe(1);
+    });
+
+    test('should ignore unknown villagers', () => {
+      expect(villagerSystem.convertVillager(999, 'human')).toBe(false);
+    });
+  });
+
+  describe('belief threshold', () => {
+    test('should convert when belief in a rival crosses the devoted threshold', () => {
+      beliefSystem.updateCache(villager.id, 'human', 70);
+
+      beliefSystem.addBelief(villager.id, 'human', 15, { method: 'miracle', miracleType: 'heal' });
+
+      expect(villager.playerId).toBe('human');
+      expect(scene.events.emit).toHaveBeenCalledWith('villager_converted', expect.objectContaining({
+        villagerId: villager.id,
+        playerId: 'human',
+        fromPlayerId: 'ai',
+      }));
+    });
+
+    test('should record a ConversionEvent', () => {
+      beliefSystem.updateCache(villager.id, 'human', 70);
+
+      beliefSystem.addBelief(villager.id, 'human', 15, { method: 'miracle', miracleType: 'heal' });
+
+      const [event] = beliefSystem.getConversionEvents(villager.id);
+      expect(event).toEqual(expect.objectContaining({
+        villagerId: villager.id,
+        fromPlayerId: 'ai',
+        toPlayerId: 'human',
+        method: 'miracle',
+        beliefBefore: 70,
+        beliefAfter: 85,
+      }));
+      expect(event.context.miracleType).toBe('heal');
+    });
+
+    test('should write the ConversionEvent to the database when present', async () => {
+      beliefSystem.db = {
+        VillagerBelief: {
+          where: jest.fn().mockReturnThis(),
+          equals: jest.fn().mockReturnThis(),
+          first: jest.fn(),
+          add: jest.fn(),
+        },
+        ConversionEvent: { add: jest.fn() },
+      };
+
+      await beliefSystem.logConversion(villager.id, 'ai', 'human', 'worship', 75, 81);
+
+      expect(beliefSystem.db.ConversionEvent.add).toHaveBeenCalledWith(expect.objectContaining({
+        villagerId: villager.id,
+        toPlayerId: 'human',
+        method: 'worship',
+      }));
+    });
+
+    test("should not convert when devotion grows for the villager's own god", () => {
+      beliefSystem.updateCache(villager.id, 'ai', 70);
+
+      beliefSystem.addBelief(villager.id, 'ai', 15, { method: 'worship' });
+
+      expect(scene.events.emit).not.toHaveBeenCalledWith('villager_converted', expect.anything());
+      expect(beliefSystem.getConversionEvents()).toHaveLength(0);
+    });
+
+    test('should not convert below the devoted threshold', () => {
+      beliefSystem.addBelief(villager.id, 'human', BELIEF_CONSTANTS.DEVOTED_THRESHOLD - 1);
+
+      expect(villager.playerId).toBe('ai');
+    });
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Villager Needs Tests
+ *
+ * Each villager gets hungry, tired and unhappy over time. When idle it sees
+ * to its most urgent need: a meal at home from its owner's food store, a nap,
+ * or worship. Needs left unmet cost speed, health and faith.
+ */
+
+import {
+  NEED_MAX, URGENT_NEED, MEAL_FOOD, STARTING_NEEDS,
+  advanceNeeds, needsDamage, mostUrgentNeed
+} from '../config/villagerNeeds';
+import Villager from '../entities/Villager';
+import VillagerSystem from '../systems/VillagerSystem';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import PlayerSystem from '../systems/PlayerSystem';
+import BeliefSystem, { BELIEF_CONSTANTS } from '../systems/BeliefSystem';
+import { BIOME_TYPES } from '../config/terrainConfig';
+
+const DAY = 60000;
+const SIZE = 60;
+
+describe('Needs', () => {
+  const content = { hunger: 0, energy: NEED_MAX, happiness: NEED_MAX };
+
+  test('should get hungry and tired while awake, and rest while asleep', () => {
+    const awake = advanceNeeds(content, 'idle', DAY / 2);
+    const asleep = advanceNeeds({ ...content, energy: 0 }, 'sleeping', DAY / 2);
+
+    expect(awake.hunger).toBeGreaterThan(0);
+    expect(awake.energy).toBeLessThan(NEED_MAX);
+    expect(awake.happiness).toBeLessThan(NEED_MAX);
+    expect(asleep.energy).toBe(NEED_MAX);
+  });
+
+  test('should cheer up while worshipping', () => {
+    const needs = { ...content, happiness: 40 };
+
+    expect(advanceNeeds(needs, 'worshipping', 6000).happiness).toBeGreaterThan(needs.happiness);
+  });
+
+  test('should lose happiness faster while starving or exhausted', () => {
+    const needs = { ...content, happiness: 60 };
+    const lost = state => needs.happiness - advanceNeeds({ ...needs, ...state }, 'idle', DAY / 10).happiness;
+
+    expect(lost({ hunger: NEED_MAX })).toBeGreaterThan(lost({}));
+    expect(lost({ hunger: NEED_MAX, energy: 0 })).toBeGreaterThan(lost({ hunger: NEED_MAX }));
+  });
+
+  test('should stay between 0 and NEED_MAX', () => {
+    const needs = advanceNeeds({ hunger: NEED_MAX, energy: 0, happiness: 0 }, 'idle', DAY * 10);
+
+    expect(needs).toEqual({ hunger: NEED_MAX, energy: 0, happiness: 0 });
+  });
+
+  test('should only cost health when starving or exhausted', () => {
+    expect(needsDamage({ hunger: NEED_MAX - 1, energy: 1 }, DAY)).toBe(0);
+    expect(needsDamage({ hunger: NEED_MAX, energy: 1 }, DAY)).toBeGreaterThan(0);
+    expect(needsDamage({ hunger: 0, energy: 0 }, DAY)).toBeGreaterThan(0);
+  });
+
+  test('should pick the most urgent need once it passes the threshold', () => {
+    expect(mostUrgentNeed(content)).toBeNull();
+    expect(mostUrgentNeed({ ...content, hunger: URGENT_NEED - 1 })).toBeNull();
+    expect(mostUrgentNeed({ hunger: 70, energy: 20, happiness: 40 })).toBe('energy');
+    expect(mostUrgentNeed({ hunger: 60, energy: 40, happiness: 40 })).toBe('hunger'); // Ties go to hunger
+    expect(mostUrgentNeed({ hunger: 0, energy: 90, happiness: 10 })).toBe('happiness');
+  });
+});
+
+describe('Villager needs', () => {
+  test('should start out fed and rested', () => {
+    const villager = new Villager(1, 0, 0);
+
+    expect(villager).toMatchObject(STARTING_NEEDS);
+  });
+
+  test('should change with time even when asleep', () => {
+    const villager = new Villager(1, 0, 0);
+    villager.energy = 10;
+    villager.startSleep();
+
+    villager.update(DAY / 4);
+
+    expect(villager.hunger).toBeGreaterThan(0);
+    expect(villager.energy).toBeGreaterThan(10);
+  });
+
+  test('should lose health while starving', () => {
+    const villager = new Villager(1, 0, 0);
+    villager.hunger = NEED_MAX;
+
+    villager.update(DAY / 2);
+
+    expect(villager.health).toBeLessThan(villager.maxHealth);
+  });
+
+  test('should be saved and restored', () => {
+    const villager = new Villager(1, 0, 0);
+    Object.assign(villager, { hunger: 30, energy: 60, happiness: 20, goingToEat: true });
+
+    const loaded = new Villager(1, 0, 0);
+    loaded.restore(JSON.parse(JSON.stringify(villager.serialize())));
+
+    expect(loaded).toMatchObject({ hunger: 30, energy: 60, happiness: 20, goingToEat: true });
+  });
+});
+
+describe('Seeing to needs', () => {
+  let villagers;
+  let players;
+  let temple;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const terrain = Array.from({ length: SIZE }, () => Array(SIZE).fill(BIOME_TYPES.GRASSLAND));
+    const pathfinder = new PathfindingSystem(terrain);
+    players = new PlayerSystem({});
+    players.createPlayer({ id: 'p1', type: 'human', food: 10 });
+
+    temple = { id: 'temple_p1', playerId: 'p1', level: 1, position: { x: 10, y: 10 } };
+    villagers = new VillagerSystem({}, pathfinder);
+    villagers.setMapBounds(SIZE, SIZE);
+    villagers.setTerrainData(terrain);
+    villagers.playerSystem = players;
+    villagers.templeSystem = { temples: [temple], getTemple: id => (id === temple.id ? temple : null) };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function spawn(x, y, needs) {
+    const villager = villagers.spawnVillager(x, y);
+    players.addVillager('p1', villager);
+    Object.assign(villager, needs);
+    return villager;
+  }
+
+  function runUntil(done, maxTicks = 400) {
+    for (let tick = 0; tick < maxTicks && !done(); tick++) villagers.update(50);
+  }
+
+  test('should walk home and eat from the owner\'s food store', () => {
+    const villager = spawn(40, 40, { hunger: 80 });
+
+    villagers.update(50);
+    expect(villager.goingToEat).toBe(true);
+    expect(villager.state).toBe('moving');
+
+    runUntil(() => villager.hunger < 10);
+
+    expect(villager.hunger).toBeLessThan(10);
+    expect(Math.hypot(villager.x - temple.position.x, villager.y - temple.position.y)).toBeLessThan(2);
+    expect(players.getPlayer('p1').food).toBeCloseTo(10 - MEAL_FOOD);
+  });
+
+  test('should go hungry when there is no food, and slow down once starving', () => {
+    players.getPlayer('p1').food = 0;
+    const villager = spawn(40, 40, { hunger: NEED_MAX });
+
+    runUntil(() => false, 100);
+
+    expect(villager.goingToEat).toBe(false);
+    expect(villager.hunger).toBe(NEED_MAX);
+    expect(villager.speedMultiplier).toBeLessThan(1);
+    expect(villager.health).toBeLessThan(villager.maxHealth);
+  });
+
+  test('should nap when exhausted and get up once rested', () => {
+    const villager = spawn(12, 12, { energy: 10 });
+
+    villagers.update(50);
+    expect(villager.state).toBe('sleeping');
+
+    runUntil(() => villager.state !== 'sleeping', 1000);
+
+    expect(villager.energy).toBe(NEED_MAX);
+  });
+
+  test('should go and worship when unhappy', () => {
+    const villager = spawn(30, 30, { happiness: 10 });
+
+    villagers.update(50);
+
+    expect(villager.goingToWorship).toBe(true);
+    expect(villager.worshipTempleId).toBe(temple.id);
+  });
+
+  test('should wander when nothing is urgent', () => {
+    const villager = spawn(30, 30, { hunger: 0, energy: NEED_MAX, happiness: NEED_MAX });
+
+    villagers.update(50);
+
+    expect(villager.state).toBe('thinking');
+    expect(villager.goingToEat || villager.goingToWorship).toBe(false);
+  });
+});
+
+describe('Needs and belief', () => {
+  test('should lose faith quickly while starving', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const beliefs = new BeliefSystem(null, null);
+    jest.spyOn(beliefs, 'addBelief').mockImplementation(() => {});
+
+    beliefs.applyBeliefDecay({ id: 'v1', health: 100, happiness: 80, hunger: NEED_MAX }, 'p1', 1);
+
+    expect(beliefs.addBelief).toHaveBeenCalledWith(
+      'v1', 'p1', -BELIEF_CONSTANTS.STARVATION_DECAY_RATE, expect.objectContaining({ reason: 'starvation' })
+    );
+    jest.restoreAllMocks();
+  });
+});
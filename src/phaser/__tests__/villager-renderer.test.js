@@ -0,0 +1,191 @@
+/**
+ * Villager Renderer Tests
+ *
+ * Villagers are drawn as Blitter bobs, one Blitter per look (colour + state),
+ * so draw batches grow with the number of looks, not villagers. State
+ * visuals, flashes, culling and fog filtering carry over from the old
+ * per-villager circles.
+ */
+
+import VillagerRenderer, { getStateAlpha } from '../systems/VillagerRenderer';
+import Villager from '../entities/Villager';
+
+function createMockBlitter() {
+  const blitter = {
+    children: [],
+    setDepth: jest.fn(),
+    destroy: jest.fn(),
+    create: jest.fn((x, y) => {
+      const bob = {
+        x,
+        y,
+        alpha: 1,
+        visible: true,
+        setAlpha: jest.fn(function (value) { this.alpha = value; return this; }),
+        setVisible: jest.fn(function (value) { this.visible = value; return this; }),
+        destroy: jest.fn(() => {
+          blitter.children.splice(blitter.children.indexOf(bob), 1);
+        })
+      };
+      blitter.children.push(bob);
+      return bob;
+    })
+  };
+  return blitter;
+}
+
+function createMockScene() {
+  const textures = new Set();
+  const scene = {
+    blitters: {},
+    textures: { exists: jest.fn(key => textures.has(key)) },
+    make: {
+      graphics: jest.fn(() => ({
+        fillStyle: jest.fn(),
+        fillCircle: jest.fn(),
+        lineStyle: jest.fn(),
+        strokeCircle: jest.fn(),
+        generateTexture: jest.fn(key => textures.add(key)),
+        destroy: jest.fn()
+      }))
+    },
+    add: {
+      blitter: jest.fn((x, y, key) => {
+        scene.blitters[key] = createMockBlitter();
+        return scene.blitters[key];
+      })
+    },
+    cameras: { main: { scrollX: 0, scrollY: 0, width: 800, height: 600, zoom: 1 } }
+  };
+  return scene;
+}
+
+const RED = 0xff0000;
+const BLUE = 0x0000ff;
+
+function createVillager(id, x, y, color, state = 'idle') {
+  const villager = new Villager(id, x, y);
+  villager.playerColor = color;
+  villager.state = state;
+  return villager;
+}
+
+describe('VillagerRenderer', () => {
+  let scene;
+  let renderer;
+
+  beforeEach(() => {
+    scene = createMockScene();
+    renderer = new VillagerRenderer(scene);
+  });
+
+  test('should batch villagers by look instead of one object each', () => {
+    const villagers = [];
+    for (let i = 0; i < 300; i++) {
+      villagers.push(createVillager(i + 1, i % 50, Math.floor(i / 50), i % 2 ? RED : BLUE, i % 3 ? 'idle' : 'moving'));
+    }
+
+    renderer.render(villagers, 16);
+
+    expect(scene.add.blitter).toHaveBeenCalledTimes(4);
+    expect(renderer.getBatchCount()).toBe(4);
+    expect(scene.make.graphics).toHaveBeenCalledTimes(4);
+
+    renderer.render(villagers, 16);
+    expect(scene.add.blitter).toHaveBeenCalledTimes(4);
+  });
+
+  test('should follow villagers and centre them on their tile', () => {
+    const villager = createVillager(1, 10, 20, RED);
+    renderer.render([villager], 16);
+    villager.x = 12;
+    renderer.render([villager], 16);
+
+    const [layer] = renderer.layers.values();
+    const bob = layer.blitter.children[0];
+    expect(bob.x + layer.offset).toBe(12 * 4 + 2);
+    expect(bob.y + layer.offset).toBe(20 * 4 + 2);
+  });
+
+  test('should move a villager to another batch when its state changes', () => {
+    const villager = createVillager(1, 10, 10, RED, 'idle');
+    renderer.render([villager], 16);
+    const idleLayer = renderer.layers.get(renderer.getLookKey(RED, 'idle'));
+
+    villager.state = 'sleeping';
+    renderer.render([villager], 16);
+    const sleepLayer = renderer.layers.get(renderer.getLookKey(RED, 'sleeping'));
+
+    expect(idleLayer.blitter.children).toHaveLength(0);
+    expect(sleepLayer.blitter.children).toHaveLength(1);
+    expect(sleepLayer.blitter.children[0].alpha).toBe(0.3);
+  });
+
+  test('should pulse worshippers', () => {
+    const villager = createVillager(1, 10, 10, RED, 'worshipping');
+
+    renderer.render([villager], 100);
+    const bob = renderer.sprites.get(1).bob;
+    const first = bob.alpha;
+    renderer.render([villager], 400);
+
+    expect(bob.alpha).not.toBe(first);
+    expect(bob.alpha).toBeCloseTo(getStateAlpha('worshipping', 500));
+  });
+
+  test('should flash a villager and then restore its colour', () => {
+    const villager = createVillager(1, 10, 10, BLUE);
+
+    renderer.flash(1, 0xFF0000, 200);
+    renderer.render([villager], 16);
+    expect(renderer.sprites.get(1).key).toBe(renderer.getLookKey(0xFF0000, 'idle'));
+
+    // Repeated hits don't keep the flash lit
+    renderer.flash(1, 0xFF0000, 200);
+    renderer.render([villager], 200);
+    expect(renderer.sprites.get(1).key).toBe(renderer.getLookKey(BLUE, 'idle'));
+  });
+
+  test('should hide villagers off camera or rejected by the fog filter', () => {
+    const onScreen = createVillager(1, 10, 10, RED);
+    const offScreen = createVillager(2, 1000, 1000, RED);
+    const fogged = createVillager(3, 20, 20, BLUE);
+    renderer.visibilityFilter = v => v.playerColor !== BLUE;
+
+    renderer.render([onScreen, offScreen, fogged], 16);
+
+    expect(renderer.sprites.get(1).bob.visible).toBe(true);
+    expect(renderer.sprites.get(2).bob.visible).toBe(false);
+    expect(renderer.sprites.get(3).bob.visible).toBe(false);
+  });
+
+  test('should hide villagers asleep indoors', () => {
+    const villager = createVillager(1, 10, 10, RED);
+    villager.startSleep(true);
+
+    renderer.render([villager], 16);
+    expect(renderer.sprites.get(1).bob.visible).toBe(false);
+
+    villager.wakeUp();
+    renderer.render([villager], 16);
+    expect(renderer.sprites.get(1).bob.visible).toBe(true);
+  });
+
+  test('should drop villagers that are gone', () => {
+    const a = createVillager(1, 10, 10, RED);
+    const b = createVillager(2, 11, 10, RED);
+    renderer.render([a, b], 16);
+
+    renderer.render([a], 16);
+
+    expect(renderer.sprites.has(2)).toBe(false);
+    expect(renderer.layers.get(renderer.getLookKey(RED, 'idle')).blitter.children).toHaveLength(1);
+  });
+
+  test('should do nothing in a scene that cannot draw', () => {
+    const headless = new VillagerRenderer({});
+
+    expect(() => headless.render([createVillager(1, 0, 0, RED)], 16)).not.toThrow();
+    expect(headless.sprites.size).toBe(0);
+  });
+});
@@ -9,6 +9,8 @@ import { useEffect, useRef, useState } from 'react';
 import Phaser from 'phaser';
 import { createGameConfig } from '../config/gameConfig';
 import TerrainDevPanel from './TerrainDevPanel';
+import SaveManager from '../systems/SaveManager';
+import db from '../../db/db';
 
 /**
  * PhaserGame component - mounts Phaser game instance into React
@@ -30,6 +32,17 @@ export default function PhaserGame() {
       // Create game instance
       gameRef.current = new Phaser.Game(config);
 
+      // Save slots for the menu and pause screens (scenes read it from the registry)
+      const saveManager = new SaveManager(db);
+      saveManager.importLegacySaves();
+      gameRef.current.registry.set('saveManager', saveManager);
+
+      // Path searches run on a worker (MainScene starts one per game)
+      if (typeof Worker !== 'undefined') {
+        gameRef.current.registry.set('createPathWorker', () =>
+          new Worker(new URL('../systems/PathfindingWorker.js', import.meta.url), { type: 'module' }));
+      }
+
       // Expose to window for debugging (dev only)
       if (import.meta.env.DEV) {
         window.phaserGame = gameRef.current;
@@ -68,6 +68,7 @@ export default function TerrainDevPanel({ gameRef, isVisible, onToggle }) {
   const [startY, setStartY] = useState('100');
   const [endX, setEndX] = useState('150');
   const [endY, setEndY] = useState('150');
+  const [pathCacheStats, setPathCacheStats] = useState(null);
 
   // Villager state
   const [villagerCount, setVillagerCount] = useState(0);
@@ -115,6 +116,7 @@ export default function TerrainDevPanel({ gameRef, isVisible, onToggle }) {
         setBuildingMode(scene.buildingSystem.selectedType);
         setBuildingCount(scene.buildingSystem.getCount());
       }
+      if (scene.pathfindingSystem) setPathCacheStats(scene.pathfindingSystem.getPathCacheStats());
     }, POLL_INTERVAL_MS);
 
     return () => clearInterval(interval);
@@ -475,6 +477,18 @@ export default function TerrainDevPanel({ gameRef, isVisible, onToggle }) {
                 <button onClick={handleFindPath} className="find-path-btn">Find Path</button>
                 <button onClick={handleClearPath} className="clear-path-btn">Clear Path</button>
               </div>
+              {pathCacheStats && (
+                <div className="stats" style={{ marginTop: '8px' }}>
+                  <div className="stat-item">
+                    <span>Path Cache Hits:</span>
+                    <span style={{ fontWeight: 'bold' }}>
+                      {Math.round(pathCacheStats.hitRate * 100)}% ({pathCacheStats.hits}/{pathCacheStats.hits + pathCacheStats.misses})
+                    </span>
+                  </div>
+                  <div className="stat-item"><span>Cached Paths:</span><span>{pathCacheStats.size}</span></div>
+                  <div className="stat-item"><span>Invalidated:</span><span>{pathCacheStats.invalidated}</span></div>
+                </div>
+              )}
             </div>
           )}
         </section>
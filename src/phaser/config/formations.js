@@ -0,0 +1,69 @@
+/**
+ * Formations
+ *
+ * Shapes a group of villagers keeps while following one shared path. A
+ * formation is a grid of slots (tile offsets from the shared path) laid out
+ * row by row, centred on the path; `columns` says how wide a row is.
+ */
+
+export const DEFAULT_FORMATION = 'box';
+export const FORMATION_SPACING = 2; // Tiles between neighbouring slots
+
+export const FORMATIONS = {
+  box: {
+    name: 'Box',
+    columns: count => Math.ceil(Math.sqrt(count)),
+  },
+  line: {
+    name: 'Line',
+    columns: count => count,
+  },
+};
+
+/**
+ * Slot offsets for a group, row by row from the top left
+ * @param {string} formation - Key of FORMATIONS
+ * @param {number} count - Group size
+ * @param {number} spacing - Tiles between slots
+ * @returns {Array<{dx, dy}>}
+ */
+export function getFormationOffsets(formation, count, spacing = FORMATION_SPACING) {
+  const config = FORMATIONS[formation];
+  if (!config) throw new Error(`Unknown formation: ${formation}`);
+  if (count <= 0) return [];
+
+  const columns = config.columns(count);
+  const rows = Math.ceil(count / columns);
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    const column = i % columns;
+    const row = Math.floor(i / columns);
+    offsets.push({
+      dx: (column - Math.floor((columns - 1) / 2)) * spacing,
+      dy: (row - Math.floor((rows - 1) / 2)) * spacing,
+    });
+  }
+  return offsets;
+}
+
+/**
+ * Give each member the slot matching where it stands in the group, so
+ * nobody has to cross the formation to reach theirs
+ * Members are split into rows top to bottom, then ordered left to right.
+ * @param {Array<{id, x, y}>} members
+ * @param {string} formation - Key of FORMATIONS
+ * @param {number} spacing - Tiles between slots
+ * @returns {Array<{member, dx, dy}>} One slot per member
+ */
+export function arrangeInFormation(members, formation, spacing = FORMATION_SPACING) {
+  const offsets = getFormationOffsets(formation, members.length, spacing);
+  const columns = FORMATIONS[formation].columns(members.length);
+
+  const byRow = [...members].sort((a, b) => a.y - b.y || a.x - b.x || a.id - b.id);
+  const slots = [];
+  for (let start = 0; start < byRow.length; start += columns) {
+    const row = byRow.slice(start, start + columns).sort((a, b) => a.x - b.x || a.y - b.y || a.id - b.id);
+    row.forEach((member, i) => slots.push({ member, ...offsets[start + i] }));
+  }
+  return slots;
+}
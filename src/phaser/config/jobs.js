@@ -0,0 +1,25 @@
+/**
+ * Jobs
+ *
+ * What villagers can be put to work as. Each job has a kind of workplace:
+ * - builder: a construction site (any building not yet finished)
+ * - farmer / forester: a finished building whose type lists the job
+ *   (BUILDING_TYPES in BuildingSystem.js), up to its `workers`
+ * - priest: a temple, PRIESTS_PER_TEMPLE_LEVEL per level
+ * Jobs are filled in JOB_PRIORITY order.
+ */
+
+export const JOBS = {
+  builder: { name: 'Builder' },
+  farmer: { name: 'Farmer' },
+  forester: { name: 'Forester' },
+  priest: { name: 'Priest' },
+};
+
+export const JOB_PRIORITY = ['builder', 'farmer', 'forester', 'priest'];
+
+export const BUILDERS_PER_SITE = 2;
+export const PRIESTS_PER_TEMPLE_LEVEL = 1;
+export const PRIEST_BELIEF_PER_SEC = 0.5; // Player BP from each priest at work
+export const WORK_RANGE = 2; // Tiles from its work spot a villager can work
+export const WORK_SHIFT = 10000; // ms worked before the villager checks on its needs again
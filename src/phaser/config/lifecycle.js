@@ -0,0 +1,52 @@
+/**
+ * Villager Lifecycle
+ *
+ * Villagers age as game days pass (one day is 60s) and go through three
+ * stages:
+ * - child: too young to work (JobSystem passes children over)
+ * - adult
+ * - elder: walks slower
+ * Each villager is given a lifespan when it appears and dies of old age on
+ * reaching it. New villagers are born to couples living in houses
+ * (PopulationSystem); temples only send the odd pilgrim. Ages are in days.
+ */
+
+export const DAY_MS = 60000;
+export const ADULT_AGE = 10;
+export const ELDER_AGE = 50;
+export const LIFESPAN_MIN = 60;
+export const LIFESPAN_MAX = 75;
+export const STARTING_AGE = 25; // As in the Villager table (db/schema.js)
+export const ELDER_SPEED_MULTIPLIER = 0.7;
+
+export const BIRTH_INTERVAL = DAY_MS; // ms a couple takes to have a child
+export const BIRTH_FOOD = 10; // Food a birth takes from the owner's store
+
+export const LIFE_STAGES = {
+  child: { name: 'Child' },
+  adult: { name: 'Adult' },
+  elder: { name: 'Elder' },
+};
+
+export const isChild = v => v.age < ADULT_AGE;
+export const isElder = v => v.age >= ELDER_AGE;
+
+/**
+ * Stage of life at an age
+ * @param {number} age - Days
+ * @returns {string} Key of LIFE_STAGES
+ */
+export function getLifeStage(age) {
+  if (age < ADULT_AGE) return 'child';
+  if (age < ELDER_AGE) return 'adult';
+  return 'elder';
+}
+
+/**
+ * Age at which a new villager will die of old age
+ * @param {Function} random - Returns a float in [0, 1)
+ * @returns {number} Days
+ */
+export function rollLifespan(random) {
+  return LIFESPAN_MIN + random() * (LIFESPAN_MAX - LIFESPAN_MIN);
+}
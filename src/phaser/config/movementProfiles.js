@@ -0,0 +1,47 @@
+/**
+ * Movement Profiles
+ *
+ * How different kinds of agent get around. A profile overrides passability
+ * and movement cost per biome (keyed by biome name) and sets how hard climbing
+ * is. PathfindingSystem.forProfile() gives a pathfinder that searches with one.
+ */
+
+import { BIOME_TYPES } from './terrainConfig';
+
+export const DEFAULT_PROFILE = 'walker';
+
+export const MOVEMENT_PROFILES = {
+  walker: {
+    name: 'Walker',
+    biomes: {},
+    climbCost: 0.5, // Extra cost per height level climbed
+  },
+
+  swimmer: {
+    name: 'Swimmer',
+    biomes: {
+      [BIOME_TYPES.SHALLOW_WATER.name]: { passable: true, movementCost: 3.0 },
+    },
+    climbCost: 0.5,
+  },
+
+  boat: {
+    name: 'Boat',
+    biomes: {
+      [BIOME_TYPES.SHALLOW_WATER.name]: { passable: true, movementCost: 1.0 },
+      [BIOME_TYPES.DEEP_OCEAN.name]: { passable: true, movementCost: 1.0 },
+    },
+    biomesOnly: true, // Everything not listed (land) is impassable
+    climbCost: 0,
+  },
+
+  flying: {
+    name: 'Flying',
+    biomes: Object.fromEntries(Object.values(BIOME_TYPES).map(biome => [
+      biome.name, { passable: true, movementCost: 1.0 }
+    ])),
+    climbCost: 0,
+    ignoresHeight: true,
+    ignoresBuildings: true, // Flies over walls and doesn't care for roads
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Villager Traits
+ *
+ * Every villager is given TRAITS_PER_VILLAGER personality traits when it
+ * appears. A trait scales some of:
+ * - worship: how soon an unhappy villager goes to worship (villagerNeeds.js)
+ * - work: what it produces at its job (JobSystem)
+ * - flee: the share of its health at which it runs from a fight
+ * - conversion: belief it picks up in gods other than its own (BeliefSystem)
+ * - miracle: how much a miracle it witnesses moves it
+ * A villager's modifiers multiply together; anything a trait doesn't list is
+ * left alone.
+ */
+
+export const TRAITS = {
+  pious: { name: 'Pious', worship: 1.5, conversion: 0.5, miracle: 1.25 },
+  lazy: { name: 'Lazy', work: 0.6 },
+  brave: { name: 'Brave', flee: 0.5 },
+  fickle: { name: 'Fickle', conversion: 1.5, miracle: 1.5 },
+  greedy: { name: 'Greedy', work: 1.25, worship: 0.75 },
+};
+
+export const TRAITS_PER_VILLAGER = 2;
+
+/**
+ * Distinct traits for a new villager
+ * @param {Function} random - Returns a float in [0, 1)
+ * @returns {Array<string>} Keys of TRAITS
+ */
+export function rollTraits(random) {
+  const pool = Object.keys(TRAITS);
+  const traits = [];
+  while (traits.length < TRAITS_PER_VILLAGER && pool.length > 0) {
+    traits.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return traits;
+}
+
+/**
+ * Combined effect of a villager's traits on one kind of behaviour
+ * @param {Array<string>} traits - Keys of TRAITS (none for a plain needs object)
+ * @param {string} effect - worship | work | flee | conversion | miracle
+ * @returns {number} Multiplier; 1 when no trait touches it
+ */
+export function getTraitModifier(traits = [], effect) {
+  return traits.reduce((factor, trait) => factor * (TRAITS[trait]?.[effect] ?? 1), 1);
+}
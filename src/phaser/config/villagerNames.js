@@ -27,6 +27,10 @@ export const VILLAGER_NAMES = [
   'Yew', 'Zara', 'Zeke', 'Zen', 'Zephyr', 'Zinnia',
 ];
 
-export function getRandomName() {
-  return VILLAGER_NAMES[Math.floor(Math.random() * VILLAGER_NAMES.length)];
+/**
+ * Pick a random villager name
+ * @param {Function} random - Returns a float in [0, 1) (a seeded stream's next)
+ */
+export function getRandomName(random = Math.random) {
+  return VILLAGER_NAMES[Math.floor(random() * VILLAGER_NAMES.length)];
 }
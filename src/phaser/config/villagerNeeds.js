@@ -0,0 +1,101 @@
+/**
+ * Villager Needs
+ *
+ * Every villager keeps three needs on a 0-NEED_MAX scale:
+ * - hunger: rises all the time; a meal from the owner's food store empties it
+ * - energy: spent while awake, regained asleep
+ * - happiness: fades, faster while starving, exhausted or homeless; worship lifts it
+ *
+ * An idle villager sees to its most urgent need once that passes URGENT_NEED
+ * (eat, sleep or worship) and wanders otherwise; pious villagers go to
+ * worship sooner and greedy ones later (traits.js). Needs left unmet cost
+ * health; unhappy and starving villagers lose faith (BeliefSystem).
+ * Rates are per game day (60s).
+ */
+
+import { getTraitModifier } from './traits';
+
+export const NEED_MAX = 100;
+export const URGENT_NEED = 50; // Urgency at which a villager drops wandering to see to a need
+export const MEAL_FOOD = 0.5; // Food a meal takes from the owner's store
+
+const DAY_MS = 60000;
+const HUNGER_PER_DAY = 60;
+const ENERGY_SPENT_PER_DAY = 70; // Awake
+const ENERGY_RESTORED_PER_DAY = 300; // Asleep; a night's sleep fills it
+const HAPPINESS_LOST_PER_DAY = 50;
+const HAPPINESS_LOST_UNMET_PER_DAY = 100; // Extra for each of starving and exhausted
+const HAPPINESS_LOST_HOMELESS_PER_DAY = 30; // Extra without a house to live in
+const WORSHIP_HAPPINESS_PER_DAY = 300; // While worshipping; one visit is worth about 30
+const STARVING_DAMAGE_PER_DAY = 30;
+const EXHAUSTED_DAMAGE_PER_DAY = 10;
+
+export const STARTING_NEEDS = { hunger: 0, energy: NEED_MAX, happiness: 50 }; // As in the Villager table (db/schema.js)
+
+/**
+ * What a villager does about each need, and how urgent the need is (0-NEED_MAX)
+ * Listed in priority order: ties go to the first.
+ */
+export const NEEDS = {
+  hunger: { activity: 'eat', urgency: v => v.hunger },
+  energy: { activity: 'sleep', urgency: v => NEED_MAX - v.energy },
+  happiness: { activity: 'worship', urgency: v => (NEED_MAX - v.happiness) * getTraitModifier(v.traits, 'worship') },
+};
+
+const clamp = value => Math.max(0, Math.min(NEED_MAX, value));
+
+export const isStarving = v => v.hunger >= NEED_MAX;
+export const isExhausted = v => v.energy <= 0;
+
+/**
+ * Needs after some time spent in a state
+ * @param {Object} needs - {hunger, energy, happiness}
+ * @param {string} state - Villager state; 'sleeping' rests, 'worshipping' cheers up
+ * @param {number} delta - Milliseconds
+ * @param {boolean} homeless - No house to live in; sleeping rough wears on happiness
+ * @returns {Object} {hunger, energy, happiness}
+ */
+export function advanceNeeds(needs, state, delta, homeless = false) {
+  const days = delta / DAY_MS;
+  const unmet = (isStarving(needs) ? 1 : 0) + (isExhausted(needs) ? 1 : 0);
+
+  let happiness = -(HAPPINESS_LOST_PER_DAY + unmet * HAPPINESS_LOST_UNMET_PER_DAY);
+  if (homeless) happiness -= HAPPINESS_LOST_HOMELESS_PER_DAY;
+  if (state === 'worshipping') happiness += WORSHIP_HAPPINESS_PER_DAY;
+
+  return {
+    hunger: clamp(needs.hunger + HUNGER_PER_DAY * days),
+    energy: clamp(needs.energy + (state === 'sleeping' ? ENERGY_RESTORED_PER_DAY : -ENERGY_SPENT_PER_DAY) * days),
+    happiness: clamp(needs.happiness + happiness * days),
+  };
+}
+
+/**
+ * Health lost to unmet needs over some time
+ * @param {Object} needs - {hunger, energy}
+ * @param {number} delta - Milliseconds
+ * @returns {number}
+ */
+export function needsDamage(needs, delta) {
+  const days = delta / DAY_MS;
+  return (isStarving(needs) ? STARVING_DAMAGE_PER_DAY * days : 0) +
+    (isExhausted(needs) ? EXHAUSTED_DAMAGE_PER_DAY * days : 0);
+}
+
+/**
+ * The need a villager should see to next
+ * @param {Object} needs - {hunger, energy, happiness}
+ * @returns {string|null} Key of NEEDS, or null if nothing is urgent
+ */
+export function mostUrgentNeed(needs) {
+  let best = null;
+  let bestUrgency = URGENT_NEED;
+  for (const [key, need] of Object.entries(NEEDS)) {
+    const urgency = need.urgency(needs);
+    if (urgency >= bestUrgency && (best === null || urgency > bestUrgency)) {
+      best = key;
+      bestUrgency = urgency;
+    }
+  }
+  return best;
+}
@@ -0,0 +1,93 @@
+/**
+ * Command Log
+ *
+ * Every player action, stamped with the simulation tick it ran on. With the
+ * seed this is a complete recording of a game: the simulation is
+ * deterministic, so re-feeding the commands to a fresh core reproduces it.
+ *
+ * Games played with a pathfinding worker (workerPaths) also record which
+ * path searches were answered on each tick, as PATHS_READY, since that
+ * depends on when the worker replied.
+ */
+
+export const COMMANDS = {
+  CAST_POWER: 'castPower',         // {powerId, worldX, worldY}
+  PLACE_BUILDING: 'placeBuilding', // {buildingType, worldX, worldY}
+  LAY_ROAD: 'layRoad',             // {worldX, worldY}
+  MOVE_GROUP: 'moveGroup',         // {villagerIds, worldX, worldY, formation, hold}
+  UPGRADE_TEMPLE: 'upgradeTemple', // {templeId}
+  SET_GAME_SPEED: 'setGameSpeed',  // {speed}
+  PATHS_READY: 'pathsReady',       // {keys} path searches answered (see PathRequestQueue)
+};
+
+export const REPLAY_VERSION = 1;
+
+export default class CommandLog {
+  /**
+   * Create a new command log
+   * @param {Object} options
+   * @param {number} options.seed - Terrain and gameplay RNG seed
+   * @param {number} options.mapWidth - Map width in tiles
+   * @param {number} options.mapHeight - Map height in tiles
+   * @param {Array} options.commands - Recorded commands ({tick, type, payload})
+   * @param {number} options.endTick - Last simulated tick of the recording
+   * @param {boolean} options.workerPaths - Path answers are recorded as PATHS_READY
+   */
+  constructor({ seed, mapWidth, mapHeight, commands = [], endTick = 0, workerPaths = false } = {}) {
+    this.version = REPLAY_VERSION;
+    this.seed = seed;
+    this.mapWidth = mapWidth;
+    this.mapHeight = mapHeight;
+    this.commands = commands;
+    this.endTick = endTick;
+    this.workerPaths = workerPaths;
+  }
+
+  /**
+   * Append a command
+   * @param {number} tick - Simulation tick the command runs after
+   * @param {string} type - One of COMMANDS
+   * @param {Object} payload - Command arguments
+   * @returns {Object} The recorded command
+   */
+  record(tick, type, payload = {}) {
+    const command = { tick, type, payload: { ...payload } };
+    this.commands.push(command);
+    if (tick > this.endTick) this.endTick = tick;
+    return command;
+  }
+
+  /**
+   * Plain-object copy for storage
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      seed: this.seed,
+      mapWidth: this.mapWidth,
+      mapHeight: this.mapHeight,
+      endTick: this.endTick,
+      workerPaths: this.workerPaths,
+      commands: this.commands.map(c => ({ tick: c.tick, type: c.type, payload: { ...c.payload } })),
+    };
+  }
+
+  /**
+   * Rebuild a log from stored data (or copy another log)
+   * @param {Object} data - Output of toJSON
+   * @returns {CommandLog|null} Null if the data is missing or from another version
+   */
+  static fromJSON(data) {
+    if (!data || data.version !== REPLAY_VERSION) return null;
+
+    return new CommandLog({
+      seed: data.seed,
+      mapWidth: data.mapWidth,
+      mapHeight: data.mapHeight,
+      endTick: data.endTick || 0,
+      workerPaths: !!data.workerPaths,
+      commands: (data.commands || []).map(c => ({ tick: c.tick, type: c.type, payload: { ...c.payload } })),
+    });
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Event Bus
+ *
+ * Minimal event emitter with the same on/once/off/emit signature as Phaser's
+ * scene.events, so gameplay systems can emit events without Phaser loaded.
+ */
+
+export default class EventBus {
+  constructor() {
+    this.listeners = new Map(); // event -> [{fn, context, once}]
+  }
+
+  /**
+   * Register a listener
+   * @param {string} event - Event name
+   * @param {Function} fn - Callback
+   * @param {Object} context - Value of `this` inside the callback
+   */
+  on(event, fn, context) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push({ fn, context, once: false });
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   */
+  once(event, fn, context) {
+    this.on(event, fn, context);
+    const list = this.listeners.get(event);
+    list[list.length - 1].once = true;
+    return this;
+  }
+
+  /**
+   * Remove a listener (or every listener for the event when fn is omitted)
+   */
+  off(event, fn, context) {
+    const list = this.listeners.get(event);
+    if (!list) return this;
+
+    if (!fn) {
+      this.listeners.delete(event);
+      return this;
+    }
+
+    this.listeners.set(event, list.filter(l =>
+      l.fn !== fn || (context !== undefined && l.context !== context)
+    ));
+    return this;
+  }
+
+  /**
+   * Call every listener for an event
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    const list = this.listeners.get(event);
+    if (!list || list.length === 0) return false;
+
+    // Copy so listeners can unsubscribe while being called
+    for (const listener of [...list]) {
+      if (listener.once) this.off(event, listener.fn, listener.context);
+      listener.fn.apply(listener.context, args);
+    }
+    return true;
+  }
+
+  /**
+   * Remove all listeners
+   */
+  removeAllListeners() {
+    this.listeners.clear();
+    return this;
+  }
+}
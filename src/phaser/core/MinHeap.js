@@ -0,0 +1,60 @@
+/**
+ * Min Heap
+ *
+ * Binary heap of integer ids (tile indices, graph nodes) keyed by cost, for
+ * Dijkstra and A* searches. Costs live in parallel arrays rather than
+ * objects, so large searches don't allocate per entry. There is no
+ * decrease-key: push again with the lower cost and skip stale pops.
+ */
+
+export default class MinHeap {
+  constructor() {
+    this.indices = [];
+    this.costs = [];
+  }
+
+  get size() {
+    return this.indices.length;
+  }
+
+  push(index, cost) {
+    let i = this.indices.length;
+    this.indices.push(index);
+    this.costs.push(cost);
+
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.costs[parent] <= cost) break;
+      this.indices[i] = this.indices[parent];
+      this.costs[i] = this.costs[parent];
+      i = parent;
+    }
+    this.indices[i] = index;
+    this.costs[i] = cost;
+  }
+
+  /**
+   * Remove the cheapest entry
+   * @returns {{index, cost}}
+   */
+  pop() {
+    const top = { index: this.indices[0], cost: this.costs[0] };
+    const lastIndex = this.indices.pop();
+    const lastCost = this.costs.pop();
+    const n = this.indices.length;
+    if (n === 0) return top;
+
+    let i = 0;
+    while (i * 2 + 1 < n) {
+      let child = i * 2 + 1;
+      if (child + 1 < n && this.costs[child + 1] < this.costs[child]) child++;
+      if (this.costs[child] >= lastCost) break;
+      this.indices[i] = this.indices[child];
+      this.costs[i] = this.costs[child];
+      i = child;
+    }
+    this.indices[i] = lastIndex;
+    this.costs[i] = lastCost;
+    return top;
+  }
+}
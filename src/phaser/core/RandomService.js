@@ -0,0 +1,158 @@
+/**
+ * Random Service
+ *
+ * Seedable RNG for gameplay, split into independent named streams so that
+ * extra draws in one system (say, a new AI behaviour) never shift the rolls
+ * another system sees. A game reproduces exactly from its seed plus inputs.
+ *
+ * Terrain noise keeps its own generator (TerrainGenerator.createSeededRandom).
+ */
+
+export const RNG_STREAMS = {
+  AI: 'ai',               // AI god decisions and build placement
+  VILLAGERS: 'villagers', // Wandering and worship choices
+  SPAWNING: 'spawning',   // Spawn offsets and villager names
+  LIFECYCLE: 'lifecycle', // Lifespans
+  TRAITS: 'traits',       // Personality traits
+};
+
+/**
+ * Hash a seed and stream name into a 32-bit stream state (FNV-1a)
+ * @param {number} seed - Game seed
+ * @param {string} name - Stream name
+ * @returns {number} Unsigned 32-bit state
+ */
+function hashSeed(seed, name) {
+  const key = `${seed}:${name}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A single deterministic random sequence (mulberry32)
+ */
+export class RandomStream {
+  /**
+   * @param {number} state - Unsigned 32-bit starting state
+   */
+  constructor(state) {
+    this.state = state >>> 0;
+
+    // Bound so it can be passed around like Math.random
+    this.next = this.next.bind(this);
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] (inclusive)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with the given probability
+   * @param {number} probability - 0-1
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Random element of an array (undefined if empty)
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+}
+
+/**
+ * Unseeded fallback for scenes without a RandomService (unit tests with mock scenes)
+ */
+class UnseededStream extends RandomStream {
+  next() {
+    return Math.random();
+  }
+}
+
+const UNSEEDED = new UnseededStream(0);
+
+export default class RandomService {
+  /**
+   * Create a new random service
+   * @param {number} seed - Game seed
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.streams = new Map(); // name -> RandomStream
+  }
+
+  /**
+   * Get (or lazily create) a named stream
+   * @param {string} name - Stream name (see RNG_STREAMS)
+   * @returns {RandomStream}
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(hashSeed(this.seed, name)));
+    }
+    return this.streams.get(name);
+  }
+
+  /**
+   * Stream positions for saves
+   * @returns {Object} {seed, streams: {name: state}}
+   */
+  serialize() {
+    const streams = {};
+    for (const [name, stream] of this.streams) {
+      streams[name] = stream.state;
+    }
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Continue every stream from a saved position
+   * @param {Object} data - Output of serialize()
+   */
+  restore(data) {
+    this.seed = data.seed;
+    this.streams = new Map();
+    for (const [name, state] of Object.entries(data.streams || {})) {
+      this.streams.set(name, new RandomStream(state));
+    }
+  }
+}
+
+/**
+ * Look up a named stream on the scene's RandomService
+ * Falls back to Math.random when the scene has none.
+ * @param {Object} scene - Scene (or SimulationCore) that owns `random`
+ * @param {string} name - Stream name (see RNG_STREAMS)
+ * @returns {RandomStream}
+ */
+export function randomStream(scene, name) {
+  return scene?.random ? scene.random.stream(name) : UNSEEDED;
+}
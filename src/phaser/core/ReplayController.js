@@ -0,0 +1,86 @@
+/**
+ * Replay Controller
+ *
+ * Plays a CommandLog back into a SimulationCore: hands the core the commands
+ * due at each tick and holds the playback state (pause, fast-forward speed).
+ * Seeking forward just runs the core; seeking back needs a fresh core.
+ */
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+
+export default class ReplayController {
+  /**
+   * Create a new replay controller
+   * @param {CommandLog} log - Recording to play back
+   */
+  constructor(log) {
+    this.log = log;
+    this.cursor = 0; // Index of the next command to hand out
+    this.isPaused = false;
+    this.speed = 1;
+  }
+
+  /**
+   * Last tick of the recording
+   * @returns {number}
+   */
+  get endTick() {
+    return this.log.endTick;
+  }
+
+  /**
+   * Take every not-yet-played command recorded at or before a tick
+   * @param {number} tick - Current simulation tick
+   * @returns {Array} Commands in recorded order
+   */
+  takeDue(tick) {
+    const due = [];
+    const commands = this.log.commands;
+    while (this.cursor < commands.length && commands[this.cursor].tick <= tick) {
+      due.push(commands[this.cursor++]);
+    }
+    return due;
+  }
+
+  /**
+   * Whether playback has reached the end of the recording
+   * @param {number} tick - Current simulation tick
+   * @returns {boolean}
+   */
+  isFinished(tick) {
+    return tick >= this.log.endTick;
+  }
+
+  togglePause() {
+    this.isPaused = !this.isPaused;
+    return this.isPaused;
+  }
+
+  /**
+   * Set playback speed, snapped to the nearest supported speed
+   * @param {number} speed - Multiplier on the recorded game speed
+   * @returns {number} Speed applied
+   */
+  setSpeed(speed) {
+    this.speed = REPLAY_SPEEDS.reduce((best, s) =>
+      Math.abs(s - speed) < Math.abs(best - speed) ? s : best
+    );
+    return this.speed;
+  }
+
+  /**
+   * Step to the next faster speed (stays at the fastest)
+   */
+  faster() {
+    const index = REPLAY_SPEEDS.indexOf(this.speed);
+    return this.setSpeed(REPLAY_SPEEDS[Math.min(index + 1, REPLAY_SPEEDS.length - 1)]);
+  }
+
+  /**
+   * Step to the next slower speed (stays at normal speed)
+   */
+  slower() {
+    const index = REPLAY_SPEEDS.indexOf(this.speed);
+    return this.setSpeed(REPLAY_SPEEDS[Math.max(index - 1, 0)]);
+  }
+}
@@ -0,0 +1,582 @@
+/**
+ * Simulation Core
+ *
+ * Renderer-agnostic game simulation. Owns the gameplay systems and steps them
+ * on a fixed timestep from a seed, so a whole game can run in Node without
+ * Phaser, a browser or jsdom (balance runs, regression tests).
+ *
+ * Two modes:
+ * - Headless: the core stands in for the scene. It provides events, random,
+ *   biomeMap, gameClock, getPopulationCap and a simulation-time `time.delayedCall`.
+ * - Hosted: MainScene passes itself as `host`. Systems get the real scene so
+ *   their visuals, particles and audio work, and MainScene renders the state.
+ *
+ * Player actions go through execute() so they land in the command log; a core
+ * given a recorded log replays them on the same ticks. With a pathfinding
+ * worker, the ticks its answers land on are logged too (PATHS_READY) and a
+ * replay searches on the main thread to the same schedule.
+ */
+
+import TerrainGenerator from '../systems/TerrainGenerator';
+import BiomeMapper from '../systems/BiomeMapper';
+import PathfindingSystem from '../systems/PathfindingSystem';
+import VillagerSystem from '../systems/VillagerSystem';
+import TempleSystem from '../systems/TempleSystem';
+import PlayerSystem from '../systems/PlayerSystem';
+import BeliefSystem from '../systems/BeliefSystem';
+import DivinePowerSystem from '../systems/DivinePowerSystem';
+import BuildingSystem from '../systems/BuildingSystem';
+import JobSystem from '../systems/JobSystem';
+import PopulationSystem from '../systems/PopulationSystem';
+import RoadSystem from '../systems/RoadSystem';
+import AIGodSystem from '../systems/AIGodSystem';
+import GameClock from '../systems/GameClock';
+import GameInitializer from '../systems/GameInitializer';
+import EventBus from './EventBus';
+import RandomService from './RandomService';
+import CommandLog, { COMMANDS } from './CommandLog';
+import ReplayController from './ReplayController';
+
+export const FIXED_TIMESTEP_MS = 50; // 20 simulation ticks per second
+const MAX_STEPS_PER_ADVANCE = 20; // Drop backlog after long frames instead of spiralling
+const DEFAULT_MAP_SIZE = 250; // Tiles
+const POP_PER_TEMPLE_LEVEL = 20;
+
+export default class SimulationCore {
+  /**
+   * Create a new simulation
+   * @param {Object} options
+   * @param {number} options.seed - Terrain and gameplay RNG seed
+   * @param {number} options.mapWidth - Map width in tiles
+   * @param {number} options.mapHeight - Map height in tiles
+   * @param {number} options.timestep - Fixed step length in milliseconds
+   * @param {number} options.villagersPerPlayer - Starting villagers per player
+   * @param {Array} options.biomeMap - Pre-generated biome map (generated from seed if omitted)
+   * @param {PathfindingSystem} options.pathfindingSystem - Pathfinder for biomeMap
+   * @param {Worker} options.pathWorker - Runs path searches off the main thread (optional)
+   * @param {Phaser.Scene} options.host - Scene that renders this simulation (null = headless)
+   * @param {CommandLog|Object} options.replay - Recording to play back (its seed and map size win)
+   */
+  constructor(options = {}) {
+    const {
+      seed = Date.now(),
+      mapWidth = DEFAULT_MAP_SIZE,
+      mapHeight = DEFAULT_MAP_SIZE,
+      timestep = FIXED_TIMESTEP_MS,
+      villagersPerPlayer = 3,
+      biomeMap = null,
+      pathfindingSystem = null,
+      pathWorker = null,
+      host = null,
+      replay = null
+    } = options;
+
+    // Replays re-feed a recording instead of taking player input
+    const replayLog = replay ? CommandLog.fromJSON(replay) : null;
+    this.replay = replayLog ? new ReplayController(replayLog) : null;
+
+    this.seed = replayLog ? replayLog.seed : seed;
+    this.mapWidth = replayLog ? replayLog.mapWidth : mapWidth;
+    this.mapHeight = replayLog ? replayLog.mapHeight : mapHeight;
+    this.timestep = timestep;
+    this.villagersPerPlayer = villagersPerPlayer;
+    this.host = host;
+
+    // Simulation clock
+    this.tick = 0;
+    this.elapsed = 0; // Simulation milliseconds
+    this.accumulator = 0;
+
+    // Game state
+    this.gameStarted = false;
+    this.gameEnded = false;
+    this.result = null;
+    this.gameSpeed = 1; // Recorded for replays; hosts scale frame time by it
+
+    // Every player action, for replays and bug reports
+    this.commandLog = new CommandLog({ seed: this.seed, mapWidth: this.mapWidth, mapHeight: this.mapHeight });
+
+    // Hosted simulations share the scene's event emitter so existing listeners keep working
+    this.events = host?.events || new EventBus();
+
+    // Gameplay randomness; systems look streams up on their scene, so a host must expose it too
+    this.random = new RandomService(this.seed);
+
+    // Simulation-time timers for headless mode (hosted systems use the scene's clock)
+    this.timers = [];
+    this.nextTimerId = 1;
+    this.time = {
+      delayedCall: (delay, callback) => this.schedule(delay, callback)
+    };
+
+    // World
+    if (biomeMap) {
+      this.biomeMap = biomeMap;
+      this.pathfindingSystem = pathfindingSystem || SimulationCore.createPathfinding(biomeMap);
+    } else {
+      const world = SimulationCore.generateWorld(this.seed, this.mapWidth, this.mapHeight);
+      this.biomeMap = world.biomeMap;
+      this.pathfindingSystem = world.pathfindingSystem;
+    }
+
+    this.createSystems();
+    if (replayLog?.workerPaths) {
+      this.commandLog.workerPaths = true;
+      this.villagerSystem.pathQueue.followRecording();
+    } else if (pathWorker && !replayLog) {
+      this.commandLog.workerPaths = true;
+      this.villagerSystem.pathQueue.recordAnswers = true;
+      this.villagerSystem.pathQueue.attachWorker(pathWorker);
+    }
+
+    this.events.on('villager_converted', this.handleVillagerConverted, this);
+    this.events.on('game_end', this.handleGameEnd, this);
+  }
+
+  /**
+   * Generate terrain from a seed
+   * @param {number} seed - Terrain seed
+   * @param {number} width - Map width in tiles
+   * @param {number} height - Map height in tiles
+   * @returns {Object} {biomeMap, pathfindingSystem}
+   */
+  static generateWorld(seed, width, height) {
+    const generator = new TerrainGenerator(seed);
+    const heightMap = generator.generateHeightMap(width, height);
+    const moistureMap = generator.generateMoistureMap(width, height);
+    const biomeMap = BiomeMapper.createBiomeMap(heightMap, moistureMap);
+
+    return { biomeMap, pathfindingSystem: SimulationCore.createPathfinding(biomeMap) };
+  }
+
+  /**
+   * Create the pathfinder used by gameplay systems
+   * @param {Array} biomeMap - 2D biome array
+   * @returns {PathfindingSystem}
+   */
+  static createPathfinding(biomeMap) {
+    return new PathfindingSystem(biomeMap, {
+      allowDiagonal: true,
+      dontCrossCorners: true,
+      respectHeight: true // Climbing costs extra; cliffs over maxHeightDiff block
+    });
+  }
+
+  /**
+   * Create gameplay systems and wire their cross-references
+   */
+  createSystems() {
+    const scene = this.host || this;
+
+    this.villagerSystem = new VillagerSystem(scene, this.pathfindingSystem);
+    this.villagerSystem.setMapBounds(this.mapWidth, this.mapHeight);
+    this.villagerSystem.setTerrainData(this.biomeMap);
+
+    this.templeSystem = new TempleSystem(scene);
+    this.playerSystem = new PlayerSystem(scene);
+    this.gameClock = new GameClock(scene);
+
+    this.villagerSystem.templeSystem = this.templeSystem;
+    this.villagerSystem.playerSystem = this.playerSystem;
+    this.templeSystem.villagerSystem = this.villagerSystem;
+    this.templeSystem.playerSystem = this.playerSystem;
+
+    // In-memory belief; villager allegiance lives in its cache
+    this.beliefSystem = new BeliefSystem(scene, null);
+    this.beliefSystem.villagerSystem = this.villagerSystem;
+    this.beliefSystem.templeSystem = this.templeSystem;
+    this.beliefSystem.playerSystem = this.playerSystem;
+    this.villagerSystem.beliefSystem = this.beliefSystem;
+
+    this.divinePowerSystem = new DivinePowerSystem(scene);
+    this.divinePowerSystem.playerSystem = this.playerSystem;
+    this.divinePowerSystem.villagerSystem = this.villagerSystem;
+
+    this.buildingSystem = new BuildingSystem(scene);
+    this.buildingSystem.playerSystem = this.playerSystem;
+    this.buildingSystem.pathfindingSystem = this.pathfindingSystem;
+    this.buildingSystem.templeSystem = this.templeSystem;
+    this.buildingSystem.villagerSystem = this.villagerSystem;
+
+    this.jobSystem = new JobSystem(scene);
+    this.jobSystem.villagerSystem = this.villagerSystem;
+    this.jobSystem.buildingSystem = this.buildingSystem;
+    this.jobSystem.templeSystem = this.templeSystem;
+    this.jobSystem.playerSystem = this.playerSystem;
+    this.villagerSystem.jobSystem = this.jobSystem;
+
+    this.populationSystem = new PopulationSystem(scene);
+    this.populationSystem.villagerSystem = this.villagerSystem;
+    this.populationSystem.buildingSystem = this.buildingSystem;
+    this.populationSystem.playerSystem = this.playerSystem;
+    this.villagerSystem.populationSystem = this.populationSystem;
+
+    this.roadSystem = new RoadSystem(scene);
+    this.roadSystem.pathfindingSystem = this.pathfindingSystem;
+    this.roadSystem.playerSystem = this.playerSystem;
+    this.roadSystem.buildingSystem = this.buildingSystem;
+    this.roadSystem.villagerSystem = this.villagerSystem;
+    this.villagerSystem.roadSystem = this.roadSystem;
+
+    this.aiGodSystem = new AIGodSystem(scene);
+    this.aiGodSystem.playerSystem = this.playerSystem;
+    this.aiGodSystem.buildingSystem = this.buildingSystem;
+    this.aiGodSystem.templeSystem = this.templeSystem;
+  }
+
+  /**
+   * Spawn players, temples and starting villagers
+   * @returns {Object|null} GameInitializer result, or null if no spawn locations were found
+   */
+  start() {
+    if (this.gameStarted) return null;
+
+    const result = GameInitializer.initializeGame(
+      this.host || this,
+      {
+        playerSystem: this.playerSystem,
+        villagerSystem: this.villagerSystem,
+        templeSystem: this.templeSystem,
+        pathfindingSystem: this.pathfindingSystem
+      },
+      {
+        mapWidth: this.mapWidth,
+        mapHeight: this.mapHeight,
+        villagersPerPlayer: this.villagersPerPlayer
+      }
+    );
+
+    if (result) {
+      this.gameStarted = true;
+    }
+    return result;
+  }
+
+  /**
+   * Feed real (game-speed-scaled) frame time; runs as many fixed steps as it covers
+   * @param {number} delta - Milliseconds of simulation time to advance
+   * @returns {number} Steps run
+   */
+  advance(delta) {
+    this.accumulator += delta;
+
+    let steps = 0;
+    while (this.accumulator >= this.timestep && steps < MAX_STEPS_PER_ADVANCE && !this.isReplayFinished()) {
+      this.step();
+      this.accumulator -= this.timestep;
+      steps++;
+    }
+
+    if (steps === MAX_STEPS_PER_ADVANCE || this.isReplayFinished()) {
+      this.accumulator = 0;
+    }
+    return steps;
+  }
+
+  /**
+   * Run the simulation for a span of simulation time with no frame cap
+   * Stops early if the game ends.
+   * @param {number} durationMs - Simulation milliseconds to run
+   * @returns {Object} State summary (see getSummary)
+   */
+  runFor(durationMs) {
+    const steps = Math.floor(durationMs / this.timestep);
+    for (let i = 0; i < steps && !this.gameEnded; i++) {
+      this.step();
+    }
+    return this.getSummary();
+  }
+
+  /**
+   * Fast-forward to a later tick with no frame cap
+   * Replays stop at the end of their recording.
+   * @param {number} tick - Target simulation tick
+   * @returns {boolean} False if the tick has passed; rewinding needs a fresh core
+   */
+  seekTo(tick) {
+    if (tick < this.tick) return false;
+
+    const target = this.replay ? Math.min(tick, this.replay.endTick) : tick;
+    while (this.tick < target && !this.gameEnded) {
+      this.step();
+    }
+    this.accumulator = 0;
+    return true;
+  }
+
+  /**
+   * Whether a replay has played its whole recording
+   * @returns {boolean} Always false for live games
+   */
+  isReplayFinished() {
+    return this.replay ? this.replay.isFinished(this.tick) : false;
+  }
+
+  /**
+   * Advance every gameplay system by exactly one timestep
+   */
+  step() {
+    // Recorded commands ran between steps, after the tick they are stamped with
+    if (this.replay) {
+      for (const command of this.replay.takeDue(this.tick)) {
+        this.execute(command.type, command.payload);
+      }
+    }
+
+    const dt = this.timestep;
+    this.tick++;
+    this.elapsed += dt;
+    this.commandLog.endTick = this.tick;
+
+    this.villagerSystem.update(dt);
+    this.recordPathAnswers();
+    this.roadSystem.update(dt);
+    this.templeSystem.update(dt);
+
+    if (this.gameStarted && !this.gameEnded) {
+      this.playerSystem.update(this.elapsed, dt);
+    }
+
+    this.beliefSystem.update(this.elapsed, dt);
+    this.gameClock.update(dt);
+    this.jobSystem.update(dt);
+    this.populationSystem.update(dt);
+    this.aiGodSystem.update(dt);
+    this.divinePowerSystem.tickCooldowns(dt);
+
+    this.runTimers();
+
+    this.events.emit('simulationStep', { tick: this.tick, elapsed: this.elapsed });
+  }
+
+  /**
+   * Log the path searches answered this step, stamped so a replay releases them at the start of the same step
+   */
+  recordPathAnswers() {
+    const keys = this.villagerSystem.pathQueue.takeAnswered();
+    if (keys.length > 0) this.commandLog.record(this.tick - 1, COMMANDS.PATHS_READY, { keys });
+  }
+
+  /**
+   * Run a player action and record it in the command log
+   * @param {string} type - One of COMMANDS
+   * @param {Object} payload - Command arguments (see COMMANDS)
+   * @returns {*} The action's result (falsy if it did nothing)
+   */
+  execute(type, payload = {}) {
+    if (!Object.values(COMMANDS).includes(type)) {
+      console.warn(`[SimulationCore] Unknown command: ${type}`);
+      return false;
+    }
+
+    this.commandLog.record(this.tick, type, payload);
+    return this.applyCommand(type, payload);
+  }
+
+  /**
+   * Apply a command to the gameplay systems
+   * @param {string} type - One of COMMANDS
+   * @param {Object} payload - Command arguments
+   * @returns {*}
+   */
+  applyCommand(type, payload) {
+    switch (type) {
+      case COMMANDS.CAST_POWER:
+        return this.divinePowerSystem.castPower(payload.powerId, payload.worldX, payload.worldY);
+
+      case COMMANDS.PLACE_BUILDING:
+        return this.buildingSystem.placeBuilding(payload.buildingType, payload.worldX, payload.worldY);
+
+      case COMMANDS.LAY_ROAD:
+        return this.roadSystem.layRoad(payload.worldX, payload.worldY);
+
+      case COMMANDS.MOVE_GROUP:
+        return this.villagerSystem.moveGroup(payload.villagerIds, payload.worldX, payload.worldY, {
+          formation: payload.formation,
+          hold: payload.hold
+        });
+
+      case COMMANDS.UPGRADE_TEMPLE:
+        return this.templeSystem.upgradeTemple(payload.templeId);
+
+      case COMMANDS.SET_GAME_SPEED:
+        this.gameSpeed = payload.speed;
+        this.events.emit('gameSpeedChanged', { speed: payload.speed });
+        return true;
+
+      case COMMANDS.PATHS_READY:
+        this.villagerSystem.pathQueue.release(payload.keys);
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Schedule a callback after a delay of simulation time
+   * @param {number} delay - Milliseconds
+   * @param {Function} callback
+   * @returns {Object} Timer handle with remove()
+   */
+  schedule(delay, callback) {
+    const timer = {
+      id: this.nextTimerId++,
+      at: this.elapsed + delay,
+      callback,
+      remove: () => {
+        this.timers = this.timers.filter(t => t !== timer);
+      }
+    };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  /**
+   * Fire due timers in schedule order
+   */
+  runTimers() {
+    if (this.timers.length === 0) return;
+
+    const due = this.timers
+      .filter(t => t.at <= this.elapsed)
+      .sort((a, b) => a.at - b.at || a.id - b.id);
+    if (due.length === 0) return;
+
+    this.timers = this.timers.filter(t => t.at > this.elapsed);
+    for (const timer of due) {
+      timer.callback();
+    }
+  }
+
+  /**
+   * Population cap for a player: room by its temples plus beds in its houses
+   * @param {Object} player - Player entity
+   * @returns {number}
+   */
+  getPopulationCap(player) {
+    if (!player) return 0;
+    const templeBase = this.templeSystem.getPlayerTemples(player.id)
+      .reduce((sum, t) => sum + (t.level || 1) * POP_PER_TEMPLE_LEVEL, 0);
+    return templeBase + this.buildingSystem.getHousingCapacity(player.id);
+  }
+
+  /**
+   * Flip a villager when belief crosses the devoted threshold for a rival god
+   * @param {Object} data - {villagerId, playerId, fromPlayerId, strength}
+   */
+  handleVillagerConverted(data) {
+    this.villagerSystem.convertVillager(data.villagerId, data.playerId);
+  }
+
+  /**
+   * Stop simulating player state once a winner is decided
+   * @param {Object} result - {winner, reason}
+   */
+  handleGameEnd(result) {
+    this.gameEnded = true;
+    this.result = result;
+  }
+
+  /**
+   * Compact snapshot of the game for balancing and regression checks
+   * @returns {Object}
+   */
+  getSummary() {
+    return {
+      seed: this.seed,
+      tick: this.tick,
+      elapsed: this.elapsed,
+      day: this.gameClock.getDay(),
+      ended: this.gameEnded,
+      winner: this.result?.winner?.id || null,
+      villagers: this.villagerSystem.getCount(),
+      buildings: this.buildingSystem.getCount(),
+      players: this.playerSystem.players.map(p => ({
+        id: p.id,
+        beliefPoints: p.beliefPoints,
+        food: p.food,
+        population: p.population,
+        isEliminated: p.isEliminated
+      }))
+    };
+  }
+
+  /**
+   * Everything needed to rebuild this exact game on a core with the same seed
+   * Terrain is not included; it regenerates from the seed.
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      tick: this.tick,
+      elapsed: this.elapsed,
+      gameStarted: this.gameStarted,
+      gameEnded: this.gameEnded,
+      gameSpeed: this.gameSpeed,
+      random: this.random.serialize(),
+      commandLog: this.commandLog.toJSON(),
+      players: this.playerSystem.serialize(),
+      temples: this.templeSystem.serialize(),
+      buildings: this.buildingSystem.serialize(),
+      roads: this.roadSystem.serialize(),
+      pathCache: this.pathfindingSystem.serializePathCaches(),
+      villagers: this.villagerSystem.serialize(),
+      beliefs: this.beliefSystem.serialize(),
+      clock: this.gameClock.serialize(),
+      powers: this.divinePowerSystem.serialize(),
+      ai: this.aiGodSystem.serialize()
+    };
+  }
+
+  /**
+   * Replace the game with saved state from serialize() (instead of start())
+   * @param {Object} state - Output of serialize()
+   */
+  restore(state) {
+    this.tick = state.tick;
+    this.elapsed = state.elapsed;
+    this.accumulator = 0;
+    this.gameStarted = state.gameStarted;
+    this.gameEnded = state.gameEnded;
+    this.result = null;
+    this.gameSpeed = state.gameSpeed || 1;
+    this.timers = [];
+    this.random.restore(state.random);
+    this.commandLog = CommandLog.fromJSON(state.commandLog) ||
+      new CommandLog({ seed: this.seed, mapWidth: this.mapWidth, mapHeight: this.mapHeight, endTick: this.tick });
+
+    // Carry on the way the game was recorded: a log without path answers can't follow a worker
+    this.villagerSystem.pathQueue.recordAnswers = this.commandLog.workerPaths;
+    if (!this.commandLog.workerPaths) this.villagerSystem.pathQueue.detachWorker();
+
+    // Players first: temples, buildings and villagers link back to them
+    this.playerSystem.restore(state.players);
+
+    this.templeSystem.restore(state.temples);
+    for (const temple of this.templeSystem.temples) {
+      this.playerSystem.addTemple(temple.playerId, temple);
+    }
+
+    this.buildingSystem.restore(state.buildings);
+    this.roadSystem.restore(state.roads || {});
+    this.pathfindingSystem.restorePathCaches(state.pathCache || {}); // After buildings and roads have invalidated it
+    this.villagerSystem.restore(state.villagers);
+    this.beliefSystem.restore(state.beliefs);
+    this.gameClock.restore(state.clock);
+    this.divinePowerSystem.restore(state.powers);
+    this.aiGodSystem.restore(state.ai);
+  }
+
+  /**
+   * Remove listeners and release systems
+   */
+  destroy() {
+    this.events.off('villager_converted', this.handleVillagerConverted, this);
+    this.events.off('game_end', this.handleGameEnd, this);
+    this.beliefSystem.destroy();
+    this.aiGodSystem.destroy();
+    this.villagerSystem.pathQueue.destroy();
+    this.timers = [];
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Spatial Hash
+ *
+ * Uniform grid index over anything with tile coordinates (x, y), so range
+ * and nearest-neighbour lookups only touch the few cells around a point
+ * instead of every entity. Entities are re-bucketed with update() after they
+ * move; that is a no-op unless they crossed into another cell.
+ *
+ * Results never depend on insertion order: nearest() breaks distance ties
+ * on the lower id, so a rebuilt index (e.g. after loading a save) answers
+ * exactly like the one it replaced.
+ */
+
+const DEFAULT_CELL_SIZE = 8; // Tiles per cell side
+
+// Cell coordinates packed into one number; fine for |cell| < 32768
+const cellKey = (cx, cy) => (cx + 32768) * 65536 + (cy + 32768);
+
+export default class SpatialHash {
+  /**
+   * @param {number} cellSize - Cell side in tiles; around the most common query radius works best
+   */
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();     // cell key -> Set of entities
+    this.entityCells = new Map(); // entity -> cell key
+  }
+
+  get size() {
+    return this.entityCells.size;
+  }
+
+  cellOf(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  /**
+   * Add an entity, or move it to its current cell if already indexed
+   * @param {Object} entity - Anything with x and y
+   */
+  update(entity) {
+    const key = cellKey(this.cellOf(entity.x), this.cellOf(entity.y));
+    const current = this.entityCells.get(entity);
+    if (current === key) return;
+
+    if (current !== undefined) this.removeFromCell(entity, current);
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(entity);
+    this.entityCells.set(entity, key);
+  }
+
+  insert(entity) {
+    this.update(entity);
+  }
+
+  remove(entity) {
+    const key = this.entityCells.get(entity);
+    if (key === undefined) return;
+
+    this.removeFromCell(entity, key);
+    this.entityCells.delete(entity);
+  }
+
+  removeFromCell(entity, key) {
+    const cell = this.cells.get(key);
+    cell.delete(entity);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entityCells.clear();
+  }
+
+  /**
+   * Visit every entity in the cells overlapping a square
+   */
+  forEachInBox(minX, minY, maxX, maxY, callback) {
+    const x0 = this.cellOf(minX);
+    const x1 = this.cellOf(maxX);
+    const y0 = this.cellOf(minY);
+    const y1 = this.cellOf(maxY);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const cell = this.cells.get(cellKey(cx, cy));
+        if (cell) cell.forEach(callback);
+      }
+    }
+  }
+
+  /**
+   * Entities within a radius of a point (inclusive)
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} radius - Tiles
+   * @param {Function} filter - Optional predicate
+   * @returns {Array<Object>}
+   */
+  queryRadius(x, y, radius, filter = null) {
+    const radiusSq = radius * radius;
+    const found = [];
+
+    this.forEachInBox(x - radius, y - radius, x + radius, y + radius, (entity) => {
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      if (dx * dx + dy * dy <= radiusSq && (!filter || filter(entity))) {
+        found.push(entity);
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Closest entity to a point, searching outward ring by ring
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} maxDistance - Only entities strictly closer than this (tiles)
+   * @param {Function} filter - Optional predicate
+   * @returns {Object|null}
+   */
+  nearest(x, y, maxDistance = Infinity, filter = null) {
+    if (this.entityCells.size === 0) return null;
+
+    const cx = this.cellOf(x);
+    const cy = this.cellOf(y);
+    const maxRing = Number.isFinite(maxDistance) ? Math.ceil(maxDistance / this.cellSize) + 1 : Infinity;
+
+    let best = null;
+    let bestDistSq = maxDistance * maxDistance;
+    let cellsSeen = 0;
+
+    const consider = (entity) => {
+      if (filter && !filter(entity)) return;
+      const dx = entity.x - x;
+      const dy = entity.y - y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq < bestDistSq || (distSq === bestDistSq && best && entity.id < best.id)) {
+        best = entity;
+        bestDistSq = distSq;
+      }
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      for (let ix = cx - ring; ix <= cx + ring; ix++) {
+        // Full rows at the top and bottom of the ring, end cells in between
+        const step = ix === cx - ring || ix === cx + ring ? 1 : Math.max(1, ring * 2);
+        for (let iy = cy - ring; iy <= cy + ring; iy += step) {
+          const cell = this.cells.get(cellKey(ix, iy));
+          if (!cell) continue;
+          cellsSeen++;
+          cell.forEach(consider);
+        }
+      }
+
+      // Anything in a further ring is at least ring * cellSize away
+      const ringDistance = ring * this.cellSize;
+      if (best && bestDistSq < ringDistance * ringDistance) break;
+      if (cellsSeen >= this.cells.size) break;
+    }
+
+    return best;
+  }
+}
@@ -2,9 +2,26 @@
  * Layer 4: Villager Entity
  *
  * Represents a single villager with pathfinding and state management.
- * States: idle, moving, worshipping, sleeping
+ * States: idle, thinking, moving, worshipping, sleeping, working
+ * (thinking = waiting for a path from VillagerSystem's request queue)
+ * Villagers ordered somewhere as a group walk at a shared pace and may hold
+ * position when they arrive instead of going back to their daily routine.
+ * Hunger, energy and happiness change as time passes (see villagerNeeds.js);
+ * VillagerSystem decides what a villager does about them.
+ * A villager may hold a job at a workplace (JobSystem); it only produces
+ * while in the working state, for a shift of workDuration at a time.
+ * Villagers age (see lifecycle.js) and die of old age at their lifespan.
+ * A villager may live in a house (homeId, see PopulationSystem); at night it
+ * sleeps indoors there, off the map. The homeless sleep rough by the temple.
+ * Each villager has a few personality traits (see traits.js) that change
+ * how keen it is to worship, work, fight, convert and be awed by miracles.
  */
 
+import { DEFAULT_PROFILE } from '../config/movementProfiles';
+import { STARTING_NEEDS, advanceNeeds, needsDamage } from '../config/villagerNeeds';
+import { WORK_SHIFT } from '../config/jobs';
+import { DAY_MS, STARTING_AGE, LIFESPAN_MAX, getLifeStage } from '../config/lifecycle';
+
 export default class Villager {
   constructor(id, x, y) {
     this.id = id;
@@ -14,10 +31,14 @@ export default class Villager {
     // Movement
     this.speed = 10; // Tiles per second
     this.speedMultiplier = 1.0; // Modified by VillagerSystem (e.g. starvation penalty)
+    this.baseSpeed = this.speed; // Speed to return to when a boost ends
+    this.boostTimer = 0; // ms left on a temporary speed boost
     this.currentPath = null;
     this.pathIndex = 0;
+    this.movementProfile = DEFAULT_PROFILE; // Key of MOVEMENT_PROFILES; how paths are searched for this villager
+    this.pace = 1.0; // Fraction of full speed; group orders slow quicker members so everyone arrives together
 
-    // State management: idle | moving | worshipping | sleeping
+    // State management: idle | thinking | moving | worshipping | sleeping | working
     this.state = 'idle';
     this.isPaused = false;
 
@@ -27,6 +48,11 @@ export default class Villager {
 
     // Identity
     this.name = null; // Set by VillagerSystem
+    this.traits = []; // Keys of TRAITS, rolled by VillagerSystem
+
+    // Lifecycle (days)
+    this.age = STARTING_AGE;
+    this.lifespan = LIFESPAN_MAX; // Rolled by VillagerSystem
 
     // Player ownership
     this.playerId = null;
@@ -36,7 +62,10 @@ export default class Villager {
     this.origin = { x, y };
     this.destination = null;
     this.returningHome = false;
-    this.goingHome = false; // Going to temple area (nighttime)
+    this.goingHome = false; // Going to bed: own house, or the temple area when homeless
+    this.homeId = null; // House lived in (PopulationSystem)
+    this.goingIndoors = false; // Going to bed in its house rather than by the temple
+    this.indoors = false; // Asleep inside the house, off the map
     this.pauseTimer = 0;
     this.pauseDuration = 2000; // 2s pause at destination
 
@@ -45,6 +74,54 @@ export default class Villager {
     this.worshipDuration = 6000; // 6 seconds of worship
     this.worshipTempleId = null;
     this.goingToWorship = false; // True when moving towards temple to worship
+
+    // Needs (0-100)
+    this.hunger = STARTING_NEEDS.hunger;
+    this.energy = STARTING_NEEDS.energy;
+    this.happiness = STARTING_NEEDS.happiness;
+    this.goingToEat = false; // True when walking home for a meal
+
+    // Work (assigned by JobSystem)
+    this.job = null; // Key of JOBS
+    this.workplaceId = null; // Building or temple ID
+    this.workTimer = 0;
+    this.workDuration = WORK_SHIFT;
+
+    // Player orders
+    this.holdingPosition = false; // Ignores the daily routine until ordered again
+  }
+
+  /**
+   * Current tile position as {x, y}
+   */
+  get position() {
+    return { x: this.x, y: this.y };
+  }
+
+  /**
+   * Unit vector towards the next point on the path, or null when not walking
+   * @returns {{x, y}|null}
+   */
+  getHeading() {
+    if (this.state !== 'moving' || !this.currentPath) return null;
+    const target = this.currentPath[this.pathIndex];
+    if (!target) return null;
+
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    const length = Math.hypot(dx, dy);
+    return length > 0 ? { x: dx / length, y: dy / length } : null;
+  }
+
+  /**
+   * Temporarily multiply speed (Food Blessing); reverts by itself
+   * @param {number} multiplier - Speed multiplier
+   * @param {number} durationMs - Boost duration in simulation milliseconds
+   */
+  boostSpeed(multiplier, durationMs) {
+    if (this.boostTimer <= 0) this.baseSpeed = this.speed;
+    this.speed = this.baseSpeed * multiplier;
+    this.boostTimer = durationMs;
   }
 
   setPath(path) {
@@ -63,6 +140,42 @@ export default class Villager {
     this.state = 'idle';
   }
 
+  /**
+   * Stand still until a requested path arrives
+   */
+  startThinking() {
+    this.state = 'thinking';
+    this.currentPath = null;
+    this.pathIndex = 0;
+  }
+
+  /**
+   * Drop the current trip and wait for the path of a player order
+   * @param {boolean} hold - Hold position on arrival instead of resuming the daily routine
+   */
+  followOrder(hold) {
+    if (this.state === 'worshipping') this.endWorship();
+    if (this.state === 'working') this.endWork();
+    this.goingToWorship = false;
+    this.worshipTempleId = null;
+    this.goingHome = false;
+    this.goingIndoors = false;
+    this.goingToEat = false;
+    this.returningHome = false;
+    this.pauseTimer = 0;
+    this.pace = 1.0;
+    this.holdingPosition = hold;
+    this.startThinking();
+  }
+
+  /**
+   * Forget any player order and go back to the daily routine
+   */
+  releaseOrder() {
+    this.pace = 1.0;
+    this.holdingPosition = false;
+  }
+
   /**
    * Enter worship state at a temple
    */
@@ -85,15 +198,56 @@ export default class Villager {
     this.pauseTimer = this.pauseDuration;
   }
 
+  /**
+   * Start a shift at the villager's workplace
+   */
+  startWork() {
+    this.state = 'working';
+    this.workTimer = this.workDuration;
+    this.currentPath = null;
+    this.pathIndex = 0;
+  }
+
+  /**
+   * End the shift and return to idle
+   */
+  endWork() {
+    this.state = 'idle';
+    this.workTimer = 0;
+  }
+
+  /**
+   * Take a job at a workplace
+   * @param {string} job - Key of JOBS
+   * @param {string} workplaceId - Building or temple ID
+   */
+  takeJob(job, workplaceId) {
+    this.job = job;
+    this.workplaceId = workplaceId;
+  }
+
+  /**
+   * Give up the job, stopping work if at it
+   */
+  leaveJob() {
+    if (this.state === 'working') this.endWork();
+    this.job = null;
+    this.workplaceId = null;
+  }
+
   /**
    * Enter sleep state (nighttime)
+   * @param {boolean} indoors - Asleep inside its house, off the map
    */
-  startSleep() {
+  startSleep(indoors = false) {
     this.state = 'sleeping';
+    this.indoors = indoors;
     this.currentPath = null;
     this.pathIndex = 0;
     this.goingToWorship = false;
     this.goingHome = false;
+    this.goingIndoors = false;
+    this.goingToEat = false;
   }
 
   /**
@@ -101,9 +255,60 @@ export default class Villager {
    */
   wakeUp() {
     this.state = 'idle';
+    this.indoors = false;
     this.pauseTimer = 1000; // Brief pause after waking
   }
 
+  /**
+   * Move into a house
+   * @param {string} houseId - Building ID
+   */
+  moveIn(houseId) {
+    this.homeId = houseId;
+  }
+
+  /**
+   * Leave the house; anyone asleep inside steps back out
+   */
+  moveOut() {
+    this.homeId = null;
+    this.indoors = false;
+  }
+
+  /**
+   * Eat a meal: hunger gone
+   */
+  eat() {
+    this.hunger = 0;
+    this.goingToEat = false;
+  }
+
+  /**
+   * Let time pass for hunger, energy and happiness; unmet needs cost health
+   * @param {number} delta - Milliseconds
+   */
+  updateNeeds(delta) {
+    const damage = needsDamage(this, delta);
+    Object.assign(this, advanceNeeds(this, this.state, delta, !this.homeId));
+    if (damage > 0) this.takeDamage(damage);
+  }
+
+  /**
+   * Stage of life (key of LIFE_STAGES)
+   */
+  getLifeStage() {
+    return getLifeStage(this.age);
+  }
+
+  /**
+   * Grow older; a villager who reaches its lifespan dies
+   * @param {number} delta - Milliseconds
+   */
+  updateAge(delta) {
+    this.age += delta / DAY_MS;
+    if (this.age >= this.lifespan) this.takeDamage(this.health);
+  }
+
   takeDamage(amount) {
     this.health = Math.max(0, this.health - amount);
     return this.health <= 0;
@@ -128,9 +333,24 @@ export default class Villager {
   update(delta) {
     if (this.isPaused) return;
 
-    // Sleeping - do nothing (woken by VillagerSystem when day comes)
+    // Speed boosts run out whatever the villager is doing
+    if (this.boostTimer > 0) {
+      this.boostTimer -= delta;
+      if (this.boostTimer <= 0) {
+        this.boostTimer = 0;
+        this.speed = this.baseSpeed;
+      }
+    }
+
+    this.updateNeeds(delta);
+    this.updateAge(delta);
+
+    // Sleeping - do nothing (woken by VillagerSystem when day comes, or rested after a nap)
     if (this.state === 'sleeping') return;
 
+    // Thinking - wait for VillagerSystem to hand over a path
+    if (this.state === 'thinking') return;
+
     // Handle worship timer
     if (this.state === 'worshipping') {
       this.worshipTimer -= delta;
@@ -140,6 +360,15 @@ export default class Villager {
       return;
     }
 
+    // Handle work shift
+    if (this.state === 'working') {
+      this.workTimer -= delta;
+      if (this.workTimer <= 0) {
+        this.endWork();
+      }
+      return;
+    }
+
     // Handle pause timer at destination
     if (this.pauseTimer > 0) {
       this.pauseTimer -= delta;
@@ -152,7 +381,7 @@ export default class Villager {
     // Only move if in moving state
     if (this.state !== 'moving' || !this.currentPath) return;
 
-    let remainingMovement = (this.speed * this.speedMultiplier * delta) / 1000;
+    let remainingMovement = (this.speed * this.speedMultiplier * this.pace * delta) / 1000;
 
     while (remainingMovement > 0 && this.pathIndex < this.currentPath.length) {
       const target = this.currentPath[this.pathIndex];
@@ -173,11 +402,12 @@ export default class Villager {
 
         if (this.pathIndex >= this.currentPath.length) {
           this.clearPath();
+          this.pace = 1.0;
           // If going to worship, start worshipping
           if (this.goingToWorship && this.worshipTempleId) {
             this.startWorship(this.worshipTempleId);
           } else if (this.goingHome) {
-            this.startSleep();
+            this.startSleep(this.goingIndoors);
           } else {
             this.pauseTimer = this.pauseDuration;
           }
@@ -192,6 +422,64 @@ export default class Villager {
     }
   }
 
+  /**
+   * Plain-object copy of the villager's simulation state for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      id: this.id,
+      name: this.name,
+      traits: [...this.traits],
+      age: this.age,
+      lifespan: this.lifespan,
+      x: this.x,
+      y: this.y,
+      playerId: this.playerId,
+      state: this.state,
+      health: this.health,
+      maxHealth: this.maxHealth,
+      speed: this.speed,
+      baseSpeed: this.baseSpeed,
+      boostTimer: this.boostTimer,
+      currentPath: this.currentPath ? this.currentPath.map(p => ({ x: p.x, y: p.y })) : null,
+      pathIndex: this.pathIndex,
+      movementProfile: this.movementProfile,
+      pace: this.pace,
+      origin: { ...this.origin },
+      destination: this.destination ? { ...this.destination } : null,
+      returningHome: this.returningHome,
+      goingHome: this.goingHome,
+      homeId: this.homeId,
+      goingIndoors: this.goingIndoors,
+      indoors: this.indoors,
+      pauseTimer: this.pauseTimer,
+      worshipTimer: this.worshipTimer,
+      worshipTempleId: this.worshipTempleId,
+      goingToWorship: this.goingToWorship,
+      hunger: this.hunger,
+      energy: this.energy,
+      happiness: this.happiness,
+      goingToEat: this.goingToEat,
+      job: this.job,
+      workplaceId: this.workplaceId,
+      workTimer: this.workTimer,
+      holdingPosition: this.holdingPosition,
+    };
+  }
+
+  /**
+   * Apply saved state from serialize()
+   * @param {Object} data - Saved villager
+   */
+  restore(data) {
+    Object.assign(this, data);
+    this.traits = [...data.traits];
+    this.currentPath = data.currentPath ? data.currentPath.map(p => ({ x: p.x, y: p.y })) : null;
+    this.origin = { ...data.origin };
+    this.destination = data.destination ? { ...data.destination } : null;
+  }
+
   destroy() {
     // Circle cleanup handled by VillagerSystem
   }
@@ -3,12 +3,18 @@
  *
  * Professional start screen with game options:
  * - New Game
- * - Continue (if save exists)
+ * - Continue (browse save slots, if any exist)
+ * - Import Save (load an exported save file)
+ * - Watch Replay (if a recorded game exists)
  * - Settings
  * - Credits
  */
 
 import Phaser from 'phaser';
+import SaveSystem from '../systems/SaveSystem';
+import SaveManager from '../systems/SaveManager';
+import SaveSlotBrowser from '../systems/SaveSlotBrowser';
+import { SAVE_FILE_EXTENSION } from '../systems/SaveFile';
 // RexUI will be integrated in future story for advanced dialog systems
 // import RexUIPlugin from 'phaser3-rex-plugins/templates/ui/ui-plugin.js';
 
@@ -32,10 +38,14 @@ export default class MainMenuScene extends Phaser.Scene {
     this.createTitle(width);
 
     // Menu buttons
+    this.hasSavedGame = false;
     this.createMenuButtons(width, height);
 
-    // Check for saved game
-    this.hasSavedGame = this.checkForSavedGame();
+    // Save slots live in IndexedDB, so Continue lights up once the lookup returns
+    this.checkForSavedGame().then(hasSave => {
+      this.hasSavedGame = hasSave;
+      if (hasSave) this.enableMenuButton('continue');
+    });
   }
 
   createBackground(width, height) {
@@ -141,21 +151,39 @@ export default class MainMenuScene extends Phaser.Scene {
   createMenuButtons(width, height) {
     const centerX = width / 2;
     const startY = height / 2 + 50;
-    const buttonSpacing = 80;
+    const buttonSpacing = 75;
 
     // Button configuration
     const buttons = [
       { text: 'NEW GAME', key: 'newGame', y: startY },
-      { text: 'CONTINUE', key: 'continue', y: startY + buttonSpacing, enabled: false }, // Will enable if save exists
-      { text: 'SETTINGS', key: 'settings', y: startY + buttonSpacing * 2 },
-      { text: 'CREDITS', key: 'credits', y: startY + buttonSpacing * 3 }
+      { text: 'CONTINUE', key: 'continue', y: startY + buttonSpacing, enabled: this.hasSavedGame }, // Enabled once a save is found
+      { text: 'IMPORT SAVE', key: 'import', y: startY + buttonSpacing * 2 },
+      { text: 'WATCH REPLAY', key: 'replay', y: startY + buttonSpacing * 3, enabled: this.checkForReplay() },
+      { text: 'SETTINGS', key: 'settings', y: startY + buttonSpacing * 4 },
+      { text: 'CREDITS', key: 'credits', y: startY + buttonSpacing * 5 }
     ];
 
+    this.menuButtons = {};
     buttons.forEach((config, index) => {
-      this.createButton(centerX, config.y, config.text, config.key, config.enabled !== false, index);
+      const button = this.createButton(centerX, config.y, config.text, config.key, config.enabled !== false, index);
+      this.menuButtons[config.key] = { ...button, x: centerX, config, index };
     });
   }
 
+  /**
+   * Redraw a disabled menu button as enabled
+   * @param {string} key - Button key
+   */
+  enableMenuButton(key) {
+    const button = this.menuButtons?.[key];
+    if (!button || !button.bg.scene) return;
+
+    button.bg.destroy();
+    button.text.destroy();
+    const { x, config, index } = button;
+    this.menuButtons[key] = { ...this.createButton(x, config.y, config.text, key, true, index), x, config, index };
+  }
+
   createButton(x, y, text, key, enabled = true, index = 0) {
     const buttonWidth = 300;
     const buttonHeight = 60;
@@ -244,6 +272,12 @@ export default class MainMenuScene extends Phaser.Scene {
       case 'continue':
         this.continueGame();
         break;
+      case 'import':
+        this.importSave();
+        break;
+      case 'replay':
+        this.watchReplay();
+        break;
       case 'settings':
         this.openSettings();
         break;
@@ -267,8 +301,68 @@ export default class MainMenuScene extends Phaser.Scene {
 
   continueGame() {
     console.log('[MainMenuScene] Continuing saved game...');
-    // TODO: Load saved game state
-    this.scene.start('MainScene');
+
+    const saveManager = SaveManager.fromScene(this);
+    if (!saveManager) {
+      this.scene.start('MainScene');
+      return;
+    }
+
+    this.slotBrowser = new SaveSlotBrowser(this, saveManager, {
+      mode: 'load',
+      onLoad: (slot) => this.loadSave(slot),
+      onClose: () => { this.slotBrowser = null; }
+    });
+    this.slotBrowser.open();
+  }
+
+  /**
+   * Start the game from a save slot
+   * @param {Object} slot - Full SaveManager record
+   */
+  loadSave(slot) {
+    console.log(`[MainMenuScene] Loading "${slot.name}"...`);
+    this.scene.start('MainScene', { save: slot.gameState, playTime: slot.playTime });
+  }
+
+  /**
+   * Let the player pick a save file to import
+   */
+  importSave() {
+    console.log('[MainMenuScene] Importing save file...');
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = SAVE_FILE_EXTENSION;
+    input.addEventListener('change', () => {
+      if (input.files?.[0]) this.loadSaveFile(input.files[0]);
+    });
+    input.click();
+  }
+
+  /**
+   * Check a save file and start the game from it, or explain why it cannot load
+   * @param {File} file
+   * @returns {Promise<boolean>} Whether the game was started
+   */
+  async loadSaveFile(file) {
+    const { state, errors } = await SaveSystem.importFromFile(file);
+    if (!state) {
+      this.showPlaceholderDialog('Import Failed', errors.join('\n\n'));
+      return false;
+    }
+
+    console.log(`[MainMenuScene] Loading ${file.name}...`);
+    this.scene.start('MainScene', { save: state });
+    return true;
+  }
+
+  watchReplay() {
+    console.log('[MainMenuScene] Watching last replay...');
+    const replay = SaveSystem.loadReplay();
+    if (!replay) return;
+
+    this.scene.start('MainScene', { replay });
   }
 
   openSettings() {
@@ -319,7 +413,8 @@ export default class MainMenuScene extends Phaser.Scene {
         fontFamily: 'Arial, sans-serif',
         fontSize: '20px',
         color: '#FFFFFF',
-        align: 'center'
+        align: 'center',
+        wordWrap: { width: dialogWidth - 80 }
       }
     );
     contentText.setOrigin(0.5);
@@ -370,11 +465,24 @@ export default class MainMenuScene extends Phaser.Scene {
     });
   }
 
-  checkForSavedGame() {
-    // TODO: Check localStorage for saved game
+  checkForReplay() {
+    try {
+      return SaveSystem.hasReplay();
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Whether any save slot exists
+   * @returns {Promise<boolean>}
+   */
+  async checkForSavedGame() {
+    const saveManager = SaveManager.fromScene(this);
+    if (!saveManager) return false;
+
     try {
-      const savedGame = localStorage.getItem('godDotsSave');
-      return savedGame !== null;
+      return await saveManager.hasSaves();
     } catch (e) {
       return false;
     }
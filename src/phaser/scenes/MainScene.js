@@ -12,21 +12,27 @@ import TerrainGenerator from '../systems/TerrainGenerator';
 import BiomeMapper from '../systems/BiomeMapper';
 import PathfindingSystem from '../systems/PathfindingSystem';
 import PathVisualizer from '../systems/PathVisualizer';
-import VillagerSystem from '../systems/VillagerSystem';
-import TempleSystem from '../systems/TempleSystem';
 import CameraControlSystem from '../systems/CameraControlSystem';
-import PlayerSystem from '../systems/PlayerSystem';
 import GameInitializer from '../systems/GameInitializer';
-import GameClock from '../systems/GameClock';
-import DivinePowerSystem from '../systems/DivinePowerSystem';
-import BuildingSystem, { BUILDING_TYPES } from '../systems/BuildingSystem';
-import AIGodSystem from '../systems/AIGodSystem';
+import { BUILDING_TYPES } from '../systems/BuildingSystem';
+import SimulationCore from '../core/SimulationCore';
+import { COMMANDS } from '../core/CommandLog';
+import { DEFAULT_FORMATION } from '../config/formations';
+import { JOBS } from '../config/jobs';
+import { LIFE_STAGES } from '../config/lifecycle';
+import { TRAITS } from '../config/traits';
 import SaveSystem from '../systems/SaveSystem';
+import SaveManager from '../systems/SaveManager';
+import SaveSlotBrowser from '../systems/SaveSlotBrowser';
 import FogOfWarSystem from '../systems/FogOfWarSystem';
+import VillagerRenderer from '../systems/VillagerRenderer';
+import RoadRenderer from '../systems/RoadRenderer';
 import ParticleSystem from '../systems/ParticleSystem';
 import AudioSystem from '../systems/AudioSystem';
 import { loadSettings } from './SettingsScene';
 
+const REPLAY_SEEK_TICKS = 600; // 30 seconds at the 50ms simulation step
+
 export default class MainScene extends Phaser.Scene {
   constructor() {
     super({ key: 'MainScene' });
@@ -59,8 +65,9 @@ export default class MainScene extends Phaser.Scene {
     this.pathStart = null;
     this.pathEnd = null;
 
-    // Villager system (Layer 4)
+    // Villager system (Layer 4) and its batched renderer
     this.villagerSystem = null;
+    this.villagerRenderer = null;
 
     // Temple system (Layer 6)
     this.templeSystem = null;
@@ -75,11 +82,43 @@ export default class MainScene extends Phaser.Scene {
     this.gameStarted = false;
     this.gameEnded = false;
 
+    // Simulation core (owns the gameplay systems below) and its seeded RNG
+    this.simulation = null;
+    this.random = null;
+
+    // Replay mode: a recorded game plays back instead of taking player input
+    this.replay = null; // ReplayController while watching
+    this.replayData = null; // Recording passed in by the scene that started us
+    this.replaySeekTick = 0;
+    this.replaySpeed = 1;
+    this.replayText = null;
+
+    this.saveData = null; // Save passed in by Continue
+    this.playTime = 0; // Real milliseconds played, shown on save slots
+    this.slotBrowser = null;
+
+    // Belief system (Layer 6)
+    this.beliefSystem = null;
+
     // Divine power system
     this.divinePowerSystem = null;
 
     // Building system
     this.buildingSystem = null;
+    this.jobSystem = null;
+    this.populationSystem = null;
+
+    // Roads and the road-laying mode (drag to lay, ESC or right-click to stop)
+    this.roadSystem = null;
+    this.roadRenderer = null;
+    this.roadMode = false;
+    this.lastRoadTile = null;
+
+    // Villagers selected for group orders (shift-drag a box or click one), each with a ring
+    this.selectedVillagerIds = [];
+    this.groupRings = [];
+    this.selectionBox = null;
+    this.boxSelectStart = null; // World position the shift-drag started at
 
     // AI system
     this.aiGodSystem = null;
@@ -112,11 +151,30 @@ export default class MainScene extends Phaser.Scene {
   }
 
   /**
-   * Initialize scene - called before create
+   * Initialize scene - called before create (and on every restart)
+   * @param {Object} data - {replay, seekTick, replaySpeed} to watch a recording, or {save, playTime} to load a game
    */
-  init() {
+  init(data = {}) {
     // Scene initialization logic
     this.isInitialized = true;
+
+    // Per-game state; the constructor only runs once across restarts
+    this.gameStarted = false;
+    this.gameEnded = false;
+    this.isPaused = false;
+
+    this.replayData = data.replay || null;
+    this.replaySeekTick = data.seekTick || 0;
+    this.replaySpeed = data.replaySpeed || 1;
+    if (this.replayData) {
+      this.terrainSeed = this.replayData.seed;
+    }
+
+    this.saveData = this.replayData ? null : data.save || null;
+    if (this.saveData) {
+      this.terrainSeed = this.saveData.terrainSeed;
+    }
+    this.playTime = this.saveData ? data.playTime || 0 : 0;
   }
 
   /**
@@ -153,50 +211,33 @@ export default class MainScene extends Phaser.Scene {
       // Initialize path visualizer (Layer 3)
       this.pathVisualizer = new PathVisualizer(this);
 
-      // Initialize villager system (Layer 4)
-      this.villagerSystem = new VillagerSystem(this, this.pathfindingSystem);
-      this.villagerSystem.setMapBounds(this.mapWidth, this.mapHeight);
-      this.villagerSystem.setTerrainData(this.biomeMap);
-      console.log('[MainScene] Villager system initialized');
+      // Gameplay runs in the simulation core; this scene renders it
+      this.simulation = new SimulationCore({
+        host: this,
+        seed: this.terrainSeed,
+        mapWidth: this.mapWidth,
+        mapHeight: this.mapHeight,
+        biomeMap: this.biomeMap,
+        pathfindingSystem: this.pathfindingSystem,
+        pathWorker: this.createPathWorker(),
+        replay: this.replayData
+      });
+      this.attachSimulation(this.simulation);
+      this.events.once('shutdown', this.shutdownSimulation, this);
 
-      // Initialize temple system (Layer 6)
-      this.templeSystem = new TempleSystem(this);
-      console.log('[MainScene] Temple system initialized');
+      // Villagers are drawn in batches, not as one game object each
+      this.villagerRenderer = new VillagerRenderer(this);
+      this.villagerSystem.renderer = this.villagerRenderer;
+      this.roadRenderer = new RoadRenderer(this);
+      console.log('[MainScene] Simulation core initialized');
 
       // Initialize camera control system (Layer 5)
       this.cameraControlSystem = new CameraControlSystem(this);
       console.log('[MainScene] Camera control system initialized');
 
-      // Initialize player system (Layer 6)
-      this.playerSystem = new PlayerSystem(this);
-      console.log('[MainScene] Player system initialized');
-
       // Start the game (spawn players, temples, villagers)
       this.startGame();
 
-      // Wire up cross-system references for worship/belief/spawning
-      this.villagerSystem.templeSystem = this.templeSystem;
-      this.villagerSystem.playerSystem = this.playerSystem;
-      this.templeSystem.villagerSystem = this.villagerSystem;
-      this.templeSystem.playerSystem = this.playerSystem;
-
-      // Initialize divine power system
-      this.divinePowerSystem = new DivinePowerSystem(this);
-      this.divinePowerSystem.playerSystem = this.playerSystem;
-      this.divinePowerSystem.villagerSystem = this.villagerSystem;
-
-      // Initialize building system
-      this.buildingSystem = new BuildingSystem(this);
-      this.buildingSystem.playerSystem = this.playerSystem;
-      this.buildingSystem.pathfindingSystem = this.pathfindingSystem;
-      this.buildingSystem.templeSystem = this.templeSystem;
-
-      // Initialize AI system
-      this.aiGodSystem = new AIGodSystem(this);
-      this.aiGodSystem.playerSystem = this.playerSystem;
-      this.aiGodSystem.buildingSystem = this.buildingSystem;
-      this.aiGodSystem.templeSystem = this.templeSystem;
-
       // Initialize particle system and audio
       this.particleSystem = new ParticleSystem(this);
       this.audioSystem = new AudioSystem(this);
@@ -212,37 +253,78 @@ export default class MainScene extends Phaser.Scene {
       this.createInfoPanel();
       this.createMinimap();
 
-      // Initialize game clock (day/night cycle)
-      this.gameClock = new GameClock(this);
-
-      // Apply saved settings
-      const savedSettings = loadSettings();
-      this.gameSpeed = savedSettings.gameSpeed || 1;
+      // Apply saved settings (replays use the recorded speed, loaded games their saved one)
+      if (this.replay) {
+        this.startReplay();
+      } else if (this.saveData) {
+        this.gameSpeed = this.simulation.gameSpeed;
+      } else {
+        const savedSettings = loadSettings();
+        this.setGameSpeed(savedSettings.gameSpeed || 1);
+      }
 
       // Register click handlers for divine power targeting and building placement
       this.input.on('pointerdown', (pointer) => {
-        // Right-click cancels any targeting
+        const camera = this.cameras.main;
+        const worldX = pointer.x / camera.zoom + camera.scrollX;
+        const worldY = pointer.y / camera.zoom + camera.scrollY;
+
+        // Right-click cancels any targeting, otherwise sends the selected villagers there
         if (pointer.rightButtonDown()) {
-          if (this.divinePowerSystem?.selectedPower) this.divinePowerSystem.cancelPower();
-          if (this.buildingSystem?.placementMode) this.buildingSystem.cancelPlacement();
+          if (this.divinePowerSystem?.selectedPower || this.buildingSystem?.placementMode || this.roadMode) {
+            if (this.divinePowerSystem?.selectedPower) this.divinePowerSystem.cancelPower();
+            if (this.buildingSystem?.placementMode) this.buildingSystem.cancelPlacement();
+            this.setRoadMode(false);
+          } else if (this.selectedVillagerIds.length > 0) {
+            // Shift: go back to the daily routine on arrival instead of holding position
+            this.orderSelectedVillagers(worldX, worldY, !pointer.event?.shiftKey);
+          }
           return;
         }
 
-        // Left-click: cast power or place building
+        // Left-click: cast power, place building, lay road, or select
         if (pointer.leftButtonDown()) {
-          const camera = this.cameras.main;
-          const worldX = pointer.x / camera.zoom + camera.scrollX;
-          const worldY = pointer.y / camera.zoom + camera.scrollY;
-
           if (this.divinePowerSystem?.selectedPower) {
-            this.divinePowerSystem.castAtWorld(worldX, worldY);
+            const powerId = this.divinePowerSystem.selectedPower;
+            this.divinePowerSystem.cancelPower();
+            this.issueCommand(COMMANDS.CAST_POWER, { powerId, worldX, worldY });
           } else if (this.buildingSystem?.placementMode) {
-            this.buildingSystem.placeAtWorld(worldX, worldY);
+            const buildingType = this.buildingSystem.selectedType;
+            if (this.issueCommand(COMMANDS.PLACE_BUILDING, { buildingType, worldX, worldY })) {
+              this.buildingSystem.cancelPlacement();
+            }
+          } else if (this.roadMode) {
+            this.layRoadAt(worldX, worldY);
+          } else if (pointer.event?.shiftKey) {
+            this.boxSelectStart = { x: worldX, y: worldY };
           } else {
             this.selectEntityAt(worldX, worldY);
           }
         }
       });
+
+      // Dragging in road mode lays a road along the way; shift-dragging draws the selection box
+      this.input.on('pointermove', (pointer) => {
+        if (!pointer.leftButtonDown()) return;
+        const camera = this.cameras.main;
+        const worldX = pointer.x / camera.zoom + camera.scrollX;
+        const worldY = pointer.y / camera.zoom + camera.scrollY;
+
+        if (this.roadMode) {
+          this.layRoadAt(worldX, worldY);
+        } else if (this.boxSelectStart) {
+          this.drawSelectionBox(this.boxSelectStart.x, this.boxSelectStart.y, worldX, worldY);
+        }
+      });
+
+      this.input.on('pointerup', (pointer) => {
+        if (!this.boxSelectStart) return;
+        const camera = this.cameras.main;
+        this.selectVillagersInBox(
+          this.boxSelectStart.x, this.boxSelectStart.y,
+          pointer.x / camera.zoom + camera.scrollX, pointer.y / camera.zoom + camera.scrollY
+        );
+      });
     }
 
     // Keyboard handlers
@@ -253,6 +335,8 @@ export default class MainScene extends Phaser.Scene {
           this.divinePowerSystem.cancelPower();
         } else if (this.buildingSystem && this.buildingSystem.placementMode) {
           this.buildingSystem.cancelPlacement();
+        } else if (this.roadMode) {
+          this.setRoadMode(false);
         } else {
           this.togglePause();
         }
@@ -260,24 +344,30 @@ export default class MainScene extends Phaser.Scene {
 
       // Number keys for divine powers
       this.input.keyboard.on('keydown-ONE', () => {
-        if (this.divinePowerSystem) this.divinePowerSystem.selectPower('heal');
+        if (this.divinePowerSystem && !this.replay) this.divinePowerSystem.selectPower('heal');
       });
       this.input.keyboard.on('keydown-TWO', () => {
-        if (this.divinePowerSystem) this.divinePowerSystem.selectPower('storm');
+        if (this.divinePowerSystem && !this.replay) this.divinePowerSystem.selectPower('storm');
       });
       this.input.keyboard.on('keydown-THREE', () => {
-        if (this.divinePowerSystem) this.divinePowerSystem.selectPower('food');
+        if (this.divinePowerSystem && !this.replay) this.divinePowerSystem.selectPower('food');
       });
 
       // Building shortcuts
       this.input.keyboard.on('keydown-F', () => {
-        if (this.buildingSystem) this.buildingSystem.startPlacement('farm');
+        if (this.buildingSystem && !this.replay) this.buildingSystem.startPlacement('farm');
       });
       this.input.keyboard.on('keydown-H', () => {
-        if (this.buildingSystem) this.buildingSystem.startPlacement('house');
+        if (this.buildingSystem && !this.replay) this.buildingSystem.startPlacement('house');
       });
       this.input.keyboard.on('keydown-W', () => {
-        if (this.buildingSystem) this.buildingSystem.startPlacement('wall');
+        if (this.buildingSystem && !this.replay) this.buildingSystem.startPlacement('wall');
+      });
+      this.input.keyboard.on('keydown-L', () => {
+        if (this.buildingSystem && !this.replay) this.buildingSystem.startPlacement('lumberCamp');
+      });
+      this.input.keyboard.on('keydown-R', () => {
+        if (this.roadSystem && !this.replay) this.setRoadMode(!this.roadMode);
       });
 
       // M: toggle minimap
@@ -293,12 +383,29 @@ export default class MainScene extends Phaser.Scene {
         if (this.selectedEntity && this.selectedEntityType === 'temple') {
           const temple = this.selectedEntity;
           if (temple.playerId === this.playerSystem?.getHumanPlayer()?.id) {
-            this.templeSystem.upgradeTemple(temple.id);
+            this.issueCommand(COMMANDS.UPGRADE_TEMPLE, { templeId: temple.id });
             this.updateInfoPanel();
           }
         }
       });
 
+      // Replay playback: SPACE pause, UP/DOWN speed, LEFT/RIGHT seek
+      this.input.keyboard.on('keydown-SPACE', () => {
+        if (this.replay) this.replay.togglePause();
+      });
+      this.input.keyboard.on('keydown-UP', () => {
+        if (this.replay) this.replay.faster();
+      });
+      this.input.keyboard.on('keydown-DOWN', () => {
+        if (this.replay) this.replay.slower();
+      });
+      this.input.keyboard.on('keydown-RIGHT', () => {
+        if (this.replay) this.seekReplay(this.simulation.tick + REPLAY_SEEK_TICKS);
+      });
+      this.input.keyboard.on('keydown-LEFT', () => {
+        if (this.replay) this.seekReplay(this.simulation.tick - REPLAY_SEEK_TICKS);
+      });
+
       console.log('[MainScene] Keyboard handlers registered');
     }
   }
@@ -313,27 +420,233 @@ export default class MainScene extends Phaser.Scene {
 
     console.log('[MainScene] Starting game...');
 
-    const result = GameInitializer.initializeGame(
-      this,
-      {
-        playerSystem: this.playerSystem,
-        villagerSystem: this.villagerSystem,
-        templeSystem: this.templeSystem,
-        pathfindingSystem: this.pathfindingSystem
-      },
-      {
-        mapWidth: this.mapWidth,
-        mapHeight: this.mapHeight,
-        villagersPerPlayer: 3
+    // A loaded game picks up from the save instead of spawning a new one
+    let result = null;
+    if (this.simulation && this.saveData) {
+      result = SaveSystem.restoreState(this, this.saveData);
+      if (!result) {
+        console.warn('[MainScene] Save could not be restored, starting a new game');
+        this.saveData = null;
       }
-    );
+    }
+    if (this.simulation && !result) {
+      result = this.simulation.start();
+    }
 
     if (result) {
       this.gameStarted = true;
-      GameInitializer.showGameStartMessage(this);
+      if (!this.saveData) GameInitializer.showGameStartMessage(this);
 
       // Listen for game end events
       this.events.on('game_end', this.handleGameEnd, this);
+
+      // The simulation flips converted villagers; refresh the panel if one is selected
+      this.events.on('villager_converted', this.handleVillagerConverted, this);
+
+      // Speed changes are commands so replays follow them
+      this.events.on('gameSpeedChanged', this.handleGameSpeedChanged, this);
+    }
+  }
+
+  /**
+   * Send a player action to the simulation, which records it for replays
+   * Ignored while watching a replay.
+   * @param {string} type - One of COMMANDS
+   * @param {Object} payload - Command arguments
+   * @returns {*} The action's result (falsy if it did nothing)
+   */
+  issueCommand(type, payload) {
+    if (!this.simulation || this.replay) return false;
+    return this.simulation.execute(type, payload);
+  }
+
+  /**
+   * Start or stop laying roads with the mouse
+   * @param {boolean} enabled
+   */
+  setRoadMode(enabled) {
+    this.roadMode = enabled;
+    this.lastRoadTile = null;
+    if (enabled) {
+      if (this.buildingSystem?.placementMode) this.buildingSystem.cancelPlacement();
+      if (this.divinePowerSystem?.selectedPower) this.divinePowerSystem.cancelPower();
+    }
+  }
+
+  /**
+   * Lay a road under the cursor, once per tile while dragging
+   * @param {number} worldX - World X in pixels
+   * @param {number} worldY - World Y in pixels
+   */
+  layRoadAt(worldX, worldY) {
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    const tileKey = `${Math.floor(worldX / TILE_SIZE)},${Math.floor(worldY / TILE_SIZE)}`;
+    if (tileKey === this.lastRoadTile) return;
+
+    this.lastRoadTile = tileKey;
+    this.issueCommand(COMMANDS.LAY_ROAD, { worldX, worldY });
+  }
+
+  /**
+   * Send the selected villagers to a point as a group
+   * @param {number} worldX - World X in pixels
+   * @param {number} worldY - World Y in pixels
+   * @param {boolean} hold - Hold position there instead of going back to the daily routine
+   */
+  orderSelectedVillagers(worldX, worldY, hold) {
+    this.issueCommand(COMMANDS.MOVE_GROUP, {
+      villagerIds: [...this.selectedVillagerIds],
+      worldX,
+      worldY,
+      formation: DEFAULT_FORMATION,
+      hold
+    });
+  }
+
+  /**
+   * Change game speed (recorded so replays play at the same pace)
+   * @param {number} speed - Multiplier on frame time (1 = normal)
+   */
+  setGameSpeed(speed) {
+    if (!this.issueCommand(COMMANDS.SET_GAME_SPEED, { speed })) {
+      this.gameSpeed = speed;
+    }
+  }
+
+  /**
+   * Follow game speed changes from the simulation (live or replayed)
+   * @param {Object} data - {speed}
+   */
+  handleGameSpeedChanged(data) {
+    this.gameSpeed = data.speed;
+  }
+
+  /**
+   * Destroy the simulation when the scene stops or restarts
+   */
+  shutdownSimulation() {
+    this.events.off('game_end', this.handleGameEnd, this);
+    this.events.off('villager_converted', this.handleVillagerConverted, this);
+    this.events.off('gameSpeedChanged', this.handleGameSpeedChanged, this);
+
+    if (this.simulation) {
+      this.simulation.destroy();
+      this.simulation = null;
+    }
+    if (this.villagerRenderer) {
+      this.villagerRenderer.destroy();
+      this.villagerRenderer = null;
+    }
+    if (this.roadRenderer) {
+      this.roadRenderer.destroy();
+      this.roadRenderer = null;
+    }
+    this.replay = null;
+  }
+
+  /**
+   * Set up replay playback: jump to the requested tick and show the controls
+   */
+  startReplay() {
+    this.replay.setSpeed(this.replaySpeed);
+    if (this.replaySeekTick > 0) {
+      this.simulation.seekTo(this.replaySeekTick);
+    }
+
+    this.powerHintText?.setText('[SPACE] Pause  [UP/DOWN] Speed  [LEFT/RIGHT] Seek 30s  |  [ESC] Menu');
+
+    this.replayText = this.add.text(this.cameras.main.width / 2, 10, '', {
+      fontSize: '20px',
+      fontFamily: 'monospace',
+      color: '#FFD700',
+      backgroundColor: 'rgba(0,0,0,0.6)',
+      padding: { x: 12, y: 8 },
+    });
+    this.replayText.setOrigin(0.5, 0);
+    this.replayText.setScrollFactor(0);
+    this.replayText.setDepth(5000);
+
+    console.log(`[MainScene] Watching replay (seed ${this.replayData.seed}, ${this.replay.log.commands.length} commands)`);
+  }
+
+  /**
+   * Jump the replay to a tick
+   * Forward seeks run the simulation; going back restarts from the seed.
+   * @param {number} tick - Target simulation tick
+   */
+  seekReplay(tick) {
+    if (!this.replay) return;
+
+    const target = Math.max(0, Math.min(tick, this.replay.endTick));
+    if (target >= this.simulation.tick) {
+      this.simulation.seekTo(target);
+      return;
+    }
+
+    this.scene.restart({ replay: this.replayData, seekTick: target, replaySpeed: this.replay.speed });
+  }
+
+  /**
+   * Update the replay status bar
+   */
+  updateReplayHUD() {
+    if (!this.replayText || !this.replay) return;
+
+    const toTime = (tick) => {
+      const seconds = Math.floor(tick * this.simulation.timestep / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    let status = `REPLAY  ${toTime(this.simulation.tick)} / ${toTime(this.replay.endTick)}  x${this.replay.speed}`;
+    if (this.replay.isPaused) status += '  PAUSED';
+    else if (this.simulation.isReplayFinished()) status += '  END';
+
+    this.replayText.setText(status);
+  }
+
+  /**
+   * Worker for off-thread path searches, if the game registered a factory for one
+   * @returns {Worker|null} Null means searches run on the main thread
+   */
+  createPathWorker() {
+    const createWorker = this.registry?.get('createPathWorker');
+    if (!createWorker) return null;
+
+    try {
+      return createWorker();
+    } catch (error) {
+      console.error('[MainScene] Could not start the pathfinding worker:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Expose the simulation's systems on the scene for rendering, input and saving
+   * @param {SimulationCore} simulation
+   */
+  attachSimulation(simulation) {
+    this.random = simulation.random;
+    this.replay = simulation.replay;
+    this.villagerSystem = simulation.villagerSystem;
+    this.templeSystem = simulation.templeSystem;
+    this.playerSystem = simulation.playerSystem;
+    this.beliefSystem = simulation.beliefSystem;
+    this.divinePowerSystem = simulation.divinePowerSystem;
+    this.buildingSystem = simulation.buildingSystem;
+    this.jobSystem = simulation.jobSystem;
+    this.populationSystem = simulation.populationSystem;
+    this.roadSystem = simulation.roadSystem;
+    this.aiGodSystem = simulation.aiGodSystem;
+    this.gameClock = simulation.gameClock;
+  }
+
+  /**
+   * Refresh the info panel when the selected villager converts
+   * @param {Object} data - {villagerId, playerId, fromPlayerId, strength}
+   */
+  handleVillagerConverted(data) {
+    if (this.selectedEntityType === 'villager' && this.selectedEntity?.id === data.villagerId) {
+      this.updateInfoPanel();
     }
   }
 
@@ -347,6 +660,9 @@ export default class MainScene extends Phaser.Scene {
     }
 
     this.gameEnded = true;
+    if (!this.replay) {
+      SaveSystem.saveReplay(this);
+    }
     GameInitializer.showGameEndMessage(this, result);
     this.showGameOverScreen(result);
   }
@@ -462,17 +778,17 @@ export default class MainScene extends Phaser.Scene {
       return;
     }
 
-    // Apply game speed multiplier
-    const scaledDelta = delta * this.gameSpeed;
-
-    // Update villagers (Layer 4)
-    if (this.villagerSystem) {
-      this.villagerSystem.update(scaledDelta);
+    if (!this.replay && !this.gameEnded) {
+      this.playTime += delta;
     }
 
-    // Update temples (Layer 6)
-    if (this.templeSystem) {
-      this.templeSystem.update(scaledDelta);
+    // Apply game speed multiplier (and replay fast-forward)
+    const replaySpeed = this.replay ? this.replay.speed : 1;
+    const scaledDelta = delta * this.gameSpeed * replaySpeed;
+
+    // Step the simulation on its fixed timestep (villagers, temples, players, belief, clock, buildings, AI)
+    if (this.simulation && !this.replay?.isPaused) {
+      this.simulation.advance(scaledDelta);
     }
 
     // Update camera controls (Layer 5) - not scaled by game speed
@@ -480,29 +796,24 @@ export default class MainScene extends Phaser.Scene {
       this.cameraControlSystem.update(delta);
     }
 
-    // Update player system (Layer 6)
-    if (this.playerSystem && this.gameStarted && !this.gameEnded) {
-      this.playerSystem.update(time, scaledDelta);
+    // Roads redraw only when they change
+    if (this.roadRenderer && this.roadSystem) {
+      this.roadRenderer.render(this.roadSystem);
     }
 
-    // Update game clock
-    if (this.gameClock) {
-      this.gameClock.update(scaledDelta);
+    // Draw villagers where the simulation left them
+    if (this.villagerRenderer && this.villagerSystem) {
+      this.villagerRenderer.render(this.villagerSystem.villagers, delta);
     }
 
-    // Update divine power system (cooldowns tick at real time, targeting follows cursor)
+    // Targeting circle follows the cursor (cooldowns tick in the simulation)
     if (this.divinePowerSystem) {
-      this.divinePowerSystem.update(delta);
+      this.divinePowerSystem.updateTargeting();
     }
 
-    // Update building system (food production uses game speed, ghost preview uses real time)
+    // Update building placement preview (real time)
     if (this.buildingSystem) {
-      this.buildingSystem.update(delta, scaledDelta);
-    }
-
-    // Update AI system
-    if (this.aiGodSystem) {
-      this.aiGodSystem.update(scaledDelta);
+      this.buildingSystem.updatePlacementPreview();
     }
 
     // Update fog of war
@@ -512,13 +823,15 @@ export default class MainScene extends Phaser.Scene {
 
     // Update HUD and minimap
     this.updateHUD();
+    this.updateReplayHUD();
     this.updateMinimap();
 
-    // Auto-save
+    // Auto-save (never over the player's save while watching a replay)
     this.autoSaveTimer -= delta;
-    if (this.autoSaveTimer <= 0) {
+    if (this.autoSaveTimer <= 0 && !this.replay) {
       this.autoSaveTimer = 60000;
-      SaveSystem.saveGame(this, true);
+      this.autoSave();
+      SaveSystem.saveReplay(this);
     }
   }
 
@@ -548,7 +861,7 @@ export default class MainScene extends Phaser.Scene {
     };
 
     this.powerHintText = this.add.text(10, this.cameras.main.height - 40,
-      '[1] Heal  [2] Storm  [3] Food  |  [F] Farm  [H] House  [W] Wall  |  [U] Upgrade  [ESC] Pause', hintStyle);
+      '[1] Heal  [2] Storm  [3] Food  |  [F] Farm  [H] House  [W] Wall  [L] Lumber  [R] Roads  |  [Shift+Drag] Select  [Right-click] Move  |  [U] Upgrade  [ESC] Pause', hintStyle);
     this.powerHintText.setScrollFactor(0);
     this.powerHintText.setDepth(5000);
   }
@@ -564,13 +877,14 @@ export default class MainScene extends Phaser.Scene {
 
     const belief = Math.floor(human.beliefPoints);
     const food = Math.floor(human.food);
+    const wood = Math.floor(human.wood);
     const pop = human.population;
     const worshipping = this.villagerSystem ? this.villagerSystem.getWorshippingCount() : 0;
     const sleeping = this.villagerSystem ? this.villagerSystem.getSleepingCount() : 0;
     const timeStr = this.gameClock ? this.gameClock.getTimeString() : '';
 
     const popCap = this.getPopulationCap(human);
-    let statusParts = [`${timeStr}`, `Belief: ${belief}`, `Food: ${food}`, `Pop: ${pop}/${popCap}`];
+    let statusParts = [`${timeStr}`, `Belief: ${belief}`, `Food: ${food}`, `Wood: ${wood}`, `Pop: ${pop}/${popCap}`];
     if (worshipping > 0) statusParts.push(`Worshipping: ${worshipping}`);
     if (sleeping > 0) statusParts.push(`Sleeping: ${sleeping}`);
     if (food === 0) statusParts.push('STARVING');
@@ -581,11 +895,15 @@ export default class MainScene extends Phaser.Scene {
       if (info) statusParts.push(`CASTING: ${info.name}`);
     } else if (this.buildingSystem && this.buildingSystem.placementMode) {
       statusParts.push(`BUILDING: ${this.buildingSystem.selectedType}`);
+    } else if (this.roadMode) {
+      statusParts.push('LAYING ROADS');
     }
+    if (this.selectedVillagerIds.length > 1) statusParts.push(`Selected: ${this.selectedVillagerIds.length}`);
 
     this.hudText.setText(statusParts.join('  |  '));
 
-    // Update selection ring to follow moving entities
+    // Update selection rings to follow moving entities
+    this.updateGroupRings();
     if (this.selectedEntity && this.selectedEntityType === 'villager' && this.selectionRing?.visible) {
       const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
       this.selectionRing.setPosition(
@@ -768,17 +1086,11 @@ export default class MainScene extends Phaser.Scene {
     let bestType = null;
 
     // Check villagers
-    if (this.villagerSystem) {
-      for (const v of this.villagerSystem.villagers) {
-        const dx = v.x - tileX;
-        const dy = v.y - tileY;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < bestDist) {
-          best = v;
-          bestDist = dist;
-          bestType = 'villager';
-        }
-      }
+    const villager = this.villagerSystem?.findNearestVillager(tileX, tileY, clickRadius, v => !v.indoors);
+    if (villager) {
+      best = villager;
+      bestDist = Math.hypot(villager.x - tileX, villager.y - tileY);
+      bestType = 'villager';
     }
 
     // Check temples (larger click target)
@@ -811,6 +1123,10 @@ export default class MainScene extends Phaser.Scene {
       }
     }
 
+    // One of our own villagers also becomes a group of one for move orders
+    const human = this.playerSystem?.getHumanPlayer();
+    this.setSelectedVillagers(bestType === 'villager' && best.playerId === human?.id ? [best.id] : []);
+
     if (best) {
       this.selectedEntity = best;
       this.selectedEntityType = bestType;
@@ -867,9 +1183,83 @@ export default class MainScene extends Phaser.Scene {
     this.selectedEntity = null;
     this.selectedEntityType = null;
     this.hideSelectionRing();
+    this.setSelectedVillagers([]);
     if (this.infoPanelText) this.infoPanelText.setVisible(false);
   }
 
+  /**
+   * Outline the shift-drag selection box
+   */
+  drawSelectionBox(x1, y1, x2, y2) {
+    if (!this.selectionBox) {
+      this.selectionBox = this.add.graphics();
+      this.selectionBox.setDepth(200);
+    }
+    this.selectionBox.clear();
+    this.selectionBox.lineStyle(1, 0xFFFFFF, 0.8);
+    this.selectionBox.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+  }
+
+  /**
+   * Select the human player's villagers inside a world-space box
+   */
+  selectVillagersInBox(x1, y1, x2, y2) {
+    this.boxSelectStart = null;
+    if (this.selectionBox) this.selectionBox.clear();
+
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    const human = this.playerSystem?.getHumanPlayer();
+    if (!this.villagerSystem || !human) return;
+
+    const villagers = this.villagerSystem.getVillagersInRect(
+      Math.min(x1, x2) / TILE_SIZE, Math.min(y1, y2) / TILE_SIZE,
+      Math.max(x1, x2) / TILE_SIZE, Math.max(y1, y2) / TILE_SIZE,
+      v => v.playerId === human.id && !v.indoors
+    );
+
+    this.selectedEntity = null;
+    this.selectedEntityType = null;
+    this.hideSelectionRing();
+    if (this.infoPanelText) this.infoPanelText.setVisible(false);
+    this.setSelectedVillagers(villagers.map(v => v.id));
+  }
+
+  /**
+   * Replace the villagers selected for group orders
+   * @param {Array<number>} ids
+   */
+  setSelectedVillagers(ids) {
+    this.selectedVillagerIds = ids;
+    this.updateGroupRings();
+  }
+
+  /**
+   * Keep one ring on each selected villager (a lone villager uses the selection ring)
+   * Villagers that died drop out of the selection.
+   */
+  updateGroupRings() {
+    if (this.selectedVillagerIds.length === 0 && this.groupRings.length === 0) return;
+
+    const villagers = this.selectedVillagerIds
+      .map(id => this.villagerSystem?.getVillager(id))
+      .filter(Boolean);
+    this.selectedVillagerIds = villagers.map(v => v.id);
+
+    const ringed = villagers.length > 1 ? villagers : [];
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    while (this.groupRings.length < ringed.length) {
+      const ring = this.add.circle(0, 0, 10, 0xFFFFFF, 0);
+      ring.setStrokeStyle(1, 0xFFFFFF, 0.8);
+      ring.setDepth(200);
+      this.groupRings.push(ring);
+    }
+    this.groupRings.forEach((ring, i) => {
+      const villager = ringed[i];
+      ring.setVisible(!!villager);
+      if (villager) ring.setPosition(villager.x * TILE_SIZE + TILE_SIZE / 2, villager.y * TILE_SIZE + TILE_SIZE / 2);
+    });
+  }
+
   /**
    * Update info panel text based on selected entity
    */
@@ -883,16 +1273,28 @@ export default class MainScene extends Phaser.Scene {
     if (type === 'villager') {
       lines.push(`${e.name || 'Villager'} (#${e.id})`);
       lines.push(`State: ${e.state}`);
-      lines.push(`Health: ${e.health}/${e.maxHealth}`);
+      lines.push(`Age: ${Math.floor(e.age)} days (${LIFE_STAGES[e.getLifeStage()].name})`);
+      if (e.traits.length > 0) lines.push(`Traits: ${e.traits.map(t => TRAITS[t]?.name || t).join(', ')}`);
+      lines.push(`Health: ${Math.ceil(e.health)}/${e.maxHealth}`);
+      lines.push(`Hunger: ${Math.round(e.hunger)}  Energy: ${Math.round(e.energy)}  Happiness: ${Math.round(e.happiness)}`);
       lines.push(`Position: (${Math.floor(e.x)}, ${Math.floor(e.y)})`);
       lines.push(`Speed: ${e.speed} (x${e.speedMultiplier.toFixed(1)})`);
+      lines.push(`Job: ${e.job ? JOBS[e.job].name : 'Unemployed'}`);
+      lines.push(`Home: ${e.homeId ? `${e.homeId}${e.indoors ? ' (inside)' : ''}` : 'Homeless'}`);
       if (e.worshipTempleId) lines.push(`Worshipping: ${e.worshipTempleId}`);
+      if (this.beliefSystem && this.playerSystem) {
+        for (const player of this.playerSystem.players) {
+          const strength = this.beliefSystem.getBeliefStrength(e.id, player.id);
+          lines.push(`Belief (${player.name}): ${Math.round(strength)}%`);
+        }
+      }
     } else if (type === 'temple') {
       lines.push(`Temple: ${e.id}`);
       lines.push(`Level: ${e.level || 1}`);
       lines.push(`Position: (${e.position.x}, ${e.position.y})`);
       const pop = this.templeSystem.getPlayerVillagerCount(e.playerId);
       lines.push(`Villagers: ${pop}`);
+      if (this.jobSystem) lines.push(`Priests: ${this.jobSystem.getWorkers(e.id).length}/${this.jobSystem.getSlots(e)}`);
       const upgradeCost = this.templeSystem.getUpgradeCost(e);
       if (upgradeCost !== null) {
         lines.push(`Upgrade: ${upgradeCost} belief [U]`);
@@ -904,8 +1306,12 @@ export default class MainScene extends Phaser.Scene {
       lines.push(`${bType.name}`);
       lines.push(`Type: ${e.type}`);
       lines.push(`Position: (${e.tileX}, ${e.tileY})`);
-      if (e.type === 'farm') lines.push(`Food: +${bType.foodPerSecond}/sec`);
-      if (e.type === 'house') lines.push(`Pop bonus: +${bType.popBonus}`);
+      if (!this.buildingSystem.isBuilt(e)) lines.push(`Under construction: ${Math.floor(e.progress * 100)}%`);
+      const slots = this.jobSystem ? this.jobSystem.getSlots(e) : 0;
+      if (slots > 0) lines.push(`${JOBS[this.jobSystem.getJobAt(e)].name}s: ${this.jobSystem.getWorkers(e.id).length}/${slots}`);
+      if (e.type === 'house' && this.populationSystem) {
+        lines.push(`Residents: ${this.populationSystem.getResidents(e.id).length}/${bType.capacity}`);
+      }
     } else if (type === 'terrain') {
       lines.push(`Terrain`);
       lines.push(`Tile: (${e.tileX}, ${e.tileY})`);
@@ -921,14 +1327,7 @@ export default class MainScene extends Phaser.Scene {
    * Get population cap for a player (temple base + house bonus)
    */
   getPopulationCap(player) {
-    if (!player) return 0;
-    const templeBase = this.templeSystem
-      ? this.templeSystem.getPlayerTemples(player.id).reduce((sum, t) => sum + (t.level || 1) * 20, 0)
-      : 20;
-    const houseBonus = this.buildingSystem
-      ? this.buildingSystem.getPopulationBonus(player.id)
-      : 0;
-    return templeBase + houseBonus;
+    return this.simulation ? this.simulation.getPopulationCap(player) : 0;
   }
 
   /**
@@ -1009,7 +1408,7 @@ export default class MainScene extends Phaser.Scene {
     this.pathfindingSystem = new PathfindingSystem(this.biomeMap, {
       allowDiagonal: true,
       dontCrossCorners: true,
-      respectHeight: false // Can enable later for height-based movement
+      respectHeight: true // Climbing costs extra; cliffs over maxHeightDiff block
     });
     console.log(`[MainScene] Pathfinding system initialized`);
 
@@ -1322,10 +1721,11 @@ export default class MainScene extends Phaser.Scene {
 
     // Buttons
     const buttonConfigs = [
-      { text: 'RESUME', y: panelY + 180, action: () => this.resumeGame() },
-      { text: 'SAVE GAME', y: panelY + 270, action: () => { SaveSystem.saveGame(this); this.resumeGame(); } },
-      { text: 'RESTART', y: panelY + 360, action: () => this.restartGame() },
-      { text: 'MAIN MENU', y: panelY + 450, action: () => this.returnToMainMenu() }
+      { text: 'RESUME', y: panelY + 170, action: () => this.resumeGame() },
+      { text: 'SAVE GAME', y: panelY + 255, action: () => this.openSaveBrowser() },
+      { text: 'EXPORT SAVE', y: panelY + 340, action: () => this.exportSave() },
+      { text: 'RESTART', y: panelY + 425, action: () => this.restartGame() },
+      { text: 'MAIN MENU', y: panelY + 510, action: () => this.returnToMainMenu() }
     ];
 
     const buttons = buttonConfigs.map((config) => {
@@ -1410,6 +1810,7 @@ export default class MainScene extends Phaser.Scene {
    * Story 3: Remove pause overlay
    */
   removePauseOverlay() {
+    if (this.slotBrowser) this.slotBrowser.close();
     if (!this.pauseOverlay) return;
 
     // Destroy overlay elements
@@ -1425,6 +1826,91 @@ export default class MainScene extends Phaser.Scene {
     this.pauseOverlay = null;
   }
 
+  /**
+   * Browse save slots from the pause menu to save, load, rename or delete
+   */
+  openSaveBrowser() {
+    const saveManager = SaveManager.fromScene(this);
+    if (!saveManager || this.replay || this.slotBrowser) return;
+
+    this.slotBrowser = new SaveSlotBrowser(this, saveManager, {
+      mode: 'save',
+      onSave: (slot) => this.saveToSlot(slot),
+      onLoad: (slot) => this.loadSave(slot),
+      onClose: () => { this.slotBrowser = null; }
+    });
+    this.slotBrowser.open();
+  }
+
+  /**
+   * Save the game to a slot
+   * @param {Object|null} slot - Slot to overwrite (null = new slot)
+   * @returns {Promise<number|null>} Slot ID, or null if nothing was saved
+   */
+  async saveToSlot(slot = null) {
+    const saveManager = SaveManager.fromScene(this);
+    const state = SaveSystem.serializeState(this);
+    if (!saveManager || !state) return null;
+
+    return saveManager.save(state, {
+      id: slot?.id,
+      name: slot?.name || `Day ${state.simulation.clock.day}`,
+      description: SaveSystem.describeState(state),
+      playTime: this.playTime,
+      thumbnail: await this.captureThumbnail()
+    });
+  }
+
+  /**
+   * Download the game as a save file to share
+   * @returns {Promise<string|null>} File name, or null if nothing was exported
+   */
+  exportSave() {
+    if (this.replay) return Promise.resolve(null);
+    return SaveSystem.exportToFile(this);
+  }
+
+  /**
+   * Write a rotating autosave slot
+   * @returns {Promise<number|null>} Slot ID, or null if nothing was saved
+   */
+  async autoSave() {
+    const saveManager = SaveManager.fromScene(this);
+    const state = SaveSystem.serializeState(this);
+    if (!saveManager || !state) return null;
+
+    return saveManager.autosave(state, {
+      description: SaveSystem.describeState(state),
+      playTime: this.playTime,
+      thumbnail: await this.captureThumbnail()
+    });
+  }
+
+  /**
+   * Minimap image for save slots
+   * @returns {Promise<string|null>} JPEG data URL, or null without a minimap
+   */
+  captureThumbnail() {
+    return new Promise((resolve) => {
+      if (!this.minimapRT?.snapshot) {
+        resolve(null);
+        return;
+      }
+      this.minimapRT.snapshot((image) => resolve(image?.src || null), 'image/jpeg', 0.8);
+    });
+  }
+
+  /**
+   * Restart the scene from a save slot
+   * @param {Object} slot - Full SaveManager record
+   */
+  loadSave(slot) {
+    console.log(`[MainScene] Loading "${slot.name}"...`);
+    this.removePauseOverlay();
+    this.isPaused = false;
+    this.scene.restart({ save: slot.gameState, playTime: slot.playTime });
+  }
+
   /**
    * Story 3: Restart the current game
    */
@@ -7,6 +7,7 @@
 
 import { BUILDING_TYPES } from './BuildingSystem';
 import { TERRAIN_CONFIG } from '../config/terrainConfig';
+import { randomStream, RNG_STREAMS } from '../core/RandomService';
 
 const AI_DECISION_INTERVAL = 5000; // Decide every 5 seconds
 const AI_PASSIVE_BELIEF_PER_SEC = 2; // Passive belief income
@@ -54,9 +55,10 @@ export default class AIGodSystem {
 
   makeDecision(ai) {
     const belief = ai.beliefPoints;
+    const random = randomStream(this.scene, RNG_STREAMS.AI);
 
     // Priority 1: Upgrade temple if affordable
-    if (Math.random() < AI_UPGRADE_CHANCE && this.templeSystem) {
+    if (random.chance(AI_UPGRADE_CHANCE) && this.templeSystem) {
       const temples = this.templeSystem.getPlayerTemples(ai.id);
       for (const temple of temples) {
         const cost = this.templeSystem.getUpgradeCost(temple);
@@ -68,7 +70,7 @@ export default class AIGodSystem {
     }
 
     // Priority 2: Build something
-    if (Math.random() < AI_BUILD_CHANCE && this.buildingSystem && this.templeSystem) {
+    if (random.chance(AI_BUILD_CHANCE) && this.buildingSystem && this.templeSystem) {
       const aiBuildings = this.buildingSystem.getPlayerBuildings(ai.id);
       const farmCount = aiBuildings.filter(b => b.type === 'farm').length;
       const houseCount = aiBuildings.filter(b => b.type === 'house').length;
@@ -105,9 +107,10 @@ export default class AIGodSystem {
 
     // Search for valid placement near temple
     const searchRadius = 30;
+    const random = randomStream(this.scene, RNG_STREAMS.AI);
     for (let attempt = 0; attempt < 20; attempt++) {
-      const ox = Math.floor((Math.random() - 0.5) * searchRadius * 2);
-      const oy = Math.floor((Math.random() - 0.5) * searchRadius * 2);
+      const ox = Math.floor((random.next() - 0.5) * searchRadius * 2);
+      const oy = Math.floor((random.next() - 0.5) * searchRadius * 2);
       const tx = temple.position.x + ox;
       const ty = temple.position.y + oy;
 
@@ -124,6 +127,22 @@ export default class AIGodSystem {
     }
   }
 
+  /**
+   * Decision timer for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return { decisionTimer: this.decisionTimer };
+  }
+
+  /**
+   * Apply saved state from serialize()
+   * @param {Object} data - {decisionTimer}
+   */
+  restore(data) {
+    this.decisionTimer = data?.decisionTimer ?? AI_DECISION_INTERVAL;
+  }
+
   destroy() {
     this.playerSystem = null;
     this.buildingSystem = null;
@@ -7,9 +7,13 @@
  * - Belief decay over time
  * - Proximity-based temple influence
  * - Conversion tracking
+ * Villager traits (traits.js) scale how much a miracle moves a villager and
+ * how readily it takes to gods other than its own.
  */
 
 import { TERRAIN_CONFIG } from '../config/terrainConfig';
+import { isStarving } from '../config/villagerNeeds';
+import { getTraitModifier } from '../config/traits';
 
 // Belief generation constants
 const BELIEF_CONSTANTS = {
@@ -38,6 +42,10 @@ const BELIEF_CONSTANTS = {
   INFLUENCED_THRESHOLD: 20,        // 20% = influenced
   DEVOTED_THRESHOLD: 80,           // 80% = devoted
   CONVERSION_RESISTANCE_BASE: 10,  // Base resistance after failed conversion
+
+  // Live game loop
+  STARTING_BELIEF: 60,             // Belief a villager holds in its owner when first seen
+  PLAYER_BP_PER_WORSHIP: 10,       // Player BP earned per point of worship generation
 };
 
 export default class BeliefSystem {
@@ -50,29 +58,49 @@ export default class BeliefSystem {
     this.scene = scene;
     this.db = db;
 
-    // Cache for belief data (avoid frequent DB queries)
+    // Belief cache is the source of truth for the live game; the DB (if any) mirrors it
     this.beliefCache = new Map(); // villagerId -> {[playerId]: beliefData}
-    this.lastUpdateTime = 0;
+    this.conversionEvents = []; // ConversionEvent records, mirrored to the DB when present
+    this.timeSinceUpdate = 0;
     this.updateInterval = 1000; // Update every 1 second
 
+    // References set by MainScene
+    this.villagerSystem = null;
+    this.templeSystem = null;
+    this.playerSystem = null;
+
+    this.registerEventListeners();
+
     console.log('[BeliefSystem] Initialized');
   }
 
+  /**
+   * Listen for miracles so nearby villagers can witness them
+   */
+  registerEventListeners() {
+    if (!this.scene?.events?.on) return;
+
+    this.handlePowerCast = this.handlePowerCast.bind(this);
+    this.scene.events.on('powerCast', this.handlePowerCast);
+  }
+
   /**
    * Update belief generation and decay
    * @param {number} time - Current game time in milliseconds
-   * @param {number} delta - Time since last update in milliseconds
+   * @param {number} delta - Game-speed-scaled time since last update in milliseconds
    */
   update(time, delta) {
     // Only update once per second to avoid too frequent DB writes
-    if (time - this.lastUpdateTime < this.updateInterval) {
+    this.timeSinceUpdate += delta;
+    if (this.timeSinceUpdate < this.updateInterval) {
       return;
     }
 
-    this.lastUpdateTime = time;
+    const elapsed = this.timeSinceUpdate;
+    this.timeSinceUpdate = 0;
 
     // Update belief generation from all sources
-    this.updateBeliefGeneration(delta);
+    this.updateBeliefGeneration(elapsed);
   }
 
   /**
@@ -99,6 +127,15 @@ export default class BeliefSystem {
     return generation;
   }
 
+  /**
+   * How far away a miracle can be seen
+   * @param {Object} miracle - Miracle cast
+   * @returns {number} Radius in tiles
+   */
+  getWitnessRadius(miracle) {
+    return miracle.power * 50;
+  }
+
   /**
    * Process a villager witnessing a miracle
    * @param {Object} villager - Villager entity
@@ -113,7 +150,7 @@ export default class BeliefSystem {
 
     // Calculate distance from villager to miracle
     const distance = this.calculateDistance(villager.position, miracle.position);
-    const miracleRadius = miracle.power * 50; // Miracle influence radius
+    const miracleRadius = this.getWitnessRadius(miracle);
 
     if (distance > miracleRadius) {
       return 0; // Too far away to witness
@@ -128,8 +165,8 @@ export default class BeliefSystem {
     // Calculate base belief change
     let beliefChange = BELIEF_CONSTANTS.MIRACLE_BASE_BELIEF * distanceFactor * miracleModifier;
 
-    // Scale by miracle power
-    beliefChange *= miracle.power;
+    // Scale by miracle power and how easily this villager is impressed
+    beliefChange *= miracle.power * getTraitModifier(villager.traits, 'miracle');
 
     // Update belief in database
     this.addBelief(villager.id, casterPlayerId, beliefChange, {
@@ -222,7 +259,8 @@ export default class BeliefSystem {
     let decayRate = 0;
 
     // Check villager condition
-    if (villager.health < 30 || villager.happiness < 30) {
+    const starving = villager.health < 30 || isStarving(villager);
+    if (starving || villager.happiness < 30) {
       // Starving or unhappy villagers lose faith quickly
       decayRate = BELIEF_CONSTANTS.STARVATION_DECAY_RATE;
     } else {
@@ -235,7 +273,7 @@ export default class BeliefSystem {
     if (decayAmount > 0) {
       this.addBelief(villager.id, playerId, -decayAmount, {
         method: 'decay',
-        reason: villager.health < 30 ? 'starvation' : 'neglect'
+        reason: starving ? 'starvation' : 'neglect'
       });
     }
   }
@@ -259,12 +297,33 @@ export default class BeliefSystem {
 
   /**
    * Add (or subtract) belief for a villager toward a player
+   * The cache is updated synchronously; the DB record (if any) is written afterwards.
+   * Gains toward gods other than the villager's own are scaled by its traits.
    * @param {string} villagerId - Villager ID
    * @param {string} playerId - Player ID
    * @param {number} amount - Amount to add (negative to subtract)
    * @param {Object} context - Context about how belief was gained/lost
    */
   async addBelief(villagerId, playerId, amount, context = {}) {
+    const oldStrength = this.getBeliefStrength(villagerId, playerId);
+
+    // Faith in other gods comes harder to the pious and easier to the fickle
+    const villager = this.villagerSystem?.getVillager(villagerId);
+    if (amount > 0 && villager && villager.playerId !== playerId) {
+      amount *= getTraitModifier(villager.traits, 'conversion');
+    }
+
+    // Update belief strength (clamped to 0-100)
+    const newStrength = Math.max(0, Math.min(100, oldStrength + amount));
+    if (newStrength === oldStrength) {
+      return;
+    }
+
+    this.updateCache(villagerId, playerId, newStrength);
+
+    // Check for conversion threshold
+    this.checkConversionThreshold(villagerId, playerId, newStrength, oldStrength, context);
+
     if (!this.db) {
       // No database in test mode
       return;
@@ -272,47 +331,34 @@ export default class BeliefSystem {
 
     try {
       // Get or create belief record
-      let belief = await this.db.VillagerBelief
+      const belief = await this.db.VillagerBelief
         .where('[villagerId+playerId]')
         .equals([villagerId, playerId])
         .first();
 
       if (!belief) {
         // Create new belief record
-        belief = {
+        await this.db.VillagerBelief.add({
           villagerId,
           playerId,
-          strength: 0,
+          strength: newStrength,
           lastInteraction: new Date(),
           conversionProgress: 0,
           impressionEvents: [],
           lastUpdated: new Date(),
           resistanceModifier: 0
-        };
-
-        await this.db.VillagerBelief.add(belief);
+        });
+        return;
       }
 
-      // Update belief strength (clamped to 0-100)
-      const newStrength = Math.max(0, Math.min(100, belief.strength + amount));
-      const changed = newStrength !== belief.strength;
-
-      if (changed) {
-        await this.db.VillagerBelief
-          .where('[villagerId+playerId]')
-          .equals([villagerId, playerId])
-          .modify({
-            strength: newStrength,
-            lastInteraction: new Date(),
-            lastUpdated: new Date()
-          });
-
-        // Update cache
-        this.updateCache(villagerId, playerId, newStrength);
-
-        // Check for conversion threshold
-        this.checkConversionThreshold(villagerId, playerId, newStrength, belief.strength);
-      }
+      await this.db.VillagerBelief
+        .where('[villagerId+playerId]')
+        .equals([villagerId, playerId])
+        .modify({
+          strength: newStrength,
+          lastInteraction: new Date(),
+          lastUpdated: new Date()
+        });
     } catch (error) {
       console.error('[BeliefSystem] Error adding belief:', error);
     }
@@ -349,12 +395,14 @@ export default class BeliefSystem {
 
   /**
    * Check if villager has crossed a conversion threshold
+   * Crossing DEVOTED_THRESHOLD for a god other than the current owner converts the villager.
    * @param {string} villagerId - Villager ID
    * @param {string} playerId - Player ID
    * @param {number} newStrength - New belief strength
    * @param {number} oldStrength - Previous belief strength
+   * @param {Object} context - How the belief was gained (see addBelief)
    */
-  checkConversionThreshold(villagerId, playerId, newStrength, oldStrength) {
+  checkConversionThreshold(villagerId, playerId, newStrength, oldStrength, context = {}) {
     // Influenced threshold (20%)
     if (oldStrength < BELIEF_CONSTANTS.INFLUENCED_THRESHOLD &&
         newStrength >= BELIEF_CONSTANTS.INFLUENCED_THRESHOLD) {
@@ -365,49 +413,189 @@ export default class BeliefSystem {
     // Devoted threshold (80%)
     if (oldStrength < BELIEF_CONSTANTS.DEVOTED_THRESHOLD &&
         newStrength >= BELIEF_CONSTANTS.DEVOTED_THRESHOLD) {
+      const villager = this.villagerSystem?.getVillager(villagerId);
+      const fromPlayerId = villager ? villager.playerId : null;
+
+      // Already follows this god - nothing to convert
+      if (fromPlayerId === playerId) return;
+
       console.log(`[BeliefSystem] Villager ${villagerId} now DEVOTED to player ${playerId}`);
-      this.scene?.events.emit('villager_converted', { villagerId, playerId, strength: newStrength });
+      this.scene?.events.emit('villager_converted', {
+        villagerId,
+        playerId,
+        fromPlayerId,
+        strength: newStrength
+      });
 
       // Log conversion event
-      this.logConversion(villagerId, null, playerId, 'belief_threshold', oldStrength, newStrength);
+      this.logConversion(
+        villagerId,
+        fromPlayerId,
+        playerId,
+        context.method || 'belief_threshold',
+        oldStrength,
+        newStrength,
+        context
+      );
     }
   }
 
   /**
-   * Log a conversion event to database
+   * Record a conversion event (in memory, and in the database when present)
    * @param {string} villagerId - Villager ID
    * @param {string} fromPlayerId - Previous owner (null if free)
    * @param {string} toPlayerId - New owner
    * @param {string} method - How conversion happened
    * @param {number} beliefBefore - Belief before conversion
    * @param {number} beliefAfter - Belief after conversion
+   * @param {Object} context - Additional data (miracle type, distance, etc)
    */
-  async logConversion(villagerId, fromPlayerId, toPlayerId, method, beliefBefore, beliefAfter) {
+  async logConversion(villagerId, fromPlayerId, toPlayerId, method, beliefBefore, beliefAfter, context = {}) {
+    const event = {
+      villagerId,
+      fromPlayerId,
+      toPlayerId,
+      method,
+      beliefBefore,
+      beliefAfter,
+      timestamp: new Date(),
+      context
+    };
+    this.conversionEvents.push(event);
+
     if (!this.db) return;
 
     try {
-      await this.db.ConversionEvent.add({
-        villagerId,
-        fromPlayerId,
-        toPlayerId,
-        method,
-        beliefBefore,
-        beliefAfter,
-        timestamp: new Date(),
-        context: {}
-      });
+      await this.db.ConversionEvent.add(event);
     } catch (error) {
       console.error('[BeliefSystem] Error logging conversion:', error);
     }
   }
 
+  /**
+   * Get recorded conversion events, optionally filtered by villager
+   * @param {string} [villagerId] - Villager ID
+   * @returns {Array} ConversionEvent records, oldest first
+   */
+  getConversionEvents(villagerId) {
+    if (villagerId === undefined) return this.conversionEvents;
+    return this.conversionEvents.filter(e => e.villagerId === villagerId);
+  }
+
   /**
    * Update belief generation for all villagers (called once per second)
+   * Worship pays the temple owner and deepens the worshipper's faith, temples pull
+   * nearby villagers toward their owner, and every held belief decays when neglected.
    * @param {number} delta - Time since last update in milliseconds
    */
-  async updateBeliefGeneration(delta) {
-    // This will be implemented when we integrate with VillagerSystem
-    // For now, it's a placeholder
+  updateBeliefGeneration(delta) {
+    if (!this.villagerSystem) return;
+
+    const deltaMinutes = delta / 60000;
+    const temples = this.templeSystem ? this.templeSystem.temples : [];
+    const playerIds = this.playerSystem
+      ? this.playerSystem.getActivePlayers().map(p => p.id)
+      : [];
+
+    for (const villager of this.villagerSystem.villagers) {
+      this.ensureBelief(villager);
+
+      // Worship: generate player BP and reinforce faith in the temple's owner
+      if (villager.state === 'worshipping' && villager.worshipTempleId) {
+        const temple = this.templeSystem?.getTemple(villager.worshipTempleId);
+        if (temple) {
+          const generation = this.calculateWorshipGeneration(villager, temple, temple.playerId);
+          this.playerSystem?.addBeliefPoints(
+            temple.playerId,
+            generation * deltaMinutes * BELIEF_CONSTANTS.PLAYER_BP_PER_WORSHIP
+          );
+          this.addBelief(villager.id, temple.playerId, generation * deltaMinutes, { method: 'worship' });
+        }
+      }
+
+      // Temple proximity: every god's temples pull on nearby villagers
+      for (const playerId of playerIds) {
+        const influence = this.calculateProximityInfluence(villager, temples, playerId);
+        if (influence > 0) {
+          this.addBelief(villager.id, playerId, influence * deltaMinutes, { method: 'proximity' });
+        }
+      }
+
+      // Neglect: all held beliefs fade unless reinforced
+      const beliefs = this.beliefCache.get(villager.id) || {};
+      for (const playerId of Object.keys(beliefs)) {
+        if (beliefs[playerId].strength > 0) {
+          this.applyBeliefDecay(villager, playerId, deltaMinutes);
+        }
+      }
+    }
+  }
+
+  /**
+   * Seed a villager's belief in its owner the first time it is seen
+   * @param {Object} villager - Villager entity
+   */
+  ensureBelief(villager) {
+    if (!villager.playerId || this.beliefCache.has(villager.id)) return;
+    this.updateCache(villager.id, villager.playerId, BELIEF_CONSTANTS.STARTING_BELIEF);
+  }
+
+  /**
+   * Let every villager in range witness a cast miracle
+   * @param {Object} data - powerCast event payload {powerId, worldX, worldY, playerId}
+   */
+  handlePowerCast(data) {
+    if (!this.villagerSystem || !data || !data.playerId) return;
+
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    const miracle = {
+      type: data.powerId,
+      position: { x: data.worldX / TILE_SIZE, y: data.worldY / TILE_SIZE },
+      power: 1.0
+    };
+
+    const { x, y } = miracle.position;
+    const witnesses = this.villagerSystem.getVillagersInRadius(x, y, this.getWitnessRadius(miracle));
+
+    for (const villager of witnesses) {
+      this.ensureBelief(villager);
+      const change = this.processWitnessEvent(villager, miracle, data.playerId);
+
+      // Seeing a rival god's miracle shakes faith in the current owner
+      if (change > 0 && villager.playerId && villager.playerId !== data.playerId) {
+        this.addBelief(villager.id, villager.playerId, -BELIEF_CONSTANTS.RIVAL_WITNESS_PENALTY, {
+          method: 'decay',
+          reason: 'rival_miracle'
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the player a villager believes in most, from the cache
+   * @param {string} villagerId - Villager ID
+   * @returns {Object|null} {playerId, strength} or null
+   */
+  getAllegiance(villagerId) {
+    const beliefs = this.beliefCache.get(villagerId);
+    if (!beliefs) return null;
+
+    let best = null;
+    for (const playerId of Object.keys(beliefs)) {
+      const strength = beliefs[playerId].strength;
+      if (!best || strength > best.strength) {
+        best = { playerId, strength };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Drop cached belief for a villager that no longer exists
+   * @param {string} villagerId - Villager ID
+   */
+  forgetVillager(villagerId) {
+    this.beliefCache.delete(villagerId);
   }
 
   /**
@@ -520,11 +708,43 @@ export default class BeliefSystem {
     }
   }
 
+  /**
+   * Belief cache for saves, as [villagerId, beliefs] pairs so numeric IDs survive JSON
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      timeSinceUpdate: this.timeSinceUpdate,
+      beliefs: [...this.beliefCache.entries()].map(([villagerId, beliefs]) => [
+        villagerId,
+        Object.fromEntries(Object.entries(beliefs).map(([playerId, b]) => [playerId, { ...b }]))
+      ])
+    };
+  }
+
+  /**
+   * Replace the belief cache with saved state from serialize()
+   * @param {Object} data - {timeSinceUpdate, beliefs}
+   */
+  restore(data) {
+    this.timeSinceUpdate = data?.timeSinceUpdate || 0;
+    this.beliefCache = new Map(
+      (data?.beliefs || []).map(([villagerId, beliefs]) => [
+        villagerId,
+        Object.fromEntries(Object.entries(beliefs).map(([playerId, b]) => [playerId, { ...b }]))
+      ])
+    );
+  }
+
   /**
    * Clean up and remove listeners
    */
   destroy() {
+    if (this.scene?.events?.off) {
+      this.scene.events.off('powerCast', this.handlePowerCast);
+    }
     this.beliefCache.clear();
+    this.conversionEvents = [];
     console.log('[BeliefSystem] Destroyed');
   }
 }
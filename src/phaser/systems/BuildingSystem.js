@@ -1,13 +1,19 @@
 /**
  * Building System
  *
- * Manages non-temple buildings: Farm, House, Wall.
+ * Manages non-temple buildings: Farm, House, Wall, Lumber Camp.
  * Handles placement, rendering, and building logic.
+ * Houses and walls block their tiles for pathfinding and farms slow walkers
+ * down; villagerSystem is told so it can reroute anyone caught out.
+ * A placed building is a construction site until builders have put
+ * `buildTime` seconds of work into it (see JobSystem); only finished
+ * buildings take workers or residents.
  */
 
 import { TERRAIN_CONFIG } from '../config/terrainConfig';
 
 const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+const SITE_ALPHA = 0.4; // Construction sites are drawn faded
 
 export const BUILDING_TYPES = {
   farm: {
@@ -16,8 +22,12 @@ export const BUILDING_TYPES = {
     cost: 30,
     color: 0x8B4513, // Brown
     accentColor: 0x228B22, // Green crops
-    foodPerSecond: 2,
-    description: 'Generates 2 food per second',
+    buildTime: 8, // Seconds of one builder's work
+    job: 'farmer',
+    workers: 2,
+    foodPerWorker: 1, // Per second
+    movementCost: 2, // Walking through crops
+    description: 'Two farmers grow 1 food per second each',
   },
   house: {
     name: 'House',
@@ -25,8 +35,10 @@ export const BUILDING_TYPES = {
     cost: 20,
     color: 0xD2B48C, // Tan
     accentColor: 0x8B0000, // Dark red roof
-    popBonus: 5,
-    description: 'Increases population cap by 5',
+    buildTime: 8,
+    capacity: 5, // Villagers who can live here
+    blocksMovement: true,
+    description: 'Home for 5 villagers',
   },
   wall: {
     name: 'Wall',
@@ -34,8 +46,22 @@ export const BUILDING_TYPES = {
     cost: 5,
     color: 0x808080, // Gray
     accentColor: 0x606060,
+    buildTime: 2,
+    blocksMovement: true,
     description: 'Blocks pathfinding',
   },
+  lumberCamp: {
+    name: 'Lumber Camp',
+    size: 2,
+    cost: 25,
+    color: 0x6D4C41, // Bark
+    accentColor: 0x2E7D32, // Saplings
+    buildTime: 8,
+    job: 'forester',
+    workers: 2,
+    woodPerWorker: 1, // Per second
+    description: 'Two foresters cut 1 wood per second each',
+  },
 };
 
 export default class BuildingSystem {
@@ -53,6 +79,7 @@ export default class BuildingSystem {
     this.playerSystem = null;
     this.pathfindingSystem = null;
     this.templeSystem = null;
+    this.villagerSystem = null;
 
     // Occupied tiles lookup (for collision)
     this.occupiedTiles = new Set();
@@ -93,7 +120,28 @@ export default class BuildingSystem {
   placeAtWorld(worldX, worldY) {
     if (!this.placementMode || !this.selectedType) return false;
 
-    const type = BUILDING_TYPES[this.selectedType];
+    const building = this.placeBuilding(this.selectedType, worldX, worldY);
+
+    // Exit placement mode (stay in it after a bad spot so the player can retry)
+    if (building) {
+      this.cancelPlacement();
+    }
+
+    return building;
+  }
+
+  /**
+   * Place a building for the human player at world coordinates
+   * Entry point for recorded commands; placeAtWorld is the placement UI on top.
+   * @param {string} typeId - Key of BUILDING_TYPES
+   * @param {number} worldX - World X in pixels
+   * @param {number} worldY - World Y in pixels
+   * @returns {Object|false} The new building, or false if it could not be placed
+   */
+  placeBuilding(typeId, worldX, worldY) {
+    const type = BUILDING_TYPES[typeId];
+    if (!type) return false;
+
     const tileX = Math.floor(worldX / TILE_SIZE);
     const tileY = Math.floor(worldY / TILE_SIZE);
 
@@ -111,12 +159,7 @@ export default class BuildingSystem {
     }
 
     // Create building
-    const building = this.createBuilding(this.selectedType, tileX, tileY);
-
-    // Exit placement mode
-    this.cancelPlacement();
-
-    return building;
+    return this.createBuilding(typeId, tileX, tileY);
   }
 
   /**
@@ -185,8 +228,12 @@ export default class BuildingSystem {
 
   /**
    * Create a building entity and render it
+   * @param {string} typeId - Key of BUILDING_TYPES
+   * @param {number} tileX - Left tile
+   * @param {number} tileY - Top tile
+   * @param {number} progress - Construction done (0-1); 1 for a finished building
    */
-  createBuilding(typeId, tileX, tileY) {
+  createBuilding(typeId, tileX, tileY, progress = 0) {
     const type = BUILDING_TYPES[typeId];
     const building = {
       id: `building_${this.nextId++}`,
@@ -195,6 +242,8 @@ export default class BuildingSystem {
       tileY,
       size: type.size,
       playerId: this.playerSystem?.getHumanPlayer()?.id || null,
+      progress,
+      birthTimer: 0, // ms towards the next child of the couple living here (houses)
       _gameObjects: [],
     };
 
@@ -212,37 +261,16 @@ export default class BuildingSystem {
       const pixelSize = type.size * TILE_SIZE;
 
       // Main body
-      const body = this.scene.add.rectangle(pixelX, pixelY, pixelSize, pixelSize, type.color);
+      const body = this.scene.add.rectangle(pixelX, pixelY, pixelSize, pixelSize, type.color, this.isBuilt(building) ? 1 : SITE_ALPHA);
       body.setDepth(40);
       body.setStrokeStyle(1, 0xFFFFFF, 0.5);
       building._gameObjects.push(body);
 
-      // Accent (crops for farm, roof for house)
-      if (typeId === 'farm') {
-        // Green crop dots
-        const cropSize = TILE_SIZE;
-        for (let i = 0; i < 4; i++) {
-          const cx = pixelX + ((i % 2) - 0.5) * TILE_SIZE;
-          const cy = pixelY + (Math.floor(i / 2) - 0.5) * TILE_SIZE;
-          const crop = this.scene.add.circle(cx, cy, cropSize / 2, type.accentColor);
-          crop.setDepth(41);
-          building._gameObjects.push(crop);
-        }
-      } else if (typeId === 'house') {
-        // Roof triangle-ish accent
-        const roof = this.scene.add.rectangle(pixelX, pixelY - pixelSize * 0.15, pixelSize * 0.8, pixelSize * 0.3, type.accentColor);
-        roof.setDepth(41);
-        building._gameObjects.push(roof);
-      }
-    }
-
-    // Update pathfinding to block tiles (for walls)
-    if (typeId === 'wall' && this.pathfindingSystem) {
-      // Mark tile as impassable (walls block movement)
-      // Note: This is a visual-only effect for now
+      if (this.isBuilt(building)) this.renderAccents(building);
     }
 
     this.buildings.push(building);
+    this.updatePathfinding(building, true);
 
     // Placement effects
     if (this.scene.audioSystem) this.scene.audioSystem.playBuildSound();
@@ -257,6 +285,90 @@ export default class BuildingSystem {
     return building;
   }
 
+  /**
+   * Draw the details of a finished building (crops for farm, roof for house)
+   */
+  renderAccents(building) {
+    if (!this.scene || !this.scene.add) return;
+
+    const type = BUILDING_TYPES[building.type];
+    const pixelX = building.tileX * TILE_SIZE + (type.size * TILE_SIZE) / 2;
+    const pixelY = building.tileY * TILE_SIZE + (type.size * TILE_SIZE) / 2;
+    const pixelSize = type.size * TILE_SIZE;
+
+    if (building.type === 'farm' || building.type === 'lumberCamp') {
+      // Crop (or sapling) dots
+      const cropSize = TILE_SIZE;
+      for (let i = 0; i < 4; i++) {
+        const cx = pixelX + ((i % 2) - 0.5) * TILE_SIZE;
+        const cy = pixelY + (Math.floor(i / 2) - 0.5) * TILE_SIZE;
+        const crop = this.scene.add.circle(cx, cy, cropSize / 2, type.accentColor);
+        crop.setDepth(41);
+        building._gameObjects.push(crop);
+      }
+    } else if (building.type === 'house') {
+      // Roof triangle-ish accent
+      const roof = this.scene.add.rectangle(pixelX, pixelY - pixelSize * 0.15, pixelSize * 0.8, pixelSize * 0.3, type.accentColor);
+      roof.setDepth(41);
+      building._gameObjects.push(roof);
+    }
+  }
+
+  /**
+   * Nearest tile touching a building's footprint that passes a check
+   * @param {Object} building
+   * @param {Function} isFree - (x, y) => boolean
+   * @param {{x, y}} near - Position to measure from
+   * @returns {{x, y}|null} Null if every tile around it fails
+   */
+  findTileBeside(building, isFree, near) {
+    const size = BUILDING_TYPES[building.type].size;
+    let best = null;
+    let bestDist = Infinity;
+
+    for (let y = building.tileY - 1; y <= building.tileY + size; y++) {
+      for (let x = building.tileX - 1; x <= building.tileX + size; x++) {
+        const inside = x >= building.tileX && x < building.tileX + size &&
+          y >= building.tileY && y < building.tileY + size;
+        if (inside || !isFree(x, y)) continue;
+
+        const dist = Math.hypot(x - near.x, y - near.y);
+        if (dist < bestDist) {
+          best = { x, y };
+          bestDist = dist;
+        }
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Whether construction of a building is finished
+   */
+  isBuilt(building) {
+    return building.progress >= 1;
+  }
+
+  /**
+   * Put builders' work into a construction site
+   * @param {Object} building
+   * @param {number} seconds - Builder-seconds of work
+   * @returns {boolean} True if this finished the building
+   */
+  addConstruction(building, seconds) {
+    if (this.isBuilt(building)) return false;
+
+    building.progress = Math.min(1, building.progress + seconds / BUILDING_TYPES[building.type].buildTime);
+    if (!this.isBuilt(building)) return false;
+
+    const type = BUILDING_TYPES[building.type];
+    const body = building._gameObjects[0];
+    if (body) body.setFillStyle(type.color, 1);
+    this.renderAccents(building);
+    console.log(`[BuildingSystem] Finished ${type.name} at (${building.tileX}, ${building.tileY})`);
+    return true;
+  }
+
   /**
    * Remove a building
    */
@@ -278,6 +390,32 @@ export default class BuildingSystem {
     building._gameObjects.forEach(obj => obj.destroy());
 
     this.buildings.splice(index, 1);
+    this.updatePathfinding(building, false);
+  }
+
+  /**
+   * Lay a building's footprint over the pathfinding grid, or lift it off
+   * @param {Object} building
+   * @param {boolean} placed - True when the building went up, false when it came down
+   */
+  updatePathfinding(building, placed) {
+    if (!this.pathfindingSystem) return;
+
+    const type = BUILDING_TYPES[building.type];
+    const override = {};
+    if (type.blocksMovement) override.passable = false;
+    if (type.movementCost !== undefined) override.movementCost = type.movementCost;
+    if (Object.keys(override).length === 0) return;
+
+    const maxX = building.tileX + type.size - 1;
+    const maxY = building.tileY + type.size - 1;
+    if (placed) {
+      this.pathfindingSystem.overrideArea(building.tileX, building.tileY, maxX, maxY, override);
+    } else {
+      this.pathfindingSystem.clearOverrides(building.tileX, building.tileY, maxX, maxY);
+    }
+
+    if (this.villagerSystem) this.villagerSystem.handleTerrainChanged();
   }
 
   /**
@@ -288,12 +426,12 @@ export default class BuildingSystem {
   }
 
   /**
-   * Get total population bonus from houses
+   * Villagers a player's finished houses can hold
    */
-  getPopulationBonus(playerId) {
+  getHousingCapacity(playerId) {
     return this.buildings
-      .filter(b => b.playerId === playerId && b.type === 'house')
-      .reduce((sum, b) => sum + (BUILDING_TYPES.house.popBonus || 0), 0);
+      .filter(b => b.playerId === playerId && b.type === 'house' && this.isBuilt(b))
+      .reduce(sum => sum + BUILDING_TYPES.house.capacity, 0);
   }
 
   /**
@@ -301,7 +439,7 @@ export default class BuildingSystem {
    */
   showGhostPreview() {
     this.hideGhostPreview();
-    if (!this.selectedType || !this.scene) return;
+    if (!this.selectedType || !this.scene?.add) return;
 
     const type = BUILDING_TYPES[this.selectedType];
     const pixelSize = type.size * TILE_SIZE;
@@ -322,32 +460,9 @@ export default class BuildingSystem {
   }
 
   /**
-   * Get total food production per second for a player
-   */
-  getFoodProduction(playerId) {
-    return this.buildings
-      .filter(b => b.playerId === playerId && b.type === 'farm')
-      .reduce((sum) => sum + BUILDING_TYPES.farm.foodPerSecond, 0);
-  }
-
-  /**
-   * Update: generate food from farms and handle ghost preview
-   * @param {number} delta - Real time delta for UI
-   * @param {number} gameDelta - Game-speed-scaled delta for simulation
+   * Move the ghost preview to the cursor and tint it by placement validity
    */
-  update(delta, gameDelta) {
-    const simDelta = gameDelta || delta;
-
-    // Farm food generation (uses game-speed-scaled time)
-    if (this.playerSystem) {
-      for (const building of this.buildings) {
-        if (building.type === 'farm') {
-          const foodThisFrame = (BUILDING_TYPES.farm.foodPerSecond * simDelta) / 1000;
-          this.playerSystem.addFood(building.playerId, foodThisFrame);
-        }
-      }
-    }
-
+  updatePlacementPreview() {
     if (!this.placementMode || !this.ghostPreview || !this.selectedType) return;
 
     const pointer = this.scene.input.mousePointer;
@@ -374,11 +489,50 @@ export default class BuildingSystem {
     return this.buildings.length;
   }
 
+  /**
+   * Buildings and their owners for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      nextId: this.nextId,
+      buildings: this.buildings.map(b => ({
+        id: b.id,
+        type: b.type,
+        tileX: b.tileX,
+        tileY: b.tileY,
+        playerId: b.playerId,
+        progress: b.progress,
+        birthTimer: b.birthTimer
+      }))
+    };
+  }
+
+  /**
+   * Replace all buildings with the saved set
+   * @param {Object} data - Output of serialize()
+   */
+  restore(data) {
+    this.cancelPlacement();
+    this.clearAll();
+
+    for (const saved of data.buildings || []) {
+      const building = this.createBuilding(saved.type, saved.tileX, saved.tileY, saved.progress);
+      building.id = saved.id;
+      building.playerId = saved.playerId;
+      building.birthTimer = saved.birthTimer;
+    }
+
+    this.nextId = data.nextId || this.buildings.length + 1;
+  }
+
   clearAll() {
     this.buildings.forEach(b => {
       b._gameObjects.forEach(obj => obj.destroy());
     });
+    const removed = this.buildings;
     this.buildings = [];
+    removed.forEach(b => this.updatePathfinding(b, false));
     this.occupiedTiles.clear();
   }
 
@@ -79,13 +79,20 @@ export default class CameraControlSystem {
       return;
     }
 
-    // Don't start drag if targeting a power or placing a building
+    // Don't start drag if targeting a power, placing a building or laying roads
     if (this.scene.divinePowerSystem && this.scene.divinePowerSystem.selectedPower) {
       return;
     }
     if (this.scene.buildingSystem && this.scene.buildingSystem.placementMode) {
       return;
     }
+    if (this.scene.roadMode) {
+      return;
+    }
+    // Shift-drag box-selects villagers
+    if (pointer.event?.shiftKey) {
+      return;
+    }
 
     // Check for double-click
     const currentTime = pointer.downTime;
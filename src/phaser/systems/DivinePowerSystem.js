@@ -81,41 +81,53 @@ export default class DivinePowerSystem {
   castAtWorld(worldX, worldY) {
     if (!this.selectedPower) return false;
 
-    const power = POWERS[this.selectedPower];
+    // Targeting ends with the click whether or not the cast succeeds
+    const powerId = this.selectedPower;
+    this.cancelPower();
+
+    return this.castPower(powerId, worldX, worldY);
+  }
+
+  /**
+   * Cast a power for the human player at world coordinates
+   * Entry point for recorded commands; castAtWorld is the targeting UI on top.
+   * @param {string} powerId - Key of POWERS
+   * @param {number} worldX - World X in pixels
+   * @param {number} worldY - World Y in pixels
+   * @returns {boolean} True if the power was cast
+   */
+  castPower(powerId, worldX, worldY) {
+    const power = POWERS[powerId];
     if (!power) return false;
 
     // Check cooldown
-    if (this.cooldowns[this.selectedPower] > 0) {
-      this.cancelPower();
+    if (this.cooldowns[powerId] > 0) {
       return false;
     }
 
     // Spend belief
+    let casterId = null;
     if (this.playerSystem) {
       const human = this.playerSystem.getHumanPlayer();
       if (!human || !this.playerSystem.spendBeliefPoints(human.id, power.cost)) {
-        this.cancelPower();
         return false;
       }
+      casterId = human.id;
     }
 
     // Apply effect
     const tileX = Math.floor(worldX / TERRAIN_CONFIG.TILE_SIZE);
     const tileY = Math.floor(worldY / TERRAIN_CONFIG.TILE_SIZE);
 
-    this.applyPowerEffect(this.selectedPower, worldX, worldY, tileX, tileY);
+    this.applyPowerEffect(powerId, worldX, worldY, tileX, tileY);
 
     // Start cooldown
-    this.cooldowns[this.selectedPower] = power.cooldown;
+    this.cooldowns[powerId] = power.cooldown;
 
     // Show visual effect
     this.showCastEffect(worldX, worldY, power);
 
-    // Deselect
-    const castPower = this.selectedPower;
-    this.cancelPower();
-
-    this.scene.events.emit('powerCast', { powerId: castPower, worldX, worldY });
+    this.scene.events.emit('powerCast', { powerId, worldX, worldY, playerId: casterId });
     return true;
   }
 
@@ -126,7 +138,7 @@ export default class DivinePowerSystem {
     const power = POWERS[powerId];
     if (!this.villagerSystem) return;
 
-    const radiusSq = power.radius * power.radius;
+    const inRange = this.villagerSystem.getVillagersInRadius(tileX, tileY, power.radius);
 
     switch (powerId) {
       case 'heal': {
@@ -135,24 +147,13 @@ export default class DivinePowerSystem {
         if (!human) break;
 
         let healed = 0;
-        for (const villager of this.villagerSystem.villagers) {
+        for (const villager of inRange) {
           if (villager.playerId !== human.id) continue;
 
-          const dx = villager.x - tileX;
-          const dy = villager.y - tileY;
-          if (dx * dx + dy * dy <= radiusSq) {
-            healed++;
-            villager.heal(50); // Restore 50 HP
-            // Flash the villager green briefly
-            if (villager._circle) {
-              villager._circle.setFillStyle(0x00FF00);
-              this.scene.time.delayedCall(500, () => {
-                if (villager._circle && villager.playerColor) {
-                  villager._circle.setFillStyle(villager.playerColor);
-                }
-              });
-            }
-          }
+          healed++;
+          villager.heal(50); // Restore 50 HP
+          // Flash the villager green briefly
+          this.villagerSystem.flashVillager(villager, 0x00FF00);
         }
         console.log(`[DivinePower] Heal: ${healed} villagers healed`);
         break;
@@ -161,29 +162,16 @@ export default class DivinePowerSystem {
       case 'storm': {
         // Scatter all villagers in radius (set to flee-like wander)
         let scattered = 0;
-        for (const villager of this.villagerSystem.villagers) {
-          const dx = villager.x - tileX;
-          const dy = villager.y - tileY;
-          if (dx * dx + dy * dy <= radiusSq) {
-            scattered++;
-            // Deal 30 damage and interrupt current state
-            villager.takeDamage(30);
-            villager.clearPath();
-            if (villager.state === 'worshipping') villager.endWorship();
-            villager.pauseTimer = 0;
-
-            // Flash red
-            if (villager._circle) {
-              villager._circle.setFillStyle(0xFF0000);
-              this.scene.time.delayedCall(500, () => {
-                if (villager._circle && villager.playerColor) {
-                  villager._circle.setFillStyle(villager.playerColor);
-                } else if (villager._circle) {
-                  villager._circle.setFillStyle(0xff0000);
-                }
-              });
-            }
-          }
+        for (const villager of inRange) {
+          scattered++;
+          // Deal 30 damage and interrupt current state
+          villager.takeDamage(30);
+          villager.clearPath();
+          if (villager.state === 'worshipping') villager.endWorship();
+          villager.pauseTimer = 0;
+
+          // Flash red
+          this.villagerSystem.flashVillager(villager, 0xFF0000);
         }
         console.log(`[DivinePower] Storm: ${scattered} villagers scattered`);
         break;
@@ -198,28 +186,12 @@ export default class DivinePowerSystem {
         }
 
         // Speed boost to nearby owned villagers
-        for (const villager of this.villagerSystem.villagers) {
-          const dx = villager.x - tileX;
-          const dy = villager.y - tileY;
-          if (dx * dx + dy * dy <= radiusSq) {
-            const origSpeed = villager.speed;
-            villager.speed = origSpeed * 1.5;
-
-            // Flash gold
-            if (villager._circle) {
-              villager._circle.setFillStyle(0xFFD700);
-              this.scene.time.delayedCall(500, () => {
-                if (villager._circle && villager.playerColor) {
-                  villager._circle.setFillStyle(villager.playerColor);
-                }
-              });
-            }
-
-            // Revert speed after 10 seconds
-            this.scene.time.delayedCall(10000, () => {
-              villager.speed = origSpeed;
-            });
-          }
+        for (const villager of inRange) {
+          // 1.5x speed for 10 seconds of simulation time
+          villager.boostSpeed(1.5, 10000);
+
+          // Flash gold
+          this.villagerSystem.flashVillager(villager, 0xFFD700);
         }
         break;
       }
@@ -230,6 +202,8 @@ export default class DivinePowerSystem {
    * Show expanding circle visual effect at cast location
    */
   showCastEffect(worldX, worldY, power) {
+    if (!this.scene.add) return;
+
     const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
     const maxRadius = power.radius * TILE_SIZE;
 
@@ -278,7 +252,7 @@ export default class DivinePowerSystem {
   showTargetingCircle() {
     this.hideTargetingCircle();
 
-    if (!this.selectedPower) return;
+    if (!this.selectedPower || !this.scene.add) return;
 
     const power = POWERS[this.selectedPower];
     const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
@@ -300,18 +274,30 @@ export default class DivinePowerSystem {
   }
 
   /**
-   * Update targeting circle to follow cursor, tick cooldowns
+   * Count down power cooldowns
+   * @param {number} delta - Time elapsed in milliseconds
    */
-  update(delta) {
-    // Tick cooldowns
+  tickCooldowns(delta) {
     for (const powerId of Object.keys(this.cooldowns)) {
       if (this.cooldowns[powerId] > 0) {
         this.cooldowns[powerId] -= delta;
         if (this.cooldowns[powerId] < 0) this.cooldowns[powerId] = 0;
       }
     }
+  }
+
+  /**
+   * Update targeting circle to follow cursor, tick cooldowns
+   */
+  update(delta) {
+    this.tickCooldowns(delta);
+    this.updateTargeting();
+  }
 
-    // Update targeting circle position
+  /**
+   * Move the targeting circle to the cursor
+   */
+  updateTargeting() {
     if (this.targetingCircle && this.selectedPower) {
       const pointer = this.scene.input.mousePointer;
       const camera = this.scene.cameras.main;
@@ -321,6 +307,23 @@ export default class DivinePowerSystem {
     }
   }
 
+  /**
+   * Cooldowns for saves
+   * @returns {Object} {cooldowns}
+   */
+  serialize() {
+    return { cooldowns: { ...this.cooldowns } };
+  }
+
+  /**
+   * Apply saved state from serialize()
+   * @param {Object} data - {cooldowns}
+   */
+  restore(data) {
+    this.cancelPower();
+    this.cooldowns = { ...(data?.cooldowns || {}) };
+  }
+
   /**
    * Get power info for UI
    */
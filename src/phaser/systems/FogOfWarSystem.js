@@ -180,15 +180,11 @@ export default class FogOfWarSystem {
     const humanPlayer = this.playerSystem?.getHumanPlayer();
     if (!humanPlayer) return;
 
-    // Hide enemy villagers in fog
-    if (this.scene.villagerSystem) {
-      for (const villager of this.scene.villagerSystem.villagers) {
-        if (villager.playerId === humanPlayer.id) continue; // Always show own villagers
-        if (!villager._circle) continue;
-
-        const isVisible = this.isTileVisible(Math.floor(villager.x), Math.floor(villager.y));
-        villager._circle.setVisible(isVisible && villager._circle.visible !== false);
-      }
+    // Hide enemy villagers in fog (own villagers always show)
+    if (this.scene.villagerRenderer) {
+      this.scene.villagerRenderer.visibilityFilter = (villager) =>
+        villager.playerId === humanPlayer.id ||
+        this.isTileVisible(Math.floor(villager.x), Math.floor(villager.y));
     }
 
     // Hide enemy buildings in fog
@@ -259,10 +255,8 @@ export default class FogOfWarSystem {
    * Show all entities (when fog disabled)
    */
   showAllEntities() {
-    if (this.scene.villagerSystem) {
-      for (const v of this.scene.villagerSystem.villagers) {
-        if (v._circle) v._circle.setVisible(true);
-      }
+    if (this.scene.villagerRenderer) {
+      this.scene.villagerRenderer.visibilityFilter = null;
     }
     if (this.scene.buildingSystem) {
       for (const b of this.scene.buildingSystem.buildings) {
@@ -103,7 +103,7 @@ export default class GameClock {
       this.lastHour = currentHour;
 
       // Check for new day (midnight)
-      if (currentHour === 0 && this.timeMs > DAY_DURATION_MS) {
+      if (currentHour === 0 && this.timeMs >= DAY_DURATION_MS) {
         this.day++;
         this.scene.events.emit('dayChanged', this.day);
       }
@@ -122,6 +122,28 @@ export default class GameClock {
     }
   }
 
+  /**
+   * Clock state for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return { day: this.day, timeMs: this.timeMs, lastHour: this.lastHour };
+  }
+
+  /**
+   * Apply saved state from serialize()
+   * @param {Object} data - {day, timeMs, lastHour}
+   */
+  restore(data) {
+    this.day = data.day;
+    this.timeMs = data.timeMs;
+    this.lastHour = data.lastHour ?? this.getHour();
+
+    if (this.nightOverlay) {
+      this.nightOverlay.setAlpha(this.getDarkness());
+    }
+  }
+
   destroy() {
     if (this.nightOverlay) {
       this.nightOverlay.destroy();
@@ -5,6 +5,7 @@
  */
 
 import { PLAYER_COLORS } from './PlayerSystem';
+import { randomStream, RNG_STREAMS } from '../core/RandomService';
 
 export default class GameInitializer {
   /**
@@ -233,13 +234,14 @@ export default class GameInitializer {
    */
   static spawnInitialVillagers(scene, player, spawnCenter, count, playerSystem, villagerSystem) {
     const spawnRadius = 10; // Spawn within 10 tiles of center
+    const random = randomStream(scene, RNG_STREAMS.SPAWNING);
 
     for (let i = 0; i < count; i++) {
       // Find a random passable position near spawn center
       const spawnPos = this.findNearbyPassableTile(
         scene,
-        spawnCenter.x + (Math.random() - 0.5) * spawnRadius,
-        spawnCenter.y + (Math.random() - 0.5) * spawnRadius,
+        spawnCenter.x + (random.next() - 0.5) * spawnRadius,
+        spawnCenter.y + (random.next() - 0.5) * spawnRadius,
         15
       );
 
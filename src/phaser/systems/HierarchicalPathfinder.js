@@ -0,0 +1,426 @@
+/**
+ * Layer 3: Hierarchical Pathfinder (HPA*)
+ *
+ * Long routes are planned on a coarse graph before touching single tiles.
+ * The map is cut into square clusters. Wherever two neighbouring clusters
+ * share an open stretch of border, that stretch gets an entrance (a tile on
+ * each side; long stretches get one at each end). Inside a cluster, the cost
+ * between every pair of its entrance tiles is cached. A query links its
+ * start and goal to their clusters' entrances, runs A* over that small
+ * graph, then fills in the tiles one cluster at a time.
+ *
+ * Clusters are built the first time a search reaches them. invalidateArea()
+ * (terrain or walls changed) drops only the clusters it touches and their
+ * neighbours. A cluster's graph depends on nothing but the terrain, so
+ * routes don't depend on build order.
+ *
+ * Routes can be a little longer than a full A*; in exchange a query explores
+ * a few hundred graph nodes instead of tens of thousands of tiles.
+ */
+
+import MinHeap from '../core/MinHeap';
+
+export const CLUSTER_SIZE = 16; // Tiles per cluster side
+const LONG_ENTRANCE = 6; // Open border stretches this long get an entrance at each end
+
+// Abstract graph ids for a query's own endpoints (tile ids are >= 0)
+const START = -1;
+const GOAL = -2;
+
+export default class HierarchicalPathfinder {
+  /**
+   * @param {PathfindingSystem} pathfinder - Terrain, movement rules and costs
+   * @param {Object} options
+   * @param {number} options.clusterSize - Tiles per cluster side
+   */
+  constructor(pathfinder, options = {}) {
+    this.pathfinder = pathfinder;
+    this.width = pathfinder.width;
+    this.height = pathfinder.height;
+    this.clusterSize = options.clusterSize ?? CLUSTER_SIZE;
+    this.clustersX = Math.ceil(this.width / this.clusterSize);
+    this.clustersY = Math.ceil(this.height / this.clusterSize);
+
+    this.clusters = [];
+    for (let cy = 0; cy < this.clustersY; cy++) {
+      for (let cx = 0; cx < this.clustersX; cx++) {
+        const x0 = cx * this.clusterSize;
+        const y0 = cy * this.clusterSize;
+        this.clusters.push({
+          index: cy * this.clustersX + cx,
+          cx,
+          cy,
+          x0,
+          y0,
+          x1: Math.min(x0 + this.clusterSize, this.width), // Exclusive
+          y1: Math.min(y0 + this.clusterSize, this.height),
+          built: false,
+          nodes: new Map(), // entrance tile -> {intra: [{to, cost}], inter: [{to, cost}]}
+          paths: new Map()  // 'from>to' -> tiles after `from` up to `to`
+        });
+      }
+    }
+
+    this.borders = new Map(); // border key -> [[tile on owner side, tile on neighbour side], ...]
+    this.minStepCost = null;  // Cheapest tile to enter, keeps the heuristic admissible
+
+    this.stats = { clustersBuilt: 0, queries: 0, nodesExpanded: 0 };
+  }
+
+  clusterAt(x, y) {
+    return this.clusters[Math.floor(y / this.clusterSize) * this.clustersX + Math.floor(x / this.clusterSize)];
+  }
+
+  clusterOfTile(tile) {
+    return this.clusterAt(tile % this.width, Math.floor(tile / this.width));
+  }
+
+  /**
+   * Borders of a cluster in a fixed order (north, west, east, south)
+   * The owner is the cluster to the north or west; its key names its east or south edge.
+   * @returns {Array<{key, owner, dir, neighbor}>}
+   */
+  bordersOf(cluster) {
+    const { index, cx, cy } = cluster;
+    const borders = [];
+    if (cy > 0) borders.push({ key: `${index - this.clustersX}s`, owner: index - this.clustersX, dir: 's', neighbor: index - this.clustersX });
+    if (cx > 0) borders.push({ key: `${index - 1}e`, owner: index - 1, dir: 'e', neighbor: index - 1 });
+    if (cx < this.clustersX - 1) borders.push({ key: `${index}e`, owner: index, dir: 'e', neighbor: index + 1 });
+    if (cy < this.clustersY - 1) borders.push({ key: `${index}s`, owner: index, dir: 's', neighbor: index + this.clustersX });
+    return borders;
+  }
+
+  /**
+   * Entrances along the east or south edge of a cluster
+   * @returns {Array<Array<number>>} [owner-side tile, neighbour-side tile] pairs
+   */
+  buildBorder(ownerIndex, dir) {
+    const pf = this.pathfinder;
+    const owner = this.clusters[ownerIndex];
+    const entrances = [];
+
+    // Walk the shared edge; (ax, ay) is on the owner's side, (bx, by) across it
+    const length = dir === 'e' ? owner.y1 - owner.y0 : owner.x1 - owner.x0;
+    const sides = i => (dir === 'e'
+      ? { ax: owner.x1 - 1, ay: owner.y0 + i, bx: owner.x1, by: owner.y0 + i }
+      : { ax: owner.x0 + i, ay: owner.y1 - 1, bx: owner.x0 + i, by: owner.y1 });
+    const isOpen = (i) => {
+      const { ax, ay, bx, by } = sides(i);
+      return pf.isPassable(ax, ay) && pf.isPassable(bx, by) &&
+        (!pf.respectHeight || pf.canTraverse(ax, ay, bx, by));
+    };
+    const addEntrance = (i) => {
+      const { ax, ay, bx, by } = sides(i);
+      entrances.push([ay * this.width + ax, by * this.width + bx]);
+    };
+
+    let runStart = -1;
+    for (let i = 0; i <= length; i++) {
+      const open = i < length && isOpen(i);
+      if (open && runStart === -1) runStart = i;
+      if (!open && runStart !== -1) {
+        const runEnd = i - 1;
+        if (runEnd - runStart + 1 >= LONG_ENTRANCE) {
+          addEntrance(runStart);
+          addEntrance(runEnd);
+        } else {
+          addEntrance(Math.floor((runStart + runEnd) / 2));
+        }
+        runStart = -1;
+      }
+    }
+
+    return entrances;
+  }
+
+  /**
+   * Build a cluster's entrances and the cached costs between them
+   */
+  ensureCluster(cluster) {
+    if (cluster.built) return;
+    const pf = this.pathfinder;
+
+    const nodes = new Map();
+    const nodeFor = (tile) => {
+      if (!nodes.has(tile)) nodes.set(tile, { intra: [], inter: [] });
+      return nodes.get(tile);
+    };
+
+    for (const border of this.bordersOf(cluster)) {
+      if (!this.borders.has(border.key)) {
+        this.borders.set(border.key, this.buildBorder(border.owner, border.dir));
+      }
+      const ownSide = border.owner === cluster.index ? 0 : 1;
+      for (const pair of this.borders.get(border.key)) {
+        const tile = pair[ownSide];
+        const across = pair[1 - ownSide];
+        const cost = pf.getStepCost(
+          tile % this.width, Math.floor(tile / this.width),
+          across % this.width, Math.floor(across / this.width)
+        );
+        nodeFor(tile).inter.push({ to: across, cost });
+      }
+    }
+
+    // Canonical order, so the graph is the same however it came to be built
+    const tiles = [...nodes.keys()].sort((a, b) => a - b);
+    cluster.nodes = new Map(tiles.map(tile => [tile, nodes.get(tile)]));
+    cluster.paths.clear();
+
+    for (const from of tiles) {
+      const search = this.searchCluster(cluster, from);
+      for (const to of tiles) {
+        if (to === from) continue;
+        const cost = search.costs[search.local(to)];
+        if (cost !== Infinity) cluster.nodes.get(from).intra.push({ to, cost });
+      }
+    }
+
+    cluster.built = true;
+    this.stats.clustersBuilt++;
+  }
+
+  /**
+   * Dijkstra search that stays inside one cluster
+   * @param {Object} cluster
+   * @param {number} origin - Tile index
+   * @param {boolean} reverse - Costs of reaching the origin instead of leaving it
+   * @returns {Object} {origin, costs, parents, local}; parents point back to the origin
+   */
+  searchCluster(cluster, origin, reverse = false) {
+    const pf = this.pathfinder;
+    const w = cluster.x1 - cluster.x0;
+    const size = w * (cluster.y1 - cluster.y0);
+    const costs = new Float64Array(size).fill(Infinity);
+    const parents = new Int32Array(size).fill(-1);
+    const local = tile => (Math.floor(tile / this.width) - cluster.y0) * w + (tile % this.width - cluster.x0);
+
+    const open = new MinHeap();
+    costs[local(origin)] = 0;
+    open.push(origin, 0);
+
+    while (open.size > 0) {
+      const { index: tile, cost } = open.pop();
+      if (cost > costs[local(tile)]) continue;
+
+      const x = tile % this.width;
+      const y = Math.floor(tile / this.width);
+
+      for (const n of pf.getNeighbors(x, y)) {
+        if (n.x < cluster.x0 || n.x >= cluster.x1 || n.y < cluster.y0 || n.y >= cluster.y1) continue;
+        if (!pf.isPassable(n.x, n.y)) continue;
+        if (pf.respectHeight && !pf.canTraverse(x, y, n.x, n.y)) continue;
+
+        const step = reverse ? pf.getStepCost(n.x, n.y, x, y) : pf.getStepCost(x, y, n.x, n.y);
+        const g = cost + step;
+        const neighbor = n.y * this.width + n.x;
+        const li = local(neighbor);
+
+        if (g < costs[li]) {
+          costs[li] = g;
+          parents[li] = tile;
+          open.push(neighbor, g);
+        }
+      }
+    }
+
+    return { origin, costs, parents, local };
+  }
+
+  /**
+   * Tiles from just after a forward search's origin up to a target
+   */
+  walkTo(search, target) {
+    const tiles = [];
+    for (let tile = target; tile !== search.origin; tile = search.parents[search.local(tile)]) {
+      tiles.push(tile);
+    }
+    return tiles.reverse();
+  }
+
+  /**
+   * Tiles from just after a tile up to a reverse search's origin
+   */
+  walkFrom(search, from) {
+    const tiles = [];
+    for (let tile = from; tile !== search.origin;) {
+      tile = search.parents[search.local(tile)];
+      tiles.push(tile);
+    }
+    return tiles;
+  }
+
+  /**
+   * Tile path between two entrances of a cluster (cached)
+   */
+  clusterPath(cluster, from, to) {
+    const key = `${from}>${to}`;
+    if (!cluster.paths.has(key)) {
+      cluster.paths.set(key, this.walkTo(this.searchCluster(cluster, from), to));
+    }
+    return cluster.paths.get(key);
+  }
+
+  getMinStepCost() {
+    if (this.minStepCost === null) {
+      let min = Infinity;
+      for (let y = 0; y < this.height; y++) {
+        for (let x = 0; x < this.width; x++) {
+          if (this.pathfinder.isPassable(x, y)) min = Math.min(min, this.pathfinder.getMovementCost(x, y));
+        }
+      }
+      this.minStepCost = min === Infinity ? 1 : min;
+    }
+    return this.minStepCost;
+  }
+
+  /**
+   * Terrain or walls changed: rebuild the clusters covering an area when next reached
+   * @param {number} minX - Left tile (inclusive)
+   * @param {number} minY - Top tile (inclusive)
+   * @param {number} maxX - Right tile (inclusive)
+   * @param {number} maxY - Bottom tile (inclusive)
+   */
+  invalidateArea(minX, minY, maxX, maxY) {
+    const cx0 = Math.max(0, Math.floor(minX / this.clusterSize));
+    const cy0 = Math.max(0, Math.floor(minY / this.clusterSize));
+    const cx1 = Math.min(this.clustersX - 1, Math.floor(maxX / this.clusterSize));
+    const cy1 = Math.min(this.clustersY - 1, Math.floor(maxY / this.clusterSize));
+
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        const cluster = this.clusters[cy * this.clustersX + cx];
+        cluster.built = false;
+        for (const border of this.bordersOf(cluster)) {
+          this.borders.delete(border.key);
+          this.clusters[border.neighbor].built = false;
+        }
+      }
+    }
+    this.minStepCost = null;
+  }
+
+  /**
+   * Find a path by planning across clusters, then refining each leg
+   * @param {number} startX - Starting X coordinate
+   * @param {number} startY - Starting Y coordinate
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @returns {Array<{x, y}>|null} Path as array of coordinates, or null if no path found
+   */
+  findPath(startX, startY, goalX, goalY) {
+    const pf = this.pathfinder;
+    if (!pf.isPassable(startX, startY) || !pf.isPassable(goalX, goalY)) return null;
+    if (startX === goalX && startY === goalY) return null;
+
+    this.stats.queries++;
+    const startTile = startY * this.width + startX;
+    const goalTile = goalY * this.width + goalX;
+    const startCluster = this.clusterAt(startX, startY);
+    const goalCluster = this.clusterAt(goalX, goalY);
+    this.ensureCluster(startCluster);
+    this.ensureCluster(goalCluster);
+
+    const fromStart = this.searchCluster(startCluster, startTile);
+    const toGoal = this.searchCluster(goalCluster, goalTile, true);
+
+    const abstractPath = this.searchGraph(startCluster, goalCluster, fromStart, toGoal, goalX, goalY);
+    if (!abstractPath) return null;
+
+    // Refine each leg into tiles
+    const tiles = [];
+    for (let i = 0; i < abstractPath.length - 1; i++) {
+      const from = abstractPath[i];
+      const to = abstractPath[i + 1];
+
+      if (from === START) {
+        tiles.push(...this.walkTo(fromStart, to === GOAL ? goalTile : to));
+      } else if (to === GOAL) {
+        tiles.push(...this.walkFrom(toGoal, from));
+      } else if (this.clusterOfTile(from) !== this.clusterOfTile(to)) {
+        tiles.push(to);
+      } else {
+        tiles.push(...this.clusterPath(this.clusterOfTile(from), from, to));
+      }
+    }
+
+    return [{ x: startX, y: startY }, ...tiles.map(tile => ({ x: tile % this.width, y: Math.floor(tile / this.width) }))];
+  }
+
+  /**
+   * A* over entrances, with the query's start and goal linked in
+   * @returns {Array<number>|null} START, entrance tiles..., GOAL
+   */
+  searchGraph(startCluster, goalCluster, fromStart, toGoal, goalX, goalY) {
+    const pf = this.pathfinder;
+    const minStep = this.getMinStepCost();
+    const goalCost = tile => toGoal.costs[toGoal.local(tile)];
+
+    const edgesOf = (id) => {
+      let edges;
+      if (id === START) {
+        edges = [];
+        for (const tile of startCluster.nodes.keys()) {
+          const cost = fromStart.costs[fromStart.local(tile)];
+          if (cost !== Infinity) edges.push({ to: tile, cost });
+        }
+        if (startCluster === goalCluster) {
+          const direct = fromStart.costs[fromStart.local(toGoal.origin)];
+          if (direct !== Infinity) edges.push({ to: GOAL, cost: direct });
+        }
+        return edges;
+      }
+
+      const cluster = this.clusterOfTile(id);
+      const node = cluster.nodes.get(id);
+      edges = node.intra.concat(node.inter);
+      if (cluster === goalCluster && goalCost(id) !== Infinity) {
+        edges.push({ to: GOAL, cost: goalCost(id) });
+      }
+      return edges;
+    };
+
+    const heuristic = (id) => {
+      if (id === GOAL) return 0;
+      const tile = id === START ? fromStart.origin : id;
+      return pf.heuristic(tile % this.width, Math.floor(tile / this.width), goalX, goalY) * minStep;
+    };
+
+    const g = new Map([[START, 0]]);
+    const parent = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(START, heuristic(START));
+
+    while (open.size > 0) {
+      const { index: id } = open.pop();
+      if (closed.has(id)) continue;
+
+      if (id === GOAL) {
+        const path = [GOAL];
+        for (let step = GOAL; step !== START;) {
+          step = parent.get(step);
+          path.push(step);
+        }
+        return path.reverse();
+      }
+
+      closed.add(id);
+      this.stats.nodesExpanded++;
+      if (id !== START) this.ensureCluster(this.clusterOfTile(id));
+
+      for (const edge of edgesOf(id)) {
+        if (closed.has(edge.to)) continue;
+
+        const cost = g.get(id) + edge.cost;
+        if (!g.has(edge.to) || cost < g.get(edge.to)) {
+          g.set(edge.to, cost);
+          parent.set(edge.to, id);
+          open.push(edge.to, cost + heuristic(edge.to));
+        }
+      }
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Job System
+ *
+ * Puts villagers to work at their owner's workplaces (see config/jobs.js)
+ * and turns their work into output:
+ * - builders finish construction sites
+ * - farmers grow food and foresters cut wood, so a workplace produces in
+ *   proportion to the workers there
+ * - priests preach at temples for extra belief points
+ *
+ * Jobs are handed out every step: villagers whose workplace is gone, finished
+ * (builders) or changed owner lose their job, then villagers without one
+ * fill open places in JOB_PRIORITY order, lowest villager id first.
+ * Children are too young to be given a job.
+ * Lazy villagers get less done and greedy ones more (traits.js).
+ * VillagerSystem walks villagers to getWorkSpot() when they have nothing
+ * more urgent to do; only villagers in the 'working' state produce anything.
+ * Jobs are kept on the villagers, so there is nothing of its own to save.
+ */
+
+import { BUILDING_TYPES } from './BuildingSystem';
+import { BUILDERS_PER_SITE, JOB_PRIORITY, PRIESTS_PER_TEMPLE_LEVEL, PRIEST_BELIEF_PER_SEC } from '../config/jobs';
+import { isChild } from '../config/lifecycle';
+import { getTraitModifier } from '../config/traits';
+
+export default class JobSystem {
+  constructor(scene) {
+    this.scene = scene;
+
+    // References set by SimulationCore
+    this.villagerSystem = null;
+    this.buildingSystem = null;
+    this.templeSystem = null;
+    this.playerSystem = null;
+  }
+
+  /**
+   * The job a workplace offers right now
+   * @param {Object} workplace - Building or temple
+   * @returns {string|null} Key of JOBS
+   */
+  getJobAt(workplace) {
+    if (workplace.position) return 'priest'; // Temples are placed by position, buildings by tile
+    if (!this.buildingSystem.isBuilt(workplace)) return 'builder';
+    return BUILDING_TYPES[workplace.type].job || null;
+  }
+
+  /**
+   * How many villagers a workplace takes
+   */
+  getSlots(workplace) {
+    const job = this.getJobAt(workplace);
+    if (job === 'priest') return (workplace.level || 1) * PRIESTS_PER_TEMPLE_LEVEL;
+    if (job === 'builder') return BUILDERS_PER_SITE;
+    return job ? BUILDING_TYPES[workplace.type].workers : 0;
+  }
+
+  /**
+   * Every place a player's villagers could work, in the order jobs are filled
+   * @param {string} playerId
+   * @returns {Array<{job, workplace, slots}>}
+   */
+  getOpenings(playerId) {
+    const workplaces = [
+      ...(this.buildingSystem?.getPlayerBuildings(playerId) || []),
+      ...(this.templeSystem?.getPlayerTemples(playerId) || []),
+    ];
+
+    return workplaces
+      .map(workplace => ({ job: this.getJobAt(workplace), workplace, slots: this.getSlots(workplace) }))
+      .filter(opening => opening.slots > 0)
+      .sort((a, b) => JOB_PRIORITY.indexOf(a.job) - JOB_PRIORITY.indexOf(b.job));
+  }
+
+  /**
+   * Building or temple with this ID
+   */
+  findWorkplace(workplaceId) {
+    return this.buildingSystem?.buildings.find(b => b.id === workplaceId) ||
+      this.templeSystem?.getTemple(workplaceId) ||
+      null;
+  }
+
+  /**
+   * Take jobs away that no longer exist and give out the ones that are free
+   * @returns {Map} Workplace ID -> workplace, for everyone who has a job
+   */
+  assignJobs() {
+    const villagers = this.villagerSystem.villagers;
+    const byPlayer = new Map(); // playerId -> {list, byKey}
+    const openingsFor = playerId => {
+      if (!byPlayer.has(playerId)) {
+        const list = this.getOpenings(playerId).map(o => ({ ...o, filled: 0 }));
+        byPlayer.set(playerId, { list, byKey: new Map(list.map(o => [`${o.job}:${o.workplace.id}`, o])) });
+      }
+      return byPlayer.get(playerId);
+    };
+    const workplaces = new Map();
+
+    for (const villager of villagers) {
+      if (!villager.job) continue;
+      const opening = openingsFor(villager.playerId).byKey.get(`${villager.job}:${villager.workplaceId}`);
+      if (!opening || opening.filled >= opening.slots) {
+        villager.leaveJob();
+        continue;
+      }
+      opening.filled++;
+      workplaces.set(opening.workplace.id, opening.workplace);
+    }
+
+    for (const villager of villagers) {
+      if (villager.job || !villager.playerId || isChild(villager)) continue;
+      const opening = openingsFor(villager.playerId).list.find(o => o.filled < o.slots);
+      if (!opening) continue;
+
+      villager.takeJob(opening.job, opening.workplace.id);
+      opening.filled++;
+      workplaces.set(opening.workplace.id, opening.workplace);
+    }
+
+    return workplaces;
+  }
+
+  /**
+   * Hand out jobs and collect what the villagers at work produced
+   * @param {number} delta - Simulation milliseconds
+   */
+  update(delta) {
+    if (!this.villagerSystem) return;
+
+    const workplaces = this.assignJobs();
+    const seconds = delta / 1000;
+
+    for (const villager of this.villagerSystem.villagers) {
+      if (villager.state !== 'working') continue;
+      const workplace = workplaces.get(villager.workplaceId);
+      if (!workplace) continue;
+      const work = seconds * getTraitModifier(villager.traits, 'work');
+
+      switch (villager.job) {
+        case 'builder':
+          this.buildingSystem.addConstruction(workplace, work);
+          break;
+        case 'farmer':
+          this.playerSystem?.addFood(workplace.playerId, BUILDING_TYPES[workplace.type].foodPerWorker * work);
+          break;
+        case 'forester':
+          this.playerSystem?.addWood(workplace.playerId, BUILDING_TYPES[workplace.type].woodPerWorker * work);
+          break;
+        case 'priest':
+          this.playerSystem?.addBeliefPoints(workplace.playerId, PRIEST_BELIEF_PER_SEC * work);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Tile a villager stands on to work: inside farms and lumber camps, beside
+   * buildings that block their tiles, at the temple itself
+   * @param {Villager} villager
+   * @returns {{x, y}|null} Null without a job (or with nowhere to stand)
+   */
+  getWorkSpot(villager) {
+    const workplace = villager.workplaceId ? this.findWorkplace(villager.workplaceId) : null;
+    if (!workplace) return null;
+    if (workplace.position) return { x: workplace.position.x, y: workplace.position.y };
+
+    const type = BUILDING_TYPES[workplace.type];
+    if (!type.blocksMovement) {
+      return { x: workplace.tileX + Math.floor(type.size / 2), y: workplace.tileY + Math.floor(type.size / 2) };
+    }
+
+    const pathfinder = this.villagerSystem.pathfinderFor(villager);
+    return this.buildingSystem.findTileBeside(workplace, (x, y) => pathfinder.isPassable(x, y), villager);
+  }
+
+  /**
+   * Villagers holding a job at a workplace
+   * @param {string} workplaceId
+   * @returns {Array<Villager>}
+   */
+  getWorkers(workplaceId) {
+    return this.villagerSystem ? this.villagerSystem.villagers.filter(v => v.workplaceId === workplaceId) : [];
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Path Cache
+ *
+ * Villagers keep walking the same routes: out from their temple to wander
+ * and back again. The cache keeps recent paths keyed by the region (a
+ * REGION_SIZE square of tiles) they start and end in. A request between the
+ * same two regions reuses the cached path, joined to its own start and goal
+ * by short searches inside those regions.
+ *
+ * Entries are dropped when tiles they cross change (buildings, roads, terrain
+ * edits) through invalidateArea(). What's cached depends on which searches
+ * ran before, so the simulation saves the cache with the game and only
+ * PathRequestQueue consults it, never the worker.
+ */
+
+export const REGION_SIZE = 8; // Tiles per region side
+const MAX_ENTRIES = 256; // Least recently used dropped first
+const MIN_REGION_DISTANCE = 2; // Regions apart; closer routes are cheap enough to search every time
+
+const copyPath = path => path.map(p => ({ x: p.x, y: p.y }));
+
+/**
+ * Cut out any stretch of a path that comes back to a tile it already visited
+ * @param {Array<{x, y}>} path
+ * @returns {Array<{x, y}>}
+ */
+function removeLoops(path) {
+  const result = [];
+  const visited = new Map(); // 'x,y' -> index in result
+  for (const p of path) {
+    const key = `${p.x},${p.y}`;
+    if (visited.has(key)) {
+      for (const dropped of result.splice(visited.get(key) + 1)) visited.delete(`${dropped.x},${dropped.y}`);
+    } else {
+      visited.set(key, result.length);
+      result.push(p);
+    }
+  }
+  return result;
+}
+
+export default class PathCache {
+  /**
+   * @param {PathfindingSystem} pathfinder - Searches the joins to a cached path
+   * @param {Object} options
+   * @param {number} options.maxEntries - Paths kept
+   */
+  constructor(pathfinder, options = {}) {
+    this.pathfinder = pathfinder;
+    this.maxEntries = options.maxEntries ?? MAX_ENTRIES;
+
+    this.entries = new Map(); // 'startRegion>goalRegion' -> path, most recently used last
+
+    this.stats = { hits: 0, misses: 0, invalidated: 0 };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Cache key for a route, or null if start and goal are too close to cache
+   */
+  keyFor(startX, startY, goalX, goalY) {
+    const sx = Math.floor(startX / REGION_SIZE);
+    const sy = Math.floor(startY / REGION_SIZE);
+    const gx = Math.floor(goalX / REGION_SIZE);
+    const gy = Math.floor(goalY / REGION_SIZE);
+    if (Math.max(Math.abs(gx - sx), Math.abs(gy - sy)) < MIN_REGION_DISTANCE) return null;
+    return `${sx},${sy}>${gx},${gy}`;
+  }
+
+  /**
+   * Path from start to goal, reusing a cached one between the same regions
+   * @param {number} startX - Starting X coordinate
+   * @param {number} startY - Starting Y coordinate
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @param {Function} search - Finds the path on a miss; returns it or null
+   * @returns {Array<{x, y}>|null}
+   */
+  findRoute(startX, startY, goalX, goalY, search) {
+    const key = this.keyFor(startX, startY, goalX, goalY);
+    if (key === null) return search();
+
+    const cached = this.entries.get(key);
+    if (cached) {
+      const path = this.join(cached, startX, startY, goalX, goalY);
+      if (path) {
+        this.entries.delete(key);
+        this.entries.set(key, cached);
+        this.stats.hits++;
+        return path;
+      }
+    }
+
+    this.stats.misses++;
+    const path = search();
+    if (path) this.store(key, path);
+    return path;
+  }
+
+  /**
+   * Lead a cached path out of the start tile and on into the goal tile
+   * @returns {Array<{x, y}>|null} Null if either end can't be joined up
+   */
+  join(cached, startX, startY, goalX, goalY) {
+    const first = cached[0];
+    const last = cached[cached.length - 1];
+
+    const head = first.x === startX && first.y === startY
+      ? [first]
+      : this.pathfinder.findPath(startX, startY, first.x, first.y);
+    const tail = last.x === goalX && last.y === goalY
+      ? [last]
+      : this.pathfinder.findPath(last.x, last.y, goalX, goalY);
+    if (!head || !tail) return null;
+
+    return removeLoops(copyPath([...head, ...cached.slice(1), ...tail.slice(1)]));
+  }
+
+  store(key, path) {
+    this.entries.delete(key);
+    this.entries.set(key, copyPath(path));
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Tiles changed in an area: drop every path that crosses it (or cuts a corner next to it)
+   * @param {number} minX - Left tile (inclusive)
+   * @param {number} minY - Top tile (inclusive)
+   * @param {number} maxX - Right tile (inclusive)
+   * @param {number} maxY - Bottom tile (inclusive)
+   */
+  invalidateArea(minX, minY, maxX, maxY) {
+    for (const [key, path] of this.entries) {
+      if (path.some(p => p.x >= minX - 1 && p.x <= maxX + 1 && p.y >= minY - 1 && p.y <= maxY + 1)) {
+        this.entries.delete(key);
+        this.stats.invalidated++;
+      }
+    }
+  }
+
+  /**
+   * Hit rate for the dev panel
+   * @returns {Object} {hits, misses, invalidated, hitRate, size}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return { ...this.stats, hitRate: lookups > 0 ? this.stats.hits / lookups : 0, size: this.entries.size };
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Cached paths for saves, least recently used first
+   * @returns {Array<[string, Array<{x, y}>]>}
+   */
+  serialize() {
+    return [...this.entries].map(([key, path]) => [key, copyPath(path)]);
+  }
+
+  /**
+   * Replace the cache with saved paths
+   * @param {Array} saved - Output of serialize()
+   */
+  restore(saved) {
+    this.clear();
+    for (const [key, path] of saved) this.entries.set(key, copyPath(path));
+  }
+}
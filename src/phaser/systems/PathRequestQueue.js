@@ -0,0 +1,302 @@
+/**
+ * Path Request Queue
+ *
+ * Villagers ask for paths here instead of running A* on the spot. Requests
+ * are answered on a later tick, oldest first and at most `budget` searches
+ * per tick, so a burst (everyone heading home at nightfall) is spread over a
+ * few ticks instead of stalling one frame.
+ *
+ * With a worker attached, each search starts on the worker as soon as it is
+ * queued and nothing is searched here: a search is answered on the first
+ * tick after the worker's reply arrives, and its villagers keep thinking
+ * until then. When that is depends on the worker, so the queue can note the
+ * searches it answers each tick (recordAnswers, takeAnswered) for the
+ * command log; a replay follows the recording (followRecording, release)
+ * and answers the same searches on the same ticks, searching here.
+ *
+ * Identical searches (same start, goal and movement profile) waiting together run once. A
+ * villager has at most one request; asking again replaces it.
+ *
+ * Searches go through the pathfinder's path cache first (findCachedRoute), here
+ * on the simulation's side, so a cache hit never depends on the worker.
+ *
+ * When buildings or roads change the pathfinding grid (terrainChanged), the
+ * worker is sent the new tile overrides and every waiting search again;
+ * answers it worked out on the old grid are ignored.
+ */
+
+import { DEFAULT_PROFILE } from '../config/movementProfiles';
+
+export const PATHS_PER_TICK = 16;
+
+const searchKey = (start, goal, profile) => `${profile}:${start.x},${start.y}>${goal.x},${goal.y}`;
+const copyPath = path => (path ? path.map(p => ({ x: p.x, y: p.y })) : null);
+
+export default class PathRequestQueue {
+  /**
+   * @param {PathfindingSystem} pathfinder - Used for terrain, and for searches when there is no worker
+   * @param {Object} options
+   * @param {number} options.budget - Searches answered per tick
+   */
+  constructor(pathfinder, options = {}) {
+    this.pathfinder = pathfinder;
+    this.budget = options.budget ?? PATHS_PER_TICK;
+    this.worker = null;
+    this.terrainVersion = 0; // Bumped by terrainChanged(); worker answers for older versions are stale
+
+    this.requests = new Map();      // villager id -> request
+    this.searches = new Map();      // search key -> {key, start, goal, requests}, oldest first
+    this.workerResults = new Map(); // search key -> path (or null) from the worker
+    this.recordAnswers = false; // Note answered search keys for takeAnswered()
+    this.answered = [];
+    this.released = null; // Following a recording: search keys due this tick
+
+    this.stats = { requested: 0, shared: 0, fromWorker: 0, searchedHere: 0 };
+  }
+
+  get size() {
+    return this.requests.size;
+  }
+
+  /**
+   * Search on a Web Worker from now on (see PathfindingWorker.js)
+   * @param {Worker} worker
+   */
+  attachWorker(worker) {
+    this.worker = worker;
+
+    worker.onmessage = (event) => {
+      const { key, version, path } = event.data;
+      if (version === this.terrainVersion && this.searches.has(key)) this.workerResults.set(key, path);
+    };
+    worker.onerror = (error) => {
+      console.error('[PathRequestQueue] Pathfinding worker failed; searching on the main thread', error);
+      this.detachWorker();
+    };
+
+    worker.postMessage({
+      type: 'terrain',
+      terrain: this.pathfinder.terrainData,
+      options: this.pathfinder.getOptions(),
+      overrides: this.pathfinder.getOverrides(),
+      costFactors: this.pathfinder.getCostFactors()
+    });
+    for (const search of this.searches.values()) this.postSearch(search);
+  }
+
+  /**
+   * Answer only the searches a recording releases (see release), as a replay of a game played with a worker
+   */
+  followRecording() {
+    this.detachWorker();
+    this.released = new Set();
+  }
+
+  /**
+   * Let recorded searches be answered on the next process()
+   * @param {Array<string>} keys - Search keys noted by takeAnswered() in the recorded game
+   */
+  release(keys) {
+    if (this.released) keys.forEach(key => this.released.add(key));
+  }
+
+  /**
+   * Search keys answered since the last call, in the order they were answered
+   * @returns {Array<string>} Empty unless recordAnswers is on
+   */
+  takeAnswered() {
+    const answered = this.answered;
+    this.answered = [];
+    return answered;
+  }
+
+  detachWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    this.workerResults.clear();
+  }
+
+  postSearch(search) {
+    if (!this.worker) return;
+    this.worker.postMessage({
+      type: 'find',
+      key: search.key,
+      version: this.terrainVersion,
+      profile: search.profile,
+      start: search.start,
+      goal: search.goal
+    });
+  }
+
+  /**
+   * The pathfinder's tile overrides or cost factors changed: search everything waiting again on the new grid
+   */
+  terrainChanged() {
+    this.terrainVersion++;
+    this.workerResults.clear();
+    if (!this.worker) return;
+
+    this.worker.postMessage({
+      type: 'overrides',
+      overrides: this.pathfinder.getOverrides(),
+      costFactors: this.pathfinder.getCostFactors()
+    });
+    for (const search of this.searches.values()) this.postSearch(search);
+  }
+
+  /**
+   * Ask for a path for a villager
+   * Asking again for the same thing keeps the villager's place in the queue.
+   * @param {number} villagerId
+   * @param {string} purpose - What the path is for; handed back with it
+   * @param {{x, y}} start - Start tile
+   * @param {{x, y}} goal - Goal tile
+   * @param {Object} data - Optional plain data handed back with the path
+   * @param {string} profile - Movement profile to search with (see movementProfiles.js)
+   * @returns {Object} The request
+   */
+  request(villagerId, purpose, start, goal, data = null, profile = DEFAULT_PROFILE) {
+    const key = searchKey(start, goal, profile);
+    const current = this.requests.get(villagerId);
+    if (current && current.key === key && current.purpose === purpose) return current;
+    if (current) this.cancel(villagerId);
+
+    const request = {
+      villagerId,
+      purpose,
+      key,
+      start: { x: start.x, y: start.y },
+      goal: { x: goal.x, y: goal.y },
+      data,
+      profile
+    };
+    this.requests.set(villagerId, request);
+    this.stats.requested++;
+
+    let search = this.searches.get(key);
+    if (search) {
+      this.stats.shared++;
+    } else {
+      search = { key, start: request.start, goal: request.goal, profile, requests: [] };
+      this.searches.set(key, search);
+      this.postSearch(search);
+    }
+    search.requests.push(request);
+
+    return request;
+  }
+
+  /**
+   * Drop a villager's request (e.g. it died)
+   * @param {number} villagerId
+   */
+  cancel(villagerId) {
+    const request = this.requests.get(villagerId);
+    if (!request) return;
+
+    this.requests.delete(villagerId);
+    const search = this.searches.get(request.key);
+    search.requests = search.requests.filter(r => r !== request);
+    if (search.requests.length === 0) {
+      this.searches.delete(request.key);
+      this.workerResults.delete(request.key);
+    }
+  }
+
+  isPending(villagerId) {
+    return this.requests.has(villagerId);
+  }
+
+  /**
+   * Whether a waiting search can be answered now
+   * @param {Object} search
+   * @returns {boolean}
+   */
+  isReady(search) {
+    if (this.released) return this.released.has(search.key);
+    if (this.worker) return this.workerResults.has(search.key);
+    return true;
+  }
+
+  /**
+   * Answer the oldest searches that are ready, up to the budget
+   * @returns {Array<Object>} Answered requests, each with its `path` (null if unreachable)
+   */
+  process() {
+    const due = [];
+    for (const search of this.searches.values()) {
+      if (due.length >= this.budget) break;
+      if (this.isReady(search)) due.push(search);
+    }
+    if (this.released) this.released.clear();
+
+    const answered = [];
+    for (const search of due) {
+      const path = this.search(search);
+      this.searches.delete(search.key);
+      if (this.recordAnswers) this.answered.push(search.key);
+
+      for (const request of search.requests) {
+        this.requests.delete(request.villagerId);
+        answered.push({ ...request, path: copyPath(path) });
+      }
+    }
+    return answered;
+  }
+
+  search(search) {
+    const pathfinder = this.pathfinder.forProfile(search.profile);
+    const { start, goal } = search;
+    const workerResult = this.workerResults.get(search.key);
+    const fromWorker = this.workerResults.delete(search.key);
+
+    return pathfinder.findCachedRoute(start.x, start.y, goal.x, goal.y, () => {
+      if (fromWorker) {
+        this.stats.fromWorker++;
+        return workerResult;
+      }
+      this.stats.searchedHere++;
+      return pathfinder.findRoute(start.x, start.y, goal.x, goal.y);
+    });
+  }
+
+  clear() {
+    this.requests.clear();
+    this.searches.clear();
+    this.workerResults.clear();
+    this.answered = [];
+    if (this.released) this.released.clear();
+  }
+
+  /**
+   * Waiting requests for saves, grouped by search in queue order
+   * @returns {Array<Object>}
+   */
+  serialize() {
+    return [...this.searches.values()].map(search => ({
+      start: { ...search.start },
+      goal: { ...search.goal },
+      profile: search.profile,
+      requests: search.requests.map(r => ({ villagerId: r.villagerId, purpose: r.purpose, data: r.data }))
+    }));
+  }
+
+  /**
+   * Replace the queue with saved requests
+   * @param {Array<Object>} saved - Output of serialize()
+   */
+  restore(saved) {
+    this.clear();
+    for (const search of saved) {
+      for (const r of search.requests) {
+        this.request(r.villagerId, r.purpose, search.start, search.goal, r.data, search.profile);
+      }
+    }
+  }
+
+  destroy() {
+    this.detachWorker();
+    this.clear();
+  }
+}
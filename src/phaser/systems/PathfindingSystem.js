@@ -3,8 +3,32 @@
  *
  * A* pathfinding algorithm optimized for terrain-based navigation.
  * Respects biome movement costs, height differences, and obstacles.
+ *
+ * For destinations many villagers share (temples), flow fields: one Dijkstra
+ * search outward from the goal gives every tile its next step towards it, so
+ * each villager's path is a walk down the field instead of its own A*.
+ *
+ * Long routes go through HierarchicalPathfinder (findRoute), which plans
+ * across map regions first instead of expanding every tile on the way.
+ * findCachedRoute() reuses recent routes between the same regions (PathCache).
+ *
+ * Buildings don't change the terrain; they lay tile overrides over it
+ * (blocked, or a different movement cost) that every search respects. Roads
+ * scale a tile's movement cost down on top of that.
+ *
+ * Searches use a movement profile (see movementProfiles.js): walkers by
+ * default, or swimmers, boats and fliers through forProfile(). With
+ * respectHeight, climbing costs extra and steps over maxHeightDiff are cliffs.
  */
 
+import MinHeap from '../core/MinHeap';
+import HierarchicalPathfinder from './HierarchicalPathfinder';
+import PathCache from './PathCache';
+import { MOVEMENT_PROFILES, DEFAULT_PROFILE } from '../config/movementProfiles';
+
+const MAX_FLOW_FIELDS = 16; // Cached goals; least recently used dropped first
+const LONG_ROUTE_DISTANCE = 40; // Tiles; longer routes are planned on the region graph
+
 /**
  * Node class for A* algorithm
  */
@@ -51,6 +75,68 @@ export default class PathfindingSystem {
     this.dontCrossCorners = options.dontCrossCorners !== undefined ? options.dontCrossCorners : true;
     this.respectHeight = options.respectHeight !== undefined ? options.respectHeight : false;
     this.maxHeightDiff = options.maxHeightDiff !== undefined ? options.maxHeightDiff : 1;
+
+    this.profileName = options.profile || DEFAULT_PROFILE;
+    this.profile = MOVEMENT_PROFILES[this.profileName];
+    if (!this.profile) {
+      throw new Error(`PathfindingSystem: unknown movement profile '${this.profileName}'`);
+    }
+
+    // Pathfinders for other profiles, sharing this one's overrides and roads
+    this.base = null;
+    this.profileViews = new Map();
+
+    // Flow fields by goal tile, most recently used last
+    this.flowFields = new Map();
+
+    // Region graph for long routes, built as routes reach each region
+    this.hierarchy = null;
+
+    // Recent routes by start and goal region
+    this.pathCache = new PathCache(this);
+
+    // Tile index -> {passable, movementCost} laid over the terrain by buildings
+    this.tileOverrides = new Map();
+
+    // Tile index -> movement cost multiplier (roads)
+    this.costFactors = new Map();
+    this.minCostFactor = 1; // Smallest multiplier in use; keeps the A* heuristic from overestimating
+  }
+
+  /**
+   * Options this pathfinder was created with (to build an identical one, e.g. in a worker)
+   * @returns {Object}
+   */
+  getOptions() {
+    return {
+      allowDiagonal: this.allowDiagonal,
+      dontCrossCorners: this.dontCrossCorners,
+      respectHeight: this.respectHeight,
+      maxHeightDiff: this.maxHeightDiff,
+      profile: this.profileName
+    };
+  }
+
+  /**
+   * Pathfinder that searches with another movement profile over the same map
+   * It shares this one's tile overrides and roads; each keeps its own caches.
+   * @param {string} profileName - Key of MOVEMENT_PROFILES
+   * @returns {PathfindingSystem}
+   */
+  forProfile(profileName = DEFAULT_PROFILE) {
+    if (profileName === this.profileName) return this;
+    if (this.base) return this.base.forProfile(profileName);
+
+    let view = this.profileViews.get(profileName);
+    if (!view) {
+      view = new PathfindingSystem(this.terrainData, { ...this.getOptions(), profile: profileName });
+      view.base = this;
+      view.tileOverrides = this.tileOverrides;
+      view.costFactors = this.costFactors;
+      view.minCostFactor = this.minCostFactor;
+      this.profileViews.set(profileName, view);
+    }
+    return view;
   }
 
   /**
@@ -150,10 +236,7 @@ export default class PathfindingSystem {
         }
 
         // Calculate g score (cost from start)
-        const movementCost = this.getMovementCost(x, y);
-        const isDiagonal = current.x !== x && current.y !== y;
-        const distance = isDiagonal ? 1.414 : 1.0; // √2 for diagonal
-        const g = current.g + (distance * movementCost);
+        const g = current.g + this.getStepCost(current.x, current.y, x, y);
 
         // Check if this node is in open list
         let openNode = openList.find(node => node.x === x && node.y === y);
@@ -177,6 +260,190 @@ export default class PathfindingSystem {
     return null;
   }
 
+  /**
+   * Find a path, planning long routes on the region graph first
+   * Short routes use findPath; long ones may be slightly longer than A*'s best.
+   * @param {number} startX - Starting X coordinate
+   * @param {number} startY - Starting Y coordinate
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @returns {Array<{x, y}>|null} Path as array of coordinates, or null if no path found
+   */
+  findRoute(startX, startY, goalX, goalY) {
+    const distance = Math.max(Math.abs(goalX - startX), Math.abs(goalY - startY));
+    if (distance < LONG_ROUTE_DISTANCE || !this.isInBounds(startX, startY) || !this.isInBounds(goalX, goalY)) {
+      return this.findPath(startX, startY, goalX, goalY);
+    }
+    return this.getHierarchy().findPath(startX, startY, goalX, goalY);
+  }
+
+  /**
+   * findRoute() through the path cache
+   * @param {number} startX - Starting X coordinate
+   * @param {number} startY - Starting Y coordinate
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @param {Function} search - Used instead of findRoute() on a miss (e.g. to take a worker's answer)
+   * @returns {Array<{x, y}>|null} Path as array of coordinates, or null if no path found
+   */
+  findCachedRoute(startX, startY, goalX, goalY, search = null) {
+    return this.pathCache.findRoute(startX, startY, goalX, goalY,
+      search || (() => this.findRoute(startX, startY, goalX, goalY)));
+  }
+
+  /**
+   * Path cache hit rate over every movement profile, for the dev panel
+   * @returns {Object} {hits, misses, invalidated, hitRate, size}
+   */
+  getPathCacheStats() {
+    const caches = [this.pathCache, ...[...this.profileViews.values()].map(view => view.pathCache)];
+    const total = { hits: 0, misses: 0, invalidated: 0, size: 0 };
+    for (const cache of caches) {
+      const stats = cache.getStats();
+      for (const field of Object.keys(total)) total[field] += stats[field];
+    }
+    const lookups = total.hits + total.misses;
+    return { ...total, hitRate: lookups > 0 ? total.hits / lookups : 0 };
+  }
+
+  /**
+   * Cached paths of every movement profile, for saves
+   * @returns {Object} profile -> output of PathCache.serialize()
+   */
+  serializePathCaches() {
+    const saved = { [this.profileName]: this.pathCache.serialize() };
+    for (const [profileName, view] of this.profileViews) saved[profileName] = view.pathCache.serialize();
+    return saved;
+  }
+
+  /**
+   * Replace every profile's cached paths with saved ones
+   * @param {Object} saved - Output of serializePathCaches()
+   */
+  restorePathCaches(saved) {
+    this.pathCache.clear();
+    for (const view of this.profileViews.values()) view.pathCache.clear();
+    for (const [profileName, entries] of Object.entries(saved)) {
+      this.forProfile(profileName).pathCache.restore(entries);
+    }
+  }
+
+  /**
+   * @returns {HierarchicalPathfinder}
+   */
+  getHierarchy() {
+    if (!this.hierarchy) this.hierarchy = new HierarchicalPathfinder(this);
+    return this.hierarchy;
+  }
+
+  /**
+   * Terrain or walls changed in an area: drop the routing data that covers it
+   * @param {number} minX - Left tile (inclusive)
+   * @param {number} minY - Top tile (inclusive)
+   * @param {number} maxX - Right tile (inclusive)
+   * @param {number} maxY - Bottom tile (inclusive)
+   */
+  invalidateArea(minX, minY, maxX, maxY) {
+    this.invalidateFlowFields();
+    this.pathCache.invalidateArea(minX, minY, maxX, maxY);
+    if (this.hierarchy) this.hierarchy.invalidateArea(minX, minY, maxX, maxY);
+    for (const view of this.profileViews.values()) view.invalidateArea(minX, minY, maxX, maxY);
+  }
+
+  /**
+   * Override passability and/or movement cost over an area (e.g. a wall going up)
+   * @param {number} minX - Left tile (inclusive)
+   * @param {number} minY - Top tile (inclusive)
+   * @param {number} maxX - Right tile (inclusive)
+   * @param {number} maxY - Bottom tile (inclusive)
+   * @param {Object} override - {passable, movementCost}; either may be left out to keep the terrain's
+   */
+  overrideArea(minX, minY, maxX, maxY, override) {
+    for (let y = Math.max(0, minY); y <= Math.min(this.height - 1, maxY); y++) {
+      for (let x = Math.max(0, minX); x <= Math.min(this.width - 1, maxX); x++) {
+        this.tileOverrides.set(y * this.width + x, { ...override });
+      }
+    }
+    this.invalidateArea(minX, minY, maxX, maxY);
+  }
+
+  /**
+   * Drop the overrides over an area, back to plain terrain (e.g. a wall torn down)
+   * @param {number} minX - Left tile (inclusive)
+   * @param {number} minY - Top tile (inclusive)
+   * @param {number} maxX - Right tile (inclusive)
+   * @param {number} maxY - Bottom tile (inclusive)
+   */
+  clearOverrides(minX, minY, maxX, maxY) {
+    for (let y = Math.max(0, minY); y <= Math.min(this.height - 1, maxY); y++) {
+      for (let x = Math.max(0, minX); x <= Math.min(this.width - 1, maxX); x++) {
+        this.tileOverrides.delete(y * this.width + x);
+      }
+    }
+    this.invalidateArea(minX, minY, maxX, maxY);
+  }
+
+  /**
+   * Every tile override, to copy them into another pathfinder (e.g. in a worker)
+   * @returns {Array<[number, Object]>} [tile index, override] pairs
+   */
+  getOverrides() {
+    return [...this.tileOverrides].map(([index, override]) => [index, { ...override }]);
+  }
+
+  /**
+   * Replace every tile override with a copied set
+   * @param {Array<[number, Object]>} overrides - Output of getOverrides()
+   */
+  setOverrides(overrides) {
+    this.tileOverrides.clear();
+    for (const [index, override] of overrides) this.tileOverrides.set(index, { ...override });
+    this.invalidateArea(0, 0, this.width - 1, this.height - 1);
+  }
+
+  /**
+   * Scale a tile's movement cost (e.g. a road); 1 puts it back to normal
+   * Doesn't invalidate anything, so a batch of changes can share one invalidateArea().
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} factor - Movement cost multiplier
+   */
+  setCostFactor(x, y, factor) {
+    if (!this.isInBounds(x, y)) return;
+
+    const index = y * this.width + x;
+    if (factor === 1) {
+      this.costFactors.delete(index);
+    } else {
+      this.costFactors.set(index, factor);
+    }
+    this.updateMinCostFactor();
+  }
+
+  /**
+   * Every movement cost multiplier, to copy them into another pathfinder (e.g. in a worker)
+   * @returns {Array<[number, number]>} [tile index, factor] pairs
+   */
+  getCostFactors() {
+    return [...this.costFactors];
+  }
+
+  /**
+   * Replace every movement cost multiplier with a copied set
+   * @param {Array<[number, number]>} factors - Output of getCostFactors()
+   */
+  setCostFactors(factors) {
+    this.costFactors.clear();
+    for (const [index, factor] of factors) this.costFactors.set(index, factor);
+    this.updateMinCostFactor();
+    this.invalidateArea(0, 0, this.width - 1, this.height - 1);
+  }
+
+  updateMinCostFactor() {
+    this.minCostFactor = Math.min(1, ...this.costFactors.values());
+    for (const view of this.profileViews.values()) view.minCostFactor = this.minCostFactor;
+  }
+
   /**
    * Get neighbors for a given position
    * @param {number} x - X coordinate
@@ -260,8 +527,37 @@ export default class PathfindingSystem {
       return false;
     }
 
+    if (!this.profile.ignoresBuildings) {
+      const override = this.tileOverrides.get(y * this.width + x);
+      if (override && override.passable !== undefined) return override.passable;
+    }
+
     const biome = this.terrainData[y][x];
-    return biome.passable === true;
+    const rule = this.profile.biomes[biome.name];
+    if (rule) return rule.passable;
+    return !this.profile.biomesOnly && biome.passable === true;
+  }
+
+  /**
+   * Check a path can still be walked from a point on (e.g. after a wall went up)
+   * @param {Array<{x, y}>} path - Path as array of coordinates
+   * @param {number} fromIndex - First step still to be taken
+   * @returns {boolean} True if every remaining tile and step is still allowed
+   */
+  isPathWalkable(path, fromIndex = 0) {
+    for (let i = fromIndex; i < path.length; i++) {
+      const { x, y } = path[i];
+      if (!this.isPassable(x, y)) return false;
+      if (i === 0) continue;
+
+      const prev = path[i - 1];
+      if (this.respectHeight && !this.canTraverse(prev.x, prev.y, x, y)) return false;
+      if (!this.dontCrossCorners) continue;
+
+      const isDiagonal = prev.x !== x && prev.y !== y;
+      if (isDiagonal && (!this.isPassable(x, prev.y) || !this.isPassable(prev.x, y))) return false;
+    }
+    return true;
   }
 
   /**
@@ -273,6 +569,8 @@ export default class PathfindingSystem {
    * @returns {boolean} True if traversable
    */
   canTraverse(fromX, fromY, toX, toY) {
+    if (this.profile.ignoresHeight) return true;
+
     const fromBiome = this.terrainData[fromY][fromX];
     const toBiome = this.terrainData[toY][toX];
 
@@ -292,11 +590,40 @@ export default class PathfindingSystem {
     }
 
     const biome = this.terrainData[y][x];
-    return biome.movementCost || 1.0;
+    const rule = this.profile.biomes[biome.name];
+    const terrainCost = rule ? rule.movementCost : (biome.movementCost || 1.0);
+    if (this.profile.ignoresBuildings) return terrainCost;
+
+    const index = y * this.width + x;
+    const factor = this.costFactors.get(index) ?? 1;
+    const override = this.tileOverrides.get(index);
+    if (override && override.movementCost !== undefined) return override.movementCost * factor;
+    return terrainCost * factor;
+  }
+
+  /**
+   * Cost of one step between neighbouring tiles: distance x the cost of the
+   * tile entered, plus the profile's climb cost for going uphill (respectHeight)
+   * @param {number} fromX - From X coordinate
+   * @param {number} fromY - From Y coordinate
+   * @param {number} toX - To X coordinate
+   * @param {number} toY - To Y coordinate
+   * @returns {number} Step cost
+   */
+  getStepCost(fromX, fromY, toX, toY) {
+    const distance = fromX !== toX && fromY !== toY ? 1.414 : 1.0; // √2 for diagonal
+    let cost = this.getMovementCost(toX, toY);
+
+    if (this.respectHeight && this.profile.climbCost > 0) {
+      const climb = this.terrainData[toY][toX].height - this.terrainData[fromY][fromX].height;
+      if (climb > 0) cost += climb * this.profile.climbCost;
+    }
+    return distance * cost;
   }
 
   /**
    * Heuristic function (Manhattan distance with movement cost estimate)
+   * Scaled by the cheapest road so it never overestimates and roads still attract searches.
    * @param {number} x1 - Start X
    * @param {number} y1 - Start Y
    * @param {number} x2 - Goal X
@@ -311,10 +638,10 @@ export default class PathfindingSystem {
       // Octile distance (allows diagonal movement)
       const D = 1.0;  // Cost of cardinal move
       const D2 = 1.414; // Cost of diagonal move (√2)
-      return D * (dx + dy) + (D2 - 2 * D) * Math.min(dx, dy);
+      return (D * (dx + dy) + (D2 - 2 * D) * Math.min(dx, dy)) * this.minCostFactor;
     } else {
       // Manhattan distance (only cardinal movement)
-      return dx + dy;
+      return (dx + dy) * this.minCostFactor;
     }
   }
 
@@ -356,4 +683,107 @@ export default class PathfindingSystem {
 
     return totalCost;
   }
+
+  /**
+   * Dijkstra search outward from a goal: every tile's cost to reach it and its next step
+   * Step costs match findPath, so following the field gives a path as cheap as A*'s.
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @returns {Object|null} {goal, costs, next} (next[i] = tile index to step to, -1 if none), or null if the goal is impassable
+   */
+  computeFlowField(goalX, goalY) {
+    if (!this.isPassable(goalX, goalY)) return null;
+
+    const size = this.width * this.height;
+    const costs = new Float64Array(size).fill(Infinity);
+    const next = new Int32Array(size).fill(-1);
+    const goalIndex = goalY * this.width + goalX;
+
+    const open = new MinHeap();
+    costs[goalIndex] = 0;
+    open.push(goalIndex, 0);
+
+    while (open.size > 0) {
+      const { index, cost } = open.pop();
+      if (cost > costs[index]) continue; // Stale entry; a cheaper one was already handled
+
+      const x = index % this.width;
+      const y = (index - x) / this.width;
+
+      for (const neighbor of this.getNeighbors(x, y)) {
+        if (!this.isPassable(neighbor.x, neighbor.y)) continue;
+        if (this.respectHeight && !this.canTraverse(neighbor.x, neighbor.y, x, y)) continue;
+
+        // Paid by whoever steps from the neighbour onto this tile
+        const g = cost + this.getStepCost(neighbor.x, neighbor.y, x, y);
+        const neighborIndex = neighbor.y * this.width + neighbor.x;
+
+        if (g < costs[neighborIndex]) {
+          costs[neighborIndex] = g;
+          next[neighborIndex] = index;
+          open.push(neighborIndex, g);
+        }
+      }
+    }
+
+    return { goal: { x: goalX, y: goalY }, costs, next };
+  }
+
+  /**
+   * Flow field towards a goal, computed on first use and cached
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @returns {Object|null} See computeFlowField
+   */
+  getFlowField(goalX, goalY) {
+    const key = `${goalX},${goalY}`;
+    if (this.flowFields.has(key)) {
+      const field = this.flowFields.get(key);
+      this.flowFields.delete(key);
+      this.flowFields.set(key, field);
+      return field;
+    }
+
+    const field = this.computeFlowField(goalX, goalY);
+    this.flowFields.set(key, field);
+    if (this.flowFields.size > MAX_FLOW_FIELDS) {
+      this.flowFields.delete(this.flowFields.keys().next().value);
+    }
+    return field;
+  }
+
+  /**
+   * Forget cached flow fields (call when terrain or walls change)
+   */
+  invalidateFlowFields() {
+    this.flowFields.clear();
+  }
+
+  /**
+   * Find a path by walking down the goal's flow field
+   * Same contract as findPath; cheap once the goal's field exists.
+   * @param {number} startX - Starting X coordinate
+   * @param {number} startY - Starting Y coordinate
+   * @param {number} goalX - Goal X coordinate
+   * @param {number} goalY - Goal Y coordinate
+   * @returns {Array<{x, y}>|null} Path as array of coordinates, or null if no path found
+   */
+  findFlowPath(startX, startY, goalX, goalY) {
+    if (!this.isInBounds(startX, startY) || !this.isInBounds(goalX, goalY)) return null;
+    if (startX === goalX && startY === goalY) return null;
+
+    const field = this.getFlowField(goalX, goalY);
+    if (!field) return null;
+
+    const goalIndex = goalY * this.width + goalX;
+    let index = startY * this.width + startX;
+    if (field.next[index] === -1) return null; // Impassable or cut off from the goal
+
+    const path = [{ x: startX, y: startY }];
+    while (index !== goalIndex) {
+      index = field.next[index];
+      path.push({ x: index % this.width, y: Math.floor(index / this.width) });
+    }
+    return path;
+  }
 }
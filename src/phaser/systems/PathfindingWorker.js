@@ -0,0 +1,35 @@
+/**
+ * Pathfinding Worker
+ *
+ * Runs A* searches for PathRequestQueue off the main thread. It is sent the
+ * terrain once, then answers each search with the same PathfindingSystem the
+ * simulation uses, so its paths match a main-thread search exactly. Building
+ * tile overrides and road cost factors are sent with the terrain and again
+ * whenever they change.
+ *
+ * Messages in:  {type: 'terrain', terrain, options, overrides, costFactors}
+ *               | {type: 'overrides', overrides, costFactors}
+ *               | {type: 'find', key, version, profile, start, goal}
+ * Messages out: {key, version, path}
+ */
+
+import PathfindingSystem from './PathfindingSystem';
+
+let pathfinder = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'terrain') {
+    pathfinder = new PathfindingSystem(message.terrain, message.options);
+    pathfinder.setOverrides(message.overrides || []);
+    pathfinder.setCostFactors(message.costFactors || []);
+  } else if (message.type === 'overrides' && pathfinder) {
+    pathfinder.setOverrides(message.overrides);
+    pathfinder.setCostFactors(message.costFactors);
+  } else if (message.type === 'find' && pathfinder) {
+    const { key, version, profile, start, goal } = message;
+    const path = pathfinder.forProfile(profile).findRoute(start.x, start.y, goal.x, goal.y);
+    self.postMessage({ key, version, path });
+  }
+};
@@ -46,6 +46,7 @@ export default class PlayerSystem {
       // Stats
       beliefPoints: config.beliefPoints || 100,
       food: config.food || 50,
+      wood: config.wood || 0,
       population: 0,
       devotedVillagers: [],
       influencedVillagers: [],
@@ -181,6 +182,16 @@ export default class PlayerSystem {
     }
   }
 
+  /**
+   * Add wood to player
+   */
+  addWood(playerId, amount) {
+    const player = this.getPlayer(playerId);
+    if (player) {
+      player.wood = Math.max(0, player.wood + amount);
+    }
+  }
+
   /**
    * Check if player has food (not starving)
    */
@@ -272,11 +283,69 @@ export default class PlayerSystem {
         id: this.humanPlayer.id,
         beliefPoints: this.humanPlayer.beliefPoints,
         food: this.humanPlayer.food,
+        wood: this.humanPlayer.wood,
         population: this.humanPlayer.population
       } : null
     };
   }
 
+  /**
+   * Players for saves (temples are saved by TempleSystem and re-linked on restore)
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      nextPlayerId: this.nextPlayerId,
+      players: this.players.map(p => ({
+        id: p.id,
+        type: p.type,
+        name: p.name,
+        color: p.color,
+        spawnPosition: { ...p.spawnPosition },
+        beliefPoints: p.beliefPoints,
+        food: p.food,
+        wood: p.wood,
+        population: p.population,
+        devotedVillagers: [...p.devotedVillagers],
+        influencedVillagers: [...p.influencedVillagers],
+        isActive: p.isActive,
+        isEliminated: p.isEliminated
+      }))
+    };
+  }
+
+  /**
+   * Replace all players with the saved set
+   * @param {Object} data - Output of serialize()
+   */
+  restore(data) {
+    this.players = [];
+    this.humanPlayer = null;
+    this.aiPlayers = [];
+
+    for (const saved of data.players || []) {
+      const player = {
+        ...saved,
+        wood: saved.wood || 0,
+        spawnPosition: { ...saved.spawnPosition },
+        devotedVillagers: [...(saved.devotedVillagers || [])],
+        influencedVillagers: [...(saved.influencedVillagers || [])],
+        temples: [],
+        buildings: []
+      };
+
+      this.players.push(player);
+      if (player.type === 'human') {
+        this.humanPlayer = player;
+      } else {
+        this.aiPlayers.push(player);
+      }
+    }
+
+    this.nextPlayerId = data.nextPlayerId || this.players.length + 1;
+    console.log(`[PlayerSystem] Restored ${this.players.length} players`);
+  }
+
   /**
    * Update system (called every frame)
    * @param {number} time - Current game time
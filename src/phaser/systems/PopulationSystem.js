@@ -0,0 +1,165 @@
+/**
+ * Population System
+ *
+ * Houses and families. Every finished house has room for `capacity`
+ * residents (BUILDING_TYPES in BuildingSystem.js): villagers whose house is
+ * gone, unfinished, full or their god's no longer lose their home, then the
+ * homeless move into their owner's houses in the order they were built,
+ * lowest villager id first. VillagerSystem sends residents to bed indoors at
+ * getHomeSpot(); the homeless sleep rough by the temple.
+ *
+ * A house with two adults living in it has a child every BIRTH_INTERVAL,
+ * born beside the house, as long as the house has room, the owner has
+ * BIRTH_FOOD to spare and is under the population cap; otherwise the couple
+ * waits. Time towards the next child is kept on the house (birthTimer), so
+ * it is saved with the buildings. Ageing and death of old age are up to the
+ * villagers (see lifecycle.js).
+ */
+
+import { TERRAIN_CONFIG } from '../config/terrainConfig';
+import { BUILDING_TYPES } from './BuildingSystem';
+import { BIRTH_INTERVAL, BIRTH_FOOD, isChild } from '../config/lifecycle';
+
+export default class PopulationSystem {
+  constructor(scene) {
+    this.scene = scene;
+
+    // References set by SimulationCore
+    this.villagerSystem = null;
+    this.buildingSystem = null;
+    this.playerSystem = null;
+  }
+
+  /**
+   * Turn out villagers who can no longer live where they do and house the homeless
+   * @returns {Map} House ID -> {house, residents}
+   */
+  assignHomes() {
+    const households = new Map();
+    const byPlayer = new Map(); // playerId -> households, in build order
+    for (const house of this.buildingSystem.buildings) {
+      if (house.type !== 'house' || !this.buildingSystem.isBuilt(house)) continue;
+
+      const household = { house, residents: [] };
+      households.set(house.id, household);
+      if (!byPlayer.has(house.playerId)) byPlayer.set(house.playerId, []);
+      byPlayer.get(house.playerId).push(household);
+    }
+    const capacity = BUILDING_TYPES.house.capacity;
+
+    for (const villager of this.villagerSystem.villagers) {
+      if (!villager.homeId) continue;
+      const household = households.get(villager.homeId);
+      if (!household || household.house.playerId !== villager.playerId || household.residents.length >= capacity) {
+        villager.moveOut();
+        continue;
+      }
+      household.residents.push(villager);
+    }
+
+    // Houses fill in order, so each owner's search picks up where the last one stopped
+    const firstOpen = new Map();
+    for (const villager of this.villagerSystem.villagers) {
+      if (villager.homeId || !villager.playerId) continue;
+      const houses = byPlayer.get(villager.playerId);
+      if (!houses) continue;
+
+      let index = firstOpen.get(villager.playerId) || 0;
+      while (index < houses.length && houses[index].residents.length >= capacity) index++;
+      firstOpen.set(villager.playerId, index);
+      if (index === houses.length) continue;
+
+      villager.moveIn(houses[index].house.id);
+      houses[index].residents.push(villager);
+    }
+
+    return households;
+  }
+
+  /**
+   * Whether a player has the food and room for another villager
+   * @param {Object} player
+   * @returns {boolean}
+   */
+  canSupportBirth(player) {
+    if (!player || player.isEliminated || player.food < BIRTH_FOOD) return false;
+    const cap = this.scene?.getPopulationCap ? this.scene.getPopulationCap(player) : Infinity;
+    return player.population < cap;
+  }
+
+  /**
+   * Settle everyone into houses, bring couples closer to their next child
+   * and deliver any that are due
+   * @param {number} delta - Simulation milliseconds
+   */
+  update(delta) {
+    if (!this.villagerSystem || !this.buildingSystem || !this.playerSystem) return;
+
+    for (const { house, residents } of this.assignHomes().values()) {
+      if (residents.filter(v => !isChild(v)).length < 2) continue;
+
+      house.birthTimer = Math.min(BIRTH_INTERVAL, house.birthTimer + delta);
+      if (house.birthTimer < BIRTH_INTERVAL || residents.length >= BUILDING_TYPES.house.capacity) continue;
+      if (!this.canSupportBirth(this.playerSystem.getPlayer(house.playerId))) continue;
+
+      const child = this.deliverChild(house);
+      if (child) {
+        child.moveIn(house.id);
+        house.birthTimer = 0;
+      }
+    }
+  }
+
+  /**
+   * Tile by a villager's front door to walk to at bedtime
+   * @param {Villager} villager
+   * @returns {{x, y}|null} Null for the homeless (or a house walled in)
+   */
+  getHomeSpot(villager) {
+    if (!villager.homeId || !this.buildingSystem) return null;
+    const house = this.buildingSystem.buildings.find(b => b.id === villager.homeId);
+    if (!house) return null;
+
+    const pathfinder = this.villagerSystem.pathfinderFor(villager);
+    return this.buildingSystem.findTileBeside(house, (x, y) => pathfinder.isPassable(x, y), villager);
+  }
+
+  /**
+   * Villagers living in a house
+   * @param {string} houseId
+   * @returns {Array<Villager>}
+   */
+  getResidents(houseId) {
+    return this.villagerSystem ? this.villagerSystem.villagers.filter(v => v.homeId === houseId) : [];
+  }
+
+  /**
+   * Spawn a newborn beside a house, paid for from its owner's food store
+   * @param {Object} house
+   * @returns {Villager|null} Null if there was nowhere to put the child
+   */
+  deliverChild(house) {
+    const pathfinder = this.villagerSystem.pathfindingSystem;
+    const spot = this.buildingSystem.findTileBeside(
+      house,
+      (x, y) => (pathfinder ? pathfinder.isPassable(x, y) : true),
+      { x: house.tileX, y: house.tileY }
+    );
+    if (!spot) return null;
+
+    const child = this.villagerSystem.spawnVillager(spot.x, spot.y, 0);
+    if (!child) return null;
+
+    this.playerSystem.addVillager(house.playerId, child);
+    this.playerSystem.addFood(house.playerId, -BIRTH_FOOD);
+
+    if (this.scene?.audioSystem) this.scene.audioSystem.playSpawnSound();
+    if (this.scene?.particleSystem) {
+      const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+      this.scene.particleSystem.emitSpawn(spot.x * TILE_SIZE + TILE_SIZE / 2, spot.y * TILE_SIZE + TILE_SIZE / 2);
+    }
+
+    console.log(`[PopulationSystem] ${child.name} born at house ${house.id} for ${house.playerId}`);
+    return child;
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Road Renderer
+ *
+ * Draws RoadSystem's dirt paths and roads as a tinted overlay just above the
+ * terrain texture. The overlay is one Graphics object redrawn only when the
+ * road levels change (RoadSystem.version), not every frame.
+ *
+ * Purely visual: the simulation never reads anything back from here.
+ */
+
+import { TERRAIN_CONFIG } from '../config/terrainConfig';
+import { ROAD_LEVELS } from './RoadSystem';
+
+const ROAD_DEPTH = 5; // Above terrain (0), below buildings (40) and villagers (100)
+const ROAD_ALPHA = 0.7;
+
+export default class RoadRenderer {
+  /**
+   * @param {Phaser.Scene} scene - Scene to draw in (needs add.graphics)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.enabled = !!scene?.add?.graphics;
+    this.graphics = null;
+    this.drawnVersion = -1;
+  }
+
+  /**
+   * Redraw the roads if they changed since the last call
+   * @param {RoadSystem} roadSystem
+   */
+  render(roadSystem) {
+    if (!this.enabled || roadSystem.version === this.drawnVersion) return;
+    this.drawnVersion = roadSystem.version;
+
+    if (!this.graphics) {
+      this.graphics = this.scene.add.graphics();
+      this.graphics.setDepth(ROAD_DEPTH);
+    }
+
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    this.graphics.clear();
+    for (const { x, y, level } of roadSystem.getRoads()) {
+      this.graphics.fillStyle(ROAD_LEVELS[level].color, ROAD_ALPHA);
+      this.graphics.fillRect(x * TILE_SIZE, y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+    }
+  }
+
+  destroy() {
+    if (this.graphics) {
+      this.graphics.destroy();
+      this.graphics = null;
+    }
+    this.drawnVersion = -1;
+  }
+}
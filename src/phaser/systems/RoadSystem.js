@@ -0,0 +1,255 @@
+/**
+ * Road System
+ *
+ * Villagers wear paths into the ground. Every tile a villager steps onto
+ * gains wear; well-worn tiles become dirt paths and then roads, which are
+ * cheaper to cross, so the next villager's search prefers them and wears them
+ * further. Unused tiles lose wear over time and grow back. The player can
+ * also lay a road outright for belief (it still decays if nobody uses it).
+ *
+ * Wear changes every step, but road levels are only re-evaluated once a
+ * second: each change invalidates cached paths, so changes are batched.
+ */
+
+import { TERRAIN_CONFIG } from '../config/terrainConfig';
+
+const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+
+export const MAX_WEAR = 100;
+const WEAR_PER_STEP = 1;
+const DECAY_PER_SECOND = 0.2; // An untouched road fades to dirt in ~5 minutes
+const UPDATE_INTERVAL = 1000; // ms between road level updates
+export const ROAD_COST = 2; // Belief per tile laid by the player
+
+// Highest level first; a tile takes the first level its wear reaches
+export const ROAD_LEVELS = {
+  road: {
+    name: 'Road',
+    wear: 40,
+    costFactor: 0.5, // Movement cost multiplier
+    color: 0x8B7355,
+  },
+  dirt: {
+    name: 'Dirt path',
+    wear: 12,
+    costFactor: 0.8,
+    color: 0xA0826D,
+  },
+};
+
+/**
+ * Road level a tile with this much wear has
+ * @param {number} wear
+ * @returns {string|null} Key of ROAD_LEVELS, or null for untouched ground
+ */
+export function getRoadLevel(wear) {
+  for (const [level, config] of Object.entries(ROAD_LEVELS)) {
+    if (wear >= config.wear) return level;
+  }
+  return null;
+}
+
+export default class RoadSystem {
+  constructor(scene) {
+    this.scene = scene;
+
+    this.wear = new Map();   // tile index -> wear (0..MAX_WEAR)
+    this.levels = new Map(); // tile index -> key of ROAD_LEVELS, as the pathfinder sees it
+    this.changed = new Set(); // tile indices whose wear changed since the last level update
+    this.updateTimer = 0;
+    this.version = 0; // Bumped whenever levels change (renderers redraw)
+
+    // References
+    this.pathfindingSystem = null;
+    this.playerSystem = null;
+    this.buildingSystem = null;
+    this.villagerSystem = null;
+  }
+
+  get width() {
+    return this.pathfindingSystem.width;
+  }
+
+  /**
+   * Wear the tiles a villager stepped onto this update
+   * @param {Array<{x, y}>} path - The villager's path
+   * @param {number} from - First path index reached
+   * @param {number} to - Path index after the last one reached
+   */
+  recordSteps(path, from, to) {
+    if (!this.pathfindingSystem) return;
+
+    for (let i = from; i < to; i++) {
+      const index = path[i].y * this.width + path[i].x;
+      this.wear.set(index, Math.min(MAX_WEAR, (this.wear.get(index) || 0) + WEAR_PER_STEP));
+      this.changed.add(index);
+    }
+  }
+
+  /**
+   * Lay a road on a tile for the human player
+   * Entry point for recorded commands.
+   * @param {number} worldX - World X in pixels
+   * @param {number} worldY - World Y in pixels
+   * @returns {boolean} True if a road was laid
+   */
+  layRoad(worldX, worldY) {
+    if (!this.pathfindingSystem) return false;
+
+    const tileX = Math.floor(worldX / TILE_SIZE);
+    const tileY = Math.floor(worldY / TILE_SIZE);
+    if (!this.canLayRoad(tileX, tileY)) return false;
+
+    if (this.playerSystem) {
+      const human = this.playerSystem.getHumanPlayer();
+      if (!human || !this.playerSystem.spendBeliefPoints(human.id, ROAD_COST)) return false;
+    }
+
+    const index = tileY * this.width + tileX;
+    this.wear.set(index, MAX_WEAR);
+    this.changed.add(index);
+    this.updateLevels();
+    return true;
+  }
+
+  /**
+   * Roads go on open, passable ground within the player's influence
+   */
+  canLayRoad(tileX, tileY) {
+    if (!this.pathfindingSystem.isPassable(tileX, tileY)) return false;
+    if (this.levels.get(tileY * this.width + tileX) === 'road') return false;
+
+    if (this.buildingSystem) {
+      if (this.buildingSystem.occupiedTiles.has(`${tileX},${tileY}`)) return false;
+      if (!this.buildingSystem.isWithinInfluence(tileX, tileY)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Decay wear and update road levels once per interval
+   * @param {number} dt - Simulation milliseconds
+   */
+  update(dt) {
+    this.updateTimer += dt;
+    if (this.updateTimer < UPDATE_INTERVAL) return;
+    this.updateTimer -= UPDATE_INTERVAL;
+
+    const decay = DECAY_PER_SECOND * UPDATE_INTERVAL / 1000;
+    for (const [index, wear] of this.wear) {
+      if (wear <= decay) {
+        this.wear.delete(index);
+      } else {
+        this.wear.set(index, wear - decay);
+      }
+      this.changed.add(index);
+    }
+
+    this.updateLevels();
+  }
+
+  /**
+   * Give tiles whose wear changed their new road level on the pathfinding grid
+   */
+  updateLevels() {
+    if (this.changed.size === 0 || !this.pathfindingSystem) return;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const index of this.changed) {
+      const level = getRoadLevel(this.wear.get(index) || 0);
+      if (level === (this.levels.get(index) || null)) continue;
+
+      const x = index % this.width;
+      const y = (index - x) / this.width;
+      if (level) {
+        this.levels.set(index, level);
+      } else {
+        this.levels.delete(index);
+      }
+      this.pathfindingSystem.setCostFactor(x, y, level ? ROAD_LEVELS[level].costFactor : 1);
+
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+    this.changed.clear();
+
+    if (minX === Infinity) return;
+    this.pathfindingSystem.invalidateArea(minX, minY, maxX, maxY);
+    this.version++;
+    if (this.villagerSystem) this.villagerSystem.handleTerrainChanged();
+  }
+
+  /**
+   * Road tiles for drawing
+   * @returns {Array<{x, y, level}>}
+   */
+  getRoads() {
+    return [...this.levels].map(([index, level]) => ({
+      x: index % this.width,
+      y: Math.floor(index / this.width),
+      level
+    }));
+  }
+
+  getCount() {
+    return this.levels.size;
+  }
+
+  /**
+   * Wear, levels and the pending update for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      wear: [...this.wear],
+      levels: [...this.levels],
+      changed: [...this.changed],
+      updateTimer: this.updateTimer
+    };
+  }
+
+  /**
+   * Replace every road with the saved set
+   * @param {Object} data - Output of serialize()
+   */
+  restore(data) {
+    this.clearAll();
+
+    this.wear = new Map(data.wear || []);
+    this.levels = new Map(data.levels || []);
+    this.changed = new Set(data.changed || []);
+    this.updateTimer = data.updateTimer || 0;
+
+    if (this.pathfindingSystem) {
+      for (const [index, level] of this.levels) {
+        const x = index % this.width;
+        this.pathfindingSystem.setCostFactor(x, (index - x) / this.width, ROAD_LEVELS[level].costFactor);
+      }
+      this.pathfindingSystem.invalidateArea(0, 0, this.width - 1, this.pathfindingSystem.height - 1);
+      if (this.villagerSystem) this.villagerSystem.handleTerrainChanged();
+    }
+    this.version++;
+  }
+
+  clearAll() {
+    if (this.pathfindingSystem && this.levels.size > 0) {
+      for (const index of this.levels.keys()) {
+        const x = index % this.width;
+        this.pathfindingSystem.setCostFactor(x, (index - x) / this.width, 1);
+      }
+      this.pathfindingSystem.invalidateArea(0, 0, this.width - 1, this.pathfindingSystem.height - 1);
+      if (this.villagerSystem) this.villagerSystem.handleTerrainChanged();
+    }
+    this.wear.clear();
+    this.levels.clear();
+    this.changed.clear();
+    this.updateTimer = 0;
+    this.version++;
+  }
+
+  destroy() {
+    this.clearAll();
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Save File
+ *
+ * Portable save files for sharing game states. A file is one line of JSON
+ * header followed by the gzipped save:
+ *
+ *   {"format":"god-dots-save","gameVersion":"0.1.0","saveVersion":3,"terrainSeed":...}\n
+ *   <gzip of the save JSON>
+ *
+ * The header stays readable (head -1 shows it) so a file from another build
+ * or seed can be reported before anything is unpacked. A CRC-32 of the save
+ * JSON catches damaged files.
+ */
+
+import { SAVE_VERSION, migrateSave } from './SaveMigrations';
+
+export const SAVE_FILE_FORMAT = 'god-dots-save';
+export const SAVE_FILE_EXTENSION = '.goddots';
+
+// Bump with releases; recorded in exported files so mismatches can be reported
+export const GAME_VERSION = '0.1.0';
+
+const NEWLINE = 0x0a;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of some bytes
+ * @param {Uint8Array} bytes
+ * @returns {string} 8 hex digits
+ */
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ((crc ^ 0xffffffff) >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Run bytes through a (de)compression stream
+ */
+async function transform(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * File name for an exported save, e.g. "god-dots-day-4-seed-1234.goddots"
+ * @param {Object} state - Output of SaveSystem.serializeState
+ * @returns {string}
+ */
+export function saveFileName(state) {
+  const day = state?.simulation?.clock?.day ?? 1;
+  return `god-dots-day-${day}-seed-${state?.terrainSeed}${SAVE_FILE_EXTENSION}`;
+}
+
+/**
+ * Pack a save into file bytes
+ * @param {Object} state - Output of SaveSystem.serializeState
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeSaveFile(state) {
+  const json = new TextEncoder().encode(JSON.stringify(state));
+  const header = {
+    format: SAVE_FILE_FORMAT,
+    gameVersion: GAME_VERSION,
+    saveVersion: state.version,
+    terrainSeed: state.terrainSeed,
+    mapWidth: state.mapWidth,
+    mapHeight: state.mapHeight,
+    exportedAt: Date.now(),
+    compression: 'gzip',
+    size: json.length,
+    checksum: crc32(json)
+  };
+
+  const headerBytes = new TextEncoder().encode(`${JSON.stringify(header)}\n`);
+  const body = await transform(json, new CompressionStream('gzip'));
+
+  const file = new Uint8Array(headerBytes.length + body.length);
+  file.set(headerBytes);
+  file.set(body, headerBytes.length);
+  return file;
+}
+
+/**
+ * Read just the header of a save file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object|null} Header, or null if this is not a save file
+ */
+export function readSaveFileHeader(bytes) {
+  const end = bytes.indexOf(NEWLINE);
+  if (end < 0) return null;
+
+  try {
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(0, end)));
+    return header?.format === SAVE_FILE_FORMAT ? header : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Unpack and check a save file
+ * Errors stop the file from loading; warnings (another game version) do not.
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<Object>} {state, header, errors, warnings}; state is null if there are errors
+ */
+export async function decodeSaveFile(bytes) {
+  const warnings = [];
+  const fail = (header, ...errors) => ({ state: null, header, errors, warnings });
+
+  const header = readSaveFileHeader(bytes);
+  if (!header) return fail(null, 'Not a God Dots save file');
+
+  const origin = `Exported from God Dots v${header.gameVersion} (save format v${header.saveVersion})`;
+  if (header.saveVersion > SAVE_VERSION) {
+    return fail(header, `${origin}; this is v${GAME_VERSION}, which reads up to save format v${SAVE_VERSION}. Update the game to load it.`);
+  }
+  if (header.gameVersion !== GAME_VERSION) {
+    warnings.push(`${origin}; this is v${GAME_VERSION}. The game may play differently.`);
+  }
+
+  let json;
+  try {
+    json = await transform(bytes.subarray(bytes.indexOf(NEWLINE) + 1), new DecompressionStream(header.compression));
+  } catch (e) {
+    return fail(header, `File is damaged and could not be unpacked (${e.message})`);
+  }
+
+  const checksum = crc32(json);
+  if (json.length !== header.size || checksum !== header.checksum) {
+    return fail(header, `File is damaged: checksum ${checksum} does not match ${header.checksum}`);
+  }
+
+  let state;
+  try {
+    state = JSON.parse(new TextDecoder().decode(json));
+  } catch (e) {
+    return fail(header, `File is damaged: ${e.message}`);
+  }
+
+  const errors = [];
+  if (state.terrainSeed !== header.terrainSeed) {
+    errors.push(`Header terrain seed ${header.terrainSeed} does not match the save's seed ${state.terrainSeed}`);
+  }
+  if (state.version !== header.saveVersion) {
+    errors.push(`Header save format v${header.saveVersion} does not match the save's v${state.version}`);
+  }
+  errors.push(...migrateSave(state).errors);
+
+  return { state: errors.length === 0 ? state : null, header, errors, warnings };
+}
@@ -0,0 +1,231 @@
+/**
+ * Save Manager
+ *
+ * Named save slots in the Dexie SaveGame table (IndexedDB), so saves are no
+ * longer capped by the localStorage quota. Each slot keeps the serialized
+ * game state plus what the slot browser shows: name, timestamp, description,
+ * play time and a minimap thumbnail. Autosaves rotate through a fixed
+ * number of slots.
+ *
+ * Serializing the game itself is SaveSystem's job; this only stores it.
+ */
+
+export const AUTOSAVE_SLOTS = 3;
+
+// Where saves lived before slots (format v1); imported once, then removed
+const LEGACY_SAVE_KEYS = [
+  { key: 'godDotsSave', name: 'Imported save' },
+  { key: 'godDotsAutoSave', name: 'Imported autosave' }
+];
+
+/**
+ * Format play time for the slot browser
+ * @param {number} ms - Play time in milliseconds
+ * @returns {string} e.g. "1h 05m" or "12m 30s"
+ */
+export function formatPlayTime(ms) {
+  const totalSeconds = Math.floor((ms || 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Slot metadata without the (large) game state
+ */
+function toSlotInfo(record) {
+  const info = { ...record };
+  delete info.gameState;
+  return info;
+}
+
+export default class SaveManager {
+  /**
+   * Create a new save manager
+   * @param {Dexie} db - Database with a SaveGame table
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Save manager registered on the game, if any
+   * @param {Phaser.Scene} scene
+   * @returns {SaveManager|null}
+   */
+  static fromScene(scene) {
+    return scene?.registry?.get('saveManager') || null;
+  }
+
+  /**
+   * All slots, newest first, without their game state
+   * @returns {Promise<Array>}
+   */
+  async listSlots() {
+    try {
+      const records = await this.db.SaveGame.toArray();
+      return records
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .map(toSlotInfo);
+    } catch (e) {
+      console.error('[SaveManager] Listing saves failed:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Whether any slot exists
+   * @returns {Promise<boolean>}
+   */
+  async hasSaves() {
+    try {
+      return (await this.db.SaveGame.count()) > 0;
+    } catch (e) {
+      console.error('[SaveManager] Counting saves failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Write a game state to a slot
+   * @param {Object} gameState - Output of SaveSystem.serializeState
+   * @param {Object} meta
+   * @param {number} meta.id - Slot to overwrite (new slot if omitted)
+   * @param {string} meta.name - Slot name
+   * @param {string} meta.description - Short summary of the game
+   * @param {number} meta.playTime - Play time in milliseconds
+   * @param {string} meta.thumbnail - Minimap image as a data URL
+   * @param {boolean} meta.isAutoSave - Autosave slot (rotated)
+   * @param {number} meta.timestamp - When the game was saved (defaults to now)
+   * @returns {Promise<number|null>} Slot ID, or null if the save failed
+   */
+  async save(gameState, { id, name, description = '', playTime = 0, thumbnail = null, isAutoSave = false, timestamp } = {}) {
+    if (!gameState) return null;
+
+    const record = {
+      name: name || (isAutoSave ? 'Autosave' : 'Divine Save'),
+      timestamp: timestamp || Date.now(),
+      description,
+      playTime,
+      thumbnail,
+      isAutoSave,
+      gameState
+    };
+
+    try {
+      const slotId = id ? await this.db.SaveGame.put({ ...record, id }) : await this.db.SaveGame.add(record);
+      console.log(`[SaveManager] Saved "${record.name}" (slot ${slotId})`);
+      return slotId;
+    } catch (e) {
+      console.error('[SaveManager] Save failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Save to a new autosave slot and drop the oldest beyond AUTOSAVE_SLOTS
+   * @param {Object} gameState - Output of SaveSystem.serializeState
+   * @param {Object} meta - As for save() (id and name are ignored)
+   * @returns {Promise<number|null>} Slot ID, or null if the save failed
+   */
+  async autosave(gameState, meta = {}) {
+    const slotId = await this.save(gameState, {
+      ...meta,
+      id: undefined,
+      name: `Autosave ${new Date().toLocaleString()}`,
+      isAutoSave: true
+    });
+    if (slotId === null) return null;
+
+    const autosaves = (await this.listSlots()).filter(slot => slot.isAutoSave);
+    for (const stale of autosaves.slice(AUTOSAVE_SLOTS)) {
+      await this.delete(stale.id);
+    }
+    return slotId;
+  }
+
+  /**
+   * Move saves from the old localStorage keys into slots
+   * They keep their old format; SaveSystem upgrades them when loaded.
+   * @param {Storage} storage - Where the old saves are
+   * @returns {Promise<number>} Number of saves imported
+   */
+  async importLegacySaves(storage = globalThis.localStorage) {
+    if (!storage) return 0;
+
+    let imported = 0;
+    for (const { key, name } of LEGACY_SAVE_KEYS) {
+      let gameState;
+      try {
+        gameState = JSON.parse(storage.getItem(key));
+      } catch (e) {
+        console.error(`[SaveManager] Old save ${key} is unreadable, leaving it in place:`, e);
+        continue;
+      }
+      if (!gameState) continue;
+
+      const slotId = await this.save(gameState, {
+        name,
+        description: 'From an earlier version',
+        timestamp: gameState.timestamp
+      });
+      if (slotId !== null) {
+        storage.removeItem(key);
+        imported++;
+      }
+    }
+    return imported;
+  }
+
+  /**
+   * Read a slot including its game state
+   * @param {number} id - Slot ID
+   * @returns {Promise<Object|null>}
+   */
+  async load(id) {
+    try {
+      return (await this.db.SaveGame.get(id)) || null;
+    } catch (e) {
+      console.error('[SaveManager] Load failed:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Rename a slot
+   * @param {number} id - Slot ID
+   * @param {string} name - New name
+   * @returns {Promise<boolean>} False if the slot does not exist or the name is blank
+   */
+  async rename(id, name) {
+    const trimmed = name?.trim();
+    if (!trimmed) return false;
+
+    try {
+      return (await this.db.SaveGame.update(id, { name: trimmed })) > 0;
+    } catch (e) {
+      console.error('[SaveManager] Rename failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a slot
+   * @param {number} id - Slot ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    try {
+      await this.db.SaveGame.delete(id);
+      return true;
+    } catch (e) {
+      console.error('[SaveManager] Delete failed:', e);
+      return false;
+    }
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Save Migrations
+ *
+ * Upgrades saves from older formats one version at a time (v1 -> v2 -> ...)
+ * and validates the result, so a format change never strands old saves.
+ * Each migration takes a save of version N and returns a new save of
+ * version N + 1 without touching its input.
+ *
+ * To change the format: bump SAVE_VERSION, register a migration from the
+ * previous version in SAVE_MIGRATIONS and extend validateSave.
+ */
+
+import RandomService, { RNG_STREAMS } from '../core/RandomService';
+import { STARTING_NEEDS } from '../config/villagerNeeds';
+import { STARTING_AGE, rollLifespan } from '../config/lifecycle';
+import { rollTraits } from '../config/traits';
+
+export const SAVE_VERSION = 3;
+
+/**
+ * v1 (localStorage era): summary fields only, villagers without IDs or paths.
+ * v2 stores the full simulation state; what v1 never recorded (paths, timers,
+ * RNG positions, beliefs) starts fresh, as it would for a new game.
+ */
+function migrateV1ToV2(save) {
+  const temples = (save.temples || []).map(t => ({
+    id: t.id,
+    type: 'temple',
+    playerId: t.playerId,
+    playerColor: t.playerColor,
+    position: { x: t.positionX, y: t.positionY },
+    level: t.level || 1,
+    health: 100,
+    isUnderConstruction: false
+  }));
+
+  const villagers = (save.villagers || []).map((v, i) => ({
+    id: i + 1,
+    name: v.name || null,
+    x: v.x,
+    y: v.y,
+    playerId: v.playerId || null,
+    state: 'idle', // v1 kept no paths or worship targets to resume
+    health: v.health ?? 100,
+    origin: { x: v.x, y: v.y },
+    currentPath: null,
+    pathIndex: 0,
+    destination: null
+  }));
+
+  const players = (save.players || []).map(p => {
+    const owned = villagers.filter(v => v.playerId === p.id).map(v => v.id);
+    const temple = temples.find(t => t.playerId === p.id);
+    return {
+      id: p.id,
+      type: p.type,
+      name: p.name,
+      color: p.color,
+      spawnPosition: temple ? { ...temple.position } : { x: 0, y: 0 },
+      beliefPoints: p.beliefPoints ?? 0,
+      food: p.food ?? 0,
+      population: owned.length,
+      devotedVillagers: owned,
+      influencedVillagers: [],
+      isActive: p.isActive !== false,
+      isEliminated: !!p.isEliminated
+    };
+  });
+
+  const buildings = (save.buildings || []).map((b, i) => ({
+    id: i + 1,
+    type: b.type,
+    tileX: b.tileX,
+    tileY: b.tileY,
+    playerId: b.playerId
+  }));
+
+  return {
+    version: 2,
+    timestamp: save.timestamp || Date.now(),
+    terrainSeed: save.terrainSeed,
+    mapWidth: save.mapWidth,
+    mapHeight: save.mapHeight,
+    simulation: {
+      tick: 0,
+      elapsed: 0,
+      gameStarted: true,
+      gameEnded: false,
+      gameSpeed: save.gameSpeed || 1,
+      random: { seed: save.terrainSeed, streams: {} },
+      commandLog: null,
+      players: { nextPlayerId: players.length + 1, players },
+      temples: { temples },
+      buildings: { nextId: buildings.length + 1, buildings },
+      villagers: { nextId: villagers.length + 1, isNight: false, villagers },
+      beliefs: { timeSinceUpdate: 0, beliefs: [] },
+      clock: { day: save.clock?.day ?? 1, timeMs: save.clock?.timeMs ?? 0 },
+      powers: { cooldowns: {} },
+      ai: {}
+    }
+  };
+}
+
+/**
+ * v3 adds villager needs, jobs, ageing, homes and traits, and construction
+ * sites. Everything in a v2 save was already standing, so it is all
+ * finished; villagers start out as new ones would, except that they are
+ * grown, have no job or home yet (they are handed out on the first tick) and
+ * get their lifespans and traits from the save's own random streams.
+ */
+function migrateV2ToV3(save) {
+  const simulation = save.simulation;
+  const random = new RandomService(simulation.random.seed);
+  random.restore(simulation.random);
+  const lifespans = random.stream(RNG_STREAMS.LIFECYCLE);
+  const traits = random.stream(RNG_STREAMS.TRAITS);
+
+  const buildings = (simulation.buildings.buildings || []).map(b => ({ ...b, progress: 1, birthTimer: 0 }));
+  const villagers = (simulation.villagers.villagers || []).map(v => ({
+    ...v,
+    ...STARTING_NEEDS,
+    goingToEat: false,
+    job: null,
+    workplaceId: null,
+    workTimer: 0,
+    age: STARTING_AGE,
+    lifespan: rollLifespan(lifespans.next),
+    homeId: null,
+    goingIndoors: false,
+    indoors: false,
+    traits: rollTraits(traits.next)
+  }));
+
+  return {
+    ...save,
+    version: 3,
+    simulation: {
+      ...simulation,
+      random: random.serialize(),
+      buildings: { ...simulation.buildings, buildings },
+      villagers: { ...simulation.villagers, villagers }
+    }
+  };
+}
+
+/**
+ * Migrations keyed by the version they upgrade from
+ */
+export const SAVE_MIGRATIONS = {
+  1: migrateV1ToV2,
+  2: migrateV2ToV3
+};
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a current-version save for missing or broken data
+ * @param {Object} save - Save at SAVE_VERSION
+ * @returns {Array<string>} Problems found (empty if the save is usable)
+ */
+export function validateSave(save) {
+  const errors = [];
+  const simulation = save?.simulation;
+
+  if (!isNumber(save?.terrainSeed)) errors.push('Missing terrain seed');
+  if (!simulation || typeof simulation !== 'object') {
+    errors.push('Missing simulation state');
+    return errors;
+  }
+
+  const sections = ['players', 'temples', 'buildings', 'villagers', 'clock', 'random'];
+  for (const section of sections) {
+    if (!simulation[section] || typeof simulation[section] !== 'object') {
+      errors.push(`Missing ${section} section`);
+    }
+  }
+  if (errors.length > 0) return errors;
+
+  if (!isNumber(simulation.tick) || !isNumber(simulation.elapsed)) {
+    errors.push('Simulation tick or elapsed time is not a number');
+  }
+  if (!isNumber(simulation.clock.day) || !isNumber(simulation.clock.timeMs)) {
+    errors.push('Clock day or time is not a number');
+  }
+
+  const players = simulation.players.players;
+  if (!Array.isArray(players) || players.length === 0) {
+    errors.push('Save has no players');
+    return errors;
+  }
+  const playerIds = new Set(players.map(p => p.id));
+  const checkOwner = (label, playerId) => {
+    if (playerId !== null && playerId !== undefined && !playerIds.has(playerId)) {
+      errors.push(`${label} belongs to unknown player ${playerId}`);
+    }
+  };
+
+  for (const temple of simulation.temples.temples || []) {
+    if (!isNumber(temple.position?.x) || !isNumber(temple.position?.y)) {
+      errors.push(`Temple ${temple.id} has no position`);
+    }
+    checkOwner(`Temple ${temple.id}`, temple.playerId);
+  }
+
+  for (const building of simulation.buildings.buildings || []) {
+    if (!isNumber(building.tileX) || !isNumber(building.tileY)) {
+      errors.push(`Building ${building.id} has no position`);
+    }
+    checkOwner(`Building ${building.id}`, building.playerId);
+  }
+
+  const villagerIds = new Set();
+  for (const villager of simulation.villagers.villagers || []) {
+    if (!isNumber(villager.x) || !isNumber(villager.y)) {
+      errors.push(`Villager ${villager.id} has no position`);
+    }
+    if (villagerIds.has(villager.id)) {
+      errors.push(`Duplicate villager ID ${villager.id}`);
+    }
+    villagerIds.add(villager.id);
+    checkOwner(`Villager ${villager.id}`, villager.playerId);
+  }
+
+  return errors;
+}
+
+/**
+ * Bring a save of any known version up to SAVE_VERSION and validate it
+ * @param {Object} save - Save data as stored
+ * @returns {Object} {state, errors, fromVersion}; state is null if the save cannot be used
+ */
+export function migrateSave(save) {
+  if (!save || typeof save !== 'object') {
+    return { state: null, errors: ['Save is empty or not an object'], fromVersion: null };
+  }
+
+  const fromVersion = save.version;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    return { state: null, errors: [`Unknown save version: ${fromVersion}`], fromVersion };
+  }
+  if (fromVersion > SAVE_VERSION) {
+    return {
+      state: null,
+      errors: [`Save is from a newer game (format v${fromVersion}, this game reads up to v${SAVE_VERSION})`],
+      fromVersion
+    };
+  }
+
+  let state = save;
+  for (let version = fromVersion; version < SAVE_VERSION; version++) {
+    const migrate = SAVE_MIGRATIONS[version];
+    if (!migrate) {
+      return { state: null, errors: [`No migration from save format v${version}`], fromVersion };
+    }
+
+    try {
+      state = migrate(state);
+    } catch (e) {
+      return { state: null, errors: [`Upgrading from save format v${version} failed: ${e.message}`], fromVersion };
+    }
+  }
+
+  const errors = validateSave(state);
+  return { state: errors.length === 0 ? state : null, errors, fromVersion };
+}
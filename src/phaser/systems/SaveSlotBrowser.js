@@ -0,0 +1,305 @@
+/**
+ * Save Slot Browser
+ *
+ * Overlay panel listing SaveManager slots (newest first, a page at a time)
+ * with their thumbnail, name, date, play time and description. Slots can be
+ * loaded, renamed and deleted; in save mode they can also be overwritten and
+ * a new slot created. Used by the main menu (Continue) and the pause menu.
+ */
+
+import Phaser from 'phaser';
+import { formatPlayTime } from './SaveManager';
+
+const PANEL_WIDTH = 760;
+const PANEL_HEIGHT = 640;
+const ROW_HEIGHT = 84;
+const SLOTS_PER_PAGE = 5;
+const THUMBNAIL_SIZE = 64;
+
+export default class SaveSlotBrowser {
+  /**
+   * Create a new slot browser
+   * @param {Phaser.Scene} scene - Scene to draw in
+   * @param {SaveManager} saveManager
+   * @param {Object} options
+   * @param {string} options.mode - 'load' or 'save'
+   * @param {Function} options.onLoad - Called with the full slot record to load
+   * @param {Function} options.onSave - Called with the slot to overwrite (null = new slot); may return a Promise
+   * @param {Function} options.onClose - Called after the browser closes
+   * @param {number} options.depth - Render depth (above the caller's UI)
+   */
+  constructor(scene, saveManager, { mode = 'load', onLoad = null, onSave = null, onClose = null, depth = 20000 } = {}) {
+    this.scene = scene;
+    this.saveManager = saveManager;
+    this.mode = mode;
+    this.onLoad = onLoad;
+    this.onSave = onSave;
+    this.onClose = onClose;
+    this.depth = depth;
+
+    this.slots = [];
+    this.page = 0;
+    this.frame = [];     // Overlay, panel, title, close button
+    this.rowObjects = []; // Rebuilt on every refresh
+    this.thumbnailKeys = new Set();
+    this.isOpen = false;
+  }
+
+  /**
+   * Show the browser and load the slot list
+   */
+  async open() {
+    this.isOpen = true;
+    this.createFrame();
+    await this.refresh();
+  }
+
+  /**
+   * Re-read the slots and redraw the current page
+   */
+  async refresh() {
+    this.slots = await this.saveManager.listSlots();
+    if (!this.isOpen) return;
+
+    const lastPage = Math.max(0, Math.ceil(this.slots.length / SLOTS_PER_PAGE) - 1);
+    this.page = Math.min(this.page, lastPage);
+    this.renderRows();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    this.clearRows();
+    this.frame.forEach(obj => obj.destroy());
+    this.frame = [];
+
+    for (const key of this.thumbnailKeys) {
+      if (this.scene.textures.exists(key)) this.scene.textures.remove(key);
+    }
+    this.thumbnailKeys.clear();
+
+    if (this.onClose) this.onClose();
+  }
+
+  /**
+   * Panel bounds centred on the camera
+   */
+  getBounds() {
+    const { width, height } = this.scene.cameras.main;
+    return {
+      x: (width - PANEL_WIDTH) / 2,
+      y: (height - PANEL_HEIGHT) / 2,
+      width,
+      height
+    };
+  }
+
+  createFrame() {
+    const { x, y, width, height } = this.getBounds();
+
+    const overlay = this.scene.add.graphics();
+    overlay.fillStyle(0x000000, 0.7);
+    overlay.fillRect(0, 0, width, height);
+    // Swallow clicks meant for whatever is underneath
+    overlay.setInteractive(new Phaser.Geom.Rectangle(0, 0, width, height), Phaser.Geom.Rectangle.Contains);
+
+    const panel = this.scene.add.graphics();
+    panel.fillStyle(0x1a1a2e);
+    panel.fillRoundedRect(x, y, PANEL_WIDTH, PANEL_HEIGHT, 15);
+    panel.lineStyle(3, 0x4a4a8e);
+    panel.strokeRoundedRect(x, y, PANEL_WIDTH, PANEL_HEIGHT, 15);
+
+    const title = this.scene.add.text(width / 2, y + 40, this.mode === 'save' ? 'SAVE GAME' : 'LOAD GAME', {
+      fontFamily: 'Georgia, serif',
+      fontSize: '36px',
+      fontStyle: 'bold',
+      color: '#FFD700'
+    });
+    title.setOrigin(0.5);
+
+    const close = this.createTextButton(x + PANEL_WIDTH - 70, y + PANEL_HEIGHT - 40, 'CLOSE', () => this.close());
+
+    this.frame = [overlay, panel, title, close];
+    this.frame.forEach(obj => {
+      obj.setScrollFactor(0);
+      obj.setDepth(this.depth + (obj === overlay ? 0 : 1));
+    });
+  }
+
+  clearRows() {
+    this.rowObjects.forEach(obj => obj.destroy());
+    this.rowObjects = [];
+  }
+
+  renderRows() {
+    this.clearRows();
+    const { x, y, width } = this.getBounds();
+    let rowY = y + 90;
+
+    if (this.mode === 'save') {
+      this.addRowObject(this.createTextButton(width / 2, rowY + 10, '+ NEW SAVE', () => this.save(null)));
+      rowY += 40;
+    }
+
+    const pageSlots = this.slots.slice(this.page * SLOTS_PER_PAGE, (this.page + 1) * SLOTS_PER_PAGE);
+    if (pageSlots.length === 0) {
+      const empty = this.scene.add.text(width / 2, rowY + 60, 'No saved games yet', {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '20px',
+        color: '#888888'
+      });
+      empty.setOrigin(0.5);
+      this.addRowObject(empty);
+    }
+
+    pageSlots.forEach((slot, i) => {
+      this.renderSlot(slot, x + 20, rowY + i * ROW_HEIGHT);
+    });
+
+    // Paging
+    const pageCount = Math.ceil(this.slots.length / SLOTS_PER_PAGE);
+    if (pageCount > 1) {
+      const pagerY = y + PANEL_HEIGHT - 40;
+      const label = this.scene.add.text(x + 110, pagerY, `${this.page + 1} / ${pageCount}`, {
+        fontFamily: 'Arial, sans-serif',
+        fontSize: '18px',
+        color: '#CCCCCC'
+      });
+      label.setOrigin(0.5);
+      this.addRowObject(label);
+
+      if (this.page > 0) {
+        this.addRowObject(this.createTextButton(x + 50, pagerY, '<', () => { this.page--; this.renderRows(); }));
+      }
+      if (this.page < pageCount - 1) {
+        this.addRowObject(this.createTextButton(x + 170, pagerY, '>', () => { this.page++; this.renderRows(); }));
+      }
+    }
+  }
+
+  /**
+   * Draw one slot row: thumbnail, details and actions
+   */
+  renderSlot(slot, x, y) {
+    const rowWidth = PANEL_WIDTH - 40;
+
+    const bg = this.scene.add.graphics();
+    bg.fillStyle(0x2a2a4e, 0.6);
+    bg.fillRoundedRect(x, y, rowWidth, ROW_HEIGHT - 8, 8);
+    this.addRowObject(bg);
+
+    this.renderThumbnail(slot, x + 8 + THUMBNAIL_SIZE / 2, y + (ROW_HEIGHT - 8) / 2);
+
+    const name = this.scene.add.text(x + THUMBNAIL_SIZE + 20, y + 10, slot.isAutoSave ? `${slot.name} (auto)` : slot.name, {
+      fontFamily: 'Georgia, serif',
+      fontSize: '20px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    this.addRowObject(name);
+
+    const details = `${new Date(slot.timestamp).toLocaleString()}  |  ${formatPlayTime(slot.playTime)}\n${slot.description || ''}`;
+    const info = this.scene.add.text(x + THUMBNAIL_SIZE + 20, y + 36, details, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '14px',
+      color: '#BBBBBB'
+    });
+    this.addRowObject(info);
+
+    const actions = [['LOAD', () => this.load(slot)]];
+    if (this.mode === 'save' && !slot.isAutoSave) {
+      actions.push(['SAVE', () => this.save(slot)]);
+    }
+    actions.push(['RENAME', () => this.rename(slot)], ['DELETE', () => this.remove(slot)]);
+
+    // Right-aligned, stacked in two columns
+    actions.forEach(([label, action], i) => {
+      const bx = x + rowWidth - 150 + (i % 2) * 90;
+      const by = y + 20 + Math.floor(i / 2) * 34;
+      this.addRowObject(this.createTextButton(bx, by, label, action, '14px'));
+    });
+  }
+
+  /**
+   * Show a slot's minimap thumbnail once its texture has decoded
+   */
+  renderThumbnail(slot, x, y) {
+    if (!slot.thumbnail || !this.scene.textures) return;
+
+    const key = `saveThumbnail_${slot.id}_${slot.timestamp}`;
+    const rows = this.rowObjects;
+    const show = () => {
+      // Skip if the page was redrawn while the image decoded
+      if (!this.isOpen || this.rowObjects !== rows || !this.scene.textures.exists(key)) return;
+      const image = this.scene.add.image(x, y, key);
+      image.setDisplaySize(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+      this.addRowObject(image);
+    };
+
+    if (this.scene.textures.exists(key)) {
+      show();
+    } else {
+      this.thumbnailKeys.add(key);
+      this.scene.textures.once(Phaser.Textures.Events.ADD_KEY + key, show);
+      this.scene.textures.addBase64(key, slot.thumbnail);
+    }
+  }
+
+  async load(slot) {
+    const record = await this.saveManager.load(slot.id);
+    if (!record || !this.onLoad) return;
+
+    this.close();
+    this.onLoad(record);
+  }
+
+  async save(slot) {
+    if (!this.onSave) return;
+    await this.onSave(slot);
+    await this.refresh();
+  }
+
+  async rename(slot) {
+    const name = window.prompt('Rename save', slot.name);
+    if (name === null) return;
+
+    await this.saveManager.rename(slot.id, name);
+    await this.refresh();
+  }
+
+  async remove(slot) {
+    if (!window.confirm(`Delete "${slot.name}"?`)) return;
+
+    await this.saveManager.delete(slot.id);
+    await this.refresh();
+  }
+
+  addRowObject(obj) {
+    obj.setScrollFactor(0);
+    obj.setDepth(this.depth + 2);
+    this.rowObjects.push(obj);
+  }
+
+  /**
+   * Text button with the menu's hover colours
+   */
+  createTextButton(x, y, label, onClick, fontSize = '20px') {
+    const button = this.scene.add.text(x, y, label, {
+      fontFamily: 'Georgia, serif',
+      fontSize,
+      fontStyle: 'bold',
+      color: '#FFFFFF',
+      backgroundColor: '#2a2a4e',
+      padding: { x: 12, y: 6 }
+    });
+    button.setOrigin(0.5);
+    button.setInteractive();
+
+    button.on('pointerover', () => button.setColor('#FFD700'));
+    button.on('pointerout', () => button.setColor('#FFFFFF'));
+    button.on('pointerdown', onClick);
+
+    return button;
+  }
+}
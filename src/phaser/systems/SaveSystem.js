@@ -1,193 +1,166 @@
 /**
  * Save/Load System
  *
- * Saves game state to localStorage. Stores terrain seed (not full map),
- * temple positions/levels, building positions/types, villager positions/states,
- * and resources (belief, food, day).
+ * Turns a game into a save and back. Stores terrain seed (not full map) and
+ * the full simulation state: players, temples with levels and spawn timers,
+ * buildings with owners, villagers mid-path, beliefs, cooldowns, the clock,
+ * AI timers and RNG positions, so a loaded game continues exactly.
+ *
+ * Save slots live in IndexedDB (see SaveManager); the latest replay is small
+ * enough to stay in localStorage. Older save formats are upgraded on load
+ * (see SaveMigrations). Saves can also be exported to and imported from
+ * files (see SaveFile).
  */
 
-const SAVE_KEY = 'godDotsSave';
-const AUTOSAVE_KEY = 'godDotsAutoSave';
+import { SAVE_VERSION, migrateSave } from './SaveMigrations';
+import { encodeSaveFile, decodeSaveFile, saveFileName } from './SaveFile';
+
+export { SAVE_VERSION };
+
+const REPLAY_KEY = 'godDotsReplay';
 
 export default class SaveSystem {
   /**
-   * Save current game state
+   * Save the current game's command log as the latest replay
    */
-  static saveGame(scene, isAutoSave = false) {
-    const state = SaveSystem.serializeState(scene);
-    if (!state) return false;
+  static saveReplay(scene) {
+    if (!scene?.simulation) return false;
 
-    const key = isAutoSave ? AUTOSAVE_KEY : SAVE_KEY;
     try {
-      localStorage.setItem(key, JSON.stringify(state));
-      console.log(`[SaveSystem] Game ${isAutoSave ? 'auto-' : ''}saved`);
+      localStorage.setItem(REPLAY_KEY, JSON.stringify(scene.simulation.commandLog.toJSON()));
+      console.log('[SaveSystem] Replay saved');
       return true;
     } catch (e) {
-      console.error('[SaveSystem] Save failed:', e);
+      console.error('[SaveSystem] Replay save failed:', e);
       return false;
     }
   }
 
   /**
-   * Load game state
+   * Load the latest replay (plain command log data)
    */
-  static loadGame(isAutoSave = false) {
-    const key = isAutoSave ? AUTOSAVE_KEY : SAVE_KEY;
+  static loadReplay() {
     try {
-      const data = localStorage.getItem(key);
+      const data = localStorage.getItem(REPLAY_KEY);
       if (!data) return null;
       return JSON.parse(data);
     } catch (e) {
-      console.error('[SaveSystem] Load failed:', e);
+      console.error('[SaveSystem] Replay load failed:', e);
       return null;
     }
   }
 
   /**
-   * Check if a save exists
+   * Check if a replay exists
    */
-  static hasSave() {
-    return localStorage.getItem(SAVE_KEY) !== null ||
-           localStorage.getItem(AUTOSAVE_KEY) !== null;
+  static hasReplay() {
+    return localStorage.getItem(REPLAY_KEY) !== null;
   }
 
   /**
    * Serialize the full game state
+   * Everything the simulation needs to carry on exactly where it left off,
+   * plus the camera view. Terrain regenerates from the seed.
    */
   static serializeState(scene) {
-    if (!scene) return null;
+    const simulation = scene?.simulation || scene;
+    if (!simulation?.serialize) return null;
 
     const state = {
-      version: 1,
+      version: SAVE_VERSION,
       timestamp: Date.now(),
-      terrainSeed: scene.terrainSeed,
-      gameSpeed: scene.gameSpeed,
+      terrainSeed: simulation.seed,
+      mapWidth: simulation.mapWidth,
+      mapHeight: simulation.mapHeight,
+      simulation: simulation.serialize(),
     };
 
-    // Game clock
-    if (scene.gameClock) {
-      state.clock = {
-        day: scene.gameClock.getDay(),
-        timeMs: scene.gameClock.timeMs,
-      };
-    }
-
-    // Players
-    if (scene.playerSystem) {
-      state.players = scene.playerSystem.players.map(p => ({
-        id: p.id,
-        type: p.type,
-        name: p.name,
-        color: p.color,
-        beliefPoints: p.beliefPoints,
-        food: p.food,
-        population: p.population,
-        isActive: p.isActive,
-        isEliminated: p.isEliminated,
-      }));
-    }
-
-    // Temples
-    if (scene.templeSystem) {
-      state.temples = scene.templeSystem.temples.map(t => ({
-        id: t.id,
-        playerId: t.playerId,
-        playerColor: t.playerColor,
-        positionX: t.position.x,
-        positionY: t.position.y,
-        level: t.level || 1,
-      }));
-    }
-
-    // Buildings
-    if (scene.buildingSystem) {
-      state.buildings = scene.buildingSystem.buildings.map(b => ({
-        type: b.type,
-        tileX: b.tileX,
-        tileY: b.tileY,
-        playerId: b.playerId,
-      }));
-    }
-
-    // Villagers (compact format)
-    if (scene.villagerSystem) {
-      state.villagers = scene.villagerSystem.villagers.map(v => ({
-        x: Math.round(v.x * 10) / 10,
-        y: Math.round(v.y * 10) / 10,
-        playerId: v.playerId,
-        state: v.state,
-        health: v.health,
-        name: v.name,
-      }));
+    const camera = scene.cameras?.main;
+    if (camera) {
+      state.camera = { scrollX: camera.scrollX, scrollY: camera.scrollY, zoom: camera.zoom };
     }
 
     return state;
   }
 
   /**
-   * Restore game state to a scene (called after terrain is generated)
+   * One-line summary of a save for the slot browser
+   * @param {Object} state - Output of serializeState
+   * @returns {string}
    */
-  static restoreState(scene, state) {
-    if (!state || state.version !== 1) return false;
+  static describeState(state) {
+    const simulation = state?.simulation;
+    if (!simulation) return '';
 
-    // Restore clock
-    if (state.clock && scene.gameClock) {
-      scene.gameClock.day = state.clock.day;
-      scene.gameClock.timeMs = state.clock.timeMs;
-    }
+    const human = simulation.players.players.find(p => p.type === 'human');
+    const villagers = simulation.villagers.villagers.filter(v => human && v.playerId === human.id).length;
+    return `Day ${simulation.clock.day} - ${villagers} villagers, ${Math.floor(human?.beliefPoints || 0)} belief`;
+  }
 
-    // Restore game speed
-    if (state.gameSpeed) {
-      scene.gameSpeed = state.gameSpeed;
-    }
+  /**
+   * Download the current game as a save file
+   * @returns {Promise<string|null>} File name, or null if nothing was exported
+   */
+  static async exportToFile(scene) {
+    const state = SaveSystem.serializeState(scene);
+    if (!state) return null;
 
-    // Restore players
-    if (state.players && scene.playerSystem) {
-      for (const pData of state.players) {
-        const player = scene.playerSystem.getPlayer(pData.id);
-        if (player) {
-          player.beliefPoints = pData.beliefPoints;
-          player.food = pData.food || 50;
-          player.isActive = pData.isActive;
-          player.isEliminated = pData.isEliminated;
-        }
-      }
+    try {
+      const bytes = await encodeSaveFile(state);
+      const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = saveFileName(state);
+      link.click();
+      URL.revokeObjectURL(url);
+
+      console.log(`[SaveSystem] Exported ${link.download}`);
+      return link.download;
+    } catch (e) {
+      console.error('[SaveSystem] Export failed:', e);
+      return null;
     }
+  }
 
-    // Restore temple levels
-    if (state.temples && scene.templeSystem) {
-      for (const tData of state.temples) {
-        const temple = scene.templeSystem.getTemple(tData.id);
-        if (temple && tData.level > 1) {
-          // Upgrade temple to saved level
-          for (let l = 1; l < tData.level; l++) {
-            temple.level = l + 1;
-          }
-        }
+  /**
+   * Read and check a save file chosen by the player
+   * @param {File|Blob} file
+   * @returns {Promise<Object>} {state, header, errors, warnings} as for decodeSaveFile
+   */
+  static async importFromFile(file) {
+    try {
+      const result = await decodeSaveFile(new Uint8Array(await file.arrayBuffer()));
+      result.warnings.forEach(warning => console.warn(`[SaveSystem] ${warning}`));
+      if (result.errors.length > 0) {
+        console.error(`[SaveSystem] ${file.name || 'Save file'} could not be imported:\n  - ${result.errors.join('\n  - ')}`);
       }
+      return result;
+    } catch (e) {
+      console.error('[SaveSystem] Import failed:', e);
+      return { state: null, header: null, errors: [`Could not read the file (${e.message})`], warnings: [] };
     }
+  }
 
-    // Restore buildings
-    if (state.buildings && scene.buildingSystem) {
-      for (const bData of state.buildings) {
-        const building = scene.buildingSystem.createBuilding(bData.type, bData.tileX, bData.tileY);
-        if (building) {
-          building.playerId = bData.playerId;
-        }
-      }
+  /**
+   * Restore game state to a scene (called after terrain is generated, instead of starting a new game)
+   */
+  static restoreState(scene, saveData) {
+    const { state, errors, fromVersion } = migrateSave(saveData);
+    if (!state) {
+      console.error(`[SaveSystem] Save could not be loaded:\n  - ${errors.join('\n  - ')}`);
+      return false;
+    }
+    if (fromVersion !== SAVE_VERSION) {
+      console.log(`[SaveSystem] Upgraded save from format v${fromVersion} to v${SAVE_VERSION}`);
     }
 
-    // Restore villager health and state
-    if (state.villagers && scene.villagerSystem) {
-      const villagers = scene.villagerSystem.villagers;
-      for (let i = 0; i < Math.min(state.villagers.length, villagers.length); i++) {
-        const vData = state.villagers[i];
-        const villager = villagers[i];
-        if (villager && vData) {
-          villager.health = vData.health || 100;
-          villager.name = vData.name || villager.name;
-        }
-      }
+    const simulation = scene.simulation || scene;
+    simulation.restore(state.simulation);
+
+    const camera = scene.cameras?.main;
+    if (camera && state.camera) {
+      camera.setZoom(state.camera.zoom);
+      camera.setScroll(state.camera.scrollX, state.camera.scrollY);
     }
 
     console.log('[SaveSystem] Game state restored');
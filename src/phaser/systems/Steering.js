@@ -0,0 +1,84 @@
+/**
+ * Steering
+ *
+ * Small nudges that keep villagers from stacking up. Paths are followed
+ * tile by tile, so without this a crowd at a temple is one blob and two
+ * groups walking opposite ways slide through each other.
+ *
+ * - Separation: villagers closer than SEPARATION_RADIUS push each other apart,
+ *   harder the more they overlap.
+ * - Passing: a walker with someone coming the other way ahead of it steps to
+ *   its right, so both sidestep and pass.
+ *
+ * Pure functions of positions and headings; VillagerSystem applies the
+ * result. Neighbours must come in a fixed order (by id) so the sums, and the
+ * simulation, come out the same every run.
+ */
+
+export const SEPARATION_RADIUS = 0.8; // Tiles; closer villagers push apart
+export const PASSING_RADIUS = 3; // Tiles; how far ahead oncoming walkers are noticed
+const SEPARATION_SPEED = 2; // Tiles per second at full overlap
+const PASSING_SHARE = 0.5; // Fraction of a walker's speed spent stepping aside, at its closest
+const ONCOMING_DOT = -0.5; // Headings this opposed count as oncoming
+const GOLDEN_ANGLE = 2.399963; // Radians; spreads exactly overlapping pairs in different directions
+
+/**
+ * Direction to push a villager away from one standing exactly on top of it
+ * The pair gets an angle from their ids; the lower id goes one way, the higher the other.
+ */
+function overlapDirection(id, otherId) {
+  const angle = Math.min(id, otherId) * GOLDEN_ANGLE + Math.max(id, otherId);
+  const sign = id < otherId ? 1 : -1;
+  return { x: Math.cos(angle) * sign, y: Math.sin(angle) * sign };
+}
+
+/**
+ * Shorten a vector to at most `limit` long
+ */
+function clamp(x, y, limit) {
+  const length = Math.hypot(x, y);
+  return length > limit ? { x: x * limit / length, y: y * limit / length } : { x, y };
+}
+
+/**
+ * How far to nudge a villager this step to get out of its neighbours' way
+ * @param {Object} agent - {id, x, y, heading, speed}; heading is a unit vector, or null when standing
+ * @param {Array<Object>} neighbours - Nearby villagers in the same shape, in id order
+ * @param {number} delta - Milliseconds this step
+ * @returns {{dx, dy}} Tiles
+ */
+export function computeSteering(agent, neighbours, delta) {
+  const seconds = delta / 1000;
+  let dx = 0;
+  let dy = 0;
+  let sideX = 0;
+  let sideY = 0;
+
+  for (const other of neighbours) {
+    const ox = agent.x - other.x;
+    const oy = agent.y - other.y;
+    const distance = Math.hypot(ox, oy);
+
+    if (distance < SEPARATION_RADIUS) {
+      const push = (1 - distance / SEPARATION_RADIUS) * SEPARATION_SPEED * seconds;
+      const away = distance > 1e-6 ? { x: ox / distance, y: oy / distance } : overlapDirection(agent.id, other.id);
+      dx += away.x * push;
+      dy += away.y * push;
+    }
+
+    // Someone ahead walking the other way: step right (y points down, so right of (x, y) is (-y, x))
+    const heading = agent.heading;
+    if (heading && other.heading && distance < PASSING_RADIUS &&
+        heading.x * other.heading.x + heading.y * other.heading.y < ONCOMING_DOT &&
+        heading.x * -ox + heading.y * -oy > 0) {
+      const step = (1 - distance / PASSING_RADIUS) * PASSING_SHARE * agent.speed * seconds;
+      sideX += -heading.y * step;
+      sideY += heading.x * step;
+    }
+  }
+
+  // However crowded it gets, never pushed harder than by one full overlap or one walker head on
+  const push = clamp(dx, dy, SEPARATION_SPEED * seconds);
+  const side = clamp(sideX, sideY, PASSING_SHARE * (agent.speed || 0) * seconds);
+  return { dx: push.x + side.x, dy: push.y + side.y };
+}
@@ -2,12 +2,15 @@
  * Layer 6: Temple Management and Rendering System
  *
  * Handles temple rendering, management, villager spawning, and influence auras.
+ * Temples only send the odd adult pilgrim: villagers are mostly born in
+ * houses (PopulationSystem).
  */
 
 import { TERRAIN_CONFIG } from '../config/terrainConfig';
+import { randomStream, RNG_STREAMS } from '../core/RandomService';
 
 const TEMPLE_SIZE = 80;
-const SPAWN_INTERVAL = 30000; // 30 seconds between spawns
+const SPAWN_INTERVAL = 60000; // A pilgrim a day
 const MAX_VILLAGERS_PER_TEMPLE = 20;
 const INFLUENCE_RADIUS = 60; // Tiles - visual influence range
 const MAX_LEVEL = 5;
@@ -107,8 +110,16 @@ export default class TempleSystem {
     }
 
     temple.level = currentLevel + 1;
+    this.updateTempleVisuals(temple);
 
-    // Update visuals - make temple larger and update aura
+    console.log(`[TempleSystem] Temple ${templeId} upgraded to level ${temple.level}`);
+    return true;
+  }
+
+  /**
+   * Resize a temple's body, cross and aura to match its level
+   */
+  updateTempleVisuals(temple) {
     if (temple._gameObjects && temple._gameObjects.length >= 4) {
       const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
       const newSize = TEMPLE_SIZE + (temple.level - 1) * 16;
@@ -129,9 +140,6 @@ export default class TempleSystem {
       const crossV = temple._gameObjects[3];
       crossV.setSize(3, newSize / 2);
     }
-
-    console.log(`[TempleSystem] Temple ${templeId} upgraded to level ${temple.level}`);
-    return true;
   }
 
   /**
@@ -155,10 +163,11 @@ export default class TempleSystem {
     const cx = temple.position.x;
     const cy = temple.position.y;
     const searchRadius = 8;
+    const random = randomStream(this.scene, RNG_STREAMS.SPAWNING);
 
     for (let attempt = 0; attempt < 15; attempt++) {
-      const ox = Math.floor((Math.random() - 0.5) * searchRadius * 2);
-      const oy = Math.floor((Math.random() - 0.5) * searchRadius * 2);
+      const ox = Math.floor((random.next() - 0.5) * searchRadius * 2);
+      const oy = Math.floor((random.next() - 0.5) * searchRadius * 2);
       const tx = cx + ox;
       const ty = cy + oy;
 
@@ -209,6 +218,45 @@ export default class TempleSystem {
     return this.temples.length;
   }
 
+  /**
+   * Temples (with levels and spawn timers) for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      temples: this.temples.map(t => ({
+        id: t.id,
+        type: t.type,
+        playerId: t.playerId,
+        playerColor: t.playerColor,
+        position: { x: t.position.x, y: t.position.y },
+        level: t.level || 1,
+        health: t.health,
+        isUnderConstruction: t.isUnderConstruction,
+        spawnTimer: t.spawnTimer,
+        spawnedCount: t.spawnedCount
+      }))
+    };
+  }
+
+  /**
+   * Replace all temples with the saved set, sized to their levels
+   * @param {Object} data - Output of serialize()
+   */
+  restore(data) {
+    this.clearAll();
+
+    for (const saved of data.temples || []) {
+      const temple = { ...saved, position: { ...saved.position } };
+      this.addTemple(temple);
+
+      // addTemple starts fresh timers; keep the saved ones
+      temple.spawnTimer = saved.spawnTimer ?? temple.spawnTimer;
+      temple.spawnedCount = saved.spawnedCount ?? temple.spawnedCount;
+      this.updateTempleVisuals(temple);
+    }
+  }
+
   clearAll() {
     this.temples.forEach(temple => {
       if (temple._gameObjects) {
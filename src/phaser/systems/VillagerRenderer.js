@@ -0,0 +1,201 @@
+/**
+ * Villager Renderer
+ *
+ * Draws every villager through a handful of Blitters instead of one circle
+ * game object each. Each look a villager can have (fill colour + state
+ * style) is baked once into a small circle texture, and each texture gets one
+ * Blitter whose bobs are the villagers currently wearing that look. A frame
+ * costs one draw call per look in use (players x states), not per villager.
+ *
+ * State visuals:
+ * - worshipping: gold ring, larger, pulsing alpha
+ * - sleeping: blue ring, smaller, dim (not drawn at all while indoors)
+ * - moving: cyan ring
+ * - idle: white ring, slightly smaller
+ * - thinking: grey ring, waiting for a path
+ * - working: green ring
+ * - flash: fill briefly replaced (combat hits, powers)
+ *
+ * Purely visual: the simulation never reads anything back from here.
+ */
+
+import { TERRAIN_CONFIG } from '../config/terrainConfig';
+
+const VILLAGER_RADIUS = 10;
+const VILLAGER_DEPTH = 100;
+const UNOWNED_COLOR = 0xff0000;
+const CULL_MARGIN = 100; // Pixels beyond the camera still drawn
+
+const STATE_STYLES = {
+  idle: { scale: 0.9, strokeWidth: 1, strokeColor: 0xFFFFFF, strokeAlpha: 0.5, alpha: 0.7 },
+  thinking: { scale: 0.9, strokeWidth: 1, strokeColor: 0xAAAAAA, strokeAlpha: 0.8, alpha: 0.7 },
+  moving: { scale: 1.0, strokeWidth: 1, strokeColor: 0x00FFFF, strokeAlpha: 0.7, alpha: 1 },
+  worshipping: { scale: 1.2, strokeWidth: 2, strokeColor: 0xFFD700, strokeAlpha: 0.9, alpha: 1 },
+  sleeping: { scale: 0.8, strokeWidth: 1, strokeColor: 0x4444FF, strokeAlpha: 0.5, alpha: 0.3 },
+  working: { scale: 1.0, strokeWidth: 2, strokeColor: 0x7CFC00, strokeAlpha: 0.8, alpha: 1 },
+};
+
+/**
+ * Alpha for a state at a point in time (worshippers pulse)
+ * @param {string} state - Style name
+ * @param {number} time - Milliseconds
+ * @returns {number}
+ */
+export function getStateAlpha(state, time) {
+  if (state === 'worshipping') return 0.6 + 0.4 * Math.sin(time / 300);
+  return STATE_STYLES[state].alpha;
+}
+
+/**
+ * Style name for a villager state (anything unlisted draws as idle)
+ */
+export function getStyleName(state) {
+  return STATE_STYLES[state] ? state : 'idle';
+}
+
+export default class VillagerRenderer {
+  /**
+   * @param {Phaser.Scene} scene - Scene to draw in (needs make.graphics and textures)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.enabled = !!(scene?.make?.graphics && scene.textures && scene.add?.blitter);
+
+    this.layers = new Map();  // look key -> {blitter, offset}
+    this.sprites = new Map(); // villager id -> {bob, key, seen}
+    this.flashes = new Map(); // villager id -> {color, until}
+    this.time = 0;
+    this.frame = 0;
+
+    // Optional predicate; villagers it rejects are not drawn (fog of war)
+    this.visibilityFilter = null;
+  }
+
+  /**
+   * Tint a villager's fill for a moment
+   * A flash already showing is left to run out, so repeated hits don't keep it lit.
+   * @param {number} villagerId
+   * @param {number} color - Fill colour
+   * @param {number} duration - Milliseconds
+   */
+  flash(villagerId, color, duration = 500) {
+    const current = this.flashes.get(villagerId);
+    if (current && current.color === color) return;
+    this.flashes.set(villagerId, { color, until: this.time + duration });
+  }
+
+  isFlashing(villagerId) {
+    return this.flashes.has(villagerId);
+  }
+
+  /**
+   * Texture key for a look
+   */
+  getLookKey(color, styleName) {
+    return `villager_${color.toString(16)}_${styleName}`;
+  }
+
+  /**
+   * Blitter for a look, baking its texture on first use
+   */
+  getLayer(color, styleName) {
+    const key = this.getLookKey(color, styleName);
+    let layer = this.layers.get(key);
+    if (layer) return layer;
+
+    const style = STATE_STYLES[styleName];
+    const radius = VILLAGER_RADIUS * style.scale;
+    const size = Math.ceil((radius + style.strokeWidth) * 2);
+
+    if (!this.scene.textures.exists(key)) {
+      const g = this.scene.make.graphics({ add: false });
+      g.fillStyle(color, 1);
+      g.fillCircle(size / 2, size / 2, radius);
+      g.lineStyle(style.strokeWidth, style.strokeColor, style.strokeAlpha);
+      g.strokeCircle(size / 2, size / 2, radius);
+      g.generateTexture(key, size, size);
+      g.destroy();
+    }
+
+    const blitter = this.scene.add.blitter(0, 0, key);
+    blitter.setDepth(VILLAGER_DEPTH);
+    layer = { key, blitter, offset: size / 2 };
+    this.layers.set(key, layer);
+    return layer;
+  }
+
+  /**
+   * Draw the current villagers
+   * @param {Array<Villager>} villagers
+   * @param {number} delta - Real milliseconds since the last frame
+   */
+  render(villagers, delta) {
+    if (!this.enabled) return;
+
+    this.time += delta;
+    this.frame++;
+    for (const [id, flash] of this.flashes) {
+      if (flash.until <= this.time) this.flashes.delete(id);
+    }
+
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    const camera = this.scene.cameras?.main;
+    const left = camera ? camera.scrollX - CULL_MARGIN : -Infinity;
+    const top = camera ? camera.scrollY - CULL_MARGIN : -Infinity;
+    const right = camera ? camera.scrollX + camera.width / camera.zoom + CULL_MARGIN : Infinity;
+    const bottom = camera ? camera.scrollY + camera.height / camera.zoom + CULL_MARGIN : Infinity;
+
+    for (const villager of villagers) {
+      const px = villager.x * TILE_SIZE + TILE_SIZE / 2;
+      const py = villager.y * TILE_SIZE + TILE_SIZE / 2;
+      const styleName = getStyleName(villager.state);
+      const color = this.flashes.get(villager.id)?.color ?? villager.playerColor ?? UNOWNED_COLOR;
+      const layer = this.getLayer(color, styleName);
+
+      let sprite = this.sprites.get(villager.id);
+      if (sprite && sprite.key !== layer.key) {
+        sprite.bob.destroy();
+        sprite = null;
+      }
+      if (!sprite) {
+        sprite = { bob: layer.blitter.create(0, 0), key: layer.key };
+        this.sprites.set(villager.id, sprite);
+      }
+      sprite.seen = this.frame;
+
+      const { bob } = sprite;
+      bob.x = px - layer.offset;
+      bob.y = py - layer.offset;
+      bob.setAlpha(getStateAlpha(styleName, this.time));
+      bob.setVisible(!villager.indoors && px >= left && px <= right && py >= top && py <= bottom &&
+        (!this.visibilityFilter || this.visibilityFilter(villager)));
+    }
+
+    // Drop villagers that are gone
+    for (const [id, sprite] of this.sprites) {
+      if (sprite.seen !== this.frame) {
+        sprite.bob.destroy();
+        this.sprites.delete(id);
+        this.flashes.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Number of Blitters (draw batches) in use
+   */
+  getBatchCount() {
+    let count = 0;
+    for (const layer of this.layers.values()) {
+      if (layer.blitter.children.length > 0) count++;
+    }
+    return count;
+  }
+
+  destroy() {
+    for (const layer of this.layers.values()) layer.blitter.destroy();
+    this.layers.clear();
+    this.sprites.clear();
+    this.flashes.clear();
+  }
+}
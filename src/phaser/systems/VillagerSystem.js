@@ -2,30 +2,59 @@
  * Layer 4: Villager Management System
  *
  * Manages all villagers, spawning, updating, pathfinding, and worship.
- * Uses individual Phaser circle game objects for rendering.
+ * Drawing is VillagerRenderer's job (set as `renderer` when hosted).
+ * Villagers are kept in a spatial hash so combat, powers, selection and
+ * belief can ask "who is near here" without scanning everyone.
+ * Trips to temples (worship, home at night) follow the temple's flow field;
+ * other destinations are requested through a PathRequestQueue and the
+ * villager thinks until its path is handed over on a later update.
+ * When buildings block tiles, villagers whose path runs through them replan.
+ * Every tile stepped onto is reported to roadSystem, which wears roads in.
+ * The player can order a group of villagers somewhere: the group leader's
+ * path is searched once and every member follows it at a formation offset,
+ * paced so the whole group arrives together.
+ * After moving, a steering pass (Steering.js) nudges villagers apart so
+ * crowds spread out around destinations and oncoming walkers pass.
+ * Idle villagers see to their most urgent need (villagerNeeds.js) before
+ * wandering: home for a meal from their owner's food store, a nap, or worship.
+ * With nothing urgent, villagers with a job (JobSystem) go to work by day.
+ * Villagers are given a lifespan and traits when they appear (lifecycle.js,
+ * traits.js); elders walk slower and those who die of old age are removed
+ * like the fallen. The brave stay in a fight longer before fleeing.
+ * At night villagers with a house (PopulationSystem) walk to its door and
+ * sleep indoors, off the map; the homeless sleep rough by the temple.
  */
 
 import Villager from '../entities/Villager';
 import { TERRAIN_CONFIG } from '../config/terrainConfig';
 import { getRandomName } from '../config/villagerNames';
+import { randomStream, RNG_STREAMS } from '../core/RandomService';
+import SpatialHash from '../core/SpatialHash';
+import PathRequestQueue from './PathRequestQueue';
+import { computeSteering, PASSING_RADIUS } from './Steering';
+import { DEFAULT_FORMATION, arrangeInFormation } from '../config/formations';
+import { NEED_MAX, MEAL_FOOD, NEEDS, isStarving, mostUrgentNeed } from '../config/villagerNeeds';
+import { WORK_RANGE } from '../config/jobs';
+import { STARTING_AGE, ELDER_SPEED_MULTIPLIER, isElder, rollLifespan } from '../config/lifecycle';
+import { rollTraits, getTraitModifier } from '../config/traits';
 
 const MAX_VILLAGERS = 1400;
-const VILLAGER_RADIUS = 10;
-const WORSHIP_CHANCE = 0.4; // 40% chance to worship when idle near temple
-const WORSHIP_RANGE = 15; // Tiles - how close to temple to trigger worship
-const BELIEF_PER_SECOND = 1; // Belief points generated per worshipping villager per second
-const FOOD_PER_VILLAGER_PER_DAY = 0.5; // Food consumed per villager per game day (60s)
-const STARVING_SPEED_MULTIPLIER = 0.6; // Speed penalty when out of food
+const HOME_RANGE = 8; // Tiles - close enough to the temple to sleep or eat without walking
+const DOOR_RANGE = 1.5; // Tiles - close enough to a house to go in
+const STARVING_SPEED_MULTIPLIER = 0.6; // Speed penalty when starving
 const COMBAT_RANGE = 3; // Tiles - distance to trigger combat
 const COMBAT_DAMAGE_PER_SEC = 5; // Damage dealt per second in combat
 const FLEE_HP_THRESHOLD = 0.2; // Flee when below 20% HP
+const SPATIAL_CELL_SIZE = 8; // Tiles per spatial hash cell
 
 export default class VillagerSystem {
   constructor(scene, pathfindingSystem) {
     this.scene = scene;
     this.pathfindingSystem = pathfindingSystem;
+    this.pathQueue = new PathRequestQueue(pathfindingSystem);
 
     this.villagers = [];
+    this.spatialIndex = new SpatialHash(SPATIAL_CELL_SIZE);
     this.nextId = 1;
     this.isPaused = false;
 
@@ -41,6 +70,11 @@ export default class VillagerSystem {
     // References set by MainScene after initialization
     this.templeSystem = null;
     this.playerSystem = null;
+    this.beliefSystem = null;
+    this.roadSystem = null;
+    this.jobSystem = null;
+    this.populationSystem = null;
+    this.renderer = null;
   }
 
   setMapBounds(width, height) {
@@ -52,26 +86,35 @@ export default class VillagerSystem {
     this.biomeMap = biomeMap;
   }
 
-  spawnVillager(x, y) {
+  /**
+   * Create a villager and start tracking it
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} age - Days; 0 for a newborn
+   * @returns {Villager|null} Null at the villager limit
+   */
+  spawnVillager(x, y, age = STARTING_AGE) {
     if (!this.scene) return null;
     if (this.villagers.length >= MAX_VILLAGERS) return null;
 
     const villager = new Villager(this.nextId++, x, y);
     villager.origin = { x, y };
-    villager.name = getRandomName();
-
-    if (this.scene.add) {
-      const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
-      const pixelX = x * TILE_SIZE + TILE_SIZE / 2;
-      const pixelY = y * TILE_SIZE + TILE_SIZE / 2;
+    villager.name = getRandomName(randomStream(this.scene, RNG_STREAMS.SPAWNING).next);
+    villager.age = age;
+    villager.lifespan = rollLifespan(randomStream(this.scene, RNG_STREAMS.LIFECYCLE).next);
+    villager.traits = rollTraits(randomStream(this.scene, RNG_STREAMS.TRAITS).next);
 
-      const circle = this.scene.add.circle(pixelX, pixelY, VILLAGER_RADIUS, 0xff0000);
-      circle.setDepth(100);
-      circle.setStrokeStyle(1, 0xFFFFFF, 0.7);
-      villager._circle = circle;
-    }
+    return this.addVillager(villager);
+  }
 
+  /**
+   * Track a villager
+   * @param {Villager} villager
+   * @returns {Villager}
+   */
+  addVillager(villager) {
     this.villagers.push(villager);
+    this.spatialIndex.insert(villager);
     return villager;
   }
 
@@ -79,18 +122,60 @@ export default class VillagerSystem {
     const index = this.villagers.findIndex(v => v.id === id);
     if (index !== -1) {
       const villager = this.villagers[index];
-      if (villager._circle) villager._circle.destroy();
       villager.destroy();
       this.villagers.splice(index, 1);
+      this.spatialIndex.remove(villager);
+      this.cancelPathRequest(id);
     }
   }
 
   clearAll() {
-    this.villagers.forEach(villager => {
-      if (villager._circle) villager._circle.destroy();
-      villager.destroy();
-    });
+    this.villagers.forEach(villager => villager.destroy());
     this.villagers = [];
+    this.spatialIndex.clear();
+    this.pathQueue.clear();
+  }
+
+  /**
+   * Villagers within a radius of a tile position
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} radius - Tiles (inclusive)
+   * @param {Function} filter - Optional predicate
+   * @returns {Array<Villager>}
+   */
+  getVillagersInRadius(x, y, radius, filter = null) {
+    return this.spatialIndex.queryRadius(x, y, radius, filter);
+  }
+
+  /**
+   * Villagers inside a tile rectangle, lowest id first
+   * @param {number} minX - Tile X
+   * @param {number} minY - Tile Y
+   * @param {number} maxX - Tile X
+   * @param {number} maxY - Tile Y
+   * @param {Function} filter - Optional predicate
+   * @returns {Array<Villager>}
+   */
+  getVillagersInRect(minX, minY, maxX, maxY, filter = null) {
+    const found = [];
+    this.spatialIndex.forEachInBox(minX, minY, maxX, maxY, villager => {
+      if (villager.x < minX || villager.x > maxX || villager.y < minY || villager.y > maxY) return;
+      if (!filter || filter(villager)) found.push(villager);
+    });
+    return found.sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Closest villager to a tile position
+   * @param {number} x - Tile X
+   * @param {number} y - Tile Y
+   * @param {number} maxDistance - Only villagers strictly closer than this (tiles)
+   * @param {Function} filter - Optional predicate
+   * @returns {Villager|null}
+   */
+  findNearestVillager(x, y, maxDistance = Infinity, filter = null) {
+    return this.spatialIndex.nearest(x, y, maxDistance, filter);
   }
 
   /**
@@ -118,6 +203,133 @@ export default class VillagerSystem {
     return nearest;
   }
 
+  /**
+   * Queue a path search; the villager thinks until deliverPaths() hands it over
+   * @param {Villager} villager
+   * @param {number} targetX - Goal tile X
+   * @param {number} targetY - Goal tile Y
+   * @param {string} purpose - 'wander', 'home' for the way to bed in its house,
+   *   or 'group' for a group order's leader
+   * @param {Object} data - Handed back with the path
+   */
+  requestPath(villager, targetX, targetY, purpose = 'wander', data = null) {
+    // Replacing a group leader's search would leave the rest of the group waiting
+    if (this.pathQueue.requests.get(villager.id)?.purpose === 'group') this.cancelPathRequest(villager.id);
+
+    // Steering and old saves leave villagers (and the homes they return to) between tiles
+    const start = { x: Math.floor(villager.x), y: Math.floor(villager.y) };
+    const goal = { x: Math.floor(targetX), y: Math.floor(targetY) };
+    this.pathQueue.request(villager.id, purpose, start, goal, data, villager.movementProfile);
+    villager.startThinking();
+  }
+
+  /**
+   * Drop a villager's waiting search
+   * If it was leading a group order, the rest of the group stops waiting too.
+   * @param {number} villagerId
+   */
+  cancelPathRequest(villagerId) {
+    const request = this.pathQueue.requests.get(villagerId);
+    if (!request) return;
+
+    this.pathQueue.cancel(villagerId);
+    if (request.purpose === 'group') this.abandonGroupOrder(request.data.memberIds);
+  }
+
+  /**
+   * Hand finished path searches to the villagers still waiting for them
+   */
+  deliverPaths() {
+    for (const { villagerId, purpose, goal, path, data } of this.pathQueue.process()) {
+      if (purpose === 'group') {
+        this.startGroupMove(data, goal, path);
+        continue;
+      }
+
+      const villager = this.getVillager(villagerId);
+      if (!villager || villager.state !== 'thinking') continue;
+
+      if (path) {
+        villager.setPath(path);
+        villager.destination = { ...goal };
+        if (purpose === 'home') {
+          villager.goingHome = true;
+          villager.goingIndoors = true;
+        }
+      } else {
+        villager.clearPath();
+      }
+    }
+  }
+
+  /**
+   * Buildings changed the pathfinding grid: redo waiting searches and reroute
+   * villagers whose path is no longer walkable
+   */
+  handleTerrainChanged() {
+    this.pathQueue.terrainChanged();
+
+    for (const villager of this.villagers) {
+      if (villager.state !== 'moving' || !villager.currentPath) continue;
+      if (!this.pathfinderFor(villager).isPathWalkable(villager.currentPath, villager.pathIndex)) {
+        this.replanPath(villager);
+      }
+    }
+  }
+
+  /**
+   * Find a new way to the end of a villager's current path
+   * Temple trips follow the new flow field now; anything else is requested.
+   */
+  replanPath(villager) {
+    const goal = villager.currentPath[villager.currentPath.length - 1];
+    villager.pace = 1.0; // Off the group's route now, so no longer in step with it
+
+    if (villager.goingIndoors) {
+      villager.goingHome = false;
+      villager.goingIndoors = false;
+      this.requestPath(villager, goal.x, goal.y, 'home');
+      return;
+    }
+
+    if (!villager.goingToWorship && !villager.goingHome) {
+      this.requestPath(villager, goal.x, goal.y);
+      return;
+    }
+
+    const path = this.pathfinderFor(villager).findFlowPath(
+      Math.floor(villager.x), Math.floor(villager.y), goal.x, goal.y
+    );
+    if (path) {
+      villager.setPath(path);
+    } else if (villager.goingHome) {
+      villager.startSleep(); // Walled off from the temple, sleep where they are
+    } else {
+      villager.goingToWorship = false;
+      villager.worshipTempleId = null;
+      villager.clearPath();
+    }
+  }
+
+  /**
+   * Pathfinder for a villager's movement profile
+   * @returns {PathfindingSystem}
+   */
+  pathfinderFor(villager) {
+    return this.pathfindingSystem.forProfile(villager.movementProfile);
+  }
+
+  /**
+   * Path to a temple along its flow field (shared by everyone heading there)
+   * @returns {Array<{x, y}>|null}
+   */
+  findTemplePath(villager, temple) {
+    return this.pathfinderFor(villager).findFlowPath(
+      Math.floor(villager.x), Math.floor(villager.y),
+      temple.position.x, temple.position.y
+    );
+  }
+
   /**
    * Assign villager to worship at their nearest temple
    */
@@ -127,12 +339,7 @@ export default class VillagerSystem {
     const temple = this.findNearestTemple(villager);
     if (!temple) return false;
 
-    const startX = Math.floor(villager.x);
-    const startY = Math.floor(villager.y);
-    const path = this.pathfindingSystem.findPath(
-      startX, startY,
-      temple.position.x, temple.position.y
-    );
+    const path = this.findTemplePath(villager, temple);
 
     if (path) {
       villager.setPath(path);
@@ -146,8 +353,9 @@ export default class VillagerSystem {
 
   /**
    * Assign a random passable destination to a villager
+   * With destX/destY it goes there instead; purpose and data are passed on to requestPath().
    */
-  assignRandomDestination(villager, destX, destY) {
+  assignRandomDestination(villager, destX, destY, purpose = 'wander', data = null) {
     if (!this.pathfindingSystem) return;
 
     let targetX, targetY;
@@ -160,11 +368,12 @@ export default class VillagerSystem {
       targetY = villager.origin.y;
     } else {
       const wanderRadius = 30;
+      const random = randomStream(this.scene, RNG_STREAMS.VILLAGERS);
       let found = false;
 
       for (let attempt = 0; attempt < 10; attempt++) {
-        const tx = Math.floor(villager.origin.x + (Math.random() - 0.5) * wanderRadius * 2);
-        const ty = Math.floor(villager.origin.y + (Math.random() - 0.5) * wanderRadius * 2);
+        const tx = Math.floor(villager.origin.x + (random.next() - 0.5) * wanderRadius * 2);
+        const ty = Math.floor(villager.origin.y + (random.next() - 0.5) * wanderRadius * 2);
         const cx = Math.max(0, Math.min(this.mapWidth - 1, tx));
         const cy = Math.max(0, Math.min(this.mapHeight - 1, ty));
 
@@ -183,21 +392,145 @@ export default class VillagerSystem {
       }
     }
 
-    const startX = Math.floor(villager.x);
-    const startY = Math.floor(villager.y);
-    const path = this.pathfindingSystem.findPath(startX, startY, targetX, targetY);
+    this.requestPath(villager, targetX, targetY, purpose, data);
+  }
 
-    if (path) {
-      villager.setPath(path);
-      villager.destination = { x: targetX, y: targetY };
-    } else {
-      villager.clearPath();
+  /**
+   * Order a player's villagers to a tile as a group
+   * The leader (the member nearest the group's middle) has its path searched
+   * through the queue; startGroupMove() fans it out when it arrives.
+   * Sleeping villagers and other players' villagers ignore the order.
+   * @param {string} playerId - Player giving the order
+   * @param {Array<number>} villagerIds
+   * @param {number} targetX - Goal tile X
+   * @param {number} targetY - Goal tile Y
+   * @param {Object} options
+   * @param {string} options.formation - Key of FORMATIONS
+   * @param {boolean} options.hold - Hold position on arrival instead of resuming the daily routine
+   * @returns {boolean} True if anyone was ordered
+   */
+  orderGroup(playerId, villagerIds, targetX, targetY, { formation = DEFAULT_FORMATION, hold = true } = {}) {
+    if (!this.pathfindingSystem) return false;
+
+    const members = villagerIds
+      .map(id => this.getVillager(id))
+      .filter(v => v && v.playerId === playerId && v.state !== 'sleeping' && !v.isDead());
+    if (members.length === 0) return false;
+
+    const centerX = members.reduce((sum, v) => sum + v.x, 0) / members.length;
+    const centerY = members.reduce((sum, v) => sum + v.y, 0) / members.length;
+    let leader = members[0];
+    for (const member of members) {
+      if (Math.hypot(member.x - centerX, member.y - centerY) < Math.hypot(leader.x - centerX, leader.y - centerY)) {
+        leader = member;
+      }
+    }
+
+    members.forEach(member => this.cancelPathRequest(member.id));
+    members.forEach(member => member.followOrder(hold));
+
+    this.assignRandomDestination(leader, targetX, targetY, 'group', { memberIds: members.map(v => v.id), formation });
+    return true;
+  }
+
+  /**
+   * Order the human player's villagers to a point as a group
+   * Entry point for recorded commands.
+   * @param {Array<number>} villagerIds
+   * @param {number} worldX - World X in pixels
+   * @param {number} worldY - World Y in pixels
+   * @param {Object} options - {formation, hold}, see orderGroup()
+   * @returns {boolean} True if anyone was ordered
+   */
+  moveGroup(villagerIds, worldX, worldY, options = {}) {
+    const human = this.playerSystem?.getHumanPlayer();
+    if (!human) return false;
+
+    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+    return this.orderGroup(human.id, villagerIds, Math.floor(worldX / TILE_SIZE), Math.floor(worldY / TILE_SIZE), options);
+  }
+
+  /**
+   * Send a group along its leader's path, each member at its formation slot
+   * Members walk to their slot first; where a slot's route is blocked, they
+   * fall in behind the leader instead. Everyone's pace is set so the group
+   * arrives together.
+   * @param {Object} data - {memberIds, formation} from orderGroup()
+   * @param {{x, y}} goal - Goal tile
+   * @param {Array<{x, y}>|null} path - The leader's path
+   */
+  startGroupMove({ memberIds, formation }, goal, path) {
+    const members = memberIds
+      .map(id => this.getVillager(id))
+      .filter(v => v && v.state === 'thinking');
+
+    if (!path) {
+      this.abandonGroupOrder(memberIds);
+      return;
+    }
+
+    const routes = [];
+    for (const { member, dx, dy } of arrangeInFormation(members, formation)) {
+      const pathfinder = this.pathfinderFor(member);
+      const slotted = path.map(p => ({ x: p.x + dx, y: p.y + dy }));
+      const route = pathfinder.isPathWalkable(slotted) ? slotted : path;
+
+      const fromX = Math.floor(member.x);
+      const fromY = Math.floor(member.y);
+      const toSlot = fromX === route[0].x && fromY === route[0].y
+        ? [route[0]]
+        : pathfinder.findPath(fromX, fromY, route[0].x, route[0].y);
+      if (!toSlot) {
+        member.releaseOrder();
+        member.clearPath();
+        continue;
+      }
+
+      const full = [...toSlot.slice(0, -1), ...route];
+      routes.push({ member, path: full, time: this.pathLength(member, full) / member.speed });
+    }
+
+    const slowest = Math.max(...routes.map(r => r.time));
+    for (const { member, path: full, time } of routes) {
+      member.setPath(full);
+      member.destination = { x: goal.x, y: goal.y };
+      member.pace = slowest > 0 ? time / slowest : 1.0;
+    }
+  }
+
+  /**
+   * Tiles a villager walks along a path from where it stands
+   */
+  pathLength(villager, path) {
+    let length = 0;
+    let x = villager.x;
+    let y = villager.y;
+    for (const p of path) {
+      length += Math.hypot(p.x - x, p.y - y);
+      x = p.x;
+      y = p.y;
+    }
+    return length;
+  }
+
+  /**
+   * A group order can't be carried out: members still waiting go back to their routine
+   * @param {Array<number>} memberIds
+   */
+  abandonGroupOrder(memberIds) {
+    for (const id of memberIds) {
+      const member = this.getVillager(id);
+      if (!member || member.state !== 'thinking') continue;
+      member.releaseOrder();
+      member.clearPath();
     }
   }
 
   update(delta) {
     if (this.isPaused) return;
 
+    this.deliverPaths();
+
     // Check night state from game clock
     const gameClock = this.scene && this.scene.gameClock;
     const wasNight = this.isNight;
@@ -212,109 +545,29 @@ export default class VillagerSystem {
       }
     }
 
-    // Food consumption: each villager consumes food over the day
-    // 0.5 food per villager per 60s day = 0.5/60000 per ms
-    if (this.playerSystem) {
-      const foodPerMs = FOOD_PER_VILLAGER_PER_DAY / 60000;
-      const playerFoodCounts = new Map();
-
-      for (const villager of this.villagers) {
-        if (!villager.playerId) continue;
-        const consumed = foodPerMs * delta;
-        if (!playerFoodCounts.has(villager.playerId)) {
-          playerFoodCounts.set(villager.playerId, 0);
-        }
-        playerFoodCounts.set(villager.playerId, playerFoodCounts.get(villager.playerId) + consumed);
-      }
-
-      for (const [playerId, totalConsumed] of playerFoodCounts) {
-        this.playerSystem.addFood(playerId, -totalConsumed);
-      }
-    }
-
-    const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
-
-    // Compute camera viewport for culling
-    const camera = this.scene?.cameras?.main;
-    const camLeft = camera ? camera.scrollX : 0;
-    const camTop = camera ? camera.scrollY : 0;
-    const camRight = camera ? camLeft + camera.width / camera.zoom : Infinity;
-    const camBottom = camera ? camTop + camera.height / camera.zoom : Infinity;
-
     for (const villager of this.villagers) {
-      // Apply speed penalty when starving
-      if (this.playerSystem && villager.playerId) {
-        const hasFood = this.playerSystem.hasFood(villager.playerId);
-        villager.speedMultiplier = hasFood ? 1.0 : STARVING_SPEED_MULTIPLIER;
-      }
+      villager.speedMultiplier = (isStarving(villager) ? STARVING_SPEED_MULTIPLIER : 1.0) *
+        (isElder(villager) ? ELDER_SPEED_MULTIPLIER : 1.0);
 
+      const path = villager.currentPath;
+      const fromIndex = villager.pathIndex;
       villager.update(delta);
+      this.spatialIndex.update(villager);
 
-      // Update circle position and viewport culling
-      if (villager._circle) {
-        const px = villager.x * TILE_SIZE + TILE_SIZE / 2;
-        const py = villager.y * TILE_SIZE + TILE_SIZE / 2;
-        villager._circle.x = px;
-        villager._circle.y = py;
-
-        // Viewport culling: hide villagers outside camera view
-        if (camera) {
-          const margin = 100;
-          const inView = px >= camLeft - margin && px <= camRight + margin &&
-                         py >= camTop - margin && py <= camBottom + margin;
-          villager._circle.setVisible(inView);
-        }
-
-        // Set player color once
-        if (villager.playerColor && !villager._colorSet) {
-          villager._circle.setFillStyle(villager.playerColor);
-          villager._colorSet = true;
-        }
+      // Home from a meal trip, or rested after a daytime nap
+      if (villager.goingToEat && villager.state === 'idle') this.serveMeal(villager);
+      if (villager.state === 'sleeping' && !this.isNight && villager.energy >= NEED_MAX) villager.wakeUp();
 
-        // Visual feedback by state
-        if (villager.state === 'worshipping') {
-          const pulse = 0.6 + 0.4 * Math.sin(Date.now() / 300);
-          villager._circle.setAlpha(pulse);
-          if (villager._lastVisualState !== 'worshipping') {
-            villager._circle.setStrokeStyle(2, 0xFFD700, 0.9); // Gold stroke
-            villager._circle.setScale(1.2); // Slightly larger
-            villager._lastVisualState = 'worshipping';
-          }
-        } else if (villager.state === 'sleeping') {
-          villager._circle.setAlpha(0.3);
-          if (villager._lastVisualState !== 'sleeping') {
-            villager._circle.setStrokeStyle(1, 0x4444FF, 0.5); // Blue stroke
-            villager._circle.setScale(0.8); // Smaller when sleeping
-            villager._lastVisualState = 'sleeping';
-          }
-        } else if (villager.state === 'moving') {
-          if (villager._lastVisualState !== 'moving') {
-            villager._circle.setAlpha(1);
-            villager._circle.setStrokeStyle(1, 0x00FFFF, 0.7); // Cyan stroke
-            villager._circle.setScale(1.0);
-            villager._lastVisualState = 'moving';
-          }
-        } else {
-          // idle
-          if (villager._lastVisualState !== 'idle') {
-            villager._circle.setAlpha(0.7);
-            villager._circle.setStrokeStyle(1, 0xFFFFFF, 0.5); // White stroke
-            villager._circle.setScale(0.9);
-            villager._lastVisualState = 'idle';
-          }
-        }
-      }
-
-      // Generate belief while worshipping
-      if (villager.state === 'worshipping' && this.playerSystem && villager.playerId) {
-        const beliefThisFrame = (BELIEF_PER_SECOND * delta) / 1000;
-        this.playerSystem.addBeliefPoints(villager.playerId, beliefThisFrame);
+      // Arriving clears the path, so a path that changed was walked to the end
+      if (this.roadSystem && path) {
+        this.roadSystem.recordSteps(path, fromIndex, villager.currentPath === path ? villager.pathIndex : path.length);
       }
 
       // Auto-assign behavior when idle and pause timer expired
       if (this.autoAssignDestinations &&
           villager.state === 'idle' &&
-          villager.pauseTimer === 0) {
+          villager.pauseTimer === 0 &&
+          !villager.holdingPosition) {
 
         // Nighttime: send villagers home to sleep
         if (this.isNight) {
@@ -322,17 +575,11 @@ export default class VillagerSystem {
           continue;
         }
 
-        // Check if near temple and should worship
-        const temple = this.findNearestTemple(villager);
-        if (temple) {
-          const dx = temple.position.x - villager.x;
-          const dy = temple.position.y - villager.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
+        // Hungry, tired or unhappy enough to do something about it
+        if (this.seeToNeed(villager)) continue;
 
-          if (dist <= WORSHIP_RANGE && Math.random() < WORSHIP_CHANCE) {
-            if (this.assignWorship(villager)) continue;
-          }
-        }
+        // Daytime: off to work
+        if (this.goToWork(villager)) continue;
 
         // Normal wander behavior
         if (villager.returningHome) {
@@ -347,6 +594,9 @@ export default class VillagerSystem {
       }
     }
 
+    // Spread out crowds and let oncoming walkers pass
+    this.applySteering(delta);
+
     // Combat: check for enemy villagers in range
     this.processCombat(delta);
 
@@ -354,55 +604,159 @@ export default class VillagerSystem {
     this.removeDeadVillagers();
   }
 
+  /**
+   * Start on whatever the villager's most urgent need calls for
+   * @param {Villager} villager
+   * @returns {boolean} True if the villager is now busy with it
+   */
+  seeToNeed(villager) {
+    const need = mostUrgentNeed(villager);
+    switch (need && NEEDS[need].activity) {
+      case 'eat':
+        return this.sendVillagerToEat(villager);
+      case 'sleep':
+        this.sendVillagerHome(villager);
+        return true;
+      case 'worship':
+        return this.assignWorship(villager);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Start work at the villager's work spot, or walk there
+   * @param {Villager} villager
+   * @returns {boolean} False without a job or anywhere to stand for it
+   */
+  goToWork(villager) {
+    const spot = this.jobSystem?.getWorkSpot(villager);
+    if (!spot) return false;
+
+    if (Math.hypot(spot.x - villager.x, spot.y - villager.y) <= WORK_RANGE) {
+      villager.startWork();
+    } else {
+      this.assignRandomDestination(villager, spot.x, spot.y);
+    }
+    return true;
+  }
+
+  /**
+   * Whether a villager's owner can spare a meal; villagers without an owner forage
+   */
+  hasMealFor(villager) {
+    if (!villager.playerId || !this.playerSystem) return true;
+    const player = this.playerSystem.getPlayer(villager.playerId);
+    return !!player && player.food >= MEAL_FOOD;
+  }
+
+  /**
+   * Walk a villager home to its temple for a meal (or eat straight away if already there)
+   * @returns {boolean} False if there is nothing to eat
+   */
+  sendVillagerToEat(villager) {
+    if (!this.hasMealFor(villager)) return false;
+
+    const temple = this.findNearestTemple(villager);
+    if (temple && this.pathfindingSystem &&
+        Math.hypot(temple.position.x - villager.x, temple.position.y - villager.y) > HOME_RANGE) {
+      const path = this.findTemplePath(villager, temple);
+      if (path) {
+        villager.setPath(path);
+        villager.goingToEat = true;
+        villager.destination = { x: temple.position.x, y: temple.position.y };
+        return true;
+      }
+    }
+
+    this.serveMeal(villager);
+    return true;
+  }
+
+  /**
+   * Feed a villager from its owner's food store
+   * @returns {boolean} False if the store ran out on the way
+   */
+  serveMeal(villager) {
+    villager.goingToEat = false;
+    if (!this.hasMealFor(villager)) return false;
+
+    if (villager.playerId && this.playerSystem) this.playerSystem.addFood(villager.playerId, -MEAL_FOOD);
+    villager.eat();
+    return true;
+  }
+
+  /**
+   * Nudge villagers away from each other (see Steering.js)
+   * Every nudge is worked out from where everyone stood before any moved,
+   * and nobody is nudged onto ground they can't stand on.
+   */
+  applySteering(delta) {
+    const agents = new Map();
+    const agentFor = villager => {
+      if (!agents.has(villager.id)) {
+        agents.set(villager.id, {
+          id: villager.id,
+          x: villager.x,
+          y: villager.y,
+          heading: villager.getHeading(),
+          speed: villager.speed * villager.speedMultiplier * villager.pace
+        });
+      }
+      return agents.get(villager.id);
+    };
+
+    const nudges = [];
+    for (const villager of this.villagers) {
+      if (villager.indoors) continue;
+      const neighbours = this.getVillagersInRadius(
+        villager.x, villager.y, PASSING_RADIUS, other => other !== villager && !other.indoors
+      );
+      if (neighbours.length === 0) continue;
+
+      neighbours.sort((a, b) => a.id - b.id);
+      const { dx, dy } = computeSteering(agentFor(villager), neighbours.map(agentFor), delta);
+      if (dx !== 0 || dy !== 0) nudges.push({ villager, dx, dy });
+    }
+
+    for (const { villager, dx, dy } of nudges) {
+      const x = villager.x + dx;
+      const y = villager.y + dy;
+      if (!this.pathfinderFor(villager).isPassable(Math.floor(x), Math.floor(y))) continue;
+
+      villager.x = x;
+      villager.y = y;
+      this.spatialIndex.update(villager);
+    }
+  }
+
   /**
    * Process combat between enemy villagers
    */
   processCombat(delta) {
-    const combatRangeSq = COMBAT_RANGE * COMBAT_RANGE;
     const damageThisFrame = (COMBAT_DAMAGE_PER_SEC * delta) / 1000;
 
     for (const villager of this.villagers) {
       if (villager.state === 'sleeping' || !villager.playerId) continue;
 
       // Find nearest enemy
-      let nearestEnemy = null;
-      let nearestDistSq = combatRangeSq;
-
-      for (const other of this.villagers) {
-        if (other.playerId === villager.playerId || !other.playerId) continue;
-        if (other.state === 'sleeping') continue;
-
-        const dx = other.x - villager.x;
-        const dy = other.y - villager.y;
-        const distSq = dx * dx + dy * dy;
-
-        if (distSq < nearestDistSq) {
-          nearestDistSq = distSq;
-          nearestEnemy = other;
-        }
-      }
+      const nearestEnemy = this.findNearestVillager(villager.x, villager.y, COMBAT_RANGE, other =>
+        other.playerId && other.playerId !== villager.playerId && other.state !== 'sleeping'
+      );
 
       if (nearestEnemy) {
         // Deal damage
         nearestEnemy.takeDamage(damageThisFrame);
 
-        // Flash red on hit (throttled)
-        if (nearestEnemy._circle && !nearestEnemy._combatFlash) {
-          nearestEnemy._circle.setFillStyle(0xFF0000);
-          nearestEnemy._combatFlash = true;
-          if (this.scene?.time) {
-            this.scene.time.delayedCall(200, () => {
-              if (nearestEnemy._circle && nearestEnemy.playerColor) {
-                nearestEnemy._circle.setFillStyle(nearestEnemy.playerColor);
-              }
-              nearestEnemy._combatFlash = false;
-            });
-          }
-        }
+        // Flash red on hit
+        this.flashVillager(nearestEnemy, 0xFF0000, 200);
 
-        // Low HP: flee toward temple
-        if (villager.health < villager.maxHealth * FLEE_HP_THRESHOLD) {
-          if (villager.state !== 'moving' || !villager.goingHome) {
+        // Low HP: flee toward temple, whatever the player ordered (the brave hold on longer)
+        if (villager.health < villager.maxHealth * FLEE_HP_THRESHOLD * getTraitModifier(villager.traits, 'flee')) {
+          const headingHome = villager.state === 'moving' ? villager.goingHome
+            : this.pathQueue.requests.get(villager.id)?.purpose === 'home';
+          if (!headingHome) {
+            villager.releaseOrder();
             this.sendVillagerHome(villager);
           }
         }
@@ -417,6 +771,10 @@ export default class VillagerSystem {
     const dead = this.villagers.filter(v => v.isDead());
     const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
     for (const villager of dead) {
+      if (villager.age >= villager.lifespan) {
+        console.log(`[VillagerSystem] ${villager.name || `Villager ${villager.id}`} died of old age at ${Math.floor(villager.age)} days`);
+      }
+
       // Death effects
       if (this.scene?.audioSystem) this.scene.audioSystem.playDeathSound();
       if (this.scene?.particleSystem) {
@@ -428,12 +786,15 @@ export default class VillagerSystem {
       if (villager.playerId && this.playerSystem) {
         this.playerSystem.removeVillager(villager.playerId, villager.id);
       }
+      if (this.beliefSystem) {
+        this.beliefSystem.forgetVillager(villager.id);
+      }
       this.removeVillager(villager.id);
     }
   }
 
   /**
-   * Send a villager back to their temple area to sleep
+   * Send a villager to bed: indoors at its house, or rough by its temple
    */
   sendVillagerHome(villager) {
     if (!this.pathfindingSystem) {
@@ -441,6 +802,16 @@ export default class VillagerSystem {
       return;
     }
 
+    const door = this.populationSystem?.getHomeSpot(villager);
+    if (door) {
+      if (Math.hypot(door.x - villager.x, door.y - villager.y) <= DOOR_RANGE) {
+        villager.startSleep(true);
+      } else {
+        this.requestPath(villager, door.x, door.y, 'home');
+      }
+      return;
+    }
+
     const temple = this.findNearestTemple(villager);
     if (!temple) {
       villager.startSleep();
@@ -452,18 +823,13 @@ export default class VillagerSystem {
     const dist = Math.sqrt(dx * dx + dy * dy);
 
     // Already near temple, just sleep
-    if (dist <= 8) {
+    if (dist <= HOME_RANGE) {
       villager.startSleep();
       return;
     }
 
     // Pathfind to near temple
-    const startX = Math.floor(villager.x);
-    const startY = Math.floor(villager.y);
-    const path = this.pathfindingSystem.findPath(
-      startX, startY,
-      temple.position.x, temple.position.y
-    );
+    const path = this.findTemplePath(villager, temple);
 
     if (path) {
       villager.setPath(path);
@@ -473,6 +839,103 @@ export default class VillagerSystem {
     }
   }
 
+  /**
+   * Switch a villager to another player: ownership, color and home temple
+   * @param {number} villagerId - Villager ID
+   * @param {string} toPlayerId - New owner
+   * @returns {boolean} True if the villager changed sides
+   */
+  convertVillager(villagerId, toPlayerId) {
+    const villager = this.getVillager(villagerId);
+    if (!villager || villager.playerId === toPlayerId) return false;
+
+    const fromPlayerId = villager.playerId;
+
+    // Drop whatever the villager was doing for the old god
+    if (villager.state === 'worshipping') {
+      villager.endWorship();
+      villager.pauseTimer = 0;
+    }
+    villager.goingToWorship = false;
+    villager.worshipTempleId = null;
+    villager.goingHome = false;
+    villager.goingIndoors = false;
+    villager.goingToEat = false;
+    villager.leaveJob();
+    villager.moveOut();
+
+    if (this.playerSystem) {
+      if (fromPlayerId) this.playerSystem.removeVillager(fromPlayerId, villager.id);
+      this.playerSystem.addVillager(toPlayerId, villager);
+    } else {
+      villager.playerId = toPlayerId;
+    }
+
+    // Re-home to the new owner's nearest temple and walk there
+    const temple = this.findNearestTemple(villager);
+    if (temple) {
+      villager.origin = { x: temple.position.x, y: temple.position.y };
+      if (villager.state !== 'sleeping') {
+        villager.returningHome = true;
+        this.assignRandomDestination(villager);
+      }
+    }
+
+    if (this.scene?.particleSystem) {
+      const TILE_SIZE = TERRAIN_CONFIG.TILE_SIZE;
+      this.scene.particleSystem.emitSpawn(
+        villager.x * TILE_SIZE + TILE_SIZE / 2,
+        villager.y * TILE_SIZE + TILE_SIZE / 2
+      );
+    }
+
+    console.log(`[VillagerSystem] Villager ${villager.id} converted from ${fromPlayerId} to ${toPlayerId}`);
+    return true;
+  }
+
+  /**
+   * Briefly tint a villager (no-op without a renderer)
+   * @param {Villager} villager
+   * @param {number} color - Fill colour
+   * @param {number} duration - Milliseconds
+   */
+  flashVillager(villager, color, duration = 500) {
+    if (this.renderer) this.renderer.flash(villager.id, color, duration);
+  }
+
+  /**
+   * Villagers, ID counter and waiting path requests for saves
+   * @returns {Object}
+   */
+  serialize() {
+    return {
+      nextId: this.nextId,
+      isNight: this.isNight,
+      villagers: this.villagers.map(v => v.serialize()),
+      pathRequests: this.pathQueue.serialize(),
+    };
+  }
+
+  /**
+   * Replace every villager with the saved set
+   * Ownership colors come from playerSystem, so restore players first.
+   * @param {Object} data - Output of serialize()
+   */
+  restore(data) {
+    this.clearAll();
+    this.isNight = data.isNight || false;
+
+    for (const saved of data.villagers || []) {
+      const villager = new Villager(saved.id, saved.x, saved.y);
+      villager.restore(saved);
+      villager.playerColor = this.playerSystem?.getPlayer(saved.playerId)?.color || null;
+      this.addVillager(villager);
+    }
+
+    this.nextId = data.nextId || this.villagers.reduce((max, v) => Math.max(max, v.id + 1), 1);
+    this.pathQueue.restore(data.pathRequests || []);
+  }
+
   pauseAll() {
     this.isPaused = true;
     this.villagers.forEach(v => v.pause());
@@ -0,0 +1,34 @@
+import { version, name } from '../db/schema.js'
+
+// The newest schema version this browser has opened the database with
+const VERSION_KEY = `${name}_version`
+
+/**
+ * Record the schema version and report upgrades
+ * Nothing is cleared any more: Dexie upgrades older databases in place
+ * (see db/migrations.js). A database from a newer build is reported and kept
+ * so switching back to that build finds its data intact.
+ * @returns {string} 'new' | 'current' | 'upgraded' | 'newer'
+ */
+export const checkAndClearIfNeeded = () => {
+  try {
+    const storedVersion = Number(localStorage.getItem(VERSION_KEY)) || 0
+
+    if (storedVersion > version) {
+      console.warn(`Database ${name} is from a newer build (schema ${storedVersion}, this build has ${version}); keeping it`)
+      return 'newer'
+    }
+
+    localStorage.setItem(VERSION_KEY, String(version))
+
+    if (storedVersion === 0) return 'new'
+    if (storedVersion < version) {
+      console.log(`Database ${name} upgrading from schema ${storedVersion} to ${version}, keeping data`)
+      return 'upgraded'
+    }
+    return 'current'
+  } catch (error) {
+    console.error('Database version check failed:', error)
+    return 'current'
+  }
+}